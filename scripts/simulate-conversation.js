@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Plays conversation scripts against the call flow from the command line
+ *
+ * Usage: npm run simulate -- [--verbose] <script.json|directory>...
+ *
+ * Each script is played with the conversation simulator
+ * (tests/helpers/conversationSimulator.js); the exit code is 1 if any of
+ * them fails its expectations. Runs without Twilio credentials: calls and
+ * SMS go to the simulator, and webhooks are signed with a throwaway token
+ * when TWILIO_AUTH_TOKEN is not set.
+ */
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+
+// Keep the app's logs down to errors
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN || 'conversation-simulator';
+
+const storage = require('../src/repositories');
+const { ConversationSimulator, loadScript } = require('../tests/helpers/conversationSimulator');
+
+/**
+ * Expands the arguments into script files, reading directories for .json files
+ *
+ * @param {string[]} args - Files and directories
+ * @returns {string[]} - Script files
+ */
+const findScripts = (args) => args.flatMap(arg => {
+  if (fs.statSync(arg).isDirectory()) {
+    return fs.readdirSync(arg)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => path.join(arg, file));
+  }
+  return [arg];
+});
+
+/**
+ * Formats a transcript entry for the console
+ *
+ * @param {Object} entry - Transcript entry
+ * @returns {string} - One line
+ */
+const formatEntry = (entry) => {
+  if (entry.from === 'app') {
+    return entry.say !== undefined ? `  app:    ${entry.say}` : `  app:    [plays ${entry.play}]`;
+  }
+  if (entry.hangup) {
+    return '  caller: [hangs up]';
+  }
+  return entry.silence ? '  caller: [silence]' : `  caller: ${entry.say}`;
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const verbose = args.includes('--verbose');
+  const files = findScripts(args.filter(arg => arg !== '--verbose'));
+
+  if (files.length === 0) {
+    console.error('Usage: npm run simulate -- [--verbose] <script.json|directory>...');
+    return 2;
+  }
+
+  await storage.connect();
+  const simulator = new ConversationSimulator();
+  let failed = 0;
+
+  for (const file of files) {
+    const result = await simulator.run(loadScript(file));
+
+    console.log(`${result.passed ? 'PASS' : 'FAIL'} ${result.name} (${path.basename(file)})`);
+    if (verbose || !result.passed) {
+      result.transcript.forEach(entry => console.log(formatEntry(entry)));
+      result.messages.forEach(message => console.log(`  sms:    ${message.body}`));
+      if (result.callLog) {
+        console.log(`  call log: ${result.callLog.status}, adherence ${result.callLog.adherenceStatus}`);
+      }
+    }
+    result.failures.forEach(failure => console.log(`  - ${failure}`));
+
+    if (!result.passed) {
+      failed++;
+    }
+  }
+
+  console.log(`\n${files.length - failed} passed, ${failed} failed`);
+  await storage.close();
+  return failed > 0 ? 1 : 0;
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -10,8 +10,22 @@ require('dotenv').config();
 const express = require('express');
 const bodyParser = require('body-parser');
 const callRoutes = require('./routes/callRoutes');
+const patientRoutes = require('./routes/patientRoutes');
+const scheduleRoutes = require('./routes/scheduleRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const fhirRoutes = require('./routes/fhirRoutes');
+const campaignRoutes = require('./routes/campaignRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const simulatorRoutes = require('./routes/simulatorRoutes');
+const schedulerService = require('./services/schedulerService');
+const campaignService = require('./services/campaignService');
+const jobQueue = require('./services/jobQueue');
+const mediaStreamService = require('./services/mediaStreamService');
+const storage = require('./repositories');
 const { errorHandler, AppError, ErrorTypes } = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
+const config = require('./config');
 
 // Initialize Express application
 const app = express();
@@ -56,6 +70,16 @@ app.use(bodyParser.urlencoded({ extended: false }));
 app.use(bodyParser.json());
 
 // Routes
+app.use('/api/patients', patientRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/keys', apiKeyRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/fhir', fhirRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use('/api/jobs', jobRoutes);
+if (config.telephony.provider === 'simulator') {
+  app.use('/api/simulator', simulatorRoutes);
+}
 app.use('/api', callRoutes);
 
 app.get('/health', (req, res) => {
@@ -75,9 +99,15 @@ app.use((req, res, next) => {
 });
 
 // Graceful shutdown handling
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   logger.info('SIGTERM signal received: closing HTTP server');
-  // Close any open connections here
+  schedulerService.stop();
+  campaignService.stop();
+  jobQueue.stop();
+  mediaStreamService.close();
+  // Let calls and SMS being sent finish; queued jobs run after the restart
+  await jobQueue.drain();
+  await storage.close();
   process.exit(0);
 });
 
@@ -106,6 +136,21 @@ process.on('unhandledRejection', (reason, promise) => {
 const PORT = process.env.PORT || 3000;
 const server = app.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
+  if (config.telephony.provider === 'simulator') {
+    logger.warn('Telephony simulator active: calls and SMS are recorded, not placed');
+  }
+  storage.connect().then(() => {
+    logger.info({ event: 'storage_ready', adapter: storage.adapter });
+    if (storage.adapter === storage.StorageAdapters.MEMORY) {
+      logger.warn('Memory storage active: data is lost when the server restarts');
+    }
+  });
+  schedulerService.start();
+  campaignService.start();
+  jobQueue.start();
 });
 
+// Twilio media streams connect over WebSocket on the same server
+mediaStreamService.attach(server);
+
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,30 @@
+/**
+ * Call log states
+ *
+ * Lifecycle states follow the provider's call progress:
+ * - Initiated, Ringing, In-Progress: the call is being placed or is connected
+ * - Completed, Busy, No Answer, Failed, Canceled: the call ended
+ *
+ * Outcome states record how the reminder reached the patient and are kept
+ * once set:
+ * - Answered: the patient answered the check-in
+ * - Voicemail Left: the reminder was left on an answering machine
+ * - SMS Sent: the patient was texted after the call did not reach them
+ *
+ * @module config/callStates
+ */
+const CallStates = {
+  INITIATED: 'Initiated',
+  RINGING: 'Ringing',
+  IN_PROGRESS: 'In-Progress',
+  ANSWERED: 'Answered',
+  VOICEMAIL_LEFT: 'Voicemail Left',
+  SMS_SENT: 'SMS Sent',
+  COMPLETED: 'Completed',
+  BUSY: 'Busy',
+  NO_ANSWER: 'No Answer',
+  FAILED: 'Failed',
+  CANCELED: 'Canceled'
+};
+
+module.exports = CallStates;
@@ -0,0 +1,36 @@
+/**
+ * Campaign and campaign call statuses
+ *
+ * A campaign is Running until every call has finished (Completed), or
+ * until it is Canceled; a Paused campaign places no new calls.
+ *
+ * Each call of a campaign is Queued, then Placing while the call is being
+ * requested, In Progress until its final status arrives, and ends as:
+ * - Answered: the call connected to the patient
+ * - Voicemail: an answering machine picked up
+ * - Failed: the call could not be placed, or was busy, unanswered or failed
+ * - Canceled: the campaign was canceled before the call was placed
+ *
+ * @module config/campaignStatuses
+ */
+const CampaignStatuses = {
+  RUNNING: 'Running',
+  PAUSED: 'Paused',
+  CANCELED: 'Canceled',
+  COMPLETED: 'Completed'
+};
+
+const CampaignCallStatuses = {
+  QUEUED: 'Queued',
+  PLACING: 'Placing',
+  IN_PROGRESS: 'In Progress',
+  ANSWERED: 'Answered',
+  VOICEMAIL: 'Voicemail',
+  FAILED: 'Failed',
+  CANCELED: 'Canceled'
+};
+
+module.exports = {
+  CampaignStatuses,
+  CampaignCallStatuses
+};
@@ -0,0 +1,16 @@
+/**
+ * Patient consent channels
+ *
+ * - voice: reminder calls
+ * - sms: text messages (reminder replies and the SMS fallback)
+ * - recording: recording of reminder calls
+ *
+ * @module config/consentChannels
+ */
+const ConsentChannels = {
+  VOICE: 'voice',
+  SMS: 'sms',
+  RECORDING: 'recording'
+};
+
+module.exports = ConsentChannels;
@@ -4,16 +4,149 @@ module.exports = {
       accountSid: process.env.TWILIO_ACCOUNT_SID,
       authToken: process.env.TWILIO_AUTH_TOKEN,
       phoneNumber: process.env.TWILIO_PHONE_NUMBER,
-      webhookUrl: process.env.WEBHOOK_BASE_URL || 'http://localhost:3000'
+      webhookUrl: process.env.WEBHOOK_BASE_URL || 'http://localhost:3000',
+      // Only disable for local development; webhooks are otherwise open to forgery
+      validateSignature: process.env.TWILIO_VALIDATE_SIGNATURE !== 'false',
+      // Async answering machine detection, so voicemail greetings get a message instead of the check-in
+      machineDetection: process.env.TWILIO_MACHINE_DETECTION !== 'false'
+    },
+    telephony: {
+      // Provider that places calls and sends SMS: twilio, or simulator to run without a Twilio account
+      provider: process.env.TELEPHONY_PROVIDER || 'twilio',
+      simulator: {
+        // How simulated calls end unless set per number: completed, machine, no-answer, busy or failed
+        outcome: process.env.SIMULATOR_CALL_OUTCOME || 'completed',
+        // Wait before each synthetic webhook of a simulated call
+        callbackDelayMs: parseInt(process.env.SIMULATOR_CALLBACK_DELAY_MS || '500', 10)
+      }
     },
     elevenLabs: {
       apiKey: process.env.ELEVEN_LABS_API_KEY,
-      voiceId: process.env.ELEVEN_LABS_VOICE_ID
+      voiceId: process.env.ELEVEN_LABS_VOICE_ID,
+      // Multilingual so the same voice can speak every patient language
+      modelId: process.env.ELEVEN_LABS_MODEL_ID || 'eleven_multilingual_v2',
+      // Calls fall back to Twilio <Say> if synthesis takes longer than this
+      timeoutMs: parseInt(process.env.ELEVEN_LABS_TIMEOUT_MS || '3000', 10),
+      cacheMaxEntries: parseInt(process.env.TTS_CACHE_MAX_ENTRIES || '200', 10)
     },
     deepgram: {
       apiKey: process.env.DEEPGRAM_API_KEY
     },
     mongodb: {
       uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/medication-reminder'
+    },
+    storage: {
+      // memory, jsonl or mongo; MongoDB is the default when MONGODB_URI is set
+      adapter: process.env.STORAGE_ADAPTER || (process.env.MONGODB_URI ? 'mongo' : 'memory'),
+      // Used instead of MongoDB when it cannot be reached at startup (memory or jsonl)
+      fallback: process.env.STORAGE_FALLBACK || 'memory',
+      // Directory of the jsonl adapter's files
+      directory: process.env.STORAGE_DIR || './data',
+      // Give up connecting to MongoDB after this long
+      connectTimeoutMs: parseInt(process.env.STORAGE_CONNECT_TIMEOUT_MS || '5000', 10)
+    },
+    recordings: {
+      // Record calls of patients who consented (Patient.consent.recording)
+      enabled: process.env.RECORDING_ENABLED === 'true',
+      // Transcribe stored recordings with Deepgram
+      transcribe: process.env.RECORDING_TRANSCRIBE !== 'false'
+    },
+    blobStore: {
+      // Registered blob store that keeps recording audio
+      provider: process.env.BLOB_STORE || 'local',
+      // Directory of the local blob store
+      directory: process.env.BLOB_STORE_DIR || './data/blobs'
+    },
+    auth: {
+      // Only disable for local development; the admin API exposes patient health data
+      enabled: process.env.AUTH_ENABLED !== 'false',
+      // Bootstrap admin key used to issue the first runtime-managed keys
+      adminApiKey: process.env.ADMIN_API_KEY
+    },
+    adherence: {
+      // Registered classifier used to label patient answers
+      classifier: process.env.ADHERENCE_CLASSIFIER || 'rules',
+      // Answers below this confidence are re-prompted instead of guessed
+      minConfidence: parseFloat(process.env.ADHERENCE_MIN_CONFIDENCE || '0.6')
+    },
+    mediaStreams: {
+      // Converse over a Twilio media stream instead of <Gather> round-trips (needs ElevenLabs and Deepgram)
+      enabled: process.env.MEDIA_STREAMS_ENABLED === 'true',
+      // Re-ask the question if the patient says nothing for this long after it was played
+      silenceTimeoutMs: parseInt(process.env.MEDIA_STREAM_SILENCE_TIMEOUT_MS || '6000', 10),
+      // Directory to save inbound caller audio (raw mu-law) for replay in tests; unset to disable
+      captureDir: process.env.MEDIA_STREAM_CAPTURE_DIR
+    },
+    notifications: {
+      // Email channel; provider emails fail (and are recorded as failed) until a host is set
+      smtp: {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587', 10),
+        // true for implicit TLS (port 465); otherwise STARTTLS is used when offered
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        from: process.env.SMTP_FROM
+      },
+      // Webhook channel; when set, requests carry an HMAC-SHA256 signature of the body
+      webhookSecret: process.env.NOTIFICATION_WEBHOOK_SECRET,
+      timeoutMs: parseInt(process.env.NOTIFICATION_TIMEOUT_MS || '10000', 10)
+    },
+    sms: {
+      // Replies are only linked to reminders sent within this window
+      replyWindowMs: parseInt(process.env.SMS_REPLY_WINDOW_MS || '86400000', 10)
+    },
+    compliance: {
+      // Calls and SMS to patients are blocked from start to end (HH:MM) in the patient's timezone;
+      // leave either unset to allow contact at any time
+      quietHoursStart: process.env.QUIET_HOURS_START || null,
+      quietHoursEnd: process.env.QUIET_HOURS_END || null
+    },
+    redial: {
+      // Calls placed after an unanswered, busy or failed first call
+      maxRedials: parseInt(process.env.REDIAL_MAX_COUNT || '2', 10),
+      // Wait before the first redial; each later redial waits backoffMultiplier times longer
+      backoffMs: parseInt(process.env.REDIAL_BACKOFF_MS || '600000', 10),
+      backoffMultiplier: parseFloat(process.env.REDIAL_BACKOFF_MULTIPLIER || '2'),
+      // Attempt (1 is the first call) whose failure sends the SMS fallback; unset means the last attempt
+      smsFallbackAttempt: process.env.REDIAL_SMS_FALLBACK_ATTEMPT
+        ? parseInt(process.env.REDIAL_SMS_FALLBACK_ATTEMPT, 10)
+        : null
+    },
+    jobs: {
+      // Attempts of an outbound call or SMS before it goes to the dead-letter list
+      maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '5', 10),
+      // Wait before the first retry; each later retry waits backoffMultiplier times longer, up to maxBackoffMs
+      backoffMs: parseInt(process.env.JOB_BACKOFF_MS || '5000', 10),
+      backoffMultiplier: parseFloat(process.env.JOB_BACKOFF_MULTIPLIER || '2'),
+      maxBackoffMs: parseInt(process.env.JOB_MAX_BACKOFF_MS || '300000', 10),
+      pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS || '1000', 10),
+      // Jobs still running after this long (e.g. the process died mid-attempt) are run again
+      lockTimeoutMs: parseInt(process.env.JOB_LOCK_TIMEOUT_MS || '120000', 10),
+      // On SIGTERM, how long to wait for running jobs before exiting
+      shutdownTimeoutMs: parseInt(process.env.JOB_SHUTDOWN_TIMEOUT_MS || '10000', 10)
+    },
+    campaigns: {
+      // Calls of one campaign in progress at once, unless the campaign sets its own
+      concurrency: parseInt(process.env.CAMPAIGN_CONCURRENCY || '5', 10),
+      callsPerSecond: parseFloat(process.env.CAMPAIGN_CALLS_PER_SECOND || '1'),
+      // Twilio account's calls-per-second limit, shared by all running campaigns
+      maxCallsPerSecond: parseFloat(process.env.CAMPAIGN_MAX_CALLS_PER_SECOND || '1'),
+      maxConcurrency: parseInt(process.env.CAMPAIGN_MAX_CONCURRENCY || '50', 10),
+      maxCalls: parseInt(process.env.CAMPAIGN_MAX_CALLS || '5000', 10),
+      pollIntervalMs: parseInt(process.env.CAMPAIGN_POLL_INTERVAL_MS || '250', 10),
+      // Calls without a final status after this long are counted as failed, so they stop holding a slot
+      callTimeoutMs: parseInt(process.env.CAMPAIGN_CALL_TIMEOUT_MS || '900000', 10)
+    },
+    fhir: {
+      // Namespace of exported resource URLs, identifier systems and local code systems;
+      // set it to a URL your organisation controls so EHRs can tell the records apart
+      baseUrl: process.env.FHIR_BASE_URL || `${process.env.WEBHOOK_BASE_URL || 'http://localhost:3000'}/fhir`
+    },
+    scheduler: {
+      enabled: process.env.SCHEDULER_ENABLED !== 'false',
+      pollIntervalMs: parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS || '30000', 10),
+      // Runs missed by more than this (e.g. while the server was down) are skipped, not called late
+      missedRunGraceMs: parseInt(process.env.SCHEDULER_MISSED_RUN_GRACE_MS || '900000', 10)
     }
   };
\ No newline at end of file
@@ -0,0 +1,29 @@
+/**
+ * Outbound job types and statuses
+ *
+ * A job is Pending until a worker claims it (Running). It ends Succeeded,
+ * Blocked when the patient may not be contacted (no consent, or quiet
+ * hours), or Dead once its attempts are used up or it fails with an error
+ * that a retry cannot fix. Dead jobs form the dead-letter list and can be
+ * requeued.
+ *
+ * @module config/jobStatuses
+ */
+const JobTypes = {
+  CALL: 'call',
+  SMS: 'sms',
+  RECORDING: 'recording'
+};
+
+const JobStatuses = {
+  PENDING: 'Pending',
+  RUNNING: 'Running',
+  SUCCEEDED: 'Succeeded',
+  BLOCKED: 'Blocked',
+  DEAD: 'Dead'
+};
+
+module.exports = {
+  JobTypes,
+  JobStatuses
+};
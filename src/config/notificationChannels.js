@@ -0,0 +1,16 @@
+/**
+ * Provider notification channels
+ *
+ * - sms: text message to an E.164 phone number, sent through Twilio
+ * - email: email over the configured SMTP server
+ * - webhook: JSON POST to an HTTPS endpoint (e.g., a care team's inbox integration)
+ *
+ * @module config/notificationChannels
+ */
+const NotificationChannels = {
+  SMS: 'sms',
+  EMAIL: 'email',
+  WEBHOOK: 'webhook'
+};
+
+module.exports = NotificationChannels;
@@ -0,0 +1,19 @@
+/**
+ * Call recording statuses
+ *
+ * A recording is Pending from the provider's recording callback until its
+ * audio is in the blob store (Stored), and Transcribed once the transcript
+ * is on the call log. It is Failed when the provider had no audio or the
+ * download gave up; a transcription that gives up leaves it Stored with
+ * the error.
+ *
+ * @module config/recordingStatuses
+ */
+const RecordingStatuses = {
+  PENDING: 'Pending',
+  STORED: 'Stored',
+  TRANSCRIBED: 'Transcribed',
+  FAILED: 'Failed'
+};
+
+module.exports = RecordingStatuses;
@@ -0,0 +1,16 @@
+/**
+ * Admin API roles
+ *
+ * - admin: everything, including managing API keys
+ * - operator: triggers calls and campaigns and manages patients, schedules and the job queue
+ * - clinician: read-only access to patients, schedules, call logs, adherence analytics and the FHIR export
+ *
+ * @module config/roles
+ */
+const Roles = {
+  ADMIN: 'admin',
+  OPERATOR: 'operator',
+  CLINICIAN: 'clinician'
+};
+
+module.exports = Roles;
@@ -0,0 +1,163 @@
+/**
+ * Analytics Controller
+ *
+ * Handles read-only adherence analytics endpoints for clinicians:
+ * per-patient adherence and trends, and the least-adherent patients.
+ *
+ * @module controllers/analyticsController
+ */
+const mongoose = require('mongoose');
+const Patient = require('../models/patient');
+const analyticsService = require('../services/analyticsService');
+const { AppError, ErrorTypes } = require('../middleware/errorHandler');
+const { isValidTimezone } = require('../utils/validators');
+const { parseDateRange } = require('../utils/dateRange');
+
+const { Intervals } = analyticsService;
+
+/**
+ * Parses a positive integer query parameter
+ *
+ * @param {string} value - Raw query value
+ * @param {string} name - Parameter name, for the error message
+ * @param {number} defaultValue - Value when the parameter is absent
+ * @param {number} max - Largest accepted value
+ * @returns {number} - Parsed value
+ * @throws {AppError} - If the value is not an integer between 1 and max
+ */
+const parseCount = (value, name, defaultValue, max) => {
+  if (value === undefined) {
+    return defaultValue;
+  }
+
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1 || count > max) {
+    throw new AppError(`${name} must be an integer between 1 and ${max}`, ErrorTypes.VALIDATION_ERROR);
+  }
+
+  return count;
+};
+
+/**
+ * Loads a patient by ID or throws a not-found error
+ *
+ * @param {string} id - Patient ID
+ * @returns {Promise<Object>} - Patient document
+ * @throws {AppError} - If the patient does not exist
+ */
+const findPatientOrThrow = async (id) => {
+  const patient = mongoose.isValidObjectId(id) ? await Patient.findById(id) : null;
+
+  if (!patient) {
+    throw new AppError(`Patient not found: ${id}`, ErrorTypes.NOT_FOUND_ERROR);
+  }
+
+  return patient;
+};
+
+/**
+ * Gets a patient's adherence rate over a date range and their current missed-dose streak
+ *
+ * @function getPatientAdherence
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getPatientAdherence = async (req, res, next) => {
+  try {
+    const range = parseDateRange(req.query);
+    const patient = await findPatientOrThrow(req.params.id);
+
+    const [adherence, missedStreak] = await Promise.all([
+      analyticsService.getPatientAdherence(patient, range),
+      analyticsService.getMissedStreak(patient)
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      patientId: String(patient._id),
+      from: range.from,
+      to: range.to,
+      ...adherence,
+      missedStreak
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Gets a patient's daily or weekly adherence series
+ *
+ * Periods follow the patient's timezone unless ?timezone= is given;
+ * weeks start on Monday.
+ *
+ * @function getPatientTrend
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getPatientTrend = async (req, res, next) => {
+  try {
+    const range = parseDateRange(req.query);
+    const interval = req.query.interval || Intervals.DAY;
+    const { timezone } = req.query;
+
+    if (!Object.values(Intervals).includes(interval)) {
+      throw new AppError(
+        `interval must be one of: ${Object.values(Intervals).join(', ')}`,
+        ErrorTypes.VALIDATION_ERROR
+      );
+    }
+
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      throw new AppError(`Unknown timezone: ${timezone}`, ErrorTypes.VALIDATION_ERROR);
+    }
+
+    const patient = await findPatientOrThrow(req.params.id);
+    const series = await analyticsService.getPatientTrend(patient, { ...range, interval, timezone });
+
+    return res.status(200).json({
+      success: true,
+      patientId: String(patient._id),
+      interval,
+      timezone: timezone || patient.timezone || 'UTC',
+      series
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists the least-adherent patients over a date range
+ *
+ * Supports ?limit= (default 10, at most 100) and ?minCheckIns= (default 1)
+ * to leave out patients with too few check-ins to judge.
+ *
+ * @function getCohort
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getCohort = async (req, res, next) => {
+  try {
+    const range = parseDateRange(req.query);
+    const limit = parseCount(req.query.limit, 'limit', 10, 100);
+    const minCheckIns = parseCount(req.query.minCheckIns, 'minCheckIns', 1, 1000);
+
+    const patients = await analyticsService.getLeastAdherent({ ...range, limit, minCheckIns });
+
+    return res.status(200).json({
+      success: true,
+      from: range.from,
+      to: range.to,
+      patients
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,102 @@
+/**
+ * API Key Controller
+ *
+ * Handles endpoints for issuing, listing and revoking admin API keys.
+ *
+ * @module controllers/apiKeyController
+ */
+const mongoose = require('mongoose');
+const apiKeyService = require('../services/apiKeyService');
+const logger = require('../utils/logger');
+const Roles = require('../config/roles');
+const { AppError, ErrorTypes } = require('../middleware/errorHandler');
+
+/**
+ * Issues a new API key; the plaintext key is only returned in this response
+ *
+ * @function createApiKey
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.createApiKey = async (req, res, next) => {
+  try {
+    const { name, role } = req.body || {};
+
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new AppError('Key name is required', ErrorTypes.VALIDATION_ERROR);
+    }
+
+    if (!Object.values(Roles).includes(role)) {
+      throw new AppError(
+        `Role must be one of: ${Object.values(Roles).join(', ')}`,
+        ErrorTypes.VALIDATION_ERROR
+      );
+    }
+
+    const { key, apiKey } = await apiKeyService.createKey({ name: name.trim(), role });
+
+    logger.info({
+      event: 'api_key_created',
+      keyId: apiKey.id,
+      role,
+      createdBy: req.auth && req.auth.keyId,
+      requestId: req.requestId
+    });
+
+    return res.status(201).json({ success: true, key, apiKey });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists API keys (without secrets)
+ *
+ * @function listApiKeys
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.listApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await apiKeyService.listKeys();
+    return res.status(200).json({ success: true, apiKeys });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revokes an API key
+ *
+ * @function revokeApiKey
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = mongoose.isValidObjectId(req.params.id)
+      ? await apiKeyService.revokeKey(req.params.id)
+      : null;
+
+    if (!apiKey) {
+      throw new AppError(`API key not found: ${req.params.id}`, ErrorTypes.NOT_FOUND_ERROR);
+    }
+
+    logger.info({
+      event: 'api_key_revoked',
+      keyId: apiKey.id,
+      revokedBy: req.auth && req.auth.keyId,
+      requestId: req.requestId
+    });
+
+    return res.status(200).json({ success: true, apiKey });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -7,23 +7,215 @@
  * 
  * @module controllers/callController
  */
-const twilioService = require('../services/twilioService');
+const mongoose = require('mongoose');
+const telephonyService = require('../services/telephonyService');
+const outboundJobs = require('../services/outboundJobs');
+const ttsService = require('../services/ttsService');
+const mediaStreamService = require('../services/mediaStreamService');
+const adherenceClassifier = require('../services/adherenceClassifier');
+const notificationService = require('../services/notificationService');
+const redialService = require('../services/redialService');
+const campaignService = require('../services/campaignService');
+const callLifecycle = require('../services/callLifecycle');
+const recordingService = require('../services/recordingService');
+const complianceService = require('../services/complianceService');
 const CallLog = require('../models/callLog');
-const config = require('../config');
+const Patient = require('../models/patient');
+const CallStates = require('../config/callStates');
+const { JobStatuses } = require('../config/jobStatuses');
 const logger = require('../utils/logger');
+const { translate, getVoiceSettings } = require('../locales');
+const {
+  MAX_RETRIES,
+  ADHERENCE_MESSAGE_KEYS,
+  MEDICATION_RESULTS,
+  getMedications,
+  getLanguage,
+  getMedicationNames,
+  buildMedicationQuestion,
+  buildGeneralQuestion,
+  deriveAdherenceStatus,
+  parseMedicationResults,
+  buildClosingMessage,
+  getMissedNames
+} = require('../services/checkInDialog');
+const { NotificationOutcomes, getOutcomeForStatus } = notificationService;
+const { REDIAL_STATUSES } = redialService;
+const { OUTCOME_STATES } = callLifecycle;
 const { AppError, ErrorTypes } = require('../middleware/errorHandler');
+const { getZonedParts } = require('../utils/time');
 
-// Define standard messages
-const MEDICATION_REMINDER_MESSAGE = "Hello, this is a reminder from your healthcare provider to confirm your medications for the day. Please confirm if you have taken your Aspirin, Cardivol, and Metformin today.";
-const VOICEMAIL_MESSAGE = "We called to check on your medication but couldn't reach you. Please call us back or take your medications if you haven't done so.";
-const POSITIVE_RESPONSE_MESSAGE = "Thank you for confirming you've taken your medications. Have a nice day.";
-const NEGATIVE_RESPONSE_MESSAGE = "Thank you for letting us know. Please take your medications as prescribed. Your health provider will be notified about this. Have a nice day.";
-const PARTIAL_RESPONSE_MESSAGE = "Thank you for your response. I've noted that you've taken some but not all of your medications. Please remember to take all your prescribed medications. Your health provider will be notified. Have a nice day.";
-const UNCLEAR_RESPONSE_MESSAGE = "Thank you for your response. If you haven't taken all your medications yet, please do so as prescribed. Have a nice day.";
+// Adherence statuses of a check-in the patient can still complete by calling back
+const OPEN_ADHERENCE_STATUSES = ['Unknown', 'Unclear'];
+
+// Answering machine detection results once a machine's greeting has finished
+const MACHINE_END_RESULTS = ['machine_end_beep', 'machine_end_silence', 'machine_end_other'];
+
+/**
+ * Adds a message to TwiML as synthesized audio, falling back to <Say>
+ * 
+ * @param {Object} node - VoiceResponse or Gather node
+ * @param {string} message - Message to speak
+ * @param {string} language - Patient language
+ * @returns {Promise<void>}
+ */
+const speak = async (node, message, language) => {
+  const audioUrl = await ttsService.getAudioUrl(message);
+  telephonyService.addSpeech(node, message, { language, audioUrl });
+};
+
+/**
+ * Generates question TwiML, playing synthesized audio when available
+ * 
+ * @param {string} message - Question to ask
+ * @param {number} nextRetryCount - Retry count for the no-answer redirect
+ * @param {Object} params - Dialog state carried to the next webhook
+ * @param {string} language - Patient language
+ * @returns {Promise<string>} - TwiML XML response as string
+ */
+const generateQuestionTwiml = async (message, nextRetryCount, params, language) => {
+  const audioUrl = await ttsService.getAudioUrl(message);
+  return telephonyService.generateTwiml(message, nextRetryCount, params, { language, audioUrl });
+};
+
+/**
+ * Applies an update to a call log, logging instead of failing on database errors
+ * 
+ * @param {string} callSid - Twilio Call SID
+ * @param {Object} update - Update to apply
+ * @param {Object} req - Express request object
+ * @param {Object} [conditions={}] - Further conditions the call log must meet to be updated
+ * @returns {Promise<void>}
+ */
+const updateCallLog = async (callSid, update, req, conditions = {}) => {
+  try {
+    await CallLog.findOneAndUpdate({ callSid, ...conditions }, update, { new: true });
+  } catch (dbError) {
+    logger.warn({
+      event: 'database_error',
+      message: 'Failed to update call log in database',
+      error: dbError.message,
+      callSid,
+      requestId: req.requestId
+    });
+  }
+};
+
+/**
+ * Gets the call SID of the call log a check-in webhook records answers on
+ * 
+ * A patient who calls back completes the check-in of that day's reminder,
+ * whose call SID is carried as checkInCallSid; otherwise it is the current call.
+ * 
+ * @param {Object} req - Express request object
+ * @returns {string} - Twilio Call SID of the call log
+ */
+const getLogCallSid = (req) => req.query.checkInCallSid || req.body.CallSid;
+
+/**
+ * Loads a call log, logging instead of failing on database errors
+ * 
+ * @param {string} callSid - Twilio Call SID
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} - Call log, or null if unavailable
+ */
+const findCallLog = async (callSid, req) => {
+  try {
+    return await CallLog.findOne({ callSid });
+  } catch (dbError) {
+    logger.warn({
+      event: 'database_error',
+      message: 'Failed to load call log from database',
+      error: dbError.message,
+      callSid,
+      requestId: req.requestId
+    });
+    return null;
+  }
+};
+
+/**
+ * Checks whether a completed call should be followed by the SMS fallback
+ * 
+ * The call log tells whether the patient talked to the check-in or got a
+ * voicemail. Without one (the call was not logged), only the duration is known, and
+ * calls shorter than five seconds are treated as not reaching the patient.
+ * 
+ * @param {Object|null} callLog - Call log of the completed call
+ * @param {number} callDuration - Call duration in seconds
+ * @returns {boolean} - Whether to send the SMS fallback
+ */
+const needsSmsFallback = (callLog, callDuration) => {
+  if (callLog) {
+    return !OUTCOME_STATES.includes(callLog.status) && callLog.answeredBy !== 'human';
+  }
+  return callDuration < 5;
+};
+
+/**
+ * Notifies the patient's providers about an outcome, if it is one they are told about
+ * 
+ * Delivery runs in the background so Twilio gets its TwiML without waiting
+ * on SMS, SMTP or webhook round-trips; results are recorded on the call log.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object|null} patient - Patient document
+ * @param {string|null} outcome - Notification outcome, or null for none
+ * @param {string[]} [missedMedications=[]] - Medications reported as not taken
+ */
+const notifyProviders = (req, patient, outcome, missedMedications = []) => {
+  if (!outcome) {
+    return;
+  }
+  
+  notificationService.notifyOutcome({
+    callSid: getLogCallSid(req),
+    patient,
+    outcome,
+    missedMedications,
+    requestId: req.requestId
+  });
+};
+
+/**
+ * Loads the patient referenced by a webhook request
+ * 
+ * Webhooks must keep the call going, so lookup failures are logged
+ * and treated as a call without patient context.
+ * 
+ * @param {string} patientId - Patient ID from the webhook query string
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} - Patient document or null
+ */
+const loadPatient = async (patientId, req) => {
+  if (!patientId || !mongoose.isValidObjectId(patientId)) {
+    return null;
+  }
+  
+  try {
+    return await Patient.findById(patientId);
+  } catch (dbError) {
+    logger.warn({
+      event: 'database_error',
+      message: 'Failed to load patient',
+      error: dbError.message,
+      patientId,
+      callSid: req.body.CallSid,
+      requestId: req.requestId
+    });
+    return null;
+  }
+};
 
 /**
  * Initiates a call to a patient
  * 
+ * The call goes through the job queue. If the first attempt fails with a
+ * transient Twilio error, responds 202 with the job that will retry it.
+ * Calls the patient has not consented to, or that fall in their quiet
+ * hours, are refused with 409 when the call job reaches the provider
+ * boundary, which is the only place contact rules are enforced.
+ * 
  * @function initiateCall
  * @async
  * @param {Object} req - Express request object
@@ -32,11 +224,24 @@ const UNCLEAR_RESPONSE_MESSAGE = "Thank you for your response. If you haven't ta
  */
 exports.initiateCall = async (req, res) => {
   try {
-    const { phoneNumber } = req.body;
+    const { patientId } = req.body;
+    let { phoneNumber } = req.body;
+    let patient = null;
+    
+    // Resolve the phone number from the patient registry when a patient ID is given
+    if (patientId) {
+      patient = mongoose.isValidObjectId(patientId) ? await Patient.findById(patientId) : null;
+      
+      if (!patient) {
+        throw new AppError(`Patient not found: ${patientId}`, ErrorTypes.NOT_FOUND_ERROR);
+      }
+      
+      phoneNumber = patient.phoneNumber;
+    }
     
     // Validate phone number
     if (!phoneNumber) {
-      throw new AppError('Phone number is required', ErrorTypes.VALIDATION_ERROR);
+      throw new AppError('Phone number or patient ID is required', ErrorTypes.VALIDATION_ERROR);
     }
     
     // E.164 format validation
@@ -47,72 +252,196 @@ exports.initiateCall = async (req, res) => {
       );
     }
     
-    const call = await twilioService.makeCall(phoneNumber);
-    
-    // Log the call
-    logger.info({
-      event: 'call_initiated',
+    const job = await outboundJobs.dispatchCall({
       phoneNumber,
-      callSid: call.sid,
-      status: call.status,
+      patient,
       requestId: req.requestId
     });
     
-    // Store in database if implemented
-    try {
-      await CallLog.create({
-        callSid: call.sid,
-        status: 'Initiated',
-        patientPhoneNumber: phoneNumber,
-        timestamp: new Date()
-      });
-    } catch (dbError) {
-      // Don't fail if database storage fails
-      logger.warn({
-        event: 'database_error',
-        message: 'Failed to store call log in database',
-        error: dbError.message,
-        callSid: call.sid,
-        requestId: req.requestId
+    // A transient Twilio error leaves the call queued for another attempt
+    if (job.status === JobStatuses.PENDING) {
+      return res.status(202).json({
+        success: true,
+        message: 'Call queued for retry',
+        jobId: String(job._id),
+        nextAttemptAt: job.runAt,
+        error: job.lastError
       });
     }
     
+    // Consent and quiet hours are checked as the call is placed
+    if (job.status === JobStatuses.BLOCKED) {
+      throw new AppError(`Call blocked: ${job.result.reason}`, ErrorTypes.CONTACT_BLOCKED, { reason: job.result.reason });
+    }
+    
+    if (job.status !== JobStatuses.SUCCEEDED) {
+      throw new AppError(`Call could not be placed: ${job.lastError}`, ErrorTypes.TWILIO_ERROR);
+    }
+    
     return res.status(200).json({
       success: true,
       message: 'Call initiated successfully',
-      callSid: call.sid,
-      status: call.status
+      callSid: job.result.callSid,
+      status: job.result.status,
+      jobId: String(job._id)
     });
   } catch (error) {
     console.error('Error initiating call:', error);
-    return res.status(500).json({ 
+    const failure = complianceService.isBlockedError(error)
+      ? new AppError(error.message, ErrorTypes.CONTACT_BLOCKED, { reason: error.reason })
+      : error;
+    return res.status(failure.statusCode || 500).json({ 
       error: 'Failed to initiate call',
-      details: error.message 
+      details: failure.message 
     });
   }
 };
 
+/**
+ * Finds today's reminder call that a patient can still answer
+ * 
+ * Only the latest reminder counts. It is open while its adherence is
+ * unknown or unclear and it was made today in the patient's timezone.
+ * 
+ * @param {Object} patient - Patient document
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} - Call log of the open check-in, or null
+ */
+const findOpenCheckIn = async (patient, req) => {
+  let callLog;
+  
+  try {
+    callLog = await CallLog.findOne({ patientPhoneNumber: patient.phoneNumber }, null, { sort: { timestamp: -1 } });
+  } catch (dbError) {
+    logger.warn({
+      event: 'database_error',
+      message: 'Failed to load call log from database',
+      error: dbError.message,
+      callSid: req.body.CallSid,
+      requestId: req.requestId
+    });
+    return null;
+  }
+  
+  if (!callLog || !OPEN_ADHERENCE_STATUSES.includes(callLog.adherenceStatus)) {
+    return null;
+  }
+  
+  const timezone = patient.timezone || 'UTC';
+  const today = getZonedParts(new Date(), timezone);
+  const called = getZonedParts(new Date(callLog.timestamp), timezone);
+  const sameDay = today.year === called.year && today.month === called.month && today.day === called.day;
+  
+  return sameDay ? callLog : null;
+};
+
+/**
+ * Answers a call a patient placed to the Twilio number
+ * 
+ * The caller is matched to a patient by caller ID. When today's check-in
+ * is still open, the call is redirected into the usual check-in, with
+ * answers recorded on that reminder's call log; otherwise the caller
+ * hears a short message and the call ends.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const handleInboundCall = async (req, res) => {
+  const { CallSid, From } = req.body;
+  let patient = null;
+  
+  try {
+    patient = await Patient.findOne({ phoneNumber: From });
+  } catch (dbError) {
+    logger.warn({
+      event: 'database_error',
+      message: 'Failed to load patient',
+      error: dbError.message,
+      callSid: CallSid,
+      requestId: req.requestId
+    });
+  }
+  
+  const language = getLanguage(patient);
+  const checkIn = patient ? await findOpenCheckIn(patient, req) : null;
+  
+  logger.info({
+    event: 'inbound_call',
+    callSid: CallSid,
+    patientId: patient ? String(patient._id) : undefined,
+    checkInCallSid: checkIn ? checkIn.callSid : undefined,
+    requestId: req.requestId
+  });
+  
+  const twiml = telephonyService.createVoiceResponse();
+  
+  if (checkIn) {
+    await speak(twiml, translate(language, 'inboundGreeting'), language);
+    twiml.redirect(telephonyService.buildWebhookUrl('/api/twilio/voice', {
+      patientId: String(patient._id),
+      checkInCallSid: checkIn.callSid
+    }));
+  } else {
+    await speak(twiml, translate(language, patient ? 'inboundNoCheckIn' : 'inboundUnknown'), language);
+    twiml.hangup();
+  }
+  
+  res.type('text/xml');
+  res.send(twiml.toString());
+};
+
 /**
  * Handles incoming voice calls and generates TwiML response
  * 
+ * Patients with a registered regimen are asked about each medication in
+ * turn; the current medication index and the results so far are carried
+ * between webhooks in the query string.
+ * 
  * @function handleVoiceCall
+ * @async
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-exports.handleVoiceCall = (req, res) => {
+exports.handleVoiceCall = async (req, res) => {
   try {
+    const { patientId, results, checkInCallSid } = req.query;
+    
+    // Patients calling the Twilio number arrive without the query string of a reminder call
+    if (req.body.Direction === 'inbound' && !patientId) {
+      return await handleInboundCall(req, res);
+    }
+    
+    const medicationIndex = parseInt(req.query.medicationIndex || '0', 10);
+    const clarify = req.query.clarify === '1';
+    
     // Check retry count (default to 0)
     const retryCount = parseInt(req.query.retryCount || '0', 10);
     
-    // Check if we've exceeded max retries (2 attempts)
-    if (retryCount >= 2) {
+    const patient = await loadPatient(patientId, req);
+    const medications = getMedications(patient);
+    const language = getLanguage(patient);
+    
+    // Check if we've exceeded max retries
+    if (retryCount >= MAX_RETRIES) {
       // Max retries reached, provide closing message
-      const VoiceResponse = require('twilio').twiml.VoiceResponse;
-      const response = new VoiceResponse();
+      const response = telephonyService.createVoiceResponse();
       
-      response.say("We haven't received a clear response. Your healthcare provider will be notified. Please remember to take your medications as prescribed. Thank you and have a nice day.");
+      await speak(response, translate(language, 'maxRetries'), language);
       response.hangup();
       
+      // Record what was answered before the patient went quiet; the rest is unconfirmed
+      const answered = parseMedicationResults(results, medications.length);
+      if (answered.length > 0) {
+        const unanswered = Array(Math.max(medications.length - answered.length, 0)).fill('Unclear');
+        await updateCallLog(getLogCallSid(req), {
+          adherenceStatus: deriveAdherenceStatus([...answered, ...unanswered])
+        }, req);
+      }
+      
+      // The closing message tells the patient their provider will be notified
+      notifyProviders(req, patient, NotificationOutcomes.NO_RESPONSE, getMissedNames(medications, answered));
+      
       logger.info({
         event: 'max_retries_reached',
         callSid: req.body.CallSid,
@@ -125,21 +454,43 @@ exports.handleVoiceCall = (req, res) => {
       return res.send(response.toString());
     }
     
+    // Converse over a live media stream when enabled; the <Gather> flow below is its fallback
+    if (mediaStreamService.isEnabled() && !req.query.fallback && retryCount === 0 && medicationIndex === 0 && !results && !clarify) {
+      logger.info({
+        event: 'voice_call_streaming',
+        callSid: req.body.CallSid,
+        patientId,
+        requestId: req.requestId
+      });
+      
+      res.type('text/xml');
+      return res.send(telephonyService.generateStreamTwiml({ patientId, checkInCallSid }));
+    }
+    
     // Choose appropriate message based on retry count
     let message;
-    if (retryCount === 0) {
-      message = MEDICATION_REMINDER_MESSAGE;
+    let params;
+    if (medications[medicationIndex]) {
+      message = buildMedicationQuestion(language, medications, medicationIndex, retryCount, clarify);
+      params = { patientId, medicationIndex, results, checkInCallSid };
     } else {
-      message = "I'm sorry, I didn't catch that. Could you please repeat if you've taken your medications today?";
+      message = buildGeneralQuestion(language, retryCount, clarify);
+      params = { patientId, checkInCallSid };
     }
     
+    // The gather handler needs the attempt count to decide whether it may re-prompt
+    params.retryCount = retryCount;
+    
     // Generate TwiML with incremented retry count
-    const twiml = twilioService.generateTwiml(message, retryCount + 1);
+    const twiml = await generateQuestionTwiml(message, retryCount + 1, params, language);
     
     // Log the call info
     logger.info({
       event: 'voice_call_handling',
       callSid: req.body.CallSid,
+      patientId,
+      language,
+      medicationIndex: medications[medicationIndex] ? medicationIndex : undefined,
       retryCount: retryCount,
       requestId: req.requestId
     });
@@ -159,9 +510,112 @@ exports.handleVoiceCall = (req, res) => {
   }
 };
 
+/**
+ * Records the answer about one medication and asks about the next,
+ * or closes the call with the overall adherence status
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} context
+ * @param {Object|null} context.patient - Patient document
+ * @param {string} context.language - Patient language
+ * @param {Array} context.medications - The patient's medications
+ * @param {number} context.medicationIndex - Index of the medication that was asked about
+ * @param {string} context.patientResponse - Transcribed answer
+ * @param {Object} context.classification - Classifier result for the answer
+ */
+const handleMedicationAnswer = async (req, res, { patient, language, medications, medicationIndex, patientResponse, classification }) => {
+  const callSid = getLogCallSid(req);
+  const { patientId, checkInCallSid } = req.query;
+  const medication = medications[medicationIndex];
+  
+  const result = MEDICATION_RESULTS[classification.label];
+  // Medications before this one without a carried result are unconfirmed
+  const answered = parseMedicationResults(req.query.results, medicationIndex);
+  const results = [...answered, ...Array(medicationIndex - answered.length).fill('Unclear'), result];
+  
+  logger.info({
+    event: 'medication_adherence_analysis',
+    callSid,
+    medication: medication.name,
+    result,
+    confidence: classification.confidence,
+    patientResponse,
+    requestId: req.requestId
+  });
+  
+  await callLifecycle.transition(callSid, CallStates.ANSWERED, { source: 'gather', requestId: req.requestId });
+  // A repeated webhook for this medication (a retried POST or a call-back) does not record it twice
+  await updateCallLog(callSid, {
+    $push: {
+      medicationResults: {
+        name: medication.name,
+        dose: medication.dose || null,
+        response: patientResponse,
+        result,
+        confidence: classification.confidence,
+        timestamp: new Date()
+      }
+    }
+  }, req, { [`medicationResults.${medicationIndex}`]: { $exists: false } });
+  
+  // Ask about the next medication, starting its retry count afresh
+  if (medicationIndex + 1 < medications.length) {
+    const nextIndex = medicationIndex + 1;
+    const twiml = await generateQuestionTwiml(
+      buildMedicationQuestion(language, medications, nextIndex, 0),
+      1,
+      { patientId, medicationIndex: nextIndex, results: results.join(','), retryCount: 0, checkInCallSid },
+      language
+    );
+    
+    res.type('text/xml');
+    return res.send(twiml);
+  }
+  
+  const adherenceStatus = deriveAdherenceStatus(results);
+  const missedNames = getMissedNames(medications, results);
+  
+  logger.info({
+    event: 'adherence_analysis',
+    callSid,
+    adherenceStatus,
+    medicationResults: results,
+    requestId: req.requestId
+  });
+  
+  await updateCallLog(callSid, { adherenceStatus }, req);
+  notifyProviders(req, patient, getOutcomeForStatus(adherenceStatus), missedNames);
+  
+  const twiml = telephonyService.createVoiceResponse();
+  await speak(twiml, buildClosingMessage(language, adherenceStatus, missedNames), language);
+  twiml.hangup();
+  
+  res.type('text/xml');
+  res.send(twiml.toString());
+};
+
+/**
+ * Sends TwiML that redirects the call back to the voice webhook
+ * 
+ * @param {Object} res - Express response object
+ * @param {Object} params - Query parameters for the voice webhook
+ */
+const sendVoiceRedirect = (res, params) => {
+  const twiml = telephonyService.createVoiceResponse();
+  
+  twiml.redirect(telephonyService.buildWebhookUrl('/api/twilio/voice', params));
+  
+  res.type('text/xml');
+  res.send(twiml.toString());
+};
+
 /**
  * Handles gathered speech from patient and provides appropriate response
  * 
+ * Answers the classifier is not confident about are re-prompted while
+ * attempts remain, and recorded as Unclear once they run out.
+ * 
  * @function handleGather
  * @async
  * @param {Object} req - Express request object
@@ -171,18 +625,13 @@ exports.handleGather = async (req, res) => {
   try {
     const patientResponse = req.body.SpeechResult || '';
     const callSid = req.body.CallSid;
+    const { patientId, medicationIndex, results, checkInCallSid } = req.query;
+    
+    // Get current retry count from query params, default to 0
+    const currentRetryCount = parseInt(req.query.retryCount || '0', 10);
     
     // If no speech was detected, redirect to voice handler with incremented retry count
     if (!patientResponse || patientResponse.trim() === '') {
-      const VoiceResponse = require('twilio').twiml.VoiceResponse;
-      const twiml = new VoiceResponse();
-      
-      // Get current retry count from query params, default to 0
-      const currentRetryCount = parseInt(req.query.retryCount || '0', 10);
-      
-      // Redirect to voice handler with incremented retry count
-      twiml.redirect(`${config.twilio.webhookUrl}/api/twilio/voice?retryCount=${currentRetryCount + 1}`);
-      
       logger.info({
         event: 'no_speech_detected',
         callSid: callSid,
@@ -190,8 +639,63 @@ exports.handleGather = async (req, res) => {
         requestId: req.requestId
       });
       
-      res.type('text/xml');
-      return res.send(twiml.toString());
+      return sendVoiceRedirect(res, {
+        patientId,
+        medicationIndex,
+        results,
+        retryCount: currentRetryCount + 1,
+        checkInCallSid
+      });
+    }
+    
+    const patient = await loadPatient(patientId, req);
+    const medications = getMedications(patient);
+    const language = getLanguage(patient);
+    const index = medicationIndex !== undefined ? parseInt(medicationIndex, 10) : NaN;
+    const medication = medications[index];
+    
+    // Analyze the patient's response
+    let classification = adherenceClassifier.classify(patientResponse, {
+      language,
+      medications: medication ? [medication.name] : getMedicationNames(medications)
+    });
+    
+    if (adherenceClassifier.isLowConfidence(classification)) {
+      logger.info({
+        event: 'low_confidence_response',
+        callSid,
+        label: classification.label,
+        confidence: classification.confidence,
+        patientResponse,
+        retryCount: currentRetryCount,
+        requestId: req.requestId
+      });
+      
+      // Ask again rather than guess while attempts remain
+      if (currentRetryCount + 1 < MAX_RETRIES) {
+        return sendVoiceRedirect(res, {
+          patientId,
+          medicationIndex,
+          results,
+          retryCount: currentRetryCount + 1,
+          clarify: 1,
+          checkInCallSid
+        });
+      }
+      
+      classification = { ...classification, label: 'Unclear' };
+    }
+    
+    // Per-medication dialog: one answer per drug
+    if (medication) {
+      return await handleMedicationAnswer(req, res, {
+        patient,
+        language,
+        medications,
+        medicationIndex: index,
+        patientResponse,
+        classification
+      });
     }
     
     // Log the patient's response
@@ -203,106 +707,30 @@ exports.handleGather = async (req, res) => {
       requestId: req.requestId
     });
     
-    // Store in database if implemented
+    const twiml = telephonyService.createVoiceResponse();
+    
     try {
-      await CallLog.findOneAndUpdate(
-        { callSid },
-        { 
-          status: 'Answered',
-          patientResponse,
-        },
-        { new: true }
-      );
-    } catch (dbError) {
-      logger.warn({
-        event: 'database_error',
-        message: 'Failed to update call log in database',
-        error: dbError.message,
+      const adherenceStatus = classification.label;
+      
+      await speak(twiml, translate(language, ADHERENCE_MESSAGE_KEYS[adherenceStatus]), language);
+      logger.info({
+        event: 'adherence_analysis',
         callSid: callSid,
+        adherenceStatus,
+        confidence: classification.confidence,
+        evidence: classification.evidence,
+        patientResponse: patientResponse,
         requestId: req.requestId
       });
-    }
-    
-    // Analyze the patient's response
-    const VoiceResponse = require('twilio').twiml.VoiceResponse;
-    const twiml = new VoiceResponse();
-    
-    // Check if the response indicates medication was taken
-    const positiveKeywords = ['yes', 'yeah', 'yep', 'yup', 'taken', 'did', 'have', 'already', 'completed'];
-    const negativeKeywords = ['no', 'not', 'haven\'t', 'didn\'t', 'don\'t', 'forgot', 'later', 'missed'];
-    const medicationKeywords = ['medication', 'medicine', 'pill', 'drug', 'tablet', 'aspirin', 'cardivol', 'metformin'];
-    
-    const responseLower = patientResponse.toLowerCase();
-    
-    // Determine if the response contains medication-related words
-    const hasMedicationContext = medicationKeywords.some(keyword => responseLower.includes(keyword));
-    
-    // Check for positive and negative indicators
-    let isPositive = positiveKeywords.some(keyword => responseLower.includes(keyword));
-    let isNegative = negativeKeywords.some(keyword => responseLower.includes(keyword));
-    
-    // Store adherence status in database if implemented
-    let adherenceStatus = 'Unknown';
-    
-    try {
-      // More nuanced classification - prioritize negative responses
-      if (isNegative && !isPositive) {
-        // Clear no adherence
-        twiml.say(NEGATIVE_RESPONSE_MESSAGE);
-        logger.info({
-          event: 'adherence_analysis',
-          callSid: callSid,
-          adherenceStatus: 'None',
-          patientResponse: patientResponse,
-          requestId: req.requestId
-        });
-        adherenceStatus = 'None';
-      } else if (isPositive && !isNegative) {
-        // Clear full adherence
-        twiml.say(POSITIVE_RESPONSE_MESSAGE);
-        logger.info({
-          event: 'adherence_analysis',
-          callSid: callSid,
-          adherenceStatus: 'Full',
-          patientResponse: patientResponse,
-          requestId: req.requestId
-        });
-        adherenceStatus = 'Full';
-      } else if (isPositive && isNegative) {
-        // Mixed signals - partial adherence
-        twiml.say(PARTIAL_RESPONSE_MESSAGE);
-        logger.info({
-          event: 'adherence_analysis',
-          callSid: callSid,
-          adherenceStatus: 'Partial',
-          patientResponse: patientResponse,
-          requestId: req.requestId
-        });
-        adherenceStatus = 'Partial';
-      } else if (!hasMedicationContext) {
-        // Response doesn't seem to be about medications
-        twiml.say(UNCLEAR_RESPONSE_MESSAGE);
-        logger.info({
-          event: 'adherence_analysis',
-          callSid: callSid,
-          adherenceStatus: 'Unclear',
-          patientResponse: patientResponse,
-          note: 'Response not about medications',
-          requestId: req.requestId
-        });
-        adherenceStatus = 'Unclear';
-      } else {
-        // Default unclear case
-        twiml.say(UNCLEAR_RESPONSE_MESSAGE);
-        logger.info({
-          event: 'adherence_analysis',
-          callSid: callSid,
-          adherenceStatus: 'Unclear',
-          patientResponse: patientResponse,
-          requestId: req.requestId
-        });
-        adherenceStatus = 'Unclear';
-      }
+      
+      // Store in database if implemented
+      await callLifecycle.transition(getLogCallSid(req), CallStates.ANSWERED, { source: 'gather', requestId: req.requestId });
+      await updateCallLog(getLogCallSid(req), {
+        patientResponse,
+        adherenceStatus,
+        adherenceConfidence: classification.confidence
+      }, req);
+      notifyProviders(req, patient, getOutcomeForStatus(adherenceStatus));
       
       twiml.hangup();
       
@@ -312,8 +740,8 @@ exports.handleGather = async (req, res) => {
       console.error('Error generating TwiML response:', error);
       
       // Fallback response in case of error
-      const fallbackTwiml = new VoiceResponse();
-      fallbackTwiml.say("Thank you for your response. Have a nice day.");
+      const fallbackTwiml = telephonyService.createVoiceResponse();
+      telephonyService.addSpeech(fallbackTwiml, translate(language, 'fallbackThanks'), { language });
       fallbackTwiml.hangup();
       
       res.type('text/xml');
@@ -345,102 +773,59 @@ exports.handleStatusCallback = async (req, res) => {
       requestId: req.requestId
     });
     
-    // Update call log in database
-    try {
-      await CallLog.findOneAndUpdate(
-        { callSid: CallSid },
-        { status: CallStatus },
-        { new: true }
-      );
-    } catch (dbError) {
-      logger.warn({
-        event: 'database_error',
-        message: 'Failed to update call status in database',
-        error: dbError.message,
+    const callLog = await findCallLog(CallSid, req);
+    
+    // The state machine ignores late callbacks that would move the call backwards or overwrite an outcome
+    const updatedLog = await callLifecycle.applyProviderStatus(CallSid, CallStatus, { requestId: req.requestId });
+    
+    // A final status frees the call's slot if it was placed by a campaign
+    if (req.body.Direction !== 'inbound') {
+      await campaignService.recordCallResult({
         callSid: CallSid,
+        providerStatus: CallStatus,
+        callState: (updatedLog || callLog || {}).status,
+        answeredBy: req.body.AnsweredBy || (callLog ? callLog.answeredBy : undefined),
         requestId: req.requestId
       });
     }
     
-    // Handle unanswered calls with more detailed status checks
+    const patient = await loadPatient(req.query.patientId, req);
+    
+    // Handle unanswered calls with more detailed status checks; calls patients
+    // placed to the Twilio number are never redialled or followed by the SMS fallback
     // Twilio status documentation: https://www.twilio.com/docs/voice/api/call-resource#call-status-values
-    if (['no-answer', 'busy', 'failed', 'canceled', 'completed'].includes(CallStatus)) {
-      // For completed calls, check if they were answered by a person
-      // CallStatus will be 'completed' even if the call went to voicemail
-      const answeredByHuman = req.body.AnsweredBy === 'human';
-      const callDuration = parseInt(req.body.CallDuration || '0', 10);
-      
-      // If call went to voicemail or was very short (less than 5 seconds)
-      if (CallStatus === 'completed' && (!answeredByHuman || callDuration < 5)) {
-        console.log(`Call SID: ${CallSid}, Status: completed but likely voicemail or disconnected quickly`);
-        
-        // Send SMS fallback
-        try {
-          await twilioService.sendSms(To, VOICEMAIL_MESSAGE);
-          console.log(`Call SID: ${CallSid}, SMS sent as fallback`);
-          
-          // Update call log for SMS
-          try {
-            await CallLog.findOneAndUpdate(
-              { callSid: CallSid },
-              { status: 'SMS Sent' },
-              { new: true }
-            );
-          } catch (dbError) {
-            console.error('Warning: Failed to update SMS status in database', dbError);
-          }
-        } catch (smsError) {
-          console.error('Error sending SMS fallback:', smsError);
-        }
-      }
-      // Direct handling for other non-completed states
-      else if (CallStatus !== 'completed') {
-        console.log(`Call SID: ${CallSid}, Status: ${CallStatus}, sending SMS fallback`);
+    if (req.body.Direction !== 'inbound') {
+      if (REDIAL_STATUSES.includes(CallStatus)) {
+        // The redial policy decides between calling again and the SMS fallback
+        await redialService.handleUnansweredCall({
+          callSid: CallSid,
+          phoneNumber: To,
+          patient,
+          attempt: parseInt(req.query.attempt || '1', 10),
+          originalCallSid: req.query.originalCallSid || null,
+          requestId: req.requestId
+        });
+      } else if (CallStatus === 'canceled') {
+        await redialService.sendSmsFallback({ callSid: CallSid, phoneNumber: To, patient, requestId: req.requestId });
+      } else if (CallStatus === 'completed') {
+        // CallStatus is 'completed' for any call that connected, including to a voicemail
+        // that could not be left, so only text when neither a check-in nor a voicemail happened
+        const callDuration = parseInt(req.body.CallDuration || '0', 10);
         
-        // Send SMS fallback
-        try {
-          await twilioService.sendSms(To, VOICEMAIL_MESSAGE);
-          console.log(`Call SID: ${CallSid}, SMS sent as fallback`);
-          
-          // Update call log for SMS
-          try {
-            await CallLog.findOneAndUpdate(
-              { callSid: CallSid },
-              { status: 'SMS Sent' },
-              { new: true }
-            );
-          } catch (dbError) {
-            console.error('Warning: Failed to update SMS status in database', dbError);
-          }
-        } catch (smsError) {
-          console.error('Error sending SMS fallback:', smsError);
-        }
-      }
-    }
-    
-    // For completed calls, get the recording URL
-    if (CallStatus === 'completed') {
-      try {
-        const recordingUrl = await twilioService.getRecordingUrl(CallSid);
-        if (recordingUrl) {
-          console.log(`Call SID: ${CallSid}, Recording URL: ${recordingUrl}`);
-          
-          // Update call log with recording URL
-          try {
-            await CallLog.findOneAndUpdate(
-              { callSid: CallSid },
-              { recordingUrl },
-              { new: true }
-            );
-          } catch (dbError) {
-            console.error('Warning: Failed to update recording URL in database', dbError);
-          }
+        if (needsSmsFallback(callLog, callDuration)) {
+          logger.info({
+            event: 'patient_not_reached',
+            callSid: CallSid,
+            callDuration,
+            answeredBy: callLog ? callLog.answeredBy : undefined,
+            requestId: req.requestId
+          });
+          await redialService.sendSmsFallback({ callSid: CallSid, phoneNumber: To, patient, requestId: req.requestId });
         }
-      } catch (recordingError) {
-        console.error('Error getting recording URL:', recordingError);
       }
     }
     
+    // Recordings are reported separately, to the recording webhook, once they are ready
     res.status(200).send('Status received');
   } catch (error) {
     console.error('Error handling status callback:', error);
@@ -449,41 +834,187 @@ exports.handleStatusCallback = async (req, res) => {
 };
 
 /**
- * Gets all call logs
+ * Handles recording status callbacks from Twilio
+ * 
+ * Sent for calls placed with recording on, once the recording is ready
+ * (or has no audio). Ready recordings are queued for download and
+ * transcription.
  * 
- * @function getCallLogs
+ * @function handleRecordingStatus
  * @async
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * @returns {Object} JSON response with call logs
  */
-exports.getCallLogs = async (req, res) => {
+exports.handleRecordingStatus = async (req, res) => {
   try {
-    // Pagination parameters
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const { CallSid, RecordingSid, RecordingUrl, RecordingStatus, RecordingDuration } = req.body;
     
-    // If database is implemented
-    const logs = await CallLog.find()
-      .sort({ timestamp: -1 })
-      .skip(skip)
-      .limit(limit);
+    logger.info({
+      event: 'recording_status_update',
+      callSid: CallSid,
+      recordingSid: RecordingSid,
+      status: RecordingStatus,
+      requestId: req.requestId
+    });
     
-    const total = await CallLog.countDocuments();
+    const patient = await loadPatient(req.query.patientId, req);
+    const { speechLanguage } = getVoiceSettings(getLanguage(patient));
     
-    return res.status(200).json({
-      success: true,
-      logs,
-      pagination: {
-        total,
-        page,
-        limit,
-        pages: Math.ceil(total / limit)
+    await recordingService.handleRecordingStatus({
+      callSid: CallSid,
+      recordingSid: RecordingSid,
+      recordingUrl: RecordingUrl,
+      status: RecordingStatus,
+      durationSeconds: RecordingDuration ? parseInt(RecordingDuration, 10) : null,
+      language: speechLanguage,
+      requestId: req.requestId
+    });
+    
+    res.status(200).send('Recording status received');
+  } catch (error) {
+    logger.error({
+      event: 'recording_status_failed',
+      error: error.message,
+      callSid: req.body.CallSid,
+      requestId: req.requestId
+    });
+    res.status(500).send('Error processing recording status');
+  }
+};
+
+/**
+ * Leaves the voicemail message on a call answered by a machine
+ * 
+ * Detection runs alongside the check-in, so a call the patient has
+ * already answered is left alone. Failures are logged; the call then
+ * counts as not reaching the patient and gets the SMS fallback when it
+ * completes.
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} callSid - Twilio Call SID
+ * @returns {Promise<boolean>} - Whether the voicemail was handed to the call
+ */
+const leaveVoicemail = async (req, callSid) => {
+  const callLog = await findCallLog(callSid, req);
+  if (callLog && !callLifecycle.canTransition(callLog.status, CallStates.VOICEMAIL_LEFT)) {
+    logger.info({
+      event: 'voicemail_skipped',
+      reason: 'late_detection',
+      callSid,
+      status: callLog.status,
+      requestId: req.requestId
+    });
+    return false;
+  }
+  
+  const patient = await loadPatient(req.query.patientId, req);
+  const language = getLanguage(patient);
+  const message = translate(language, 'voicemail');
+  
+  try {
+    const audioUrl = await ttsService.getAudioUrl(message);
+    await telephonyService.updateCallTwiml(callSid, telephonyService.generateVoicemailTwiml(message, { language, audioUrl }));
+  } catch (error) {
+    logger.error({
+      event: 'voicemail_failed',
+      error: error.message,
+      callSid,
+      requestId: req.requestId
+    });
+    return false;
+  }
+  
+  await callLifecycle.transition(callSid, CallStates.VOICEMAIL_LEFT, { source: 'amd', requestId: req.requestId });
+  
+  logger.info({
+    event: 'voicemail_left',
+    callSid,
+    language,
+    requestId: req.requestId
+  });
+  
+  return true;
+};
+
+/**
+ * Handles asynchronous answering machine detection results from Twilio
+ * 
+ * The check-in starts as soon as the call connects; when a machine is
+ * detected, the call is switched to the voicemail message once the
+ * greeting has ended.
+ * 
+ * @function handleAmdCallback
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.handleAmdCallback = async (req, res) => {
+  try {
+    const { CallSid, AnsweredBy } = req.body;
+    
+    logger.info({
+      event: 'machine_detection_result',
+      callSid: CallSid,
+      answeredBy: AnsweredBy,
+      detectionDurationMs: req.body.MachineDetectionDuration,
+      requestId: req.requestId
+    });
+    
+    await updateCallLog(CallSid, { answeredBy: AnsweredBy }, req);
+    
+    if (MACHINE_END_RESULTS.includes(AnsweredBy)) {
+      await leaveVoicemail(req, CallSid);
+    } else if (AnsweredBy === 'fax') {
+      const twiml = telephonyService.createVoiceResponse();
+      twiml.hangup();
+      
+      try {
+        await telephonyService.updateCallTwiml(CallSid, twiml.toString());
+      } catch (error) {
+        logger.warn({ event: 'fax_hangup_failed', error: error.message, callSid: CallSid, requestId: req.requestId });
       }
+    }
+    
+    res.status(200).send('Detection result received');
+  } catch (error) {
+    logger.error({
+      event: 'machine_detection_error',
+      error: error.message,
+      stack: error.stack,
+      callSid: req.body.CallSid,
+      requestId: req.requestId
     });
+    res.status(500).send('Error processing detection result');
+  }
+};
+
+/**
+ * Serves synthesized audio referenced by <Play> in call TwiML
+ * 
+ * @function getAudio
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getAudio = async (req, res) => {
+  try {
+    const audio = await ttsService.getAudio(req.params.audioId);
+    
+    if (!audio) {
+      return res.status(404).send('Audio not found');
+    }
+    
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.type('audio/mpeg');
+    res.send(audio);
   } catch (error) {
-    console.error('Error getting call logs:', error);
-    return res.status(500).json({ error: 'Failed to retrieve call logs' });
+    logger.error({
+      event: 'audio_error',
+      message: 'Error serving synthesized audio',
+      error: error.message,
+      audioId: req.params.audioId,
+      requestId: req.requestId
+    });
+    res.status(500).send('Error serving audio');
   }
 };
\ No newline at end of file
@@ -0,0 +1,257 @@
+/**
+ * Call Log Controller
+ *
+ * Handles searching the call log, reading a single call's detail and
+ * playing back its recording.
+ *
+ * @module controllers/callLogController
+ */
+const mongoose = require('mongoose');
+const callLogService = require('../services/callLogService');
+const recordingService = require('../services/recordingService');
+const blobStore = require('../services/blobStore');
+const logger = require('../utils/logger');
+const CallStates = require('../config/callStates');
+const { ADHERENCE_STATUSES } = require('../services/analyticsService');
+const { AppError, ErrorTypes } = require('../middleware/errorHandler');
+const { isE164 } = require('../utils/validators');
+const { parseDateBounds } = require('../utils/dateRange');
+
+const { SORT_FIELDS, DEFAULT_SORT } = callLogService;
+
+// Largest page size
+const MAX_LIMIT = 100;
+
+// Longest accepted search text
+const MAX_SEARCH_LENGTH = 200;
+
+/**
+ * Parses a comma-separated list of allowed values
+ *
+ * @param {string} value - Raw query value (e.g., None,Unclear)
+ * @param {string} name - Parameter name, for the error message
+ * @param {string[]} allowed - Accepted values
+ * @returns {string[]|undefined} - Parsed values, or undefined when absent
+ * @throws {AppError} - If a value is not allowed
+ */
+const parseList = (value, name, allowed) => {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const values = String(value).split(',').map(item => item.trim()).filter(Boolean);
+  const invalid = values.filter(item => !allowed.includes(item));
+
+  if (values.length === 0 || invalid.length > 0) {
+    throw new AppError(`${name} must be one or more of: ${allowed.join(', ')}`, ErrorTypes.VALIDATION_ERROR);
+  }
+
+  return values;
+};
+
+/**
+ * Parses the page size
+ *
+ * @param {string} value - Raw query value
+ * @returns {number} - Page size (default 10)
+ * @throws {AppError} - If the value is not an integer between 1 and MAX_LIMIT
+ */
+const parseLimit = (value) => {
+  if (value === undefined) {
+    return 10;
+  }
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new AppError(`limit must be an integer between 1 and ${MAX_LIMIT}`, ErrorTypes.VALIDATION_ERROR);
+  }
+
+  return limit;
+};
+
+/**
+ * Searches call logs
+ *
+ * Query parameters:
+ * - patientId, phoneNumber: only this patient's calls
+ * - adherenceStatus, status: comma-separated values to match any of
+ * - from, to: date range of the call time
+ * - q: text contained in the patient's response, ignoring case
+ * - sort: timestamp, patientPhoneNumber, status or adherenceStatus, prefixed with '-'
+ *   for descending order (default -timestamp)
+ * - limit: page size (default 10, at most 100)
+ * - cursor: pagination.nextCursor of the previous page
+ *
+ * @function getCallLogs
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getCallLogs = async (req, res, next) => {
+  try {
+    const { patientId, phoneNumber, q, cursor } = req.query;
+    const sort = req.query.sort || DEFAULT_SORT;
+    const limit = parseLimit(req.query.limit);
+
+    if (patientId !== undefined && !mongoose.isValidObjectId(patientId)) {
+      throw new AppError(`Invalid patient ID: ${patientId}`, ErrorTypes.VALIDATION_ERROR);
+    }
+
+    if (phoneNumber !== undefined && !isE164(phoneNumber)) {
+      throw new AppError('phoneNumber must be in E.164 format (e.g., +12345678900)', ErrorTypes.VALIDATION_ERROR);
+    }
+
+    if (q !== undefined && (typeof q !== 'string' || q.length > MAX_SEARCH_LENGTH)) {
+      throw new AppError(`q must be text of at most ${MAX_SEARCH_LENGTH} characters`, ErrorTypes.VALIDATION_ERROR);
+    }
+
+    if (typeof sort !== 'string' || !callLogService.isValidSort(sort)) {
+      throw new AppError(
+        `sort must be one of: ${SORT_FIELDS.join(', ')}, optionally prefixed with '-'`,
+        ErrorTypes.VALIDATION_ERROR
+      );
+    }
+
+    const after = cursor !== undefined ? callLogService.decodeCursor(cursor, sort) : null;
+    if (cursor !== undefined && !after) {
+      throw new AppError('Invalid cursor for this sort', ErrorTypes.VALIDATION_ERROR);
+    }
+
+    const { logs, total, nextCursor } = await callLogService.search({
+      patientId,
+      phoneNumber,
+      adherenceStatuses: parseList(req.query.adherenceStatus, 'adherenceStatus', ADHERENCE_STATUSES),
+      statuses: parseList(req.query.status, 'status', Object.values(CallStates)),
+      ...parseDateBounds(req.query),
+      search: q,
+      sort,
+      after,
+      limit
+    });
+
+    return res.status(200).json({
+      success: true,
+      logs,
+      pagination: {
+        total,
+        limit,
+        sort,
+        nextCursor
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Parses a single-range Range header
+ *
+ * @param {string|undefined} header - Range header (e.g., bytes=0-1023, bytes=500-, bytes=-500)
+ * @param {number} size - Size of the resource in bytes
+ * @returns {Object|null} - { start, end } inclusive, or null to send the whole resource
+ */
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (match[1] === '' && match[2] === '')) {
+    // Missing, multi-range and other units are answered with the whole resource, as HTTP allows
+    return null;
+  }
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  return start < size && start <= end ? { start, end } : null;
+};
+
+/**
+ * Gets a single call's full log and its redial chain
+ *
+ * @function getCallLog
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getCallLog = async (req, res, next) => {
+  try {
+    const detail = await callLogService.getCallDetail(req.params.callSid);
+
+    if (!detail) {
+      throw new AppError(`Call log not found: ${req.params.callSid}`, ErrorTypes.NOT_FOUND_ERROR);
+    }
+
+    return res.status(200).json({
+      success: true,
+      log: detail.log,
+      chain: detail.chain
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Streams a call's recording
+ *
+ * Supports single byte ranges, so players can seek. Every access is logged
+ * with the API key that made it.
+ *
+ * @function getRecording
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getRecording = async (req, res, next) => {
+  try {
+    const recording = await recordingService.findRecording(req.params.callSid);
+
+    if (!recording) {
+      throw new AppError(`Recording not found: ${req.params.callSid}`, ErrorTypes.NOT_FOUND_ERROR);
+    }
+
+    const range = parseRange(req.get('Range'), recording.size);
+
+    logger.info({
+      event: 'recording_accessed',
+      callSid: req.params.callSid,
+      keyId: req.auth ? req.auth.keyId : undefined,
+      range: range ? `${range.start}-${range.end}` : undefined,
+      requestId: req.requestId
+    });
+
+    res.set({
+      'Content-Type': recording.contentType,
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, no-store'
+    });
+
+    if (range) {
+      res.status(206).set({
+        'Content-Range': `bytes ${range.start}-${range.end}/${recording.size}`,
+        'Content-Length': String(range.end - range.start + 1)
+      });
+    } else {
+      res.status(200).set('Content-Length', String(recording.size));
+    }
+
+    const stream = blobStore.createReadStream(recording.blobKey, range || undefined);
+    stream.on('error', (error) => {
+      logger.error({ event: 'recording_stream_failed', callSid: req.params.callSid, error: error.message, requestId: req.requestId });
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+};
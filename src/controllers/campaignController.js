@@ -0,0 +1,308 @@
+/**
+ * Campaign Controller
+ *
+ * Handles bulk reminder campaigns: creating them from a list of patients
+ * or a CSV upload, reporting progress, and pausing, resuming or canceling.
+ *
+ * @module controllers/campaignController
+ */
+const mongoose = require('mongoose');
+const config = require('../config');
+const Campaign = require('../models/campaign');
+const Patient = require('../models/patient');
+const campaignService = require('../services/campaignService');
+const { AppError, ErrorTypes } = require('../middleware/errorHandler');
+const { isE164 } = require('../utils/validators');
+const { parseCsv } = require('../utils/csv');
+
+// Invalid recipients listed in a rejection message before the rest are summarised
+const MAX_LISTED_ERRORS = 5;
+
+/**
+ * Loads a campaign by ID or throws a not-found error
+ *
+ * @param {string} id - Campaign ID
+ * @returns {Promise<Object>} - Campaign document
+ * @throws {AppError} - If the campaign does not exist
+ */
+const findCampaignOrThrow = async (id) => {
+  const campaign = mongoose.isValidObjectId(id) ? await Campaign.findById(id) : null;
+
+  if (!campaign) {
+    throw new AppError(`Campaign not found: ${id}`, ErrorTypes.NOT_FOUND_ERROR);
+  }
+
+  return campaign;
+};
+
+/**
+ * Parses an optional numeric limit
+ *
+ * @param {*} value - Value from the body or query string
+ * @param {string} name - Parameter name, for the error message
+ * @param {number} defaultValue - Value when absent
+ * @param {number} max - Largest accepted value
+ * @param {boolean} integer - Whether only whole numbers are accepted
+ * @returns {number} - Parsed value
+ * @throws {AppError} - If the value is not a positive number up to max
+ */
+const parseLimit = (value, name, defaultValue, max, integer) => {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0 || number > max || (integer && !Number.isInteger(number))) {
+    throw new AppError(
+      `${name} must be ${integer ? 'an integer' : 'a number'} greater than 0 and at most ${max}`,
+      ErrorTypes.VALIDATION_ERROR
+    );
+  }
+
+  return number;
+};
+
+/**
+ * Reads the recipient entries from a JSON body or a CSV upload
+ *
+ * JSON bodies list patientIds and/or phoneNumbers; CSV uploads have a
+ * patientId and/or phoneNumber column.
+ *
+ * @param {Object} req - Express request object
+ * @returns {Object[]} - { label, patientId, phoneNumber } per entry, label naming it in errors
+ * @throws {AppError} - If the body has no recipients or the CSV is malformed
+ */
+const readEntries = (req) => {
+  if (req.is('text/csv')) {
+    let csv;
+    try {
+      csv = parseCsv(req.body);
+    } catch (error) {
+      throw new AppError(`Invalid CSV: ${error.message}`, ErrorTypes.VALIDATION_ERROR);
+    }
+
+    if (!csv.columns.includes('patientId') && !csv.columns.includes('phoneNumber')) {
+      throw new AppError('CSV header must include a patientId or phoneNumber column', ErrorTypes.VALIDATION_ERROR);
+    }
+
+    // Row 1 is the header
+    return csv.records.map((record, index) => ({
+      label: `Row ${index + 2}`,
+      patientId: record.patientId || undefined,
+      phoneNumber: record.phoneNumber || undefined
+    }));
+  }
+
+  const { patientIds = [], phoneNumbers = [] } = req.body || {};
+  if (!Array.isArray(patientIds) || !Array.isArray(phoneNumbers)) {
+    throw new AppError('patientIds and phoneNumbers must be arrays', ErrorTypes.VALIDATION_ERROR);
+  }
+
+  return [
+    ...patientIds.map((patientId, index) => ({ label: `patientIds[${index}]`, patientId: String(patientId) })),
+    ...phoneNumbers.map((phoneNumber, index) => ({ label: `phoneNumbers[${index}]`, phoneNumber }))
+  ];
+};
+
+/**
+ * Resolves recipient entries to the numbers to call
+ *
+ * A registered patient is called at their registry number. Each number is
+ * called once, at its first position in the list.
+ *
+ * @param {Object[]} entries - Entries from readEntries
+ * @returns {Promise<Object>} - { recipients, duplicates }
+ * @throws {AppError} - Listing the invalid entries, if there are any
+ */
+const resolveRecipients = async (entries) => {
+  const recipients = [];
+  const errors = [];
+  const seen = new Set();
+  let duplicates = 0;
+
+  for (const { label, patientId, phoneNumber } of entries) {
+    let recipient;
+
+    if (patientId) {
+      const patient = mongoose.isValidObjectId(patientId) ? await Patient.findById(patientId) : null;
+      if (!patient) {
+        errors.push(`${label}: patient not found: ${patientId}`);
+        continue;
+      }
+      recipient = { patientId: String(patient._id), phoneNumber: patient.phoneNumber };
+    } else if (isE164(phoneNumber)) {
+      recipient = { patientId: null, phoneNumber };
+    } else {
+      errors.push(phoneNumber
+        ? `${label}: phone number must be in E.164 format: ${phoneNumber}`
+        : `${label}: patientId or phoneNumber is required`);
+      continue;
+    }
+
+    if (seen.has(recipient.phoneNumber)) {
+      duplicates++;
+      continue;
+    }
+
+    seen.add(recipient.phoneNumber);
+    recipients.push(recipient);
+  }
+
+  if (errors.length > 0) {
+    const listed = errors.slice(0, MAX_LISTED_ERRORS).join('; ');
+    const more = errors.length > MAX_LISTED_ERRORS ? ` (and ${errors.length - MAX_LISTED_ERRORS} more)` : '';
+    throw new AppError(`Invalid recipients: ${listed}${more}`, ErrorTypes.VALIDATION_ERROR);
+  }
+
+  return { recipients, duplicates };
+};
+
+/**
+ * Attaches call progress to a campaign
+ *
+ * @param {Object} campaign - Campaign document
+ * @returns {Promise<Object>} - Campaign with a progress object
+ */
+const withProgress = async (campaign) => {
+  const plain = typeof campaign.toObject === 'function' ? campaign.toObject() : campaign;
+  return { ...plain, progress: await campaignService.getProgress(campaign._id) };
+};
+
+/**
+ * Creates a campaign and starts calling
+ *
+ * Accepts JSON ({ name, patientIds, phoneNumbers, concurrency, callsPerSecond })
+ * or a text/csv upload, with name, concurrency and callsPerSecond in the query string.
+ *
+ * @function createCampaign
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.createCampaign = async (req, res, next) => {
+  try {
+    const options = req.is('text/csv') ? req.query : (req.body || {});
+    const limits = config.campaigns;
+
+    if (typeof options.name !== 'string' || options.name.trim() === '') {
+      throw new AppError('Campaign name is required', ErrorTypes.VALIDATION_ERROR);
+    }
+
+    const concurrency = parseLimit(options.concurrency, 'concurrency', limits.concurrency, limits.maxConcurrency, true);
+    const callsPerSecond = parseLimit(
+      options.callsPerSecond, 'callsPerSecond', limits.callsPerSecond, limits.maxCallsPerSecond, false
+    );
+
+    const entries = readEntries(req);
+    if (entries.length === 0) {
+      throw new AppError('At least one patient or phone number is required', ErrorTypes.VALIDATION_ERROR);
+    }
+
+    if (entries.length > limits.maxCalls) {
+      throw new AppError(`A campaign can have at most ${limits.maxCalls} calls`, ErrorTypes.VALIDATION_ERROR);
+    }
+
+    const { recipients, duplicates } = await resolveRecipients(entries);
+
+    const campaign = await campaignService.createCampaign({
+      name: options.name.trim(),
+      recipients,
+      concurrency,
+      callsPerSecond,
+      createdBy: req.auth && req.auth.keyId,
+      requestId: req.requestId
+    });
+
+    return res.status(201).json({
+      success: true,
+      campaign: await withProgress(campaign),
+      duplicatesSkipped: duplicates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists campaigns with their progress, newest first
+ *
+ * @function listCampaigns
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.listCampaigns = async (req, res, next) => {
+  try {
+    const campaigns = (await Campaign.find({}))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return res.status(200).json({
+      success: true,
+      campaigns: await Promise.all(campaigns.map(withProgress))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Gets a campaign and its progress
+ *
+ * @function getCampaign
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getCampaign = async (req, res, next) => {
+  try {
+    const campaign = await findCampaignOrThrow(req.params.id);
+    return res.status(200).json({ success: true, campaign: await withProgress(campaign) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Creates a handler that pauses, resumes or cancels a campaign
+ *
+ * @param {string} action - pause, resume or cancel
+ * @returns {Function} - Express handler
+ */
+const campaignAction = (action) => async (req, res, next) => {
+  try {
+    const existing = await findCampaignOrThrow(req.params.id);
+    const campaign = await campaignService.applyAction(existing._id, action, req.requestId);
+
+    if (!campaign) {
+      throw new AppError(`Cannot ${action} a campaign that is ${existing.status}`, ErrorTypes.VALIDATION_ERROR);
+    }
+
+    return res.status(200).json({ success: true, campaign: await withProgress(campaign) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pauses a running campaign; calls in progress finish, no new calls are placed
+ *
+ * @function pauseCampaign
+ */
+exports.pauseCampaign = campaignAction('pause');
+
+/**
+ * Resumes a paused campaign
+ *
+ * @function resumeCampaign
+ */
+exports.resumeCampaign = campaignAction('resume');
+
+/**
+ * Cancels a campaign; calls not yet placed are canceled
+ *
+ * @function cancelCampaign
+ */
+exports.cancelCampaign = campaignAction('cancel');
@@ -0,0 +1,81 @@
+/**
+ * FHIR Controller
+ *
+ * Handles the FHIR R4 export of adherence results for EHR import.
+ *
+ * @module controllers/fhirController
+ */
+const mongoose = require('mongoose');
+const Patient = require('../models/patient');
+const fhirService = require('../services/fhirService');
+const logger = require('../utils/logger');
+const { AppError, ErrorTypes } = require('../middleware/errorHandler');
+const { parseDateRange } = require('../utils/dateRange');
+
+const { RESOURCE_TYPES } = fhirService;
+
+// Export formats and their content types
+const FORMATS = {
+  bundle: 'application/fhir+json',
+  ndjson: 'application/fhir+ndjson'
+};
+
+/**
+ * Exports answered check-ins as FHIR resources
+ *
+ * Query parameters:
+ * - from, to: date range (default the last 30 days)
+ * - patientId: only this patient's check-ins
+ * - format: bundle (default) for a collection Bundle, or ndjson for one resource per line
+ * - type: only resources of this type (Patient, Observation or MedicationStatement)
+ *
+ * @function exportAdherence
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.exportAdherence = async (req, res, next) => {
+  try {
+    const range = parseDateRange(req.query);
+    const { patientId, type } = req.query;
+    const format = req.query.format || 'bundle';
+
+    if (!FORMATS[format]) {
+      throw new AppError(`format must be one of: ${Object.keys(FORMATS).join(', ')}`, ErrorTypes.VALIDATION_ERROR);
+    }
+
+    if (type !== undefined && !RESOURCE_TYPES.includes(type)) {
+      throw new AppError(`type must be one of: ${RESOURCE_TYPES.join(', ')}`, ErrorTypes.VALIDATION_ERROR);
+    }
+
+    if (patientId !== undefined) {
+      const patient = mongoose.isValidObjectId(patientId) ? await Patient.findById(patientId) : null;
+      if (!patient) {
+        throw new AppError(`Patient not found: ${patientId}`, ErrorTypes.NOT_FOUND_ERROR);
+      }
+    }
+
+    let resources = await fhirService.exportResources({ ...range, patientId });
+    if (type) {
+      resources = resources.filter(resource => resource.resourceType === type);
+    }
+
+    logger.info({
+      event: 'fhir_export',
+      format,
+      type,
+      patientId,
+      resourceCount: resources.length,
+      keyId: req.auth && req.auth.keyId,
+      requestId: req.requestId
+    });
+
+    res.type(FORMATS[format]);
+    return res.status(200).send(format === 'ndjson'
+      ? fhirService.toNdjson(resources)
+      : JSON.stringify(fhirService.toBundle(resources)));
+  } catch (error) {
+    next(error);
+  }
+};
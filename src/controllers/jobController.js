@@ -0,0 +1,122 @@
+/**
+ * Job Controller
+ *
+ * Lets operators inspect the outbound job queue, including the dead-letter
+ * list of calls and SMS that failed for good, and requeue dead jobs.
+ *
+ * @module controllers/jobController
+ */
+const mongoose = require('mongoose');
+const Job = require('../models/job');
+const jobQueue = require('../services/jobQueue');
+const { JobTypes, JobStatuses } = require('../config/jobStatuses');
+const { AppError, ErrorTypes } = require('../middleware/errorHandler');
+
+// Largest page size
+const MAX_LIMIT = 100;
+
+/**
+ * Loads a job by ID or throws a not-found error
+ *
+ * @param {string} id - Job ID
+ * @returns {Promise<Object>} - Job document
+ * @throws {AppError} - If the job does not exist
+ */
+const findJobOrThrow = async (id) => {
+  const job = mongoose.isValidObjectId(id) ? await Job.findById(id) : null;
+
+  if (!job) {
+    throw new AppError(`Job not found: ${id}`, ErrorTypes.NOT_FOUND_ERROR);
+  }
+
+  return job;
+};
+
+/**
+ * Lists jobs, most recently updated first
+ *
+ * Query parameters:
+ * - status: Pending, Running, Succeeded or Dead (Dead lists the dead-letter jobs)
+ * - type: call or sms
+ * - limit: page size (default 50, at most 100)
+ *
+ * @function listJobs
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.listJobs = async (req, res, next) => {
+  try {
+    const { status, type } = req.query;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+    if (status !== undefined && !Object.values(JobStatuses).includes(status)) {
+      throw new AppError(
+        `status must be one of: ${Object.values(JobStatuses).join(', ')}`,
+        ErrorTypes.VALIDATION_ERROR
+      );
+    }
+
+    if (type !== undefined && !Object.values(JobTypes).includes(type)) {
+      throw new AppError(`type must be one of: ${Object.values(JobTypes).join(', ')}`, ErrorTypes.VALIDATION_ERROR);
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new AppError(`limit must be an integer between 1 and ${MAX_LIMIT}`, ErrorTypes.VALIDATION_ERROR);
+    }
+
+    const jobs = (await Job.find({ ...(status && { status }), ...(type && { type }) }))
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+    return res.status(200).json({
+      success: true,
+      jobs: jobs.slice(0, limit),
+      total: jobs.length
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Gets a job
+ *
+ * @function getJob
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getJob = async (req, res, next) => {
+  try {
+    const job = await findJobOrThrow(req.params.id);
+    return res.status(200).json({ success: true, job });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Puts a dead job back in the queue with a fresh set of attempts
+ *
+ * @function requeueJob
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.requeueJob = async (req, res, next) => {
+  try {
+    const existing = await findJobOrThrow(req.params.id);
+    const job = await jobQueue.requeue(existing._id, req.requestId);
+
+    if (!job) {
+      throw new AppError(`Only dead jobs can be requeued; this job is ${existing.status}`, ErrorTypes.VALIDATION_ERROR);
+    }
+
+    return res.status(200).json({ success: true, job });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,408 @@
+/**
+ * Patient Controller
+ *
+ * Handles CRUD endpoints for patients, their medication regimens and
+ * their consent to calls, SMS and recording.
+ *
+ * @module controllers/patientController
+ */
+const mongoose = require('mongoose');
+const Patient = require('../models/patient');
+const logger = require('../utils/logger');
+const { AppError, ErrorTypes } = require('../middleware/errorHandler');
+const { isE164, isTimeOfDay, isValidTimezone, isEmail, isHttpUrl } = require('../utils/validators');
+const { Languages, isSupportedLanguage } = require('../locales');
+const NotificationChannels = require('../config/notificationChannels');
+const ConsentChannels = require('../config/consentChannels');
+const complianceService = require('../services/complianceService');
+
+// Upper bound on per-patient redials, so a misconfigured policy cannot call a patient all day
+const MAX_REDIALS = 5;
+
+// Address check and its description for each notification channel
+const CONTACT_ADDRESS_RULES = {
+  [NotificationChannels.SMS]: [isE164, 'an E.164 phone number'],
+  [NotificationChannels.EMAIL]: [isEmail, 'an email address'],
+  [NotificationChannels.WEBHOOK]: [isHttpUrl, 'an http(s) URL']
+};
+
+/**
+ * Validates and normalises a medication list from a request body
+ *
+ * @param {Array} medications - Medications from the request
+ * @returns {Array} - Normalised medications
+ * @throws {AppError} - If any medication is invalid
+ */
+const parseMedications = (medications) => {
+  if (!Array.isArray(medications)) {
+    throw new AppError('Medications must be an array', ErrorTypes.VALIDATION_ERROR);
+  }
+
+  return medications.map((medication, index) => {
+    if (!medication || typeof medication.name !== 'string' || medication.name.trim() === '') {
+      throw new AppError(`Medication at index ${index} requires a name`, ErrorTypes.VALIDATION_ERROR);
+    }
+
+    const times = medication.times || [];
+    if (!Array.isArray(times) || !times.every(isTimeOfDay)) {
+      throw new AppError(
+        `Medication "${medication.name}" times must be HH:MM values (e.g., 08:30)`,
+        ErrorTypes.VALIDATION_ERROR
+      );
+    }
+
+    return {
+      name: medication.name.trim(),
+      dose: medication.dose || null,
+      times
+    };
+  });
+};
+
+/**
+ * Validates and normalises provider contacts from a request body
+ *
+ * @param {Array} contacts - Provider contacts from the request
+ * @returns {Array} - Normalised contacts
+ * @throws {AppError} - If any contact is invalid
+ */
+const parseProviderContacts = (contacts) => {
+  if (!Array.isArray(contacts)) {
+    throw new AppError('Provider contacts must be an array', ErrorTypes.VALIDATION_ERROR);
+  }
+
+  return contacts.map((contact, index) => {
+    const rule = contact && CONTACT_ADDRESS_RULES[contact.channel];
+
+    if (!rule) {
+      throw new AppError(
+        `Provider contact at index ${index} requires a channel: ${Object.values(NotificationChannels).join(', ')}`,
+        ErrorTypes.VALIDATION_ERROR
+      );
+    }
+
+    const [isValidAddress, description] = rule;
+    const address = typeof contact.address === 'string' ? contact.address.trim() : contact.address;
+
+    if (!isValidAddress(address)) {
+      throw new AppError(
+        `Provider contact at index ${index} address must be ${description}`,
+        ErrorTypes.VALIDATION_ERROR
+      );
+    }
+
+    return {
+      name: typeof contact.name === 'string' ? contact.name.trim() : null,
+      channel: contact.channel,
+      address
+    };
+  });
+};
+
+/**
+ * Validates a per-patient redial policy from a request body
+ *
+ * @param {Object|null} policy - Redial policy overrides, or null to use the global policy
+ * @returns {Object|null} - Normalised policy
+ * @throws {AppError} - If the policy is invalid
+ */
+const parseRedialPolicy = (policy) => {
+  if (policy === null) {
+    return null;
+  }
+
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new AppError('Redial policy must be an object or null', ErrorTypes.VALIDATION_ERROR);
+  }
+
+  const rules = {
+    maxRedials: [value => Number.isInteger(value) && value >= 0 && value <= MAX_REDIALS, `an integer from 0 to ${MAX_REDIALS}`],
+    backoffMs: [value => Number.isInteger(value) && value >= 0, 'a non-negative integer'],
+    backoffMultiplier: [value => typeof value === 'number' && value >= 1, 'a number of at least 1'],
+    smsFallbackAttempt: [value => value === null || (Number.isInteger(value) && value >= 1), 'a positive integer or null']
+  };
+  const parsed = {};
+
+  Object.keys(policy).forEach(key => {
+    if (!rules[key]) {
+      throw new AppError(
+        `Unknown redial policy field: ${key}. Allowed: ${Object.keys(rules).join(', ')}`,
+        ErrorTypes.VALIDATION_ERROR
+      );
+    }
+
+    const [isValid, description] = rules[key];
+    if (!isValid(policy[key])) {
+      throw new AppError(`Redial policy ${key} must be ${description}`, ErrorTypes.VALIDATION_ERROR);
+    }
+    parsed[key] = policy[key];
+  });
+
+  return parsed;
+};
+
+/**
+ * Validates consent changes from a request body
+ *
+ * @param {Object} consent - Whether each channel is granted (e.g., { sms: false, recording: true })
+ * @returns {Object} - Consent changes by channel
+ * @throws {AppError} - If a channel is unknown or its value is not a boolean
+ */
+const parseConsent = (consent) => {
+  if (!consent || typeof consent !== 'object' || Array.isArray(consent)) {
+    throw new AppError('Consent must be an object', ErrorTypes.VALIDATION_ERROR);
+  }
+
+  const channels = Object.values(ConsentChannels);
+
+  Object.keys(consent).forEach(channel => {
+    if (!channels.includes(channel)) {
+      throw new AppError(
+        `Unknown consent channel: ${channel}. Allowed: ${channels.join(', ')}`,
+        ErrorTypes.VALIDATION_ERROR
+      );
+    }
+
+    if (typeof consent[channel] !== 'boolean') {
+      throw new AppError(`Consent ${channel} must be true or false`, ErrorTypes.VALIDATION_ERROR);
+    }
+  });
+
+  return { ...consent };
+};
+
+/**
+ * Validates a patient request body
+ *
+ * @param {Object} body - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Allow missing required fields (for updates)
+ * @returns {Object} - Fields to persist
+ * @throws {AppError} - If validation fails
+ */
+const parsePatientInput = (body, { partial = false } = {}) => {
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') {
+      throw new AppError('Patient name is required', ErrorTypes.VALIDATION_ERROR);
+    }
+    fields.name = body.name.trim();
+  }
+
+  if (body.phoneNumber !== undefined || !partial) {
+    if (!isE164(body.phoneNumber)) {
+      throw new AppError(
+        'Phone number must be in E.164 format (e.g., +12345678900)',
+        ErrorTypes.VALIDATION_ERROR
+      );
+    }
+    fields.phoneNumber = body.phoneNumber;
+  }
+
+  if (body.timezone !== undefined) {
+    if (!isValidTimezone(body.timezone)) {
+      throw new AppError(`Unknown timezone: ${body.timezone}`, ErrorTypes.VALIDATION_ERROR);
+    }
+    fields.timezone = body.timezone;
+  }
+
+  if (body.language !== undefined) {
+    if (!isSupportedLanguage(body.language)) {
+      throw new AppError(
+        `Unsupported language: ${body.language}. Supported: ${Object.keys(Languages).join(', ')}`,
+        ErrorTypes.VALIDATION_ERROR
+      );
+    }
+    fields.language = body.language;
+  }
+
+  if (body.medications !== undefined) {
+    fields.medications = parseMedications(body.medications);
+  }
+
+  if (body.providerContacts !== undefined) {
+    fields.providerContacts = parseProviderContacts(body.providerContacts);
+  }
+
+  if (body.redialPolicy !== undefined) {
+    fields.redialPolicy = parseRedialPolicy(body.redialPolicy);
+  }
+
+  if (body.consent !== undefined) {
+    fields.consent = parseConsent(body.consent);
+  }
+
+  return fields;
+};
+
+/**
+ * Loads a patient by ID or throws a not-found error
+ *
+ * @param {string} id - Patient ID
+ * @returns {Promise<Object>} - Patient document
+ * @throws {AppError} - If the patient does not exist
+ */
+const findPatientOrThrow = async (id) => {
+  const patient = mongoose.isValidObjectId(id) ? await Patient.findById(id) : null;
+
+  if (!patient) {
+    throw new AppError(`Patient not found: ${id}`, ErrorTypes.NOT_FOUND_ERROR);
+  }
+
+  return patient;
+};
+
+/**
+ * Ensures no other patient is registered with the given phone number
+ *
+ * @param {string} phoneNumber - Phone number to check
+ * @param {string} [excludeId] - Patient ID allowed to hold the number
+ * @throws {AppError} - If the number is already registered
+ */
+const assertPhoneNumberAvailable = async (phoneNumber, excludeId) => {
+  const existing = await Patient.findOne({ phoneNumber });
+
+  if (existing && String(existing._id) !== String(excludeId)) {
+    throw new AppError(
+      `A patient with phone number ${phoneNumber} already exists`,
+      ErrorTypes.VALIDATION_ERROR
+    );
+  }
+};
+
+/**
+ * Creates a patient
+ *
+ * @function createPatient
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.createPatient = async (req, res, next) => {
+  try {
+    const fields = parsePatientInput(req.body || {});
+    await assertPhoneNumberAvailable(fields.phoneNumber);
+
+    if (fields.consent) {
+      fields.consent = complianceService.buildConsent(null, fields.consent, 'api');
+    }
+
+    const patient = await Patient.create(fields);
+
+    logger.info({
+      event: 'patient_created',
+      patientId: String(patient._id),
+      requestId: req.requestId
+    });
+
+    return res.status(201).json({ success: true, patient });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists all patients
+ *
+ * @function listPatients
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.listPatients = async (req, res, next) => {
+  try {
+    const patients = await Patient.find();
+    return res.status(200).json({ success: true, patients });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Gets a single patient
+ *
+ * @function getPatient
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getPatient = async (req, res, next) => {
+  try {
+    const patient = await findPatientOrThrow(req.params.id);
+    return res.status(200).json({ success: true, patient });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Updates a patient's details or medication regimen
+ *
+ * @function updatePatient
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.updatePatient = async (req, res, next) => {
+  try {
+    const existing = await findPatientOrThrow(req.params.id);
+
+    const fields = parsePatientInput(req.body || {}, { partial: true });
+    if (fields.phoneNumber) {
+      await assertPhoneNumberAvailable(fields.phoneNumber, req.params.id);
+    }
+
+    // Channels left out of the request keep their consent
+    if (fields.consent) {
+      fields.consent = complianceService.buildConsent(existing.consent, fields.consent, 'api');
+    }
+
+    const patient = await Patient.findByIdAndUpdate(
+      req.params.id,
+      { $set: fields },
+      { new: true, runValidators: true }
+    );
+
+    logger.info({
+      event: 'patient_updated',
+      patientId: req.params.id,
+      fields: Object.keys(fields),
+      requestId: req.requestId
+    });
+
+    return res.status(200).json({ success: true, patient });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deletes a patient
+ *
+ * @function deletePatient
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.deletePatient = async (req, res, next) => {
+  try {
+    await findPatientOrThrow(req.params.id);
+    await Patient.findByIdAndDelete(req.params.id);
+
+    logger.info({
+      event: 'patient_deleted',
+      patientId: req.params.id,
+      requestId: req.requestId
+    });
+
+    return res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
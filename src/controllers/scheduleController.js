@@ -0,0 +1,252 @@
+/**
+ * Schedule Controller
+ *
+ * Handles endpoints for creating, listing, pausing and resuming
+ * recurring reminder call schedules.
+ *
+ * @module controllers/scheduleController
+ */
+const mongoose = require('mongoose');
+const Schedule = require('../models/schedule');
+const Patient = require('../models/patient');
+const schedulerService = require('../services/schedulerService');
+const logger = require('../utils/logger');
+const { AppError, ErrorTypes } = require('../middleware/errorHandler');
+const { isTimeOfDay, isValidTimezone } = require('../utils/validators');
+
+/**
+ * Loads a schedule by ID or throws a not-found error
+ *
+ * @param {string} id - Schedule ID
+ * @returns {Promise<Object>} - Schedule document
+ * @throws {AppError} - If the schedule does not exist
+ */
+const findScheduleOrThrow = async (id) => {
+  const schedule = mongoose.isValidObjectId(id) ? await Schedule.findById(id) : null;
+
+  if (!schedule) {
+    throw new AppError(`Schedule not found: ${id}`, ErrorTypes.NOT_FOUND_ERROR);
+  }
+
+  return schedule;
+};
+
+/**
+ * Collects the distinct dose times from a patient's regimen
+ *
+ * @param {Object} patient - Patient document
+ * @returns {string[]} - Sorted HH:MM times
+ */
+const getRegimenTimes = (patient) => {
+  const times = new Set();
+  (patient.medications || []).forEach(medication => {
+    (medication.times || []).forEach(time => times.add(time));
+  });
+  return [...times].sort();
+};
+
+/**
+ * Creates a reminder schedule for a patient
+ *
+ * Times default to the patient's medication dose times and the
+ * timezone defaults to the patient's timezone.
+ *
+ * @function createSchedule
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.createSchedule = async (req, res, next) => {
+  try {
+    const { patientId, times, daysOfWeek, timezone } = req.body || {};
+
+    const patient = mongoose.isValidObjectId(patientId) ? await Patient.findById(patientId) : null;
+    if (!patient) {
+      throw new AppError(`Patient not found: ${patientId}`, ErrorTypes.VALIDATION_ERROR);
+    }
+
+    const scheduleTimes = times !== undefined ? times : getRegimenTimes(patient);
+    if (!Array.isArray(scheduleTimes) || scheduleTimes.length === 0 || !scheduleTimes.every(isTimeOfDay)) {
+      throw new AppError(
+        'Times must be a non-empty list of HH:MM values (or the patient must have dose times)',
+        ErrorTypes.VALIDATION_ERROR
+      );
+    }
+
+    const scheduleDays = daysOfWeek !== undefined ? daysOfWeek : [0, 1, 2, 3, 4, 5, 6];
+    if (!Array.isArray(scheduleDays) || scheduleDays.length === 0 ||
+        !scheduleDays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      throw new AppError(
+        'Days of week must be a non-empty list of numbers from 0 (Sunday) to 6 (Saturday)',
+        ErrorTypes.VALIDATION_ERROR
+      );
+    }
+
+    const scheduleTimezone = timezone || patient.timezone || 'UTC';
+    if (!isValidTimezone(scheduleTimezone)) {
+      throw new AppError(`Unknown timezone: ${scheduleTimezone}`, ErrorTypes.VALIDATION_ERROR);
+    }
+
+    const fields = {
+      patientId: patient._id,
+      times: [...new Set(scheduleTimes)].sort(),
+      daysOfWeek: [...new Set(scheduleDays)].sort(),
+      timezone: scheduleTimezone,
+      active: true
+    };
+    fields.nextRunAt = schedulerService.computeNextRun(fields);
+
+    const schedule = await Schedule.create(fields);
+
+    logger.info({
+      event: 'schedule_created',
+      scheduleId: String(schedule._id),
+      patientId: String(patient._id),
+      nextRunAt: fields.nextRunAt,
+      requestId: req.requestId
+    });
+
+    return res.status(201).json({ success: true, schedule });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists schedules, optionally filtered by patient or active state
+ *
+ * @function listSchedules
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.listSchedules = async (req, res, next) => {
+  try {
+    const filter = {};
+
+    if (req.query.patientId) {
+      if (!mongoose.isValidObjectId(req.query.patientId)) {
+        throw new AppError('Invalid patient ID', ErrorTypes.VALIDATION_ERROR);
+      }
+      filter.patientId = req.query.patientId;
+    }
+
+    if (req.query.active !== undefined) {
+      filter.active = req.query.active === 'true';
+    }
+
+    const schedules = await Schedule.find(filter);
+    return res.status(200).json({ success: true, schedules });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Gets a single schedule
+ *
+ * @function getSchedule
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getSchedule = async (req, res, next) => {
+  try {
+    const schedule = await findScheduleOrThrow(req.params.id);
+    return res.status(200).json({ success: true, schedule });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pauses a schedule so no further calls are placed
+ *
+ * @function pauseSchedule
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.pauseSchedule = async (req, res, next) => {
+  try {
+    await findScheduleOrThrow(req.params.id);
+
+    const schedule = await Schedule.findByIdAndUpdate(
+      req.params.id,
+      { $set: { active: false, nextRunAt: null } },
+      { new: true }
+    );
+
+    logger.info({
+      event: 'schedule_paused',
+      scheduleId: req.params.id,
+      requestId: req.requestId
+    });
+
+    return res.status(200).json({ success: true, schedule });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resumes a paused schedule from the next upcoming time
+ *
+ * @function resumeSchedule
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.resumeSchedule = async (req, res, next) => {
+  try {
+    const existing = await findScheduleOrThrow(req.params.id);
+
+    const schedule = await Schedule.findByIdAndUpdate(
+      req.params.id,
+      { $set: { active: true, nextRunAt: schedulerService.computeNextRun(existing) } },
+      { new: true }
+    );
+
+    logger.info({
+      event: 'schedule_resumed',
+      scheduleId: req.params.id,
+      nextRunAt: schedule.nextRunAt,
+      requestId: req.requestId
+    });
+
+    return res.status(200).json({ success: true, schedule });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deletes a schedule
+ *
+ * @function deleteSchedule
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.deleteSchedule = async (req, res, next) => {
+  try {
+    await findScheduleOrThrow(req.params.id);
+    await Schedule.findByIdAndDelete(req.params.id);
+
+    logger.info({
+      event: 'schedule_deleted',
+      scheduleId: req.params.id,
+      requestId: req.requestId
+    });
+
+    return res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
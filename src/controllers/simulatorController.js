@@ -0,0 +1,85 @@
+/**
+ * Simulator Controller
+ *
+ * Shows what the telephony simulator recorded and sets how simulated calls
+ * end, so the call flow can be tried without a Twilio account. Only
+ * mounted when TELEPHONY_PROVIDER=simulator.
+ *
+ * @module controllers/simulatorController
+ */
+const telephonyService = require('../services/telephonyService');
+const { SIMULATED_OUTCOMES } = require('../services/telephony/simulatorProvider');
+const { AppError, ErrorTypes } = require('../middleware/errorHandler');
+const { isE164 } = require('../utils/validators');
+
+/**
+ * Lists the simulated calls, with the webhooks they posted, and the SMS sent
+ *
+ * @function getActivity
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getActivity = async (req, res, next) => {
+  try {
+    const simulator = telephonyService.getProvider('simulator');
+
+    return res.status(200).json({
+      success: true,
+      calls: simulator.getCalls(),
+      messages: simulator.getMessages()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sets how simulated calls to a number end
+ *
+ * Body: { phoneNumber, outcome } with outcome completed, machine, no-answer, busy or failed
+ *
+ * @function setOutcome
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.setOutcome = async (req, res, next) => {
+  try {
+    const { phoneNumber, outcome } = req.body || {};
+
+    if (!isE164(phoneNumber)) {
+      throw new AppError('phoneNumber must be in E.164 format (e.g., +12345678900)', ErrorTypes.VALIDATION_ERROR);
+    }
+
+    if (!SIMULATED_OUTCOMES.includes(outcome)) {
+      throw new AppError(`outcome must be one of: ${SIMULATED_OUTCOMES.join(', ')}`, ErrorTypes.VALIDATION_ERROR);
+    }
+
+    telephonyService.getProvider('simulator').setOutcome(phoneNumber, outcome);
+
+    return res.status(200).json({ success: true, phoneNumber, outcome });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Forgets the recorded calls, messages and per-number outcomes
+ *
+ * @function reset
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.reset = async (req, res, next) => {
+  try {
+    telephonyService.getProvider('simulator').reset();
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,248 @@
+/**
+ * SMS Controller
+ *
+ * Handles text messages patients send to the Twilio number, typically
+ * replies to a reminder or to the SMS fallback. A reply is linked to the
+ * patient's most recent reminder call and classified like a spoken answer,
+ * unless the patient already answered on the call.
+ * The STOP, START and HELP keywords change or explain the patient's consent
+ * to reminder calls and texts instead.
+ *
+ * @module controllers/smsController
+ */
+const config = require('../config');
+const telephonyService = require('../services/telephonyService');
+const adherenceClassifier = require('../services/adherenceClassifier');
+const notificationService = require('../services/notificationService');
+const complianceService = require('../services/complianceService');
+const CallLog = require('../models/callLog');
+const Patient = require('../models/patient');
+const logger = require('../utils/logger');
+const ConsentChannels = require('../config/consentChannels');
+const { translate } = require('../locales');
+const {
+  ADHERENCE_MESSAGE_KEYS,
+  getMedications,
+  getLanguage,
+  getMedicationNames
+} = require('../services/checkInDialog');
+
+// Adherence a text reply may set; answers the patient gave on the call are kept
+const UNRESOLVED_STATUSES = ['Unknown', 'Unclear', null];
+
+/**
+ * Checks whether a call log is still waiting for a clear answer
+ *
+ * @param {Object} callLog - Call log
+ * @returns {boolean} - Whether a text reply may record the adherence
+ */
+const isUnresolved = (callLog) => UNRESOLVED_STATUSES.includes(callLog.adherenceStatus || null);
+
+/**
+ * Finds the most recent reminder call to a phone number within the reply window
+ *
+ * @param {string} phoneNumber - Patient phone number in E.164 format
+ * @returns {Promise<Object|null>} - Call log, or null if there is no recent reminder
+ */
+const findRecentReminder = async (phoneNumber) => {
+  const callLog = await CallLog.findOne({ patientPhoneNumber: phoneNumber }, null, { sort: { timestamp: -1 } });
+
+  if (!callLog || Date.now() - new Date(callLog.timestamp).getTime() > config.sms.replyWindowMs) {
+    return null;
+  }
+
+  return callLog;
+};
+
+/**
+ * Sends TwiML replying to the inbound message
+ *
+ * @param {Object} res - Express response object
+ * @param {string} message - Reply text
+ */
+const sendReply = (res, message) => {
+  res.type('text/xml');
+  res.send(telephonyService.generateSmsReplyTwiml(message));
+};
+
+// Consent to calls and texts each keyword sets; HELP changes nothing
+const KEYWORD_CONSENT = {
+  [complianceService.SmsKeywords.STOP]: false,
+  [complianceService.SmsKeywords.START]: true
+};
+
+const KEYWORD_MESSAGE_KEYS = {
+  [complianceService.SmsKeywords.STOP]: 'smsOptOut',
+  [complianceService.SmsKeywords.START]: 'smsOptIn',
+  [complianceService.SmsKeywords.HELP]: 'smsHelp'
+};
+
+/**
+ * Applies an opt-out, opt-in or help keyword and replies with its confirmation
+ *
+ * STOP withdraws consent to both reminder calls and texts, and START gives
+ * it back; consent to recording is left as it is.
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} options
+ * @param {string} options.keyword - One of complianceService.SmsKeywords
+ * @param {Object|null} options.patient - Patient who sent the keyword, if the number is registered
+ * @param {string} options.language - Language of the reply
+ * @param {string} options.messageSid - Inbound message SID
+ * @param {string} [options.requestId] - Request ID for log correlation
+ */
+const handleKeyword = async (res, { keyword, patient, language, messageSid, requestId }) => {
+  const granted = KEYWORD_CONSENT[keyword];
+
+  if (patient && granted !== undefined) {
+    await complianceService.updateConsent(patient, {
+      [ConsentChannels.VOICE]: granted,
+      [ConsentChannels.SMS]: granted
+    }, { source: 'sms-keyword', requestId });
+  }
+
+  logger.info({
+    event: 'sms_keyword',
+    keyword,
+    messageSid,
+    patientId: patient ? String(patient._id) : undefined,
+    requestId
+  });
+
+  sendReply(res, translate(language, KEYWORD_MESSAGE_KEYS[keyword]));
+};
+
+/**
+ * Handles an inbound SMS and replies with the matching confirmation
+ *
+ * Replies the classifier is not confident about get a request to answer
+ * yes or no, and leave the call log unchanged.
+ *
+ * @function handleInboundSms
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.handleInboundSms = async (req, res) => {
+  const { From, Body, MessageSid } = req.body;
+  const patientResponse = (Body || '').trim();
+  let language;
+
+  try {
+    const patient = await Patient.findOne({ phoneNumber: From });
+    language = getLanguage(patient);
+
+    const keyword = complianceService.parseKeyword(patientResponse);
+    if (keyword) {
+      return await handleKeyword(res, {
+        keyword,
+        patient,
+        language,
+        messageSid: MessageSid,
+        requestId: req.requestId
+      });
+    }
+
+    const callLog = await findRecentReminder(From);
+
+    if (!callLog || !patientResponse) {
+      logger.info({
+        event: 'sms_reply_unlinked',
+        messageSid: MessageSid,
+        patientId: patient ? String(patient._id) : undefined,
+        reason: callLog ? 'empty_message' : 'no_recent_reminder',
+        requestId: req.requestId
+      });
+      return sendReply(res, translate(language, 'fallbackThanks'));
+    }
+
+    if (!isUnresolved(callLog)) {
+      logger.info({
+        event: 'sms_reply_ignored',
+        messageSid: MessageSid,
+        callSid: callLog.callSid,
+        adherenceStatus: callLog.adherenceStatus,
+        reason: 'already_answered',
+        requestId: req.requestId
+      });
+      return sendReply(res, translate(language, 'fallbackThanks'));
+    }
+
+    const classification = adherenceClassifier.classify(patientResponse, {
+      language,
+      medications: getMedicationNames(getMedications(patient))
+    });
+
+    if (adherenceClassifier.isLowConfidence(classification)) {
+      logger.info({
+        event: 'low_confidence_response',
+        messageSid: MessageSid,
+        callSid: callLog.callSid,
+        label: classification.label,
+        confidence: classification.confidence,
+        patientResponse,
+        requestId: req.requestId
+      });
+      return sendReply(res, translate(language, 'smsClarify'));
+    }
+
+    const adherenceStatus = classification.label;
+
+    logger.info({
+      event: 'adherence_analysis',
+      messageSid: MessageSid,
+      callSid: callLog.callSid,
+      adherenceStatus,
+      confidence: classification.confidence,
+      evidence: classification.evidence,
+      patientResponse,
+      requestId: req.requestId
+    });
+
+    try {
+      // The call may have been answered since the log was read
+      const updated = await CallLog.findOneAndUpdate(
+        { callSid: callLog.callSid, adherenceStatus: { $in: UNRESOLVED_STATUSES } },
+        { patientResponse, adherenceStatus, adherenceConfidence: classification.confidence },
+        { new: true }
+      );
+
+      if (!updated) {
+        logger.info({
+          event: 'sms_reply_ignored',
+          messageSid: MessageSid,
+          callSid: callLog.callSid,
+          reason: 'already_answered',
+          requestId: req.requestId
+        });
+        return sendReply(res, translate(language, 'fallbackThanks'));
+      }
+    } catch (dbError) {
+      logger.warn({
+        event: 'database_error',
+        message: 'Failed to update call log in database',
+        error: dbError.message,
+        callSid: callLog.callSid,
+        requestId: req.requestId
+      });
+    }
+
+    const outcome = notificationService.getOutcomeForStatus(adherenceStatus);
+    if (outcome) {
+      notificationService.notifyOutcome({ callSid: callLog.callSid, patient, outcome, requestId: req.requestId });
+    }
+
+    return sendReply(res, translate(language, ADHERENCE_MESSAGE_KEYS[adherenceStatus]));
+  } catch (error) {
+    logger.error({
+      event: 'sms_reply_error',
+      error: error.message,
+      stack: error.stack,
+      messageSid: MessageSid,
+      requestId: req.requestId
+    });
+
+    // Still acknowledge the patient; Twilio would otherwise report a webhook failure
+    return sendReply(res, translate(language, 'fallbackThanks'));
+  }
+};
@@ -0,0 +1,35 @@
+/**
+ * English message catalog
+ *
+ * English is the fallback for any key missing from another catalog.
+ * Placeholders in braces (e.g., {medication}) are filled in by translate().
+ *
+ * @module locales/en
+ */
+module.exports = {
+  reminderGreeting: "Hello, this is a reminder from your healthcare provider to confirm your medications for the day.",
+  confirmMedications: "Please confirm if you have taken your medications today.",
+  retry: "I'm sorry, I didn't catch that. Could you please repeat if you've taken your medications today?",
+  retryPrefix: "I'm sorry, I didn't catch that.",
+  clarifyPrefix: "I'm sorry, I didn't quite understand. Please answer yes or no.",
+  allMedicationsQuestion: "Have you taken all of your medications today?",
+  medicationQuestion: "Have you taken your {medication} today?",
+  firstMedicationQuestion: "I'll ask about each of your medications in turn. First, have you taken your {medication} today?",
+  nextMedicationPrefix: "Thank you.",
+  maxRetries: "We haven't received a clear response. Your healthcare provider will be notified. Please remember to take your medications as prescribed. Thank you and have a nice day.",
+  voicemail: "We called to check on your medication but couldn't reach you. Please call us back or take your medications if you haven't done so.",
+  positive: "Thank you for confirming you've taken your medications. Have a nice day.",
+  negative: "Thank you for letting us know. Please take your medications as prescribed. Your health provider will be notified about this. Have a nice day.",
+  partial: "Thank you for your response. I've noted that you've taken some but not all of your medications. Please remember to take all your prescribed medications. Your health provider will be notified. Have a nice day.",
+  partialMissed: "Thank you for your response. I've noted that you haven't taken your {medications} today. Please remember to take all your prescribed medications. Your health provider will be notified. Have a nice day.",
+  unclear: "Thank you for your response. If you haven't taken all your medications yet, please do so as prescribed. Have a nice day.",
+  fallbackThanks: "Thank you for your response. Have a nice day.",
+  smsClarify: "Sorry, we didn't understand your reply. Please reply YES if you have taken your medications today or NO if you haven't.",
+  smsOptOut: "You will no longer receive medication reminder calls or texts. Reply START to turn them back on.",
+  smsOptIn: "Medication reminder calls and texts are back on. Reply STOP to turn them off, or HELP for help.",
+  smsHelp: "Medication reminders from your healthcare provider. Reply STOP to turn off reminder calls and texts, or START to turn them back on. For anything else, please contact your healthcare provider.",
+  inboundGreeting: "Thank you for calling us back.",
+  inboundNoCheckIn: "Thank you for calling. There is no medication check-in waiting for you today. If you need help, please contact your healthcare provider. Goodbye.",
+  inboundUnknown: "Thank you for calling. We couldn't match this phone number to a patient. Please contact your healthcare provider directly. Goodbye.",
+  listConjunction: 'and'
+};
@@ -0,0 +1,32 @@
+/**
+ * Spanish message catalog
+ *
+ * @module locales/es
+ */
+module.exports = {
+  reminderGreeting: "Hola, le llamamos de parte de su proveedor de atención médica para confirmar sus medicamentos del día.",
+  confirmMedications: "Por favor, confirme si ya tomó sus medicamentos hoy.",
+  retry: "Disculpe, no le entendí. ¿Podría repetir si ya tomó sus medicamentos hoy?",
+  retryPrefix: "Disculpe, no le entendí.",
+  clarifyPrefix: "Disculpe, no le entendí bien. Por favor responda sí o no.",
+  allMedicationsQuestion: "¿Ya tomó todos sus medicamentos hoy?",
+  medicationQuestion: "¿Ya tomó su {medication} hoy?",
+  firstMedicationQuestion: "Le voy a preguntar por cada uno de sus medicamentos. Primero, ¿ya tomó su {medication} hoy?",
+  nextMedicationPrefix: "Gracias.",
+  maxRetries: "No hemos recibido una respuesta clara. Se le notificará a su proveedor de salud. Por favor recuerde tomar sus medicamentos según lo indicado. Gracias y que tenga un buen día.",
+  voicemail: "Le llamamos para preguntarle por sus medicamentos, pero no pudimos comunicarnos con usted. Por favor devuélvanos la llamada o tome sus medicamentos si todavía no lo ha hecho.",
+  positive: "Gracias por confirmar que tomó sus medicamentos. Que tenga un buen día.",
+  negative: "Gracias por avisarnos. Por favor tome sus medicamentos según lo indicado. Se le notificará a su proveedor de salud. Que tenga un buen día.",
+  partial: "Gracias por su respuesta. He anotado que tomó algunos de sus medicamentos, pero no todos. Por favor recuerde tomar todos sus medicamentos recetados. Se le notificará a su proveedor de salud. Que tenga un buen día.",
+  partialMissed: "Gracias por su respuesta. He anotado que hoy no ha tomado su {medications}. Por favor recuerde tomar todos sus medicamentos recetados. Se le notificará a su proveedor de salud. Que tenga un buen día.",
+  unclear: "Gracias por su respuesta. Si todavía no ha tomado todos sus medicamentos, por favor hágalo según lo indicado. Que tenga un buen día.",
+  fallbackThanks: "Gracias por su respuesta. Que tenga un buen día.",
+  smsClarify: "Lo sentimos, no entendimos su respuesta. Responda SÍ si ya tomó sus medicamentos hoy o NO si todavía no los ha tomado.",
+  smsOptOut: "Ya no recibirá llamadas ni mensajes de recordatorio de medicamentos. Responda START para volver a activarlos.",
+  smsOptIn: "Se reactivaron las llamadas y los mensajes de recordatorio de medicamentos. Responda STOP para desactivarlos o HELP para obtener ayuda.",
+  smsHelp: "Recordatorios de medicamentos de su proveedor de salud. Responda STOP para desactivar las llamadas y los mensajes de recordatorio, o START para volver a activarlos. Para cualquier otra consulta, comuníquese con su proveedor de salud.",
+  inboundGreeting: "Gracias por devolvernos la llamada.",
+  inboundNoCheckIn: "Gracias por llamar. Hoy no tiene ninguna consulta de medicamentos pendiente. Si necesita ayuda, comuníquese con su proveedor de salud. Adiós.",
+  inboundUnknown: "Gracias por llamar. No pudimos asociar este número de teléfono con un paciente. Comuníquese directamente con su proveedor de salud. Adiós.",
+  listConjunction: 'y'
+};
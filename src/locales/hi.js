@@ -0,0 +1,32 @@
+/**
+ * Hindi message catalog
+ *
+ * @module locales/hi
+ */
+module.exports = {
+  reminderGreeting: "नमस्ते, यह आपके स्वास्थ्य सेवा प्रदाता की ओर से आज की दवाइयों की पुष्टि के लिए एक रिमाइंडर है।",
+  confirmMedications: "कृपया बताइए कि क्या आपने आज अपनी दवाइयाँ ले ली हैं।",
+  retry: "माफ़ कीजिए, मैं समझ नहीं पाई। क्या आप फिर से बता सकते हैं कि आपने आज अपनी दवाइयाँ ले ली हैं?",
+  retryPrefix: "माफ़ कीजिए, मैं समझ नहीं पाई।",
+  clarifyPrefix: "माफ़ कीजिए, मैं ठीक से समझ नहीं पाई। कृपया हाँ या नहीं में जवाब दीजिए।",
+  allMedicationsQuestion: "क्या आपने आज अपनी सभी दवाइयाँ ले ली हैं?",
+  medicationQuestion: "क्या आपने आज अपनी {medication} ले ली है?",
+  firstMedicationQuestion: "मैं आपकी हर दवा के बारे में एक-एक करके पूछूँगी। सबसे पहले, क्या आपने आज अपनी {medication} ले ली है?",
+  nextMedicationPrefix: "धन्यवाद।",
+  maxRetries: "हमें कोई स्पष्ट जवाब नहीं मिला। आपके स्वास्थ्य सेवा प्रदाता को सूचित किया जाएगा। कृपया अपनी दवाइयाँ बताए अनुसार लेना याद रखें। धन्यवाद, आपका दिन शुभ हो।",
+  voicemail: "हमने आपकी दवाइयों के बारे में पूछने के लिए फ़ोन किया था, लेकिन आपसे बात नहीं हो पाई। कृपया हमें वापस कॉल करें, या अगर आपने अभी तक अपनी दवाइयाँ नहीं ली हैं तो ले लें।",
+  positive: "यह पुष्टि करने के लिए धन्यवाद कि आपने अपनी दवाइयाँ ले ली हैं। आपका दिन शुभ हो।",
+  negative: "हमें बताने के लिए धन्यवाद। कृपया अपनी दवाइयाँ बताए अनुसार लें। आपके स्वास्थ्य सेवा प्रदाता को इसकी सूचना दी जाएगी। आपका दिन शुभ हो।",
+  partial: "आपके जवाब के लिए धन्यवाद। मैंने नोट किया है कि आपने अपनी कुछ दवाइयाँ ली हैं, लेकिन सभी नहीं। कृपया अपनी सभी दवाइयाँ लेना याद रखें। आपके स्वास्थ्य सेवा प्रदाता को सूचित किया जाएगा। आपका दिन शुभ हो।",
+  partialMissed: "आपके जवाब के लिए धन्यवाद। मैंने नोट किया है कि आपने आज अपनी {medications} नहीं ली है। कृपया अपनी सभी दवाइयाँ लेना याद रखें। आपके स्वास्थ्य सेवा प्रदाता को सूचित किया जाएगा। आपका दिन शुभ हो।",
+  unclear: "आपके जवाब के लिए धन्यवाद। अगर आपने अभी तक अपनी सभी दवाइयाँ नहीं ली हैं, तो कृपया उन्हें बताए अनुसार ले लें। आपका दिन शुभ हो।",
+  fallbackThanks: "आपके जवाब के लिए धन्यवाद। आपका दिन शुभ हो।",
+  smsClarify: "क्षमा करें, हम आपका जवाब समझ नहीं पाए। अगर आपने आज अपनी दवाइयाँ ले ली हैं तो हाँ लिखें, और अगर नहीं ली हैं तो नहीं लिखें।",
+  smsOptOut: "अब आपको दवा याद दिलाने वाली कॉल या मैसेज नहीं मिलेंगे। इन्हें फिर से चालू करने के लिए START लिखकर भेजें।",
+  smsOptIn: "दवा याद दिलाने वाली कॉल और मैसेज फिर से चालू हो गए हैं। इन्हें बंद करने के लिए STOP, या मदद के लिए HELP लिखकर भेजें।",
+  smsHelp: "आपके स्वास्थ्य सेवा प्रदाता की ओर से दवा रिमाइंडर। रिमाइंडर कॉल और मैसेज बंद करने के लिए STOP, या फिर से चालू करने के लिए START लिखकर भेजें। किसी और बात के लिए कृपया अपने स्वास्थ्य सेवा प्रदाता से संपर्क करें।",
+  inboundGreeting: "हमें वापस कॉल करने के लिए धन्यवाद।",
+  inboundNoCheckIn: "कॉल करने के लिए धन्यवाद। आज आपके लिए कोई दवा जाँच बाकी नहीं है। अगर आपको मदद चाहिए, तो कृपया अपने स्वास्थ्य सेवा प्रदाता से संपर्क करें। नमस्ते।",
+  inboundUnknown: "कॉल करने के लिए धन्यवाद। हम इस फ़ोन नंबर को किसी मरीज़ से नहीं जोड़ पाए। कृपया सीधे अपने स्वास्थ्य सेवा प्रदाता से संपर्क करें। नमस्ते।",
+  listConjunction: 'और'
+};
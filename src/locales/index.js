@@ -0,0 +1,103 @@
+/**
+ * Localization
+ *
+ * Message catalogs and per-language voice settings for calls and SMS.
+ * Any message missing from a catalog falls back to English.
+ *
+ * @module locales
+ */
+const catalogs = {
+  en: require('./en'),
+  es: require('./es'),
+  hi: require('./hi')
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Supported patient languages
+ *
+ * @property {string} speechLanguage - Twilio <Gather> speech recognition language
+ * @property {string} voice - Twilio <Say> voice
+ * @property {string} sayLanguage - Twilio <Say> language
+ * @property {boolean} serialComma - Whether lists use a comma before the conjunction
+ */
+const Languages = {
+  en: { name: 'English', speechLanguage: 'en-US', voice: 'Polly.Joanna', sayLanguage: 'en-US', serialComma: true },
+  es: { name: 'Spanish', speechLanguage: 'es-US', voice: 'Polly.Lupe', sayLanguage: 'es-US', serialComma: false },
+  hi: { name: 'Hindi', speechLanguage: 'hi-IN', voice: 'Polly.Aditi', sayLanguage: 'hi-IN', serialComma: false }
+};
+
+/**
+ * Checks whether a language code is supported
+ *
+ * @param {string} language - Language code (e.g., es)
+ * @returns {boolean} - Whether the language is supported
+ */
+const isSupportedLanguage = (language) => Object.prototype.hasOwnProperty.call(Languages, language);
+
+/**
+ * Resolves a language code, falling back to English when unsupported
+ *
+ * @param {string} [language] - Language code
+ * @returns {string} - Supported language code
+ */
+const resolveLanguage = (language) => (isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE);
+
+/**
+ * Gets the voice settings for a language
+ *
+ * @param {string} [language] - Language code
+ * @returns {Object} - Entry from Languages
+ */
+const getVoiceSettings = (language) => Languages[resolveLanguage(language)];
+
+/**
+ * Gets a translated message
+ *
+ * @param {string} language - Language code
+ * @param {string} key - Message key
+ * @param {Object} [params={}] - Values for {placeholders}
+ * @returns {string} - Translated message, or the English one if untranslated
+ * @throws {Error} - If the key is missing from the English catalog too
+ */
+const translate = (language, key, params = {}) => {
+  const catalog = catalogs[resolveLanguage(language)];
+  const template = catalog[key] !== undefined ? catalog[key] : catalogs[DEFAULT_LANGUAGE][key];
+
+  if (template === undefined) {
+    throw new Error(`Missing message: ${key}`);
+  }
+
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (
+    params[name] !== undefined ? params[name] : placeholder
+  ));
+};
+
+/**
+ * Joins items into a spoken list (e.g., "A, B, and C")
+ *
+ * @param {string} language - Language code
+ * @param {string[]} items - Items to join
+ * @returns {string} - Spoken list
+ */
+const formatList = (language, items) => {
+  const conjunction = translate(language, 'listConjunction');
+
+  if (items.length <= 2) {
+    return items.join(` ${conjunction} `);
+  }
+
+  const separator = getVoiceSettings(language).serialComma ? ',' : '';
+  return `${items.slice(0, -1).join(', ')}${separator} ${conjunction} ${items[items.length - 1]}`;
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  Languages,
+  isSupportedLanguage,
+  resolveLanguage,
+  getVoiceSettings,
+  translate,
+  formatList
+};
@@ -0,0 +1,79 @@
+/**
+ * Admin API authentication and role-based authorization middleware
+ * 
+ * Clients authenticate with an API key sent as `Authorization: Bearer <key>`
+ * or `X-API-Key: <key>`. The admin role is allowed on every route.
+ * 
+ * @module middleware/auth
+ */
+const apiKeyService = require('../services/apiKeyService');
+const config = require('../config');
+const logger = require('../utils/logger');
+const Roles = require('../config/roles');
+const { AppError, ErrorTypes } = require('./errorHandler');
+
+/**
+ * Extracts the API key from the request headers
+ * 
+ * @param {Object} req - Express request object
+ * @returns {string|null} - API key or null if none was sent
+ */
+const extractApiKey = (req) => {
+  const authorization = req.get('Authorization');
+  
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  
+  return req.get('X-API-Key') || null;
+};
+
+/**
+ * Creates middleware that authenticates the caller and requires one of the given roles
+ * 
+ * Authentication can be disabled for local development with AUTH_ENABLED=false,
+ * in which case every request is treated as an admin.
+ * 
+ * @param {...string} roles - Roles allowed in addition to admin
+ * @returns {Function} - Express middleware
+ */
+const requireRole = (...roles) => async (req, res, next) => {
+  if (!config.auth.enabled) {
+    req.auth = { keyId: 'auth-disabled', name: 'Authentication disabled', role: Roles.ADMIN };
+    return next();
+  }
+  
+  try {
+    const identity = await apiKeyService.verifyKey(extractApiKey(req));
+    
+    if (!identity) {
+      return next(new AppError('A valid API key is required', ErrorTypes.AUTHENTICATION_ERROR));
+    }
+    
+    req.auth = identity;
+    
+    if (identity.role !== Roles.ADMIN && !roles.includes(identity.role)) {
+      logger.warn({
+        event: 'authorization_denied',
+        keyId: identity.keyId,
+        role: identity.role,
+        method: req.method,
+        path: req.originalUrl,
+        requestId: req.requestId
+      });
+      return next(new AppError(
+        `Role "${identity.role}" is not allowed to perform this action`,
+        ErrorTypes.AUTHORIZATION_ERROR
+      ));
+    }
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requireRole,
+  Roles
+};
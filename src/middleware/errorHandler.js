@@ -16,6 +16,7 @@ const ErrorTypes = {
   AUTHENTICATION_ERROR: 'AUTHENTICATION_ERROR',
   AUTHORIZATION_ERROR: 'AUTHORIZATION_ERROR',
   NOT_FOUND_ERROR: 'NOT_FOUND_ERROR',
+  CONTACT_BLOCKED: 'CONTACT_BLOCKED',
   INTERNAL_ERROR: 'INTERNAL_ERROR'
 };
 
@@ -29,6 +30,7 @@ const ErrorStatusCodes = {
   [ErrorTypes.AUTHENTICATION_ERROR]: 401,
   [ErrorTypes.AUTHORIZATION_ERROR]: 403,
   [ErrorTypes.NOT_FOUND_ERROR]: 404,
+  [ErrorTypes.CONTACT_BLOCKED]: 409,
   [ErrorTypes.INTERNAL_ERROR]: 500
 };
 
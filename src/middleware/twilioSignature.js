@@ -0,0 +1,64 @@
+/**
+ * Twilio webhook signature validation middleware
+ * Rejects webhook requests that were not signed by Twilio
+ * 
+ * @module middleware/twilioSignature
+ */
+const twilio = require('twilio');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { AppError, ErrorTypes } = require('./errorHandler');
+
+/**
+ * Checks a Twilio request signature
+ * 
+ * @param {string} signature - X-Twilio-Signature header value
+ * @param {string} url - Full public URL Twilio requested
+ * @param {Object} [params={}] - POST parameters
+ * @returns {boolean} - Whether the signature is valid
+ */
+const isValidTwilioSignature = (signature, url, params = {}) => {
+  return Boolean(signature) &&
+    Boolean(config.twilio.authToken) &&
+    twilio.validateRequest(config.twilio.authToken, signature, url, params);
+};
+
+/**
+ * Validates the X-Twilio-Signature header of a webhook request
+ * 
+ * The signature is computed by Twilio over the full public URL it called
+ * plus the POST parameters, so the URL is rebuilt from the configured
+ * webhook base URL rather than from the (possibly proxied) request host.
+ * Validation can be disabled for local development with
+ * TWILIO_VALIDATE_SIGNATURE=false.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateTwilioSignature = (req, res, next) => {
+  if (!config.twilio.validateSignature) {
+    return next();
+  }
+  
+  const signature = req.get('X-Twilio-Signature');
+  const url = `${config.twilio.webhookUrl}${req.originalUrl}`;
+  
+  if (!isValidTwilioSignature(signature, url, req.body || {})) {
+    logger.warn({
+      event: 'twilio_signature_rejected',
+      path: req.path,
+      hasSignature: Boolean(signature),
+      callSid: req.body && req.body.CallSid,
+      requestId: req.requestId
+    });
+    return next(new AppError('Invalid Twilio request signature', ErrorTypes.AUTHENTICATION_ERROR));
+  }
+  
+  next();
+};
+
+module.exports = {
+  isValidTwilioSignature,
+  validateTwilioSignature
+};
@@ -0,0 +1,60 @@
+/**
+ * API Key Model
+ *
+ * Defines the schema for admin API keys. Only a SHA-256 hash of each
+ * key is stored; the plaintext key is shown once when it is created.
+ * Stored with the configured storage adapter (see repositories).
+ *
+ * @module models/apiKey
+ */
+const mongoose = require('mongoose');
+const storage = require('../repositories');
+const Roles = require('../config/roles');
+
+/**
+ * API Key Schema
+ *
+ * @property {string} name - Human-readable label (e.g., "Dr. Smith's dashboard")
+ * @property {string} keyHash - SHA-256 hash of the key
+ * @property {string} prefix - First characters of the key, for identification in listings
+ * @property {string} role - Role granted to the key
+ * @property {boolean} active - False once the key is revoked
+ * @property {Date} lastUsedAt - When the key last authenticated a request
+ */
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: Object.values(Roles),
+    required: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+const ApiKey = storage.createRepository('ApiKey', {
+  schema: apiKeySchema,
+  defaults: { active: true, lastUsedAt: null }
+});
+
+module.exports = ApiKey;
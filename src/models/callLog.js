@@ -1,25 +1,227 @@
 /**
  * Call Log Model
  * 
- * Defines the schema for storing call logs in MongoDB.
- * Implements graceful fallback when database is not available.
+ * Defines the schema for storing call logs.
+ * Stored with the configured storage adapter (see repositories).
  * 
  * @module models/callLog
  */
 const mongoose = require('mongoose');
-const config = require('../config');
+const storage = require('../repositories');
+const CallStates = require('../config/callStates');
+const RecordingStatuses = require('../config/recordingStatuses');
+
+/**
+ * Medication Result Schema
+ * 
+ * @property {string} name - Medication asked about
+ * @property {string} dose - Dose at the time of the call
+ * @property {string} response - Transcribed answer for this medication
+ * @property {string} result - Whether the dose was taken
+ * @property {number} confidence - Classifier confidence in the result
+ * @property {Date} timestamp - When the answer was given
+ */
+const medicationResultSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  dose: {
+    type: String,
+    default: null
+  },
+  response: {
+    type: String,
+    default: null
+  },
+  result: {
+    type: String,
+    enum: ['Taken', 'Missed', 'Unclear'],
+    required: true
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Notification Schema
+ * 
+ * @property {string} channel - Channel used (sms, email or webhook)
+ * @property {string} address - Where the notification was sent
+ * @property {string} status - Whether delivery succeeded
+ * @property {string} error - Delivery error, for failed notifications
+ * @property {Date} timestamp - When delivery was attempted
+ */
+const notificationSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    required: true
+  },
+  address: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['Sent', 'Failed'],
+    required: true
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Status Transition Schema
+ * 
+ * @property {string} from - State before the transition (null when the call was created)
+ * @property {string} to - State after the transition
+ * @property {string} providerStatus - Provider status the state was mapped from, if any
+ * @property {string} source - What requested the transition (e.g., status-callback, amd)
+ * @property {Date} timestamp - When the transition was applied
+ */
+const statusTransitionSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    enum: Object.values(CallStates),
+    required: true
+  },
+  providerStatus: {
+    type: String,
+    default: null
+  },
+  source: {
+    type: String,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Recording Schema
+ * 
+ * @property {string} sid - Provider recording SID
+ * @property {string} status - Pending, Stored, Transcribed or Failed
+ * @property {number} durationSeconds - Length reported by the provider
+ * @property {string} blobKey - Key of the audio in the blob store, once stored
+ * @property {string} contentType - MIME type of the stored audio
+ * @property {number} size - Size of the stored audio in bytes
+ * @property {string} error - Why the recording or its transcription failed
+ * @property {Date} storedAt - When the audio was stored
+ */
+const recordingSchema = new mongoose.Schema({
+  sid: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(RecordingStatuses),
+    required: true
+  },
+  durationSeconds: {
+    type: Number,
+    default: null
+  },
+  blobKey: {
+    type: String,
+    default: null
+  },
+  contentType: {
+    type: String,
+    default: null
+  },
+  size: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  storedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * Transcript Schema
+ * 
+ * @property {string} text - Full transcript of the recording
+ * @property {Array} utterances - Speaker turns with { speaker, start, end, text }, times in seconds
+ * @property {string} language - Language the recording was transcribed in
+ * @property {Date} transcribedAt - When the transcript was made
+ */
+const transcriptSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    default: ''
+  },
+  utterances: {
+    type: [{
+      speaker: Number,
+      start: Number,
+      end: Number,
+      text: String,
+      _id: false
+    }],
+    default: []
+  },
+  language: {
+    type: String,
+    default: null
+  },
+  transcribedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 /**
  * Call Log Schema
  * 
  * @property {string} callSid - Twilio Call SID (unique identifier)
- * @property {string} status - Current status of the call
+ * @property {string} status - Current call state, changed through services/callLifecycle
+ * @property {Array} statusHistory - Every status transition, oldest first
+ * @property {ObjectId} patientId - Registered patient the call was made for
+ * @property {ObjectId} scheduleId - Schedule that triggered the call, if any
+ * @property {ObjectId} campaignId - Campaign that placed the call, if any
  * @property {string} patientPhoneNumber - Patient's phone number
+ * @property {number} attempt - Attempt number in a redial chain (1 for the first call)
+ * @property {string} originalCallSid - First call of the redial chain, for redials
+ * @property {string} answeredBy - Answering machine detection result (e.g., human, machine_end_beep)
  * @property {string} patientResponse - Transcribed response from the patient
- * @property {string} adherenceStatus - Medication adherence status
- * @property {string} recordingUrl - URL to the call recording
+ * @property {string} adherenceStatus - Medication adherence status, derived from medicationResults when present
+ * @property {number} adherenceConfidence - Classifier confidence for a single-question check-in
+ * @property {Array} medicationResults - Per-medication answers from the check-in
+ * @property {string} recordingUrl - Provider media URL of the call recording
+ * @property {Object} recording - Recording stored for playback, for patients who consented
+ * @property {Object} transcript - Transcript of the whole recorded call
  * @property {Date} timestamp - When the call was made
  * @property {boolean} notificationSent - Whether a notification was sent to healthcare provider
+ * @property {Array} notifications - Every provider notification attempt, including failures
+ * @property {Date} redialsExhaustedAt - On the first call of a redial chain, when its redials ran out
  */
 const callLogSchema = new mongoose.Schema({
   callSid: {
@@ -30,15 +232,49 @@ const callLogSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Initiated', 'Ringing', 'In-Progress', 'Answered', 'Completed', 'Failed', 'Busy', 'No Answer', 'Voicemail Left', 'SMS Sent'],
+    enum: Object.values(CallStates),
     required: true,
     index: true
   },
+  statusHistory: {
+    type: [statusTransitionSchema],
+    default: []
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    default: null,
+    index: true
+  },
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Schedule',
+    default: null
+  },
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null
+  },
   patientPhoneNumber: {
     type: String,
     required: true,
     index: true
   },
+  attempt: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  originalCallSid: {
+    type: String,
+    default: null,
+    index: true
+  },
+  answeredBy: {
+    type: String,
+    default: null
+  },
   patientResponse: {
     type: String,
     default: null
@@ -49,10 +285,28 @@ const callLogSchema = new mongoose.Schema({
     default: 'Unknown',
     index: true
   },
+  adherenceConfidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: null
+  },
+  medicationResults: {
+    type: [medicationResultSchema],
+    default: []
+  },
   recordingUrl: {
     type: String,
     default: null
   },
+  recording: {
+    type: recordingSchema,
+    default: null
+  },
+  transcript: {
+    type: transcriptSchema,
+    default: null
+  },
   timestamp: {
     type: Date,
     default: Date.now,
@@ -61,12 +315,22 @@ const callLogSchema = new mongoose.Schema({
   notificationSent: {
     type: Boolean,
     default: false
+  },
+  notifications: {
+    type: [notificationSchema],
+    default: []
+  },
+  redialsExhaustedAt: {
+    type: Date,
+    default: null
   }
 });
 
 // Compound indexes for common query patterns
 callLogSchema.index({ patientPhoneNumber: 1, timestamp: -1 });
 callLogSchema.index({ adherenceStatus: 1, timestamp: -1 });
+callLogSchema.index({ patientId: 1, timestamp: -1 });
+callLogSchema.index({ timestamp: -1, callSid: -1 });
 
 // Virtual for human-readable time
 callLogSchema.virtual('formattedTimestamp').get(function() {
@@ -78,55 +342,27 @@ callLogSchema.pre('save', function(next) {
   next();
 });
 
-// Setup mock object for when database is unavailable
-const mockCallLog = {
-  create: async (data) => {
-    console.log('Mock database: Created call log', data);
-    return data;
-  },
-  find: async () => {
-    console.log('Mock database: Find operation called');
-    return [];
-  },
-  findOneAndUpdate: async (query, update) => {
-    console.log('Mock database: Updated call log', { query, update });
-    return { ...query, ...update };
-  },
-  countDocuments: async () => {
-    console.log('Mock database: Count documents called');
-    return 0;
+const CallLog = storage.createRepository('CallLog', {
+  schema: callLogSchema,
+  defaults: {
+    statusHistory: [],
+    patientId: null,
+    scheduleId: null,
+    campaignId: null,
+    attempt: 1,
+    originalCallSid: null,
+    answeredBy: null,
+    patientResponse: null,
+    adherenceStatus: 'Unknown',
+    adherenceConfidence: null,
+    medicationResults: [],
+    recordingUrl: null,
+    recording: null,
+    transcript: null,
+    notificationSent: false,
+    notifications: [],
+    redialsExhaustedAt: null
   }
-};
-
-// Conditionally connect to database if URI is provided
-let CallLog;
-
-if (process.env.MONGODB_URI) {
-  try {
-    // Use existing model if it exists
-    CallLog = mongoose.model('CallLog');
-  } catch (error) {
-    // Create new model if it doesn't exist
-    CallLog = mongoose.model('CallLog', callLogSchema);
-  }
-  
-  // Connect to MongoDB if not already connected
-  if (mongoose.connection.readyState === 0) {
-    mongoose.connect(process.env.MONGODB_URI, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-      serverSelectionTimeoutMS: 5000, // Fail fast if MongoDB unavailable
-    })
-      .then(() => console.log('Connected to MongoDB'))
-      .catch(err => {
-        console.error('MongoDB connection error:', err);
-        console.log('Running without database support');
-        CallLog = mockCallLog;
-      });
-  }
-} else {
-  console.log('No MongoDB URI provided. Running without database support.');
-  CallLog = mockCallLog;
-}
+});
 
-module.exports = CallLog;
\ No newline at end of file
+module.exports = CallLog;
@@ -0,0 +1,71 @@
+/**
+ * Campaign Model
+ *
+ * Defines the schema for bulk reminder campaigns. The calls of a campaign
+ * are stored as CampaignCall documents and placed by the campaign runner.
+ * Stored with the configured storage adapter (see repositories).
+ *
+ * @module models/campaign
+ */
+const mongoose = require('mongoose');
+const storage = require('../repositories');
+const { CampaignStatuses } = require('../config/campaignStatuses');
+
+/**
+ * Campaign Schema
+ *
+ * @property {string} name - Display name
+ * @property {string} status - Running, Paused, Canceled or Completed
+ * @property {number} concurrency - Most calls of the campaign in progress at once
+ * @property {number} callsPerSecond - Most calls the campaign places per second
+ * @property {number} totalCalls - Number of calls queued when the campaign was created
+ * @property {string} createdBy - ID of the API key that created the campaign
+ * @property {Date} completedAt - When the last call finished or the campaign was canceled
+ */
+const campaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(CampaignStatuses),
+    default: CampaignStatuses.RUNNING,
+    index: true
+  },
+  concurrency: {
+    type: Number,
+    min: 1,
+    required: true
+  },
+  callsPerSecond: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  totalCalls: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  createdBy: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+const Campaign = storage.createRepository('Campaign', {
+  schema: campaignSchema,
+  defaults: {
+    status: CampaignStatuses.RUNNING,
+    createdBy: null,
+    completedAt: null
+  }
+});
+
+module.exports = Campaign;
@@ -0,0 +1,85 @@
+/**
+ * Campaign Call Model
+ *
+ * Defines the schema for the calls of a bulk campaign, in the order they
+ * are placed. Stored with the configured storage adapter (see repositories).
+ *
+ * @module models/campaignCall
+ */
+const mongoose = require('mongoose');
+const storage = require('../repositories');
+const { CampaignCallStatuses } = require('../config/campaignStatuses');
+
+/**
+ * Campaign Call Schema
+ *
+ * @property {ObjectId} campaignId - Campaign the call belongs to
+ * @property {number} position - Order in which calls are placed, from 1
+ * @property {ObjectId} patientId - Patient to call, if the call is for a registered patient
+ * @property {string} phoneNumber - Number to call in E.164 format
+ * @property {string} status - Queued, Placing, In Progress, or how the call ended
+ * @property {string} callSid - Call SID once placed
+ * @property {Date} placedAt - When the call was claimed for placing
+ * @property {Date} finishedAt - When the call's final status was recorded
+ * @property {string} lastError - Why the call failed
+ */
+const campaignCallSchema = new mongoose.Schema({
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  position: {
+    type: Number,
+    min: 1,
+    required: true
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    default: null
+  },
+  phoneNumber: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(CampaignCallStatuses),
+    default: CampaignCallStatuses.QUEUED
+  },
+  callSid: {
+    type: String,
+    default: null,
+    index: true
+  },
+  placedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+// Next queued call of a campaign, and progress counts per status
+campaignCallSchema.index({ campaignId: 1, status: 1, position: 1 });
+
+const CampaignCall = storage.createRepository('CampaignCall', {
+  schema: campaignCallSchema,
+  defaults: {
+    patientId: null,
+    status: CampaignCallStatuses.QUEUED,
+    callSid: null,
+    placedAt: null,
+    finishedAt: null,
+    lastError: null
+  }
+});
+
+module.exports = CampaignCall;
@@ -0,0 +1,99 @@
+/**
+ * Job Model
+ *
+ * Defines the schema for queued work (reminder calls, SMS and recording
+ * processing). Jobs are stored before they run, so work not yet done when
+ * the process stops is picked up on the next start.
+ * Stored with the configured storage adapter (see repositories).
+ *
+ * @module models/job
+ */
+const mongoose = require('mongoose');
+const storage = require('../repositories');
+const { JobTypes, JobStatuses } = require('../config/jobStatuses');
+
+/**
+ * Job Schema
+ *
+ * @property {string} type - Kind of work (call, sms or recording)
+ * @property {Object} payload - Input of the job's handler
+ * @property {string} status - Pending, Running, Succeeded, Blocked or Dead
+ * @property {number} attempts - Attempts started so far
+ * @property {number} maxAttempts - Attempts allowed before the job is dead
+ * @property {Date} runAt - When the job is next due
+ * @property {Date} lockedAt - When the current attempt started
+ * @property {string} lastError - Error of the latest failed attempt
+ * @property {Object} result - Output of the handler (e.g., the Call SID), or { reason } of a blocked job
+ * @property {Date} completedAt - When the job succeeded, was blocked or died
+ * @property {string} requestId - Request that queued the job, for log correlation
+ */
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(JobTypes),
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: Object.values(JobStatuses),
+    default: JobStatuses.PENDING
+  },
+  attempts: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    min: 1,
+    required: true
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  requestId: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+// Due jobs, and the dead-letter list by type
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, type: 1, updatedAt: -1 });
+
+const Job = storage.createRepository('Job', {
+  schema: jobSchema,
+  defaults: {
+    payload: {},
+    status: JobStatuses.PENDING,
+    attempts: 0,
+    lockedAt: null,
+    lastError: null,
+    result: null,
+    completedAt: null,
+    requestId: null
+  }
+});
+
+module.exports = Job;
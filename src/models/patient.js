@@ -0,0 +1,200 @@
+/**
+ * Patient Model
+ *
+ * Defines the schema for patients and their medication regimens.
+ * Stored with the configured storage adapter (see repositories).
+ *
+ * @module models/patient
+ */
+const mongoose = require('mongoose');
+const storage = require('../repositories');
+const { E164_PATTERN, TIME_OF_DAY_PATTERN, isValidTimezone } = require('../utils/validators');
+const { Languages, DEFAULT_LANGUAGE } = require('../locales');
+const NotificationChannels = require('../config/notificationChannels');
+const ConsentChannels = require('../config/consentChannels');
+
+/**
+ * Medication Schema
+ *
+ * @property {string} name - Medication name as spoken to the patient
+ * @property {string} dose - Dose description (e.g., "81 mg")
+ * @property {string[]} times - Daily dose times in 24-hour HH:MM format
+ */
+const medicationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  dose: {
+    type: String,
+    default: null
+  },
+  times: {
+    type: [{
+      type: String,
+      match: TIME_OF_DAY_PATTERN
+    }],
+    default: []
+  }
+}, { _id: false });
+
+/**
+ * Provider Contact Schema
+ *
+ * @property {string} name - Provider or care team name
+ * @property {string} channel - How to notify them (sms, email or webhook)
+ * @property {string} address - Phone number, email address or webhook URL for the channel
+ */
+const providerContactSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  channel: {
+    type: String,
+    enum: Object.values(NotificationChannels),
+    required: true
+  },
+  address: {
+    type: String,
+    required: true,
+    trim: true
+  }
+}, { _id: false });
+
+/**
+ * Redial Policy Schema
+ *
+ * Per-patient overrides of the global redial policy; unset fields use config.redial.
+ *
+ * @property {number} maxRedials - Calls placed after an unanswered first call
+ * @property {number} backoffMs - Wait before the first redial
+ * @property {number} backoffMultiplier - Growth of the wait between later redials
+ * @property {number} smsFallbackAttempt - Attempt whose failure sends the SMS fallback
+ */
+const redialPolicySchema = new mongoose.Schema({
+  maxRedials: {
+    type: Number,
+    min: 0
+  },
+  backoffMs: {
+    type: Number,
+    min: 0
+  },
+  backoffMultiplier: {
+    type: Number,
+    min: 1
+  },
+  smsFallbackAttempt: {
+    type: Number,
+    min: 1
+  }
+}, { _id: false });
+
+/**
+ * Consent Record Schema
+ *
+ * @property {boolean} granted - Whether the patient agreed to the channel
+ * @property {string} source - How the consent was given or withdrawn (api or sms-keyword)
+ * @property {Date} updatedAt - When it was given or withdrawn
+ */
+const consentRecordSchema = new mongoose.Schema({
+  granted: {
+    type: Boolean,
+    required: true
+  },
+  source: {
+    type: String,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Consent Schema
+ *
+ * One record per channel; a channel without a record uses the default of
+ * the compliance service (calls and SMS allowed, recording not).
+ */
+const consentSchema = new mongoose.Schema(
+  Object.values(ConsentChannels).reduce((fields, channel) => ({
+    ...fields,
+    [channel]: { type: consentRecordSchema, default: null }
+  }), {}),
+  { _id: false }
+);
+
+/**
+ * Patient Schema
+ *
+ * @property {string} name - Patient's name
+ * @property {string} phoneNumber - Patient's phone number in E.164 format
+ * @property {string} timezone - IANA timezone used for scheduling
+ * @property {string} language - Language used for calls and messages (e.g., es)
+ * @property {Array} medications - Medication regimen
+ * @property {Array} providerContacts - Providers notified when doses are missed or unconfirmed
+ * @property {Object} redialPolicy - Overrides of the global redial policy
+ * @property {Object} consent - Consent records for voice, sms and recording
+ */
+const patientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  phoneNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+    match: E164_PATTERN
+  },
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimezone,
+      message: props => `${props.value} is not a valid IANA timezone`
+    }
+  },
+  language: {
+    type: String,
+    enum: Object.keys(Languages),
+    default: DEFAULT_LANGUAGE
+  },
+  medications: {
+    type: [medicationSchema],
+    default: []
+  },
+  providerContacts: {
+    type: [providerContactSchema],
+    default: []
+  },
+  redialPolicy: {
+    type: redialPolicySchema,
+    default: null
+  },
+  consent: {
+    type: consentSchema,
+    default: null
+  }
+}, { timestamps: true });
+
+const Patient = storage.createRepository('Patient', {
+  schema: patientSchema,
+  defaults: {
+    timezone: 'UTC',
+    language: DEFAULT_LANGUAGE,
+    medications: [],
+    providerContacts: [],
+    redialPolicy: null,
+    consent: null
+  }
+});
+
+module.exports = Patient;
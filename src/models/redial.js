@@ -0,0 +1,85 @@
+/**
+ * Redial Model
+ *
+ * Defines the schema for redials queued after an unanswered, busy or
+ * failed reminder call. Pending redials are placed by the scheduler when
+ * due, so they survive restarts.
+ * Stored with the configured storage adapter (see repositories).
+ *
+ * @module models/redial
+ */
+const mongoose = require('mongoose');
+const storage = require('../repositories');
+
+/**
+ * Redial Schema
+ *
+ * @property {ObjectId} patientId - Patient to call, if the call was for a registered patient
+ * @property {string} phoneNumber - Number to call in E.164 format
+ * @property {string} originalCallSid - First call of the redial chain
+ * @property {string} previousCallSid - Unanswered call this redial follows
+ * @property {number} attempt - Attempt number the redial will be (2 for the first redial)
+ * @property {Date} dueAt - When the redial should be placed
+ * @property {string} status - Pending until placed, failed to place, or blocked by the patient's consent
+ * @property {string} callSid - Call SID of the redial once placed
+ * @property {string} lastError - Why the redial could not be placed, or was deferred or blocked
+ */
+const redialSchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    default: null
+  },
+  phoneNumber: {
+    type: String,
+    required: true
+  },
+  originalCallSid: {
+    type: String,
+    default: null,
+    index: true
+  },
+  previousCallSid: {
+    type: String,
+    default: null,
+    index: true
+  },
+  attempt: {
+    type: Number,
+    min: 2,
+    required: true
+  },
+  dueAt: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Placing', 'Placed', 'Failed', 'Blocked'],
+    default: 'Pending',
+    index: true
+  },
+  callSid: {
+    type: String,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+const Redial = storage.createRepository('Redial', {
+  schema: redialSchema,
+  defaults: {
+    patientId: null,
+    originalCallSid: null,
+    previousCallSid: null,
+    status: 'Pending',
+    callSid: null,
+    lastError: null
+  }
+});
+
+module.exports = Redial;
@@ -0,0 +1,96 @@
+/**
+ * Schedule Model
+ *
+ * Defines the schema for recurring reminder call schedules.
+ * Stored with the configured storage adapter (see repositories).
+ *
+ * @module models/schedule
+ */
+const mongoose = require('mongoose');
+const storage = require('../repositories');
+const { TIME_OF_DAY_PATTERN, isValidTimezone } = require('../utils/validators');
+
+/**
+ * Schedule Schema
+ *
+ * @property {ObjectId} patientId - Patient to call
+ * @property {string[]} times - Daily call times in 24-hour HH:MM format
+ * @property {number[]} daysOfWeek - Days to call, 0 (Sunday) to 6 (Saturday)
+ * @property {string} timezone - IANA timezone the times are expressed in
+ * @property {boolean} active - Whether the schedule is running or paused
+ * @property {Date} nextRunAt - Next time a call is due
+ * @property {Date} lastRunAt - When the schedule last fired
+ * @property {string} lastCallSid - Call SID of the last scheduled call
+ * @property {string} lastError - Error from the last failed attempt
+ */
+const scheduleSchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true,
+    index: true
+  },
+  times: {
+    type: [{
+      type: String,
+      match: TIME_OF_DAY_PATTERN
+    }],
+    validate: {
+      validator: times => times.length > 0,
+      message: 'At least one call time is required'
+    }
+  },
+  daysOfWeek: {
+    type: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    default: [0, 1, 2, 3, 4, 5, 6]
+  },
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimezone,
+      message: props => `${props.value} is not a valid IANA timezone`
+    }
+  },
+  active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  nextRunAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastCallSid: {
+    type: String,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+const Schedule = storage.createRepository('Schedule', {
+  schema: scheduleSchema,
+  defaults: {
+    daysOfWeek: [0, 1, 2, 3, 4, 5, 6],
+    timezone: 'UTC',
+    active: true,
+    nextRunAt: null,
+    lastRunAt: null,
+    lastCallSid: null,
+    lastError: null
+  }
+});
+
+module.exports = Schedule;
@@ -0,0 +1,214 @@
+/**
+ * Repository Layer
+ *
+ * Every model is a repository: the subset of the Mongoose model API the app
+ * uses, served by the storage adapter selected with STORAGE_ADAPTER:
+ * - memory: kept in process and lost on restart
+ * - jsonl: kept in process and persisted to JSON-lines files
+ * - mongo: MongoDB through Mongoose
+ *
+ * All adapters take the same filters and updates. find also takes
+ * { sort, skip, limit } options, and findOne and findOneAndUpdate take a
+ * sort that picks which match they return. aggregate is only present while MongoDB is
+ * in use.
+ *
+ * MongoDB is connected on first use, and operations wait for the
+ * connection. If it cannot be made, every repository switches to the
+ * STORAGE_FALLBACK adapter before the waiting operations run, so none of
+ * them is sent to a database that is not there.
+ *
+ * @module repositories
+ */
+const mongoose = require('mongoose');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { createMemoryAdapter } = require('./memoryAdapter');
+const { createJsonLinesAdapter } = require('./jsonLinesAdapter');
+const { createMongoAdapter } = require('./mongoAdapter');
+
+/**
+ * Storage adapter names
+ */
+const StorageAdapters = {
+  MEMORY: 'memory',
+  JSON_LINES: 'jsonl',
+  MONGO: 'mongo'
+};
+
+/**
+ * Methods every adapter implements
+ */
+const REPOSITORY_METHODS = [
+  'create',
+  'find',
+  'findOne',
+  'findById',
+  'findOneAndUpdate',
+  'findByIdAndUpdate',
+  'findByIdAndDelete',
+  'countDocuments'
+];
+
+const ADAPTER_FACTORIES = {
+  [StorageAdapters.MEMORY]: (modelName, { schema, defaults }) => createMemoryAdapter(modelName, { schema, defaults }),
+  [StorageAdapters.JSON_LINES]: (modelName, { schema, defaults }) => createJsonLinesAdapter(modelName, {
+    schema,
+    defaults,
+    directory: config.storage.directory
+  }),
+  [StorageAdapters.MONGO]: (modelName, { schema }) => createMongoAdapter(modelName, { schema })
+};
+
+/**
+ * Checks an adapter name
+ *
+ * @param {string} name - Adapter name
+ * @returns {string} - The name
+ * @throws {Error} - If there is no such adapter
+ */
+const validateAdapter = (name) => {
+  if (!ADAPTER_FACTORIES[name]) {
+    throw new Error(`Unknown storage adapter: ${name} (expected ${Object.values(StorageAdapters).join(', ')})`);
+  }
+  return name;
+};
+
+class Storage {
+  constructor() {
+    this.adapter = validateAdapter(config.storage.adapter);
+    this.models = new Map();
+    this.connection = null;
+  }
+
+  /**
+   * Creates the repository of a model
+   *
+   * @param {string} modelName - Model name
+   * @param {Object} definition
+   * @param {mongoose.Schema} definition.schema - Mongoose schema, used with MongoDB and to validate in-process writes
+   * @param {Object} [definition.defaults={}] - Default field values for the in-process adapters
+   * @returns {Object} - Repository
+   */
+  createRepository(modelName, { schema, defaults = {} }) {
+    this.models.set(modelName, { definition: { schema, defaults }, adapters: new Map() });
+
+    const repository = { modelName };
+
+    REPOSITORY_METHODS.forEach(method => {
+      repository[method] = async (...args) => {
+        await this.connect();
+        return this.getAdapter(modelName)[method](...args);
+      };
+    });
+
+    // Callers check for aggregate to choose between a pipeline and counting in process
+    Object.defineProperty(repository, 'aggregate', {
+      enumerable: true,
+      get: () => {
+        if (!this.getAdapter(modelName).aggregate) {
+          return undefined;
+        }
+
+        return async (pipeline) => {
+          await this.connect();
+          const adapter = this.getAdapter(modelName);
+          if (!adapter.aggregate) {
+            throw new Error(`The ${adapter.name} storage adapter does not support aggregation`);
+          }
+          return adapter.aggregate(pipeline);
+        };
+      }
+    });
+
+    return repository;
+  }
+
+  /**
+   * Gets the adapter currently serving a model, creating it on first use
+   *
+   * @param {string} modelName - Model name
+   * @returns {Object} - Storage adapter
+   */
+  getAdapter(modelName) {
+    const model = this.models.get(modelName);
+    if (!model.adapters.has(this.adapter)) {
+      model.adapters.set(this.adapter, ADAPTER_FACTORIES[this.adapter](modelName, model.definition));
+    }
+    return model.adapters.get(this.adapter);
+  }
+
+  /**
+   * Switches every repository to another adapter
+   *
+   * Documents are not copied between adapters.
+   *
+   * @param {string} name - Adapter name
+   * @throws {Error} - If there is no such adapter
+   */
+  use(name) {
+    const previous = this.adapter;
+    this.adapter = validateAdapter(name);
+
+    if (previous !== name) {
+      logger.warn({ event: 'storage_adapter_switched', from: previous, to: name });
+    }
+  }
+
+  /**
+   * Connects to MongoDB when it is the selected adapter
+   *
+   * Safe to call more than once. Never rejects: on failure the fallback
+   * adapter is selected instead.
+   *
+   * @returns {Promise<void>} - Resolves once storage is ready
+   */
+  connect() {
+    if (this.connection) {
+      return this.connection;
+    }
+    if (this.adapter !== StorageAdapters.MONGO) {
+      return Promise.resolve();
+    }
+
+    this.connection = mongoose.connect(config.mongodb.uri, {
+      // Fail fast if MongoDB is unavailable
+      serverSelectionTimeoutMS: config.storage.connectTimeoutMs
+    })
+      .then(() => {
+        logger.info({ event: 'storage_connected', adapter: StorageAdapters.MONGO });
+      })
+      .catch(error => {
+        const fallback = config.storage.fallback === StorageAdapters.JSON_LINES
+          ? StorageAdapters.JSON_LINES
+          : StorageAdapters.MEMORY;
+
+        logger.error({
+          event: 'storage_connection_failed',
+          message: 'MongoDB is unavailable, continuing without it',
+          error: error.message,
+          fallback
+        });
+        this.use(fallback);
+      });
+
+    return this.connection;
+  }
+
+  /**
+   * Waits for pending file writes and closes the MongoDB connection
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const adapters = [...this.models.values()].flatMap(model => [...model.adapters.values()]);
+    await Promise.all(adapters.filter(adapter => adapter.flush).map(adapter => adapter.flush()));
+
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+  }
+}
+
+module.exports = new Storage();
+module.exports.StorageAdapters = StorageAdapters;
+module.exports.REPOSITORY_METHODS = REPOSITORY_METHODS;
@@ -0,0 +1,118 @@
+/**
+ * JSON-Lines Storage Adapter
+ *
+ * Embedded file-backed storage for running without a database server.
+ * Each model is kept in memory and in <directory>/<Model>.jsonl, where every
+ * change appends the document's new state as one line, or an
+ * { "_id": ..., "_deleted": true } line for deletions. On startup the last
+ * line of each document wins; the file is then rewritten with one line per
+ * document if it holds older ones.
+ *
+ * Operations resolve once their line is written. A line cut short by a
+ * crash is skipped with a warning.
+ *
+ * @module repositories/jsonLinesAdapter
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { createMemoryAdapter } = require('./memoryAdapter');
+
+/**
+ * Reads the documents of a model file
+ *
+ * @param {string} file - Path of the .jsonl file
+ * @returns {Object} - { documents, lines } with the latest state of each document and the number of lines read
+ */
+const load = (file) => {
+  if (!fs.existsSync(file)) {
+    return { documents: [], lines: 0 };
+  }
+
+  const latest = new Map();
+  let lines = 0;
+
+  fs.readFileSync(file, 'utf8').split('\n').forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    lines++;
+
+    try {
+      const entry = JSON.parse(line);
+      const id = String(entry._id);
+      latest.delete(id);
+      if (!entry._deleted) {
+        latest.set(id, entry);
+      }
+    } catch (error) {
+      logger.warn({ event: 'storage_line_skipped', file, line: index + 1, error: error.message });
+    }
+  });
+
+  return { documents: [...latest.values()], lines };
+};
+
+/**
+ * Rewrites a model file with one line per document
+ *
+ * @param {string} file - Path of the .jsonl file
+ * @param {Object[]} documents - Documents to keep
+ */
+const compact = (file, documents) => {
+  const temporary = `${file}.tmp`;
+  fs.writeFileSync(temporary, documents.map(doc => `${JSON.stringify(doc)}\n`).join(''));
+  fs.renameSync(temporary, file);
+};
+
+/**
+ * Creates a JSON-lines adapter for a model
+ *
+ * @param {string} modelName - Model name, also the file name
+ * @param {Object} options
+ * @param {string} options.directory - Directory of the model files, created if missing
+ * @param {mongoose.Schema} [options.schema] - Mongoose schema that writes are validated against
+ * @param {Object} [options.defaults={}] - Default field values applied on create
+ * @returns {Object} - Storage adapter, with flush() to wait for pending writes
+ */
+const createJsonLinesAdapter = (modelName, { directory, schema, defaults = {} }) => {
+  const file = path.join(directory, `${modelName}.jsonl`);
+  fs.mkdirSync(directory, { recursive: true });
+
+  const { documents, lines } = load(file);
+  if (lines > documents.length) {
+    compact(file, documents);
+  }
+
+  // Appends run one at a time, in the order the changes were made
+  let writing = Promise.resolve();
+  const append = (line) => {
+    const appended = writing.then(() => fs.promises.appendFile(file, `${line}\n`));
+    writing = appended.catch(() => {});
+    return appended;
+  };
+
+  const adapter = createMemoryAdapter(modelName, {
+    schema,
+    defaults,
+    documents,
+    onWrite: (id, doc) => append(JSON.stringify(doc || { _id: id, _deleted: true }))
+  });
+
+  return {
+    ...adapter,
+    name: 'jsonl',
+    file,
+
+    /**
+     * Waits until every change so far is written
+     *
+     * @returns {Promise<void>}
+     */
+    flush() {
+      return writing;
+    }
+  };
+};
+
+module.exports = { createJsonLinesAdapter };
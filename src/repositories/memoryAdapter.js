@@ -0,0 +1,133 @@
+/**
+ * Memory Storage Adapter
+ *
+ * Keeps a model's documents in a process-local Map (data is lost on
+ * restart). Documents are stored and returned in their JSON form, so IDs
+ * are strings and dates are ISO strings. When the model has a schema,
+ * every write is cast and validated against it first, as MongoDB would,
+ * so enums, required fields and schema defaults hold here too.
+ *
+ * The JSON-lines adapter builds on this one, writing every change through
+ * the onWrite hook.
+ *
+ * @module repositories/memoryAdapter
+ */
+const mongoose = require('mongoose');
+const { matches, sortDocuments, applyUpdate } = require('./query');
+
+const clone = (doc) => (doc ? JSON.parse(JSON.stringify(doc)) : null);
+
+/**
+ * Creates a memory adapter for a model
+ *
+ * @param {string} modelName - Model name
+ * @param {Object} [options]
+ * @param {mongoose.Schema} [options.schema] - Mongoose schema that writes are validated against
+ * @param {Object} [options.defaults={}] - Default field values applied on create
+ * @param {Object[]} [options.documents=[]] - Documents to start with
+ * @param {Function} [options.onWrite] - async (id, doc) => void; called after each change, with null
+ *   for deletions, before the operation resolves
+ * @returns {Object} - Storage adapter
+ */
+const createMemoryAdapter = (modelName, { schema, defaults = {}, documents: initial = [], onWrite } = {}) => {
+  const documents = new Map(initial.map(doc => [String(doc._id), clone(doc)]));
+  const Model = schema && (mongoose.models[modelName] || mongoose.model(modelName, schema));
+
+  // Casts a document through the schema, throwing its ValidationError instead of storing an invalid one
+  const validate = (doc) => {
+    if (!Model) {
+      return clone(doc);
+    }
+    const instance = new Model(doc);
+    const error = instance.validateSync();
+    if (error) {
+      throw error;
+    }
+    return clone(instance.toObject({ versionKey: false }));
+  };
+
+  // Changes are applied synchronously, so a filter and its update cannot interleave with another write
+  const write = async (id, doc) => {
+    if (doc) {
+      documents.set(id, doc);
+    } else {
+      documents.delete(id);
+    }
+    if (onWrite) {
+      await onWrite(id, doc);
+    }
+  };
+
+  const select = (filter) => [...documents.values()].filter(doc => matches(doc, filter));
+
+  // First match in sort order; without a sort, the order documents were stored in
+  const selectFirst = (filter, sort) => {
+    const found = select(filter);
+    return (sort ? sortDocuments(found, sort) : found)[0];
+  };
+
+  const update = async (doc, changes, options = {}) => {
+    if (!doc) {
+      return null;
+    }
+
+    const updated = validate({ ...applyUpdate(doc, changes), _id: doc._id, updatedAt: new Date() });
+    await write(doc._id, updated);
+    return clone(options.new ? updated : doc);
+  };
+
+  return {
+    name: 'memory',
+    modelName,
+
+    async create(data) {
+      const now = new Date();
+      const doc = validate({
+        ...defaults,
+        ...data,
+        _id: data._id ? String(data._id) : new mongoose.Types.ObjectId().toString(),
+        createdAt: now,
+        updatedAt: now
+      });
+      await write(doc._id, doc);
+      return clone(doc);
+    },
+
+    async find(filter = {}, { sort, skip = 0, limit } = {}) {
+      const found = sort ? sortDocuments(select(filter), sort) : select(filter);
+      return found.slice(skip, limit ? skip + limit : undefined).map(clone);
+    },
+
+    // Projections are not applied: whole documents are returned
+    async findOne(filter = {}, projection = null, { sort } = {}) {
+      return clone(selectFirst(filter, sort));
+    },
+
+    async findById(id) {
+      return clone(documents.get(String(id)));
+    },
+
+    async findOneAndUpdate(filter, changes, options = {}) {
+      return update(selectFirst(filter, options.sort), changes, options);
+    },
+
+    async findByIdAndUpdate(id, changes, options = {}) {
+      return update(documents.get(String(id)), changes, options);
+    },
+
+    async findByIdAndDelete(id) {
+      const doc = documents.get(String(id));
+      if (!doc) {
+        return null;
+      }
+      await write(doc._id, null);
+      return clone(doc);
+    },
+
+    async countDocuments(filter = {}) {
+      return select(filter).length;
+    }
+  };
+};
+
+module.exports = { createMemoryAdapter };
@@ -0,0 +1,70 @@
+/**
+ * MongoDB Storage Adapter
+ *
+ * Serves a model from MongoDB through Mongoose. Documents are returned as
+ * Mongoose documents, and aggregation pipelines are available for the
+ * queries that use them.
+ *
+ * @module repositories/mongoAdapter
+ */
+const mongoose = require('mongoose');
+
+/**
+ * Creates a MongoDB adapter for a model
+ *
+ * @param {string} modelName - Model name
+ * @param {Object} options
+ * @param {mongoose.Schema} options.schema - Mongoose schema of the model
+ * @returns {Object} - Storage adapter, with the Mongoose model as model
+ */
+const createMongoAdapter = (modelName, { schema }) => {
+  const model = mongoose.models[modelName] || mongoose.model(modelName, schema);
+
+  return {
+    name: 'mongo',
+    modelName,
+    model,
+
+    async create(data) {
+      return model.create(data);
+    },
+
+    async find(filter = {}, { sort, skip, limit } = {}) {
+      const query = model.find(filter);
+      if (sort) query.sort(sort);
+      if (skip) query.skip(skip);
+      if (limit) query.limit(limit);
+      return query.exec();
+    },
+
+    async findOne(filter = {}, projection = null, options = {}) {
+      return model.findOne(filter, projection, options).exec();
+    },
+
+    async findById(id) {
+      return model.findById(id).exec();
+    },
+
+    async findOneAndUpdate(filter, update, options = {}) {
+      return model.findOneAndUpdate(filter, update, options).exec();
+    },
+
+    async findByIdAndUpdate(id, update, options = {}) {
+      return model.findByIdAndUpdate(id, update, options).exec();
+    },
+
+    async findByIdAndDelete(id) {
+      return model.findByIdAndDelete(id).exec();
+    },
+
+    async countDocuments(filter = {}) {
+      return model.countDocuments(filter).exec();
+    },
+
+    async aggregate(pipeline) {
+      return model.aggregate(pipeline).exec();
+    }
+  };
+};
+
+module.exports = { createMongoAdapter };
@@ -0,0 +1,270 @@
+/**
+ * Query Evaluation
+ *
+ * MongoDB filter, sort and update semantics for the adapters that keep
+ * documents in process, covering the operators the app uses:
+ * - filters: equality (also against array elements), $eq, $ne, $in, $nin,
+ *   $gt, $gte, $lt, $lte, $exists, $regex with $options, $and, $or
+ * - sorts: { field: 1 | -1 } or 'field -otherField', with null first
+ * - updates: plain field updates, $set, $inc, and $push with or without $each
+ *
+ * Dates are stored in their JSON form, so range operands that are dates
+ * compare by time.
+ *
+ * @module repositories/query
+ */
+
+const UPDATE_OPERATORS = ['$set', '$inc', '$push'];
+
+/**
+ * Reads a field, following dotted paths into nested objects
+ *
+ * @param {Object} doc - Document
+ * @param {string} path - Field name or dotted path
+ * @returns {*} - Field value, or undefined if missing
+ */
+const getField = (doc, path) => path.split('.').reduce(
+  (value, key) => (value === null || value === undefined ? undefined : value[key]),
+  doc
+);
+
+/**
+ * Checks whether a value is an ObjectId
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether it is an ObjectId
+ */
+const isObjectId = (value) => Boolean(value) && typeof value === 'object' && typeof value.toHexString === 'function';
+
+/**
+ * Normalises a value for equality comparison
+ *
+ * IDs and dates compare by string form; missing fields match null, as in MongoDB.
+ *
+ * @param {*} value - Value to normalise
+ * @returns {string|null} - Comparable value
+ */
+const normalize = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (isObjectId(value)) return value.toHexString();
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Checks a field value for equality, matching any element of an array field
+ *
+ * @param {*} value - Field value
+ * @param {*} expected - Value to match
+ * @returns {boolean} - Whether the value matches
+ */
+const equals = (value, expected) => {
+  if (Array.isArray(value) && !Array.isArray(expected)) {
+    return value.some(item => normalize(item) === normalize(expected));
+  }
+  return normalize(value) === normalize(expected);
+};
+
+/**
+ * Orders a field value against a range operand
+ *
+ * @param {*} value - Field value
+ * @param {*} operand - Operand of $gt, $gte, $lt or $lte
+ * @returns {number|null} - Negative, zero or positive, or null if they cannot be compared
+ */
+const compareToOperand = (value, operand) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (operand instanceof Date) {
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? null : time - operand.getTime();
+  }
+  if (typeof operand === 'number') {
+    return typeof value === 'number' ? value - operand : null;
+  }
+
+  const a = normalize(value);
+  const b = normalize(operand);
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+};
+
+/**
+ * Checks whether a filter condition is an operator expression
+ *
+ * @param {*} condition - Filter value of a field
+ * @returns {boolean} - Whether every key is an operator
+ */
+const isOperatorExpression = (condition) => Boolean(condition)
+  && typeof condition === 'object'
+  && !Array.isArray(condition)
+  && !(condition instanceof Date)
+  && !(condition instanceof RegExp)
+  && !isObjectId(condition)
+  && Object.keys(condition).length > 0
+  && Object.keys(condition).every(key => key.startsWith('$'));
+
+/**
+ * Checks a field value against an operator expression
+ *
+ * @param {*} value - Field value
+ * @param {Object} expression - Operators and operands
+ * @returns {boolean} - Whether every operator matches
+ * @throws {Error} - If an operator is not supported
+ */
+const matchesExpression = (value, expression) => Object.entries(expression).every(([operator, operand]) => {
+  const order = () => compareToOperand(value, operand);
+
+  switch (operator) {
+    case '$eq':
+      return equals(value, operand);
+    case '$ne':
+      return !equals(value, operand);
+    case '$in':
+      return operand.some(item => equals(value, item));
+    case '$nin':
+      return !operand.some(item => equals(value, item));
+    case '$gt':
+      return order() !== null && order() > 0;
+    case '$gte':
+      return order() !== null && order() >= 0;
+    case '$lt':
+      return order() !== null && order() < 0;
+    case '$lte':
+      return order() !== null && order() <= 0;
+    case '$exists':
+      return (value !== undefined) === Boolean(operand);
+    case '$regex': {
+      const pattern = operand instanceof RegExp ? operand : new RegExp(operand, expression.$options || '');
+      return value !== null && value !== undefined && pattern.test(String(value));
+    }
+    case '$options':
+      // Read with $regex
+      return true;
+    default:
+      throw new Error(`Unsupported query operator: ${operator}`);
+  }
+});
+
+/**
+ * Checks whether a document matches a filter
+ *
+ * @param {Object} doc - Stored document
+ * @param {Object} [filter={}] - MongoDB filter
+ * @returns {boolean} - Whether the document matches
+ * @throws {Error} - If the filter uses an unsupported operator
+ */
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$and') {
+    return condition.every(part => matches(doc, part));
+  }
+  if (key === '$or') {
+    return condition.some(part => matches(doc, part));
+  }
+  if (key.startsWith('$')) {
+    throw new Error(`Unsupported query operator: ${key}`);
+  }
+
+  const value = getField(doc, key);
+  if (condition instanceof RegExp) {
+    return value !== null && value !== undefined && condition.test(String(value));
+  }
+  return isOperatorExpression(condition) ? matchesExpression(value, condition) : equals(value, condition);
+});
+
+/**
+ * Converts a sort to [field, direction] pairs
+ *
+ * @param {Object|string} sort - { field: 1 | -1 } or 'field -otherField'
+ * @returns {Array[]} - Fields in order with direction 1 or -1
+ */
+const parseSort = (sort) => {
+  if (typeof sort === 'string') {
+    return sort.split(/\s+/).filter(Boolean).map(field => (field.startsWith('-') ? [field.slice(1), -1] : [field, 1]));
+  }
+  return Object.entries(sort).map(([field, direction]) => [field, direction === -1 || direction === 'desc' ? -1 : 1]);
+};
+
+/**
+ * Compares two field values for sorting, with null first
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} - Negative, zero or positive
+ */
+const compareValues = (a, b) => {
+  const left = a === undefined ? null : a;
+  const right = b === undefined ? null : b;
+
+  if (left === right) return 0;
+  if (left === null) return -1;
+  if (right === null) return 1;
+  if (typeof left === 'number' && typeof right === 'number') return left - right;
+
+  const x = normalize(left);
+  const y = normalize(right);
+  if (x === y) return 0;
+  return x < y ? -1 : 1;
+};
+
+/**
+ * Sorts documents
+ *
+ * @param {Object[]} docs - Documents
+ * @param {Object|string} sort - See parseSort
+ * @returns {Object[]} - New array in sort order; ties keep their stored order
+ */
+const sortDocuments = (docs, sort) => {
+  const fields = parseSort(sort);
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const order = compareValues(getField(a, field), getField(b, field));
+      if (order !== 0) {
+        return direction * order;
+      }
+    }
+    return 0;
+  });
+};
+
+/**
+ * Applies an update to a document
+ *
+ * @param {Object} doc - Stored document
+ * @param {Object} update - Plain field values, or $set, $inc and $push operators
+ * @returns {Object} - Updated copy of the document
+ * @throws {Error} - If the update uses an unsupported operator
+ */
+const applyUpdate = (doc, update) => {
+  const operators = Object.keys(update).filter(key => key.startsWith('$'));
+  if (operators.length === 0) {
+    return { ...doc, ...update };
+  }
+
+  const unsupported = operators.find(operator => !UPDATE_OPERATORS.includes(operator));
+  if (unsupported) {
+    throw new Error(`Unsupported update operator: ${unsupported}`);
+  }
+
+  const updated = { ...doc, ...update.$set };
+
+  // $inc adds to a number, starting from 0 when the field is missing
+  Object.entries(update.$inc || {}).forEach(([field, amount]) => {
+    updated[field] = (doc[field] || 0) + amount;
+  });
+
+  // $push appends one value, or every value of $each
+  Object.entries(update.$push || {}).forEach(([field, value]) => {
+    const values = value && Array.isArray(value.$each) ? value.$each : [value];
+    updated[field] = [...(doc[field] || []), ...values];
+  });
+
+  return updated;
+};
+
+module.exports = {
+  matches,
+  sortDocuments,
+  applyUpdate
+};
@@ -0,0 +1,16 @@
+// Analytics Routes
+const express = require('express');
+const analyticsController = require('../controllers/analyticsController');
+const { requireRole, Roles } = require('../middleware/auth');
+const router = express.Router();
+
+// Least-adherent patients over a date range
+router.get('/cohort', requireRole(Roles.CLINICIAN), analyticsController.getCohort);
+
+// A patient's adherence rate and current missed-dose streak
+router.get('/patients/:id/adherence', requireRole(Roles.CLINICIAN), analyticsController.getPatientAdherence);
+
+// A patient's daily or weekly adherence series
+router.get('/patients/:id/trend', requireRole(Roles.CLINICIAN), analyticsController.getPatientTrend);
+
+module.exports = router;
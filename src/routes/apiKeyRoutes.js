@@ -0,0 +1,19 @@
+// API Key Routes
+const express = require('express');
+const apiKeyController = require('../controllers/apiKeyController');
+const { requireRole } = require('../middleware/auth');
+const router = express.Router();
+
+// All key management is admin-only
+router.use(requireRole());
+
+// Issue a new API key
+router.post('/', apiKeyController.createApiKey);
+
+// List API keys
+router.get('/', apiKeyController.listApiKeys);
+
+// Revoke an API key
+router.delete('/:id', apiKeyController.revokeApiKey);
+
+module.exports = router;
@@ -1,21 +1,43 @@
 // API Routes
 const express = require('express');
 const callController = require('../controllers/callController');
+const smsController = require('../controllers/smsController');
+const callLogController = require('../controllers/callLogController');
+const { validateTwilioSignature } = require('../middleware/twilioSignature');
+const { requireRole, Roles } = require('../middleware/auth');
 const router = express.Router();
 
 // Trigger a call to a patient
-router.post('/call', callController.initiateCall);
+router.post('/call', requireRole(Roles.OPERATOR), callController.initiateCall);
 
 // Twilio webhook for voice calls
-router.post('/twilio/voice', callController.handleVoiceCall);
+router.post('/twilio/voice', validateTwilioSignature, callController.handleVoiceCall);
 
 // Twilio webhook for gathering spoken responses
-router.post('/twilio/gather', callController.handleGather);
+router.post('/twilio/gather', validateTwilioSignature, callController.handleGather);
+
+// Twilio webhook for asynchronous answering machine detection results
+router.post('/twilio/amd', validateTwilioSignature, callController.handleAmdCallback);
 
 // Twilio webhook for call status updates
-router.post('/twilio/status', callController.handleStatusCallback);
+router.post('/twilio/status', validateTwilioSignature, callController.handleStatusCallback);
+
+// Twilio webhook for call recordings that are ready to download
+router.post('/twilio/recording', validateTwilioSignature, callController.handleRecordingStatus);
+
+// Twilio webhook for inbound SMS replies to reminders
+router.post('/twilio/sms', validateTwilioSignature, smsController.handleInboundSms);
+
+// Synthesized prompt audio fetched by Twilio <Play>; IDs are unguessable
+router.get('/twilio/audio/:audioId', callController.getAudio);
+
+// Search call logs
+router.get('/logs', requireRole(Roles.CLINICIAN), callLogController.getCallLogs);
+
+// Get a single call's log and redial chain
+router.get('/logs/:callSid', requireRole(Roles.CLINICIAN), callLogController.getCallLog);
 
-// Get all call logs
-router.get('/logs', callController.getCallLogs);
+// Stream a call's recording
+router.get('/logs/:callSid/recording', requireRole(Roles.CLINICIAN), callLogController.getRecording);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,28 @@
+// Campaign Routes
+const express = require('express');
+const campaignController = require('../controllers/campaignController');
+const { requireRole, Roles } = require('../middleware/auth');
+const router = express.Router();
+
+// CSV uploads of campaign recipients
+const csvParser = express.text({ type: 'text/csv', limit: '2mb' });
+
+// Create a campaign from a list of patients or a CSV upload
+router.post('/', requireRole(Roles.OPERATOR), csvParser, campaignController.createCampaign);
+
+// List campaigns with their progress
+router.get('/', requireRole(Roles.OPERATOR, Roles.CLINICIAN), campaignController.listCampaigns);
+
+// Get a campaign's progress
+router.get('/:id', requireRole(Roles.OPERATOR, Roles.CLINICIAN), campaignController.getCampaign);
+
+// Stop placing new calls
+router.post('/:id/pause', requireRole(Roles.OPERATOR), campaignController.pauseCampaign);
+
+// Continue a paused campaign
+router.post('/:id/resume', requireRole(Roles.OPERATOR), campaignController.resumeCampaign);
+
+// Cancel the calls not yet placed
+router.post('/:id/cancel', requireRole(Roles.OPERATOR), campaignController.cancelCampaign);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+// FHIR Routes
+const express = require('express');
+const fhirController = require('../controllers/fhirController');
+const { requireRole, Roles } = require('../middleware/auth');
+const router = express.Router();
+
+// Export adherence results as a FHIR R4 Bundle or NDJSON
+router.get('/export', requireRole(Roles.CLINICIAN), fhirController.exportAdherence);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+// Job Routes
+const express = require('express');
+const jobController = require('../controllers/jobController');
+const { requireRole, Roles } = require('../middleware/auth');
+const router = express.Router();
+
+// List queued, finished and dead jobs
+router.get('/', requireRole(Roles.OPERATOR), jobController.listJobs);
+
+// Get a job
+router.get('/:id', requireRole(Roles.OPERATOR), jobController.getJob);
+
+// Requeue a dead job
+router.post('/:id/requeue', requireRole(Roles.OPERATOR), jobController.requeueJob);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// Patient Routes
+const express = require('express');
+const patientController = require('../controllers/patientController');
+const { requireRole, Roles } = require('../middleware/auth');
+const router = express.Router();
+
+// Register a patient with their medication regimen
+router.post('/', requireRole(Roles.OPERATOR), patientController.createPatient);
+
+// List all patients
+router.get('/', requireRole(Roles.OPERATOR, Roles.CLINICIAN), patientController.listPatients);
+
+// Get a single patient
+router.get('/:id', requireRole(Roles.OPERATOR, Roles.CLINICIAN), patientController.getPatient);
+
+// Update a patient's details or regimen
+router.put('/:id', requireRole(Roles.OPERATOR), patientController.updatePatient);
+
+// Remove a patient
+router.delete('/:id', requireRole(Roles.OPERATOR), patientController.deletePatient);
+
+module.exports = router;
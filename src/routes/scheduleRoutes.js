@@ -0,0 +1,25 @@
+// Schedule Routes
+const express = require('express');
+const scheduleController = require('../controllers/scheduleController');
+const { requireRole, Roles } = require('../middleware/auth');
+const router = express.Router();
+
+// Create a recurring reminder schedule
+router.post('/', requireRole(Roles.OPERATOR), scheduleController.createSchedule);
+
+// List schedules (optionally ?patientId=...&active=true)
+router.get('/', requireRole(Roles.OPERATOR, Roles.CLINICIAN), scheduleController.listSchedules);
+
+// Get a single schedule
+router.get('/:id', requireRole(Roles.OPERATOR, Roles.CLINICIAN), scheduleController.getSchedule);
+
+// Pause a schedule
+router.post('/:id/pause', requireRole(Roles.OPERATOR), scheduleController.pauseSchedule);
+
+// Resume a paused schedule
+router.post('/:id/resume', requireRole(Roles.OPERATOR), scheduleController.resumeSchedule);
+
+// Remove a schedule
+router.delete('/:id', requireRole(Roles.OPERATOR), scheduleController.deleteSchedule);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+// Simulator Routes
+const express = require('express');
+const simulatorController = require('../controllers/simulatorController');
+const { requireRole, Roles } = require('../middleware/auth');
+const router = express.Router();
+
+// List simulated calls and SMS
+router.get('/', requireRole(Roles.OPERATOR), simulatorController.getActivity);
+
+// Set how calls to a number end
+router.post('/outcomes', requireRole(Roles.OPERATOR), simulatorController.setOutcome);
+
+// Forget recorded calls, SMS and outcomes
+router.delete('/', requireRole(Roles.OPERATOR), simulatorController.reset);
+
+module.exports = router;
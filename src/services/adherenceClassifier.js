@@ -0,0 +1,127 @@
+/**
+ * Adherence Classifier Module
+ *
+ * Classifies a patient's spoken or written answer into an adherence label
+ * with a confidence score. Classifiers are pluggable: anything implementing
+ * the interface below can be registered and selected through
+ * ADHERENCE_CLASSIFIER. The built-in rule-based classifier has a lexicon
+ * per patient language and falls back to English.
+ *
+ * @module services/adherenceClassifier
+ */
+const config = require('../config');
+const { createRuleBasedClassifier } = require('./classifiers/ruleBasedClassifier');
+const { DEFAULT_LANGUAGE } = require('../locales');
+
+const lexicons = {
+  en: require('./classifiers/lexicons/en'),
+  es: require('./classifiers/lexicons/es'),
+  hi: require('./classifiers/lexicons/hi')
+};
+
+/**
+ * Labels a classifier may return
+ */
+const AdherenceLabels = ['Full', 'Partial', 'None', 'Unclear'];
+
+/**
+ * @typedef {Object} ClassificationResult
+ * @property {string} label - One of AdherenceLabels
+ * @property {number} confidence - Confidence in the label, from 0 to 1
+ * @property {Array} [evidence] - Phrases that led to the label, for logging
+ */
+
+/**
+ * @typedef {Object} Classifier
+ * @property {string} name - Classifier name used in logs
+ * @property {function(string, Object): ClassificationResult} classify - Classifies a response;
+ *   the context holds { language, medications: string[] } for the patient's language
+ *   and the medications asked about
+ */
+
+/**
+ * Creates a classifier that picks a per-language classifier from the context
+ * 
+ * @param {Object} classifiers - Classifiers keyed by language code; must include English
+ * @returns {Classifier} - Classifier dispatching on context.language
+ */
+const createLanguageClassifier = (classifiers) => ({
+  name: 'rules',
+  classify(text, context = {}) {
+    const classifier = classifiers[context.language] || classifiers[DEFAULT_LANGUAGE];
+    return classifier.classify(text, context);
+  }
+});
+
+class AdherenceClassifierService {
+  constructor() {
+    this.classifiers = new Map();
+    
+    const ruleClassifiers = {};
+    Object.keys(lexicons).forEach(language => {
+      ruleClassifiers[language] = createRuleBasedClassifier(lexicons[language]);
+    });
+    this.register('rules', createLanguageClassifier(ruleClassifiers));
+  }
+
+  /**
+   * Registers a classifier implementation
+   * 
+   * @param {string} name - Name to select the classifier by
+   * @param {Classifier} classifier - Classifier implementation
+   * @throws {Error} - If the classifier does not implement classify()
+   */
+  register(name, classifier) {
+    if (!classifier || typeof classifier.classify !== 'function') {
+      throw new Error(`Classifier "${name}" must implement classify(text, context)`);
+    }
+    this.classifiers.set(name, classifier);
+  }
+
+  /**
+   * Gets a registered classifier
+   * 
+   * @param {string} [name=config.adherence.classifier] - Classifier name
+   * @returns {Classifier} - Classifier implementation
+   * @throws {Error} - If no classifier is registered under the name
+   */
+  getClassifier(name = config.adherence.classifier) {
+    const classifier = this.classifiers.get(name);
+    if (!classifier) {
+      throw new Error(`Unknown adherence classifier: ${name}`);
+    }
+    return classifier;
+  }
+
+  /**
+   * Classifies a response with the configured classifier
+   * 
+   * @param {string} text - Transcribed response
+   * @param {Object} [context={}] - Classification context
+   * @param {string} [context.language] - Patient language code
+   * @param {string[]} [context.medications] - Names of the medications asked about
+   * @returns {ClassificationResult} - Label, confidence and evidence
+   */
+  classify(text, context = {}) {
+    const result = this.getClassifier().classify(text, context);
+    
+    // Guard the rest of the call flow against misbehaving plug-ins
+    const label = AdherenceLabels.includes(result && result.label) ? result.label : 'Unclear';
+    const confidence = Math.min(1, Math.max(0, Number(result && result.confidence) || 0));
+    
+    return { ...result, label, confidence };
+  }
+
+  /**
+   * Checks whether a classification is too uncertain to act on
+   * 
+   * @param {ClassificationResult} result - Classification result
+   * @returns {boolean} - Whether the patient should be asked again
+   */
+  isLowConfidence(result) {
+    return result.confidence < config.adherence.minConfidence;
+  }
+}
+
+module.exports = new AdherenceClassifierService();
+module.exports.AdherenceLabels = AdherenceLabels;
@@ -0,0 +1,330 @@
+/**
+ * Analytics Service Module
+ *
+ * Computes adherence statistics from the call log: per-patient rates,
+ * missed-dose streaks, daily and weekly trends and the least-adherent
+ * patients. With MongoDB the counts come from aggregation pipelines;
+ * without it the same counts are computed in process from the stored logs.
+ *
+ * Redials of one reminder form a single check-in, counted on the day of
+ * the first call and with the most definite answer any of its calls got.
+ *
+ * @module services/analyticsService
+ */
+const mongoose = require('mongoose');
+const CallLog = require('../models/callLog');
+const Patient = require('../models/patient');
+const { formatZonedDate } = require('../utils/time');
+
+/**
+ * Adherence statuses counted per check-in, in the order they are reported
+ */
+const ADHERENCE_STATUSES = ['Full', 'Partial', 'None', 'Unclear', 'Unknown'];
+
+/**
+ * Trend intervals
+ */
+const Intervals = {
+  DAY: 'day',
+  WEEK: 'week'
+};
+
+// Days looked back when computing the current missed-dose streak
+const STREAK_LOOKBACK_DAYS = 90;
+
+// Step used to enumerate calendar days; shorter than any day across a DST change
+const DAY_STEP_MS = 12 * 60 * 60 * 1000;
+
+// How definite an answer is; a check-in takes the status of its most definite call
+const ANSWER_RANK = { Unknown: 0, Unclear: 1, Full: 2, Partial: 2, None: 2 };
+
+/**
+ * Gets the Monday starting the week of a calendar date
+ *
+ * @param {string} day - Date as YYYY-MM-DD
+ * @returns {string} - Monday as YYYY-MM-DD
+ */
+const getWeekStart = (day) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Turns status counts into reported statistics
+ *
+ * The adherence rate is the share of check-ins in which every medication
+ * was confirmed taken; check-ins without a clear answer count against it.
+ *
+ * @param {Object} counts - Count per adherence status
+ * @returns {Object} - { checkIns, statusCounts, adherenceRate }
+ */
+const toStats = (counts = {}) => {
+  const statusCounts = {};
+  ADHERENCE_STATUSES.forEach(status => {
+    statusCounts[status] = counts[status] || 0;
+  });
+
+  const checkIns = ADHERENCE_STATUSES.reduce((sum, status) => sum + statusCounts[status], 0);
+
+  return {
+    checkIns,
+    statusCounts,
+    adherenceRate: checkIns > 0 ? Math.round((statusCounts.Full / checkIns) * 1000) / 1000 : null
+  };
+};
+
+class AnalyticsService {
+  /**
+   * Checks whether the call log supports aggregation queries (MongoDB)
+   *
+   * @returns {boolean} - Whether aggregation pipelines can be used
+   */
+  canAggregate() {
+    return typeof CallLog.aggregate === 'function';
+  }
+
+  /**
+   * Counts check-ins per adherence status, grouped by a key
+   *
+   * @param {Object} options
+   * @param {Date} options.from - Start of the range (inclusive)
+   * @param {Date} options.to - End of the range (exclusive)
+   * @param {string} [options.patientId] - Only count this patient's calls
+   * @param {string} [options.groupBy] - 'day', 'week' or 'patient'; omit for one total
+   * @param {string} [options.timezone='UTC'] - Timezone of day and week boundaries
+   * @returns {Promise<Map>} - Counts per status, keyed by day, week start or patient ID ('all' for totals)
+   */
+  async countCheckIns({ from, to, patientId, groupBy, timezone = 'UTC' }) {
+    return this.canAggregate()
+      ? this.aggregateCheckIns({ from, to, patientId, groupBy, timezone })
+      : this.tallyCheckIns({ from, to, patientId, groupBy, timezone });
+  }
+
+  /**
+   * Counts check-ins with a MongoDB aggregation pipeline
+   *
+   * @param {Object} options - See countCheckIns
+   * @returns {Promise<Map>} - Counts per status by group key
+   */
+  async aggregateCheckIns({ from, to, patientId, groupBy, timezone }) {
+    const match = { timestamp: { $gte: from, $lt: to } };
+    if (patientId) {
+      match.patientId = new mongoose.Types.ObjectId(String(patientId));
+    }
+
+    // Weeks are grouped by day and folded into weeks below, as $dateTrunc needs MongoDB 5.0
+    const localDay = { $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone } };
+    const groupKeys = {
+      day: localDay,
+      week: localDay,
+      patient: '$patientId'
+    };
+    const toGroup = groupBy === 'week' ? getWeekStart : String;
+
+    const rows = await CallLog.aggregate([
+      { $match: match },
+      {
+        $addFields: {
+          checkIn: { $ifNull: ['$originalCallSid', '$callSid'] },
+          answerRank: {
+            $switch: {
+              branches: Object.keys(ANSWER_RANK).map(status => ({
+                case: { $eq: ['$adherenceStatus', status] },
+                then: ANSWER_RANK[status]
+              })),
+              default: 0
+            }
+          }
+        }
+      },
+      { $sort: { answerRank: 1, timestamp: 1 } },
+      {
+        $group: {
+          _id: '$checkIn',
+          patientId: { $first: '$patientId' },
+          adherenceStatus: { $last: '$adherenceStatus' },
+          timestamp: { $min: '$timestamp' }
+        }
+      },
+      {
+        $group: {
+          _id: { key: groupKeys[groupBy] || 'all', status: '$adherenceStatus' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const groups = new Map();
+    rows.forEach(({ _id, count }) => {
+      if (_id.key === null) {
+        return;
+      }
+      const key = toGroup(String(_id.key));
+      const counts = groups.get(key) || {};
+      counts[_id.status || 'Unknown'] = (counts[_id.status || 'Unknown'] || 0) + count;
+      groups.set(key, counts);
+    });
+
+    return groups;
+  }
+
+  /**
+   * Counts check-ins in process, for storage without aggregation support
+   *
+   * @param {Object} options - See countCheckIns
+   * @returns {Promise<Map>} - Counts per status by group key
+   */
+  async tallyCheckIns({ from, to, patientId, groupBy, timezone }) {
+    const logs = await CallLog.find(patientId ? { patientId: String(patientId) } : {});
+    const checkIns = new Map();
+
+    (logs || []).forEach(log => {
+      const timestamp = new Date(log.timestamp);
+      if (!(timestamp >= from && timestamp < to)) {
+        return;
+      }
+
+      const id = log.originalCallSid || log.callSid;
+      const status = log.adherenceStatus || 'Unknown';
+      const existing = checkIns.get(id);
+
+      if (!existing) {
+        checkIns.set(id, { patientId: log.patientId, status, statusTime: timestamp, timestamp });
+        return;
+      }
+
+      const rank = ANSWER_RANK[status] || 0;
+      const existingRank = ANSWER_RANK[existing.status] || 0;
+      if (rank > existingRank || (rank === existingRank && timestamp >= existing.statusTime)) {
+        existing.status = status;
+        existing.statusTime = timestamp;
+      }
+      if (timestamp < existing.timestamp) {
+        existing.timestamp = timestamp;
+      }
+    });
+
+    const groupKeys = {
+      day: checkIn => formatZonedDate(checkIn.timestamp, timezone),
+      week: checkIn => getWeekStart(formatZonedDate(checkIn.timestamp, timezone)),
+      patient: checkIn => (checkIn.patientId ? String(checkIn.patientId) : null)
+    };
+    const getKey = groupKeys[groupBy] || (() => 'all');
+
+    const groups = new Map();
+    checkIns.forEach(checkIn => {
+      const key = getKey(checkIn);
+      if (key === null) {
+        return;
+      }
+      const counts = groups.get(key) || {};
+      counts[checkIn.status] = (counts[checkIn.status] || 0) + 1;
+      groups.set(key, counts);
+    });
+
+    return groups;
+  }
+
+  /**
+   * Gets a patient's adherence over a date range
+   *
+   * @param {Object} patient - Patient document
+   * @param {Object} range - { from, to }
+   * @returns {Promise<Object>} - { checkIns, statusCounts, adherenceRate }
+   */
+  async getPatientAdherence(patient, { from, to }) {
+    const groups = await this.countCheckIns({ from, to, patientId: patient._id });
+    return toStats(groups.get('all'));
+  }
+
+  /**
+   * Gets a patient's adherence per day or week, including periods without check-ins
+   *
+   * @param {Object} patient - Patient document
+   * @param {Object} options
+   * @param {Date} options.from - Start of the range (inclusive)
+   * @param {Date} options.to - End of the range (exclusive)
+   * @param {string} [options.interval='day'] - 'day' or 'week'
+   * @param {string} [options.timezone] - Timezone of period boundaries; defaults to the patient's
+   * @returns {Promise<Object[]>} - [{ period, checkIns, statusCounts, adherenceRate }], oldest first
+   */
+  async getPatientTrend(patient, { from, to, interval = Intervals.DAY, timezone }) {
+    const zone = timezone || patient.timezone || 'UTC';
+    const groups = await this.countCheckIns({ from, to, patientId: patient._id, groupBy: interval, timezone: zone });
+
+    const periods = new Set();
+    for (let time = from.getTime(); time < to.getTime(); time += DAY_STEP_MS) {
+      const day = formatZonedDate(new Date(time), zone);
+      periods.add(interval === Intervals.WEEK ? getWeekStart(day) : day);
+    }
+    [...groups.keys()].forEach(period => periods.add(period));
+
+    return [...periods].sort().map(period => ({ period, ...toStats(groups.get(period)) }));
+  }
+
+  /**
+   * Gets a patient's current run of days with missed doses
+   *
+   * Counts back from the latest day with a check-in. A day counts as missed
+   * unless every check-in that day confirmed all medications were taken;
+   * days without a reminder are skipped.
+   *
+   * @param {Object} patient - Patient document
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<Object>} - { days, since } with since the first missed day (YYYY-MM-DD), or null
+   */
+  async getMissedStreak(patient, now = new Date()) {
+    const from = new Date(now.getTime() - STREAK_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const groups = await this.countCheckIns({
+      from,
+      to: now,
+      patientId: patient._id,
+      groupBy: Intervals.DAY,
+      timezone: patient.timezone || 'UTC'
+    });
+
+    let days = 0;
+    let since = null;
+
+    for (const day of [...groups.keys()].sort().reverse()) {
+      const { checkIns, statusCounts } = toStats(groups.get(day));
+      if (checkIns === 0 || statusCounts.Full === checkIns) {
+        break;
+      }
+      days++;
+      since = day;
+    }
+
+    return { days, since };
+  }
+
+  /**
+   * Lists the least-adherent patients over a date range
+   *
+   * @param {Object} options
+   * @param {Date} options.from - Start of the range (inclusive)
+   * @param {Date} options.to - End of the range (exclusive)
+   * @param {number} [options.limit=10] - Number of patients to return
+   * @param {number} [options.minCheckIns=1] - Skip patients with fewer check-ins in the range
+   * @returns {Promise<Object[]>} - [{ patientId, name, checkIns, statusCounts, adherenceRate }], lowest rate first
+   */
+  async getLeastAdherent({ from, to, limit = 10, minCheckIns = 1 }) {
+    const groups = await this.countCheckIns({ from, to, groupBy: 'patient' });
+
+    const ranked = [...groups.entries()]
+      .map(([patientId, counts]) => ({ patientId, ...toStats(counts) }))
+      .filter(entry => entry.checkIns >= minCheckIns)
+      .sort((a, b) => a.adherenceRate - b.adherenceRate || b.checkIns - a.checkIns)
+      .slice(0, limit);
+
+    return Promise.all(ranked.map(async ({ patientId, ...stats }) => {
+      const patient = mongoose.isValidObjectId(patientId) ? await Patient.findById(patientId) : null;
+      return { patientId, name: patient ? patient.name : null, ...stats };
+    }));
+  }
+}
+
+module.exports = new AnalyticsService();
+module.exports.Intervals = Intervals;
+module.exports.ADHERENCE_STATUSES = ADHERENCE_STATUSES;
@@ -0,0 +1,137 @@
+/**
+ * API Key Service Module
+ *
+ * Issues, verifies and revokes admin API keys. Keys are random tokens;
+ * only their SHA-256 hash is persisted. A bootstrap admin key can be
+ * supplied through ADMIN_API_KEY so the first keys can be created.
+ *
+ * @module services/apiKeyService
+ */
+const crypto = require('crypto');
+const ApiKey = require('../models/apiKey');
+const config = require('../config');
+const logger = require('../utils/logger');
+const Roles = require('../config/roles');
+
+const KEY_PREFIX = 'mr_';
+
+/**
+ * Hashes an API key for storage and lookup
+ *
+ * @param {string} key - Plaintext API key
+ * @returns {string} - Hex-encoded SHA-256 hash
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Compares two strings in constant time
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - Whether the strings are equal
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Strips secret fields from a stored key
+ *
+ * @param {Object} apiKey - Stored API key document
+ * @returns {Object} - Key details safe to return from the API
+ */
+const toPublicKey = (apiKey) => ({
+  id: String(apiKey._id),
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  role: apiKey.role,
+  active: apiKey.active,
+  lastUsedAt: apiKey.lastUsedAt,
+  createdAt: apiKey.createdAt
+});
+
+/**
+ * Creates a new API key
+ *
+ * @param {Object} options
+ * @param {string} options.name - Human-readable label
+ * @param {string} options.role - Role to grant
+ * @returns {Promise<Object>} - { key, apiKey } with the plaintext key (shown once) and public details
+ */
+const createKey = async ({ name, role }) => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  
+  const apiKey = await ApiKey.create({
+    name,
+    role,
+    keyHash: hashKey(key),
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    active: true
+  });
+  
+  return { key, apiKey: toPublicKey(apiKey) };
+};
+
+/**
+ * Resolves a presented key to its identity
+ *
+ * @param {string} key - Plaintext API key from the request
+ * @returns {Promise<Object|null>} - { keyId, name, role } or null if the key is unknown or revoked
+ */
+const verifyKey = async (key) => {
+  if (!key) {
+    return null;
+  }
+  
+  if (config.auth.adminApiKey && safeEqual(key, config.auth.adminApiKey)) {
+    return { keyId: 'bootstrap', name: 'Bootstrap admin key', role: Roles.ADMIN };
+  }
+  
+  const apiKey = await ApiKey.findOne({ keyHash: hashKey(key) });
+  
+  if (!apiKey || !apiKey.active) {
+    return null;
+  }
+  
+  // Usage tracking must not block or fail the request
+  ApiKey.findByIdAndUpdate(apiKey._id, { $set: { lastUsedAt: new Date() } }).catch(error => {
+    logger.warn({
+      event: 'database_error',
+      message: 'Failed to record API key usage',
+      error: error.message,
+      keyId: String(apiKey._id)
+    });
+  });
+  
+  return { keyId: String(apiKey._id), name: apiKey.name, role: apiKey.role };
+};
+
+/**
+ * Lists all API keys without their hashes
+ *
+ * @returns {Promise<Object[]>} - Public key details
+ */
+const listKeys = async () => {
+  const keys = await ApiKey.find();
+  return keys.map(toPublicKey);
+};
+
+/**
+ * Revokes an API key
+ *
+ * @param {string} id - API key ID
+ * @returns {Promise<Object|null>} - Public details of the revoked key, or null if not found
+ */
+const revokeKey = async (id) => {
+  const apiKey = await ApiKey.findByIdAndUpdate(id, { $set: { active: false } }, { new: true });
+  return apiKey ? toPublicKey(apiKey) : null;
+};
+
+module.exports = {
+  createKey,
+  verifyKey,
+  listKeys,
+  revokeKey
+};
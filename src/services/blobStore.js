@@ -0,0 +1,128 @@
+/**
+ * Blob Store Module
+ *
+ * Keeps binary objects such as call recordings under string keys, through
+ * a pluggable store selected with BLOB_STORE. The local store keeps files
+ * in BLOB_STORE_DIR; other stores (e.g., an object storage bucket) are
+ * registered under their own name and implement the interface below.
+ *
+ * @module services/blobStore
+ */
+const config = require('../config');
+const { createLocalBlobStore } = require('./blobStores/localBlobStore');
+
+/**
+ * @typedef {Object} BlobStoreImplementation
+ * @property {string} name - Store name used in logs
+ * @property {function(string, Buffer): Promise<Object>} put - Stores data under a key, replacing any
+ *   blob already there; resolves to { key, size }
+ * @property {function(string): Promise<Buffer|null>} get - Data of a key, or null if there is none
+ * @property {function(string): Promise<Object|null>} stat - { key, size } of a key, or null if there is none
+ * @property {function(string, Object): stream.Readable} createReadStream - Streams a key's data, optionally
+ *   only the bytes from start to end inclusive ({ start, end })
+ * @property {function(string): Promise<boolean>} remove - Deletes a key; resolves to whether it existed
+ */
+
+/**
+ * Methods every blob store must implement
+ */
+const BLOB_STORE_METHODS = [
+  'put',
+  'get',
+  'stat',
+  'createReadStream',
+  'remove'
+];
+
+class BlobStore {
+  constructor() {
+    this.stores = new Map();
+
+    this.register('local', createLocalBlobStore({ directory: config.blobStore.directory }));
+  }
+
+  /**
+   * Registers a blob store
+   *
+   * @param {string} name - Name to select the store by
+   * @param {BlobStoreImplementation} store - Store implementation
+   * @throws {Error} - If the store is missing a method of the interface
+   */
+  register(name, store) {
+    const missing = BLOB_STORE_METHODS.filter(method => !store || typeof store[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Blob store "${name}" must implement ${missing.join(', ')}`);
+    }
+    this.stores.set(name, store);
+  }
+
+  /**
+   * Gets a registered store
+   *
+   * @param {string} [name=config.blobStore.provider] - Store name
+   * @returns {BlobStoreImplementation} - Store implementation
+   * @throws {Error} - If no store is registered under the name
+   */
+  getStore(name = config.blobStore.provider) {
+    const store = this.stores.get(name);
+    if (!store) {
+      throw new Error(`Unknown blob store: ${name}`);
+    }
+    return store;
+  }
+
+  /**
+   * Stores data under a key
+   *
+   * @param {string} key - Blob key
+   * @param {Buffer} data - Data to store
+   * @returns {Promise<Object>} - { key, size }
+   */
+  put(key, data) {
+    return this.getStore().put(key, data);
+  }
+
+  /**
+   * Reads the data of a key
+   *
+   * @param {string} key - Blob key
+   * @returns {Promise<Buffer|null>} - Data, or null if there is none
+   */
+  get(key) {
+    return this.getStore().get(key);
+  }
+
+  /**
+   * Gets the size of a key's data
+   *
+   * @param {string} key - Blob key
+   * @returns {Promise<Object|null>} - { key, size }, or null if there is none
+   */
+  stat(key) {
+    return this.getStore().stat(key);
+  }
+
+  /**
+   * Streams a key's data
+   *
+   * @param {string} key - Blob key
+   * @param {Object} [range] - { start, end } byte offsets, inclusive
+   * @returns {stream.Readable} - Data stream
+   */
+  createReadStream(key, range) {
+    return this.getStore().createReadStream(key, range);
+  }
+
+  /**
+   * Deletes a key
+   *
+   * @param {string} key - Blob key
+   * @returns {Promise<boolean>} - Whether it existed
+   */
+  remove(key) {
+    return this.getStore().remove(key);
+  }
+}
+
+module.exports = new BlobStore();
+module.exports.BLOB_STORE_METHODS = BLOB_STORE_METHODS;
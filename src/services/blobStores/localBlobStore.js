@@ -0,0 +1,104 @@
+/**
+ * Local Blob Store
+ *
+ * Keeps blobs as files below a directory, one file per key. Writes go to a
+ * temporary file that is renamed into place, so a crash never leaves half
+ * a blob under its key.
+ *
+ * @module services/blobStores/localBlobStore
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Keys are slash-separated names of letters, digits, dots, dashes and underscores,
+// not starting with a dot, so they cannot leave the directory
+const KEY_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9._-]*(\/[A-Za-z0-9_-][A-Za-z0-9._-]*)*$/;
+
+/**
+ * Creates the local blob store
+ *
+ * @param {Object} settings
+ * @param {string} settings.directory - Directory blobs are kept in, created on first write
+ * @returns {Object} - Blob store
+ */
+const createLocalBlobStore = ({ directory }) => {
+  /**
+   * Resolves the file of a key
+   *
+   * @param {string} key - Blob key (e.g., recordings/CA123/RE456.mp3)
+   * @returns {string} - File path
+   * @throws {Error} - If the key is not a plain relative name
+   */
+  const fileOf = (key) => {
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid blob key: ${key}`);
+    }
+    return path.join(directory, ...key.split('/'));
+  };
+
+  /**
+   * Gets the size of a file, or null if it does not exist
+   *
+   * @param {string} file - File path
+   * @returns {Promise<number|null>} - Size in bytes
+   */
+  const sizeOf = async (file) => {
+    try {
+      return (await fs.promises.stat(file)).size;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, data) {
+      const file = fileOf(key);
+      const temporary = `${file}.${process.pid}.tmp`;
+
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(temporary, data);
+      await fs.promises.rename(temporary, file);
+
+      return { key, size: data.length };
+    },
+
+    async get(key) {
+      try {
+        return await fs.promises.readFile(fileOf(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async stat(key) {
+      const size = await sizeOf(fileOf(key));
+      return size === null ? null : { key, size };
+    },
+
+    createReadStream(key, { start, end } = {}) {
+      return fs.createReadStream(fileOf(key), { start, end });
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(fileOf(key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+        throw error;
+      }
+    }
+  };
+};
+
+module.exports = { createLocalBlobStore };
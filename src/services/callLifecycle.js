@@ -0,0 +1,196 @@
+/**
+ * Call Lifecycle Module
+ *
+ * State machine for call log statuses. Provider statuses such as
+ * `no-answer` are mapped to call states, and a call log only moves along
+ * the transitions below, so late or repeated callbacks cannot move a call
+ * backwards or overwrite an outcome. Every applied transition is appended
+ * to the call log's statusHistory.
+ *
+ * @module services/callLifecycle
+ */
+const CallStates = require('../config/callStates');
+const CallLog = require('../models/callLog');
+const logger = require('../utils/logger');
+
+const {
+  INITIATED,
+  RINGING,
+  IN_PROGRESS,
+  ANSWERED,
+  VOICEMAIL_LEFT,
+  SMS_SENT,
+  COMPLETED,
+  BUSY,
+  NO_ANSWER,
+  FAILED,
+  CANCELED
+} = CallStates;
+
+/**
+ * Twilio call statuses and the call states they map to
+ * Twilio status documentation: https://www.twilio.com/docs/voice/api/call-resource#call-status-values
+ */
+const PROVIDER_STATUSES = {
+  'queued': INITIATED,
+  'initiated': INITIATED,
+  'ringing': RINGING,
+  'in-progress': IN_PROGRESS,
+  'completed': COMPLETED,
+  'busy': BUSY,
+  'no-answer': NO_ANSWER,
+  'failed': FAILED,
+  'canceled': CANCELED
+};
+
+/**
+ * States that record how the reminder reached the patient
+ */
+const OUTCOME_STATES = [ANSWERED, VOICEMAIL_LEFT, SMS_SENT];
+
+// States in which the call has ended without an outcome
+const ENDED_STATES = [COMPLETED, BUSY, NO_ANSWER, FAILED, CANCELED];
+
+// Allowed transitions from each state. A patient who calls back can still
+// answer a reminder that has no answer yet, so most states lead to Answered.
+// Answered is final: a machine detection result that arrives after the
+// patient answered must not turn the call into a voicemail.
+const TRANSITIONS = {
+  [INITIATED]: [RINGING, IN_PROGRESS, ANSWERED, VOICEMAIL_LEFT, ...ENDED_STATES],
+  [RINGING]: [IN_PROGRESS, ANSWERED, VOICEMAIL_LEFT, ...ENDED_STATES],
+  [IN_PROGRESS]: [ANSWERED, VOICEMAIL_LEFT, COMPLETED, FAILED],
+  [COMPLETED]: [ANSWERED, SMS_SENT],
+  [BUSY]: [ANSWERED, SMS_SENT],
+  [NO_ANSWER]: [ANSWERED, SMS_SENT],
+  [FAILED]: [ANSWERED, SMS_SENT],
+  [CANCELED]: [ANSWERED, SMS_SENT],
+  [VOICEMAIL_LEFT]: [ANSWERED],
+  [SMS_SENT]: [ANSWERED],
+  [ANSWERED]: []
+};
+
+// Attempts at a transition when other updates keep changing the status first
+const MAX_TRANSITION_ATTEMPTS = 3;
+
+class CallLifecycle {
+  /**
+   * Maps a provider call status to a call state
+   *
+   * @param {string} providerStatus - Provider status (e.g., no-answer)
+   * @returns {string|null} - Call state, or null if the status is unknown
+   */
+  normalizeStatus(providerStatus) {
+    const key = String(providerStatus || '').trim().toLowerCase();
+    return Object.prototype.hasOwnProperty.call(PROVIDER_STATUSES, key) ? PROVIDER_STATUSES[key] : null;
+  }
+
+  /**
+   * Checks whether a call log may move from one state to another
+   *
+   * @param {string} from - Current state
+   * @param {string} to - Requested state
+   * @returns {boolean} - Whether the transition is allowed
+   */
+  canTransition(from, to) {
+    return Boolean(TRANSITIONS[from]) && TRANSITIONS[from].includes(to);
+  }
+
+  /**
+   * Moves a call log to a new state and records the transition
+   *
+   * The status is only changed if it is still the one the transition was
+   * checked against, so concurrent webhooks cannot skip the state machine.
+   * Database errors are logged rather than thrown, as webhooks must keep
+   * the call going.
+   *
+   * @param {string} callSid - Twilio Call SID
+   * @param {string} to - Requested state
+   * @param {Object} [options]
+   * @param {string} [options.source] - What requested the transition (e.g., status-callback, amd)
+   * @param {string} [options.providerStatus] - Provider status the state was mapped from
+   * @param {string} [options.requestId] - Request ID for log correlation
+   * @returns {Promise<Object|null>} - Call log in the requested state, or null if the
+   *   transition was rejected or the call log is unavailable
+   */
+  async transition(callSid, to, { source = null, providerStatus = null, requestId } = {}) {
+    try {
+      for (let attempt = 0; attempt < MAX_TRANSITION_ATTEMPTS; attempt++) {
+        const callLog = await CallLog.findOne({ callSid });
+
+        if (!callLog) {
+          logger.debug({ event: 'call_transition_skipped', reason: 'no_call_log', callSid, to, source, requestId });
+          return null;
+        }
+
+        const from = callLog.status;
+
+        if (from === to) {
+          return callLog;
+        }
+
+        if (!this.canTransition(from, to)) {
+          logger.info({
+            event: 'call_transition_rejected',
+            callSid,
+            from,
+            to,
+            providerStatus: providerStatus || undefined,
+            source,
+            requestId
+          });
+          return null;
+        }
+
+        const updated = await CallLog.findOneAndUpdate(
+          { callSid, status: from },
+          {
+            $set: { status: to },
+            $push: { statusHistory: { from, to, providerStatus, source, timestamp: new Date() } }
+          },
+          { new: true }
+        );
+
+        if (updated) {
+          logger.info({ event: 'call_transition', callSid, from, to, source, requestId });
+          return updated;
+        }
+      }
+
+      logger.warn({ event: 'call_transition_conflict', callSid, to, source, requestId });
+      return null;
+    } catch (dbError) {
+      logger.warn({
+        event: 'database_error',
+        message: 'Failed to update call status in database',
+        error: dbError.message,
+        callSid,
+        requestId
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Applies a provider status callback to a call log
+   *
+   * @param {string} callSid - Twilio Call SID
+   * @param {string} providerStatus - Provider call status (e.g., in-progress)
+   * @param {Object} [options]
+   * @param {string} [options.requestId] - Request ID for log correlation
+   * @returns {Promise<Object|null>} - Updated call log, or null if the status was not applied
+   */
+  async applyProviderStatus(callSid, providerStatus, { requestId } = {}) {
+    const state = this.normalizeStatus(providerStatus);
+
+    if (!state) {
+      logger.warn({ event: 'unknown_provider_status', callSid, providerStatus, requestId });
+      return null;
+    }
+
+    return this.transition(callSid, state, { source: 'status-callback', providerStatus, requestId });
+  }
+}
+
+module.exports = new CallLifecycle();
+module.exports.PROVIDER_STATUSES = PROVIDER_STATUSES;
+module.exports.OUTCOME_STATES = OUTCOME_STATES;
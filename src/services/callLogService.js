@@ -0,0 +1,204 @@
+/**
+ * Call Log Service Module
+ *
+ * Searches the call log for the admin API. Results are paged with an opaque
+ * cursor holding the sort value and Call SID of the last log returned, so
+ * pages stay stable while new calls are logged. Filters, sorting and limits
+ * run as a query with every storage adapter.
+ *
+ * @module services/callLogService
+ */
+const CallLog = require('../models/callLog');
+
+/**
+ * Fields the logs can be sorted by; the Call SID breaks ties
+ */
+const SORT_FIELDS = ['timestamp', 'patientPhoneNumber', 'status', 'adherenceStatus'];
+
+/**
+ * Default sort: newest first
+ */
+const DEFAULT_SORT = '-timestamp';
+
+/**
+ * Escapes a string for literal use in a regular expression
+ *
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Splits a sort parameter into a field and direction
+ *
+ * @param {string} sort - Field name, prefixed with '-' for descending order
+ * @returns {Object} - { field, direction } with direction 1 or -1
+ */
+const parseSort = (sort) => (sort.startsWith('-')
+  ? { field: sort.slice(1), direction: -1 }
+  : { field: sort, direction: 1 });
+
+class CallLogService {
+  /**
+   * Checks whether a sort parameter is supported
+   *
+   * @param {string} sort - Sort parameter (e.g., -timestamp)
+   * @returns {boolean} - Whether the field can be sorted by
+   */
+  isValidSort(sort) {
+    return SORT_FIELDS.includes(parseSort(sort).field);
+  }
+
+  /**
+   * Encodes the position after a log as a cursor
+   *
+   * @param {Object} log - Last log of a page
+   * @param {string} sort - Sort the page was read with
+   * @returns {string} - Opaque, URL-safe cursor
+   */
+  encodeCursor(log, sort) {
+    const { field } = parseSort(sort);
+    const value = log[field] === undefined ? null : log[field];
+    return Buffer.from(JSON.stringify({ sort, value, callSid: log.callSid })).toString('base64url');
+  }
+
+  /**
+   * Decodes a cursor created by encodeCursor
+   *
+   * @param {string} cursor - Cursor from a previous page
+   * @param {string} sort - Sort of the page being read
+   * @returns {Object|null} - { value, callSid }, or null if the cursor is invalid or was made for another sort
+   */
+  decodeCursor(cursor, sort) {
+    try {
+      const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (!decoded || decoded.sort !== sort || typeof decoded.callSid !== 'string') {
+        return null;
+      }
+
+      const { field } = parseSort(sort);
+      if (field === 'timestamp' && decoded.value !== null) {
+        const value = new Date(decoded.value);
+        return Number.isNaN(value.getTime()) ? null : { value, callSid: decoded.callSid };
+      }
+
+      return { value: decoded.value, callSid: decoded.callSid };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Builds a query filter from search criteria
+   *
+   * @param {Object} criteria - See search
+   * @returns {Object} - Filter in MongoDB syntax, which every storage adapter takes
+   */
+  toFilter({ patientId, phoneNumber, adherenceStatuses, statuses, from, to, search, sort, after }) {
+    const conditions = [];
+
+    if (patientId) {
+      conditions.push({ patientId });
+    }
+    if (phoneNumber) {
+      conditions.push({ patientPhoneNumber: phoneNumber });
+    }
+    if (adherenceStatuses && adherenceStatuses.length > 0) {
+      conditions.push({ adherenceStatus: { $in: adherenceStatuses } });
+    }
+    if (statuses && statuses.length > 0) {
+      conditions.push({ status: { $in: statuses } });
+    }
+    if (from || to) {
+      conditions.push({ timestamp: { ...(from && { $gte: from }), ...(to && { $lt: to }) } });
+    }
+    if (search) {
+      conditions.push({ patientResponse: { $regex: escapeRegExp(search), $options: 'i' } });
+    }
+    if (after) {
+      const { field, direction } = parseSort(sort);
+      const beyond = direction === 1 ? '$gt' : '$lt';
+      conditions.push({
+        $or: [
+          { [field]: { [beyond]: after.value } },
+          { [field]: after.value, callSid: { [beyond]: after.callSid } }
+        ]
+      });
+    }
+
+    return conditions.length > 0 ? { $and: conditions } : {};
+  }
+
+  /**
+   * Finds one page of call logs
+   *
+   * @param {Object} criteria
+   * @param {string} [criteria.patientId] - Only this patient's calls
+   * @param {string} [criteria.phoneNumber] - Only calls to this number
+   * @param {string[]} [criteria.adherenceStatuses] - Only calls with one of these adherence statuses
+   * @param {string[]} [criteria.statuses] - Only calls in one of these states
+   * @param {Date} [criteria.from] - Only calls at or after this time
+   * @param {Date} [criteria.to] - Only calls before this time
+   * @param {string} [criteria.search] - Text the patient's response contains, ignoring case
+   * @param {string} [criteria.sort='-timestamp'] - Sort field, prefixed with '-' for descending
+   * @param {Object} [criteria.after] - Decoded cursor; only logs after this position
+   * @param {number} [criteria.limit=10] - Page size
+   * @returns {Promise<Object>} - { logs, total, nextCursor } with total counting every match and
+   *   nextCursor null on the last page
+   */
+  async search(criteria) {
+    const { sort = DEFAULT_SORT, limit = 10 } = criteria;
+    const options = { ...criteria, sort };
+    const { field, direction } = parseSort(sort);
+
+    const [logs, total] = await Promise.all([
+      CallLog.find(this.toFilter(options), { sort: { [field]: direction, callSid: direction }, limit: limit + 1 }),
+      CallLog.countDocuments(this.toFilter({ ...options, after: null }))
+    ]);
+
+    const hasMore = logs.length > limit;
+    const page = logs.slice(0, limit);
+
+    return {
+      logs: page,
+      total,
+      nextCursor: hasMore ? this.encodeCursor(page[page.length - 1], sort) : null
+    };
+  }
+
+  /**
+   * Gets a call log with the other calls of its redial chain
+   *
+   * @param {string} callSid - Twilio Call SID
+   * @returns {Promise<Object|null>} - { log, chain } with chain ordered by attempt, or null if not found
+   */
+  async getCallDetail(callSid) {
+    const log = await CallLog.findOne({ callSid });
+    if (!log) {
+      return null;
+    }
+
+    const rootSid = log.originalCallSid || log.callSid;
+    const [root, redials] = await Promise.all([
+      rootSid === log.callSid ? log : CallLog.findOne({ callSid: rootSid }),
+      CallLog.find({ originalCallSid: rootSid })
+    ]);
+
+    const chain = [root, ...(redials || [])]
+      .filter(Boolean)
+      .sort((a, b) => (a.attempt || 1) - (b.attempt || 1))
+      .map(call => ({
+        callSid: call.callSid,
+        attempt: call.attempt || 1,
+        status: call.status,
+        adherenceStatus: call.adherenceStatus,
+        timestamp: call.timestamp
+      }));
+
+    return { log, chain };
+  }
+}
+
+module.exports = new CallLogService();
+module.exports.SORT_FIELDS = SORT_FIELDS;
+module.exports.DEFAULT_SORT = DEFAULT_SORT;
@@ -0,0 +1,87 @@
+/**
+ * Call Service Module
+ *
+ * Places reminder calls and records them in the call log. Shared by the
+ * admin API and the scheduler so every outbound call is logged the same way.
+ * Calls to patients who consented to recording are recorded.
+ *
+ * @module services/callService
+ */
+const telephonyService = require('./telephonyService');
+const recordingService = require('./recordingService');
+const CallLog = require('../models/callLog');
+const CallStates = require('../config/callStates');
+const logger = require('../utils/logger');
+
+/**
+ * Places a reminder call and stores the initial call log
+ *
+ * @param {Object} options
+ * @param {string} options.phoneNumber - Number to call in E.164 format
+ * @param {Object} [options.patient] - Registered patient the call is for
+ * @param {string} [options.scheduleId] - Schedule that triggered the call
+ * @param {string} [options.campaignId] - Campaign that placed the call
+ * @param {number} [options.attempt=1] - Attempt number in a redial chain
+ * @param {string} [options.originalCallSid] - First call of the redial chain, for redials
+ * @param {string} [options.requestId] - Request ID for log correlation
+ * @returns {Promise<Object>} - Twilio call object
+ * @throws {Error} - If the call cannot be initiated
+ */
+const placeReminderCall = async ({ phoneNumber, patient = null, scheduleId = null, campaignId = null, attempt = 1, originalCallSid = null, requestId }) => {
+  const patientId = patient ? String(patient._id) : undefined;
+  
+  const record = recordingService.shouldRecord(patient);
+  
+  const call = await telephonyService.makeCall(phoneNumber, { patientId, attempt, originalCallSid, record, requestId });
+  
+  logger.info({
+    event: 'call_initiated',
+    phoneNumber,
+    patientId,
+    scheduleId: scheduleId ? String(scheduleId) : undefined,
+    campaignId: campaignId ? String(campaignId) : undefined,
+    callSid: call.sid,
+    status: call.status,
+    attempt,
+    originalCallSid: originalCallSid || undefined,
+    recorded: record,
+    requestId
+  });
+  
+  // Store in database if implemented
+  try {
+    await CallLog.create({
+      callSid: call.sid,
+      status: CallStates.INITIATED,
+      statusHistory: [{
+        from: null,
+        to: CallStates.INITIATED,
+        providerStatus: call.status || null,
+        source: 'call-placed',
+        timestamp: new Date()
+      }],
+      patientId: patient ? patient._id : null,
+      scheduleId,
+      campaignId,
+      patientPhoneNumber: phoneNumber,
+      attempt,
+      originalCallSid,
+      timestamp: new Date()
+    });
+  } catch (dbError) {
+    // Don't fail if database storage fails
+    logger.warn({
+      event: 'database_error',
+      message: 'Failed to store call log in database',
+      error: dbError.message,
+      callSid: call.sid,
+      requestId
+    });
+  }
+  
+  return call;
+};
+
+module.exports = {
+  placeReminderCall
+};
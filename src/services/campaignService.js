@@ -0,0 +1,541 @@
+/**
+ * Campaign Service Module
+ *
+ * Runs bulk reminder campaigns. A campaign's calls are stored in order and
+ * placed by a runner that polls running campaigns, keeping each campaign
+ * under its concurrency and calls-per-second limits and all campaigns
+ * together under the account's calls-per-second limit. A call holds a
+ * concurrency slot until its final status arrives through the status
+ * callback, or until it times out.
+ *
+ * Redials of unanswered campaign calls follow the usual redial policy and
+ * do not count towards the campaign.
+ *
+ * @module services/campaignService
+ */
+const mongoose = require('mongoose');
+const config = require('../config');
+const callService = require('./callService');
+const Campaign = require('../models/campaign');
+const CampaignCall = require('../models/campaignCall');
+const Patient = require('../models/patient');
+const CallStates = require('../config/callStates');
+const { CampaignStatuses, CampaignCallStatuses } = require('../config/campaignStatuses');
+const logger = require('../utils/logger');
+const { TokenBucket } = require('../utils/rateLimiter');
+
+/**
+ * Twilio call statuses after which a call will not change again
+ */
+const FINAL_PROVIDER_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+// Campaign call statuses that hold a concurrency slot
+const IN_FLIGHT_STATUSES = [CampaignCallStatuses.PLACING, CampaignCallStatuses.IN_PROGRESS];
+
+// Campaign statuses each action can be applied to, the status it sets and its log event
+const ACTIONS = {
+  pause: { from: [CampaignStatuses.RUNNING], to: CampaignStatuses.PAUSED, event: 'campaign_paused' },
+  resume: { from: [CampaignStatuses.PAUSED], to: CampaignStatuses.RUNNING, event: 'campaign_resumed' },
+  cancel: {
+    from: [CampaignStatuses.RUNNING, CampaignStatuses.PAUSED],
+    to: CampaignStatuses.CANCELED,
+    event: 'campaign_canceled'
+  }
+};
+
+/**
+ * Creates a rate limiter that lets a poll catch up on the calls due since the last one
+ *
+ * @param {number} callsPerSecond - Average rate
+ * @returns {TokenBucket} - Rate limiter
+ */
+const createLimiter = (callsPerSecond) => new TokenBucket(
+  callsPerSecond,
+  (callsPerSecond * config.campaigns.pollIntervalMs) / 1000
+);
+
+class CampaignService {
+  constructor() {
+    this.timer = null;
+    this.ticking = false;
+    this.limiters = new Map();
+    this.accountLimiter = null;
+  }
+
+  /**
+   * Starts polling running campaigns
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        logger.error({
+          event: 'campaign_runner_error',
+          message: 'Campaign runner tick failed',
+          error: error.message,
+          stack: error.stack
+        });
+      });
+    }, config.campaigns.pollIntervalMs);
+
+    // Don't keep the process alive just for the runner
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+
+    logger.info({
+      event: 'campaign_runner_started',
+      pollIntervalMs: config.campaigns.pollIntervalMs
+    });
+  }
+
+  /**
+   * Stops polling running campaigns
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info({ event: 'campaign_runner_stopped' });
+    }
+  }
+
+  /**
+   * Gets the rate limiter shared by all campaigns
+   *
+   * @returns {TokenBucket} - Account-wide rate limiter
+   */
+  getAccountLimiter() {
+    if (!this.accountLimiter) {
+      this.accountLimiter = createLimiter(config.campaigns.maxCallsPerSecond);
+    }
+    return this.accountLimiter;
+  }
+
+  /**
+   * Gets a campaign's rate limiter
+   *
+   * @param {Object} campaign - Campaign document
+   * @returns {TokenBucket} - Rate limiter for the campaign's calls per second
+   */
+  getLimiter(campaign) {
+    const id = String(campaign._id);
+    let limiter = this.limiters.get(id);
+
+    if (!limiter || limiter.ratePerSecond !== campaign.callsPerSecond) {
+      limiter = createLimiter(campaign.callsPerSecond);
+      this.limiters.set(id, limiter);
+    }
+
+    return limiter;
+  }
+
+  /**
+   * Creates a running campaign and queues its calls
+   *
+   * @param {Object} options
+   * @param {string} options.name - Display name
+   * @param {Object[]} options.recipients - { patientId, phoneNumber } per call, in calling order
+   * @param {number} options.concurrency - Most calls in progress at once
+   * @param {number} options.callsPerSecond - Most calls placed per second
+   * @param {string} [options.createdBy] - ID of the API key creating the campaign
+   * @param {string} [options.requestId] - Request ID for log correlation
+   * @returns {Promise<Object>} - Campaign document
+   */
+  async createCampaign({ name, recipients, concurrency, callsPerSecond, createdBy = null, requestId }) {
+    const campaign = await Campaign.create({
+      name,
+      concurrency,
+      callsPerSecond,
+      totalCalls: recipients.length,
+      createdBy
+    });
+
+    for (const [index, recipient] of recipients.entries()) {
+      await CampaignCall.create({
+        campaignId: campaign._id,
+        position: index + 1,
+        patientId: recipient.patientId || null,
+        phoneNumber: recipient.phoneNumber
+      });
+    }
+
+    logger.info({
+      event: 'campaign_created',
+      campaignId: String(campaign._id),
+      totalCalls: recipients.length,
+      concurrency,
+      callsPerSecond,
+      createdBy: createdBy || undefined,
+      requestId
+    });
+
+    return campaign;
+  }
+
+  /**
+   * Counts a campaign's calls by status
+   *
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} - { total, queued, inProgress, answered, voicemail, failed, canceled }
+   */
+  async getProgress(campaignId) {
+    const counts = {};
+    await Promise.all(Object.values(CampaignCallStatuses).map(async status => {
+      counts[status] = await CampaignCall.countDocuments({ campaignId: String(campaignId), status });
+    }));
+
+    return {
+      total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+      queued: counts[CampaignCallStatuses.QUEUED],
+      inProgress: counts[CampaignCallStatuses.PLACING] + counts[CampaignCallStatuses.IN_PROGRESS],
+      answered: counts[CampaignCallStatuses.ANSWERED],
+      voicemail: counts[CampaignCallStatuses.VOICEMAIL],
+      failed: counts[CampaignCallStatuses.FAILED],
+      canceled: counts[CampaignCallStatuses.CANCELED]
+    };
+  }
+
+  /**
+   * Places calls for every running campaign, as far as the limits allow
+   *
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<number>} - Number of calls placed
+   */
+  async tick(now = new Date()) {
+    // Skip if the previous tick is still placing calls
+    if (this.ticking) {
+      return 0;
+    }
+
+    this.ticking = true;
+    let placed = 0;
+
+    try {
+      const campaigns = await Campaign.find({ status: CampaignStatuses.RUNNING });
+
+      for (const campaign of campaigns) {
+        placed += await this.runCampaign(campaign, now);
+      }
+    } finally {
+      this.ticking = false;
+    }
+
+    return placed;
+  }
+
+  /**
+   * Places a running campaign's next calls while it has free slots and rate allowance
+   *
+   * @param {Object} campaign - Running campaign
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} - Number of calls placed
+   */
+  async runCampaign(campaign, now) {
+    const counts = await Promise.all(IN_FLIGHT_STATUSES.map(status =>
+      CampaignCall.countDocuments({ campaignId: String(campaign._id), status })));
+    let available = campaign.concurrency - counts.reduce((sum, count) => sum + count, 0);
+
+    if (available <= 0) {
+      available += await this.expireStaleCalls(campaign, now);
+    }
+
+    const limiter = this.getLimiter(campaign);
+    const accountLimiter = this.getAccountLimiter();
+    let placed = 0;
+
+    while (available > 0 && limiter.canTake(now) && accountLimiter.canTake(now)) {
+      // Claims the next call in roster order
+      const campaignCall = await CampaignCall.findOneAndUpdate(
+        { campaignId: String(campaign._id), status: CampaignCallStatuses.QUEUED },
+        { $set: { status: CampaignCallStatuses.PLACING, placedAt: now } },
+        { new: true, sort: { position: 1 } }
+      );
+
+      if (!campaignCall) {
+        await this.completeIfDone(campaign);
+        break;
+      }
+
+      limiter.take(now);
+      accountLimiter.take(now);
+      await this.placeCall(campaign, campaignCall);
+      available--;
+      placed++;
+    }
+
+    return placed;
+  }
+
+  /**
+   * Places a claimed campaign call
+   *
+   * If the call cannot be placed it is recorded as failed and the campaign moves on.
+   *
+   * @param {Object} campaign - Campaign document
+   * @param {Object} campaignCall - Campaign call in the Placing status
+   * @returns {Promise<boolean>} - Whether the call was placed
+   */
+  async placeCall(campaign, campaignCall) {
+    try {
+      let patient = null;
+
+      if (campaignCall.patientId) {
+        patient = mongoose.isValidObjectId(campaignCall.patientId)
+          ? await Patient.findById(campaignCall.patientId)
+          : null;
+
+        if (!patient) {
+          throw new Error(`Patient not found: ${campaignCall.patientId}`);
+        }
+      }
+
+      const call = await callService.placeReminderCall({
+        phoneNumber: patient ? patient.phoneNumber : campaignCall.phoneNumber,
+        patient,
+        campaignId: campaign._id
+      });
+
+      await CampaignCall.findOneAndUpdate(
+        { _id: campaignCall._id, status: CampaignCallStatuses.PLACING },
+        { $set: { status: CampaignCallStatuses.IN_PROGRESS, callSid: call.sid } }
+      );
+
+      return true;
+    } catch (error) {
+      logger.error({
+        event: 'campaign_call_failed',
+        campaignId: String(campaign._id),
+        campaignCallId: String(campaignCall._id),
+        error: error.message
+      });
+
+      await CampaignCall.findOneAndUpdate(
+        { _id: campaignCall._id, status: CampaignCallStatuses.PLACING },
+        { $set: { status: CampaignCallStatuses.FAILED, finishedAt: new Date(), lastError: error.message } }
+      );
+
+      return false;
+    }
+  }
+
+  /**
+   * Fails calls that have held a slot longer than the call timeout
+   *
+   * Covers status callbacks that never arrive and calls left Placing by a crash.
+   *
+   * @param {Object} campaign - Campaign document
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} - Number of slots freed
+   */
+  async expireStaleCalls(campaign, now) {
+    const cutoff = now.getTime() - config.campaigns.callTimeoutMs;
+    let expired = 0;
+
+    for (const status of IN_FLIGHT_STATUSES) {
+      const calls = await CampaignCall.find({ campaignId: String(campaign._id), status });
+
+      for (const campaignCall of calls) {
+        if (!campaignCall.placedAt || new Date(campaignCall.placedAt).getTime() > cutoff) {
+          continue;
+        }
+
+        const updated = await CampaignCall.findOneAndUpdate(
+          { _id: campaignCall._id, status },
+          { $set: { status: CampaignCallStatuses.FAILED, finishedAt: now, lastError: 'No final call status received' } }
+        );
+
+        if (updated) {
+          expired++;
+          logger.warn({
+            event: 'campaign_call_timed_out',
+            campaignId: String(campaign._id),
+            callSid: campaignCall.callSid || undefined
+          });
+        }
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * Marks a running campaign completed once every call has finished
+   *
+   * @param {Object} campaign - Campaign document
+   * @returns {Promise<boolean>} - Whether the campaign was completed
+   */
+  async completeIfDone(campaign) {
+    const progress = await this.getProgress(campaign._id);
+
+    // Calls are queued after the campaign is stored, so wait until all of them exist
+    if (progress.queued + progress.inProgress > 0 || progress.total < campaign.totalCalls) {
+      return false;
+    }
+
+    const completed = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, status: CampaignStatuses.RUNNING },
+      { $set: { status: CampaignStatuses.COMPLETED, completedAt: new Date() } },
+      { new: true }
+    );
+
+    if (completed) {
+      this.limiters.delete(String(campaign._id));
+      logger.info({ event: 'campaign_completed', campaignId: String(campaign._id), ...progress });
+    }
+
+    return Boolean(completed);
+  }
+
+  /**
+   * Gets how a campaign call ended from its final status callback
+   *
+   * @param {Object} result
+   * @param {string} result.providerStatus - Final Twilio call status
+   * @param {string} [result.callState] - Call log state after the callback
+   * @param {string} [result.answeredBy] - Answering machine detection result
+   * @returns {string} - Answered, Voicemail or Failed
+   */
+  getOutcome({ providerStatus, callState, answeredBy }) {
+    if (callState === CallStates.ANSWERED) {
+      return CampaignCallStatuses.ANSWERED;
+    }
+
+    if (callState === CallStates.VOICEMAIL_LEFT || /^(machine|fax)/.test(answeredBy || '')) {
+      return CampaignCallStatuses.VOICEMAIL;
+    }
+
+    return providerStatus === 'completed' ? CampaignCallStatuses.ANSWERED : CampaignCallStatuses.FAILED;
+  }
+
+  /**
+   * Records the final status of a campaign call, freeing its slot
+   *
+   * Calls that are not part of a campaign, and statuses that are not final, are ignored.
+   *
+   * @param {Object} result
+   * @param {string} result.callSid - Twilio Call SID
+   * @param {string} result.providerStatus - Twilio call status
+   * @param {string} [result.callState] - Call log state after the callback
+   * @param {string} [result.answeredBy] - Answering machine detection result
+   * @param {string} [result.requestId] - Request ID for log correlation
+   * @returns {Promise<Object|null>} - Updated campaign call, or null if none was updated
+   */
+  async recordCallResult({ callSid, providerStatus, callState, answeredBy, requestId }) {
+    if (!FINAL_PROVIDER_STATUSES.includes(providerStatus)) {
+      return null;
+    }
+
+    try {
+      const status = this.getOutcome({ providerStatus, callState, answeredBy });
+      const campaignCall = await CampaignCall.findOneAndUpdate(
+        { callSid, status: CampaignCallStatuses.IN_PROGRESS },
+        { $set: { status, finishedAt: new Date() } },
+        { new: true }
+      );
+
+      if (!campaignCall) {
+        return null;
+      }
+
+      logger.info({
+        event: 'campaign_call_finished',
+        campaignId: String(campaignCall.campaignId),
+        callSid,
+        status,
+        requestId
+      });
+
+      const campaign = await Campaign.findById(campaignCall.campaignId);
+      if (campaign && campaign.status === CampaignStatuses.RUNNING) {
+        await this.completeIfDone(campaign);
+      }
+
+      return campaignCall;
+    } catch (dbError) {
+      logger.warn({
+        event: 'database_error',
+        message: 'Failed to record campaign call result',
+        error: dbError.message,
+        callSid,
+        requestId
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Pauses, resumes or cancels a campaign
+   *
+   * Canceling marks every call not yet placed as canceled; calls already in
+   * progress run to completion.
+   *
+   * @param {string} campaignId - Campaign ID
+   * @param {string} action - pause, resume or cancel
+   * @param {string} [requestId] - Request ID for log correlation
+   * @returns {Promise<Object|null>} - Updated campaign, or null if its status does not allow the action
+   */
+  async applyAction(campaignId, action, requestId) {
+    const { from, to, event } = ACTIONS[action];
+    let campaign = null;
+
+    for (const status of from) {
+      campaign = await Campaign.findOneAndUpdate(
+        { _id: campaignId, status },
+        { $set: { status: to, ...(to === CampaignStatuses.CANCELED && { completedAt: new Date() }) } },
+        { new: true }
+      );
+      if (campaign) {
+        break;
+      }
+    }
+
+    if (!campaign) {
+      return null;
+    }
+
+    let canceledCalls;
+    if (to === CampaignStatuses.CANCELED) {
+      canceledCalls = await this.cancelQueuedCalls(campaignId);
+      this.limiters.delete(String(campaignId));
+    }
+
+    logger.info({
+      event,
+      campaignId: String(campaignId),
+      canceledCalls,
+      requestId
+    });
+
+    return campaign;
+  }
+
+  /**
+   * Cancels a campaign's calls that have not been placed
+   *
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<number>} - Number of calls canceled
+   */
+  async cancelQueuedCalls(campaignId) {
+    const queued = await CampaignCall.find({ campaignId: String(campaignId), status: CampaignCallStatuses.QUEUED });
+    let canceled = 0;
+
+    for (const campaignCall of queued) {
+      const updated = await CampaignCall.findOneAndUpdate(
+        { _id: campaignCall._id, status: CampaignCallStatuses.QUEUED },
+        { $set: { status: CampaignCallStatuses.CANCELED, finishedAt: new Date() } }
+      );
+      if (updated) {
+        canceled++;
+      }
+    }
+
+    return canceled;
+  }
+}
+
+module.exports = new CampaignService();
+module.exports.FINAL_PROVIDER_STATUSES = FINAL_PROVIDER_STATUSES;
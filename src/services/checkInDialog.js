@@ -0,0 +1,190 @@
+/**
+ * Check-In Dialog
+ * 
+ * Transport-independent wording and scoring of the medication check-in,
+ * shared by the webhook (<Gather>) flow and the media stream flow.
+ * 
+ * @module services/checkInDialog
+ */
+const { translate, formatList } = require('../locales');
+
+// Number of times a question is asked before the call is closed
+const MAX_RETRIES = 2;
+
+// Catalog key of the closing message for each overall adherence status
+const ADHERENCE_MESSAGE_KEYS = {
+  Full: 'positive',
+  None: 'negative',
+  Partial: 'partial',
+  Unclear: 'unclear'
+};
+
+// Per-medication result for each classification of a single answer
+const MEDICATION_RESULTS = {
+  Full: 'Taken',
+  None: 'Missed',
+  Partial: 'Unclear',
+  Unclear: 'Unclear'
+};
+
+/**
+ * Gets a patient's medications, or an empty list without patient context
+ * 
+ * @param {Object|null} patient - Patient document
+ * @returns {Array} - Medications
+ */
+const getMedications = (patient) => (patient && patient.medications ? patient.medications : []);
+
+/**
+ * Gets the language a patient is spoken to in
+ * 
+ * @param {Object|null} patient - Patient document
+ * @returns {string|undefined} - Language code; translate() falls back to English when missing
+ */
+const getLanguage = (patient) => (patient ? patient.language : undefined);
+
+/**
+ * Builds the question asked about a single medication
+ * 
+ * @param {string} language - Patient language
+ * @param {Array} medications - The patient's medications
+ * @param {number} index - Index of the medication being asked about
+ * @param {number} retryCount - How many times this question has been asked already
+ * @param {boolean} [clarify=false] - Whether the previous answer was too uncertain to use
+ * @returns {string} - Question to speak
+ */
+const buildMedicationQuestion = (language, medications, index, retryCount, clarify = false) => {
+  const params = { medication: medications[index].name };
+  const question = translate(language, 'medicationQuestion', params);
+  
+  if (clarify) {
+    return `${translate(language, 'clarifyPrefix')} ${question}`;
+  }
+  
+  if (retryCount > 0) {
+    return `${translate(language, 'retryPrefix')} ${question}`;
+  }
+  
+  if (index > 0) {
+    return `${translate(language, 'nextMedicationPrefix')} ${question}`;
+  }
+  
+  const greeting = translate(language, 'reminderGreeting');
+  
+  if (medications.length > 1) {
+    return `${greeting} ${translate(language, 'firstMedicationQuestion', params)}`;
+  }
+  
+  return `${greeting} ${question}`;
+};
+
+/**
+ * Gets the names of a patient's medications for classification context
+ * 
+ * @param {Array} medications - Medications
+ * @returns {string[]} - Medication names
+ */
+const getMedicationNames = (medications) => medications.map(medication => medication.name);
+
+/**
+ * Derives the overall adherence status from per-medication results
+ * 
+ * @param {string[]} results - 'Taken', 'Missed' or 'Unclear' for each medication
+ * @returns {string} - Full, Partial, None or Unclear
+ */
+const deriveAdherenceStatus = (results) => {
+  const taken = results.filter(result => result === 'Taken').length;
+  const missed = results.filter(result => result === 'Missed').length;
+  
+  if (results.length > 0 && taken === results.length) {
+    return 'Full';
+  }
+  if (results.length > 0 && missed === results.length) {
+    return 'None';
+  }
+  if (missed > 0) {
+    // At least one dose was missed and at least one was taken or unconfirmed
+    return 'Partial';
+  }
+  return 'Unclear';
+};
+
+/**
+ * Parses the per-medication results carried between dialog webhooks
+ * 
+ * Unrecognised entries count as Unclear rather than being dropped, so a
+ * damaged query string cannot shift later results onto other medications.
+ * 
+ * @param {string} [value] - Comma-separated results from the query string
+ * @param {number} [count] - Number of results to keep (the number of medications asked about)
+ * @returns {string[]} - Results in medication order
+ */
+const parseMedicationResults = (value, count) => {
+  const results = value
+    ? String(value).split(',').map(result => (['Taken', 'Missed', 'Unclear'].includes(result) ? result : 'Unclear'))
+    : [];
+  return count === undefined ? results : results.slice(0, Math.max(count, 0));
+};
+
+/**
+ * Builds the closing message for a per-medication check-in
+ * 
+ * @param {string} language - Patient language
+ * @param {string} adherenceStatus - Overall adherence status
+ * @param {string[]} missedNames - Names of medications reported as not taken
+ * @returns {string} - Message to speak
+ */
+const buildClosingMessage = (language, adherenceStatus, missedNames) => {
+  if (adherenceStatus === 'Partial' && missedNames.length > 0) {
+    return translate(language, 'partialMissed', { medications: formatList(language, missedNames) });
+  }
+  return translate(language, ADHERENCE_MESSAGE_KEYS[adherenceStatus]);
+};
+
+/**
+ * Builds the question asked when the patient has no registered regimen
+ * 
+ * @param {string} language - Patient language
+ * @param {number} retryCount - How many times this question has been asked already
+ * @param {boolean} [clarify=false] - Whether the previous answer was too uncertain to use
+ * @returns {string} - Question to speak
+ */
+const buildGeneralQuestion = (language, retryCount, clarify = false) => {
+  if (clarify) {
+    return `${translate(language, 'clarifyPrefix')} ${translate(language, 'allMedicationsQuestion')}`;
+  }
+  
+  if (retryCount > 0) {
+    return translate(language, 'retry');
+  }
+  
+  return `${translate(language, 'reminderGreeting')} ${translate(language, 'confirmMedications')}`;
+};
+
+/**
+ * Gets the names of the medications reported as not taken
+ * 
+ * @param {Array} medications - The patient's medications
+ * @param {string[]} results - Per-medication results in medication order
+ * @returns {string[]} - Names of missed medications
+ */
+const getMissedNames = (medications, results) => {
+  return medications
+    .filter((item, index) => results[index] === 'Missed')
+    .map(item => item.name);
+};
+
+module.exports = {
+  MAX_RETRIES,
+  ADHERENCE_MESSAGE_KEYS,
+  MEDICATION_RESULTS,
+  getMedications,
+  getLanguage,
+  getMedicationNames,
+  buildMedicationQuestion,
+  buildGeneralQuestion,
+  deriveAdherenceStatus,
+  parseMedicationResults,
+  buildClosingMessage,
+  getMissedNames
+};
@@ -0,0 +1,87 @@
+/**
+ * English lexicon for the rule-based adherence classifier
+ *
+ * Phrases are matched on whole words after contractions are expanded,
+ * so "didn't" is matched as "did not". Weights express how strongly a
+ * phrase signals its category on its own.
+ *
+ * @module services/classifiers/lexicons/en
+ */
+module.exports = {
+  language: 'en',
+
+  // Applied in order before tokenizing
+  contractions: [
+    [/\bwon't\b/g, 'will not'],
+    [/\bcan't\b/g, 'can not'],
+    [/\bcannot\b/g, 'can not'],
+    [/n't\b/g, ' not'],
+    [/'ve\b/g, ' have'],
+    [/'m\b/g, ' am'],
+    [/'ll\b/g, ' will'],
+    [/'re\b/g, ' are'],
+    [/'d\b/g, ' would'],
+    [/\bthat's\b/g, 'that is'],
+    [/\bgonna\b/g, 'going to']
+  ],
+
+  // The patient does not know - recorded as Unclear without re-prompting
+  uncertain: [
+    'not sure', 'am not sure', 'no idea', 'do not know', 'do not remember', 'can not remember',
+    'do not recall', 'can not recall', 'not certain', 'forgot if', 'forget if', 'forgot whether',
+    'forget whether', 'unsure', 'who knows'
+  ],
+
+  // Phrases that contain cue words but carry no adherence meaning
+  neutral: [
+    'no problem', 'no worries', 'thank you', 'no thank you', 'what did you say', 'did you say'
+  ],
+
+  // Lower confidence but don't change the label
+  hedges: [
+    'i think', 'maybe', 'probably', 'i guess', 'i believe', 'kind of', 'sort of', 'perhaps'
+  ],
+
+  // Some but not all doses
+  partial: [
+    ['some of them', 1], ['some of', 1], ['some', 0.8], ['only', 0.8], ['one of them', 1],
+    ['a few', 0.8], ['most of them', 1], ['most', 0.8], ['half', 0.8], ['not all', 1], ['except', 1],
+    ['all but', 1], ['the rest', 0.8], ['a couple', 0.8], ['just one', 1], ['but not', 1],
+    ['not the other', 1], ['the other one', 0.6]
+  ],
+
+  // Words that join two contrasting statements ("took A but forgot B")
+  contrast: ['but', 'though', 'although', 'however'],
+
+  // Dose taken; verbs can be negated or turned into intentions by modals
+  positive: [
+    ['yes', 1], ['yeah', 1], ['yep', 1], ['yup', 1], ['yea', 1], ['sure', 0.8], ['correct', 0.8],
+    ['absolutely', 1], ['definitely', 1], ['certainly', 1], ['affirmative', 1], ['of course', 1],
+    ['uh huh', 0.8], ['mm hmm', 0.8], ['mhm', 0.8], ['that is right', 0.8], ['i think so', 0.5],
+    ['think so', 0.5], ['already', 0.6], ['done', 0.6], ['all of them', 0.4], ['every one', 0.4],
+    ['took', 1, true], ['taken', 1, true], ['take', 0.6, true], ['had', 0.7, true],
+    ['swallowed', 1, true], ['remembered', 0.8, true]
+  ],
+
+  // Dose not taken
+  negative: [
+    ['no', 1], ['nope', 1], ['nah', 1], ['none', 1], ['neither', 1], ['not any', 1], ['not yet', 1], ['forgot', 1], ['forget', 1],
+    ['forgotten', 1], ['missed', 1], ['miss', 0.8], ['skipped', 1], ['skip', 0.8],
+    ['ran out', 1], ['run out', 1], ['out of', 0.7], ['later', 0.7], ['tonight', 0.5]
+  ],
+
+  // Flip the polarity of the next cue ("did not take", "did not forget")
+  negators: ['not', 'never', 'without'],
+
+  // Turn a following take-verb into an intention ("going to take it")
+  modals: [
+    'to', 'will', 'going to', 'should', 'would', 'need to', 'have to', 'about to', 'must',
+    'can', 'could', 'let me', 'want to', 'plan to'
+  ],
+
+  // Auxiliaries that answer the question on their own ("I did", "yes I have")
+  auxiliaries: ['did', 'have', 'do', 'has'],
+
+  // Words that may follow an auxiliary in a short answer ("I have already")
+  auxiliaryFollowers: ['already', 'yes', 'it', 'them', 'those', 'that', 'all', 'today', 'indeed']
+};
@@ -0,0 +1,55 @@
+/**
+ * Spanish lexicon for the rule-based adherence classifier
+ *
+ * Accents are stripped before matching, so phrases are written without
+ * them ("tome" matches "tomé"). "No" is a negator: it flips a following
+ * verb ("no la he tomado") and counts as a plain "no" on its own.
+ *
+ * @module services/classifiers/lexicons/es
+ */
+module.exports = {
+  language: 'es',
+
+  contractions: [],
+
+  // Object pronouns push the verb further from "no" ("no me la he tomado")
+  modifierWindow: 4,
+
+  uncertain: [
+    'no se', 'no estoy seguro', 'no estoy segura', 'no me acuerdo', 'no recuerdo', 'ni idea',
+    'quien sabe', 'no sabria decirle'
+  ],
+
+  neutral: ['no hay problema', 'gracias', 'de nada', 'no entiendo'],
+
+  hedges: ['creo', 'creo que', 'tal vez', 'quizas', 'a lo mejor', 'puede ser', 'supongo'],
+
+  partial: [
+    ['algunas', 1], ['algunos', 1], ['solo', 0.8], ['solamente', 0.8], ['nada mas', 0.8],
+    ['una de ellas', 1], ['uno de ellos', 1], ['la mitad', 1], ['casi todas', 1], ['casi todos', 1],
+    ['no todas', 1], ['no todos', 1], ['excepto', 1], ['menos', 0.8], ['pero no', 1], ['la otra no', 1]
+  ],
+
+  contrast: ['pero', 'aunque', 'sin embargo'],
+
+  positive: [
+    ['si', 1], ['claro', 1], ['claro que si', 1], ['por supuesto', 1], ['desde luego', 1],
+    ['correcto', 0.8], ['asi es', 0.8], ['exacto', 0.8], ['ya', 0.6], ['listo', 0.6],
+    ['todas', 0.4], ['todos', 0.4], ['lo hice', 1],
+    ['tome', 1, true], ['tomado', 1, true], ['tomada', 1, true], ['tomados', 1, true], ['tomadas', 1, true],
+    ['tomo', 0.6, true], ['tomar', 0.6, true], ['tomarla', 0.6, true], ['tomarlas', 0.6, true],
+    ['tomarlo', 0.6, true], ['tomarlos', 0.6, true]
+  ],
+
+  negative: [
+    ['todavia no', 1], ['aun no', 1], ['ninguna', 1], ['ninguno', 1], ['olvide', 1], ['se me olvido', 1],
+    ['se me olvidaron', 1], ['olvidado', 1], ['se me paso', 1], ['se me acabaron', 1], ['se acabaron', 1],
+    ['mas tarde', 0.7], ['despues', 0.7], ['luego', 0.6], ['esta noche', 0.5]
+  ],
+
+  negators: ['no', 'nunca', 'jamas', 'sin'],
+
+  modals: ['voy a', 'vamos a', 'va a', 'tengo que', 'necesito', 'debo', 'pienso', 'quiero', 'ahorita voy a'],
+
+  auxiliaries: []
+};
@@ -0,0 +1,56 @@
+/**
+ * Hindi lexicon for the rule-based adherence classifier
+ *
+ * Speech recognition may return Devanagari or romanised Hindi, so both
+ * spellings are listed. Hindi negation usually precedes the verb
+ * ("नहीं ली") or closes the sentence ("ली नहीं"); both orders are listed
+ * as negative phrases, which win over the bare verb because longer
+ * matches are preferred.
+ *
+ * @module services/classifiers/lexicons/hi
+ */
+module.exports = {
+  language: 'hi',
+
+  contractions: [],
+
+  uncertain: [
+    'पता नहीं', 'मालूम नहीं', 'याद नहीं', 'याद नहीं है', 'पक्का नहीं',
+    'pata nahi', 'pata nahin', 'yaad nahi', 'yaad nahin', 'maloom nahi'
+  ],
+
+  neutral: ['धन्यवाद', 'शुक्रिया', 'कोई बात नहीं', 'dhanyavaad', 'shukriya', 'koi baat nahi'],
+
+  hedges: ['शायद', 'लगता है', 'मुझे लगता है', 'shayad', 'lagta hai'],
+
+  partial: [
+    ['कुछ', 1], ['सिर्फ', 0.8], ['केवल', 0.8], ['एक ही', 1], ['आधी', 0.8], ['सब नहीं', 1],
+    ['सारी नहीं', 1], ['दूसरी नहीं', 1], ['kuch', 1], ['sirf', 0.8], ['keval', 0.8], ['sab nahi', 1]
+  ],
+
+  contrast: ['लेकिन', 'पर', 'मगर', 'lekin', 'par', 'magar'],
+
+  positive: [
+    ['हाँ', 1], ['हां', 1], ['जी हाँ', 1], ['जी हां', 1], ['जी', 0.8], ['बिल्कुल', 1], ['ज़रूर', 0.8],
+    ['सही', 0.6], ['सब', 0.4], ['सारी', 0.4],
+    ['ले ली', 1], ['ले लिया', 1], ['ले लीं', 1], ['खा ली', 1], ['खा लिया', 1], ['ली', 0.7], ['लिया', 0.7],
+    ['खाई', 0.7], ['खाया', 0.7],
+    ['haan', 1], ['han', 1], ['ji haan', 1], ['ji', 0.8], ['bilkul', 1],
+    ['le li', 1], ['le liya', 1], ['kha li', 1], ['kha liya', 1], ['li', 0.7], ['liya', 0.7]
+  ],
+
+  negative: [
+    ['नहीं', 1], ['नही', 1], ['जी नहीं', 1], ['ना', 1], ['नहीं ली', 1], ['नहीं लिया', 1], ['नहीं खाई', 1], ['नहीं खाया', 1],
+    ['ली नहीं', 1], ['लिया नहीं', 1], ['अभी नहीं', 1], ['अभी तक नहीं', 1], ['भूल गया', 1], ['भूल गई', 1],
+    ['भूल गयी', 1], ['भूल गए', 1], ['छूट गई', 1], ['छूट गया', 1], ['खत्म हो गई', 1], ['बाद में', 0.7],
+    ['लूंगा', 0.8], ['लूंगी', 0.8], ['लेनी है', 0.8], ['लेना है', 0.8],
+    ['nahi', 1], ['nahin', 1], ['ji nahi', 1], ['na', 1], ['nahi li', 1], ['nahi liya', 1], ['li nahi', 1], ['abhi nahi', 1],
+    ['bhool gaya', 1], ['bhool gayi', 1], ['bhool gai', 1], ['baad mein', 0.7], ['lunga', 0.8], ['lungi', 0.8]
+  ],
+
+  negators: [],
+
+  modals: [],
+
+  auxiliaries: []
+};
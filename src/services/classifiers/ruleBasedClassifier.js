@@ -0,0 +1,284 @@
+/**
+ * Rule-Based Adherence Classifier
+ *
+ * Offline classifier that matches whole-word phrases from a lexicon,
+ * applies negation ("did not take") and intent ("going to take") rules,
+ * and scores the evidence into a label with a confidence.
+ *
+ * @module services/classifiers/ruleBasedClassifier
+ */
+
+const CLAUSE_BREAK = '|';
+
+// How many words a negator or modal can reach forward to the cue it modifies,
+// unless the lexicon sets its own modifierWindow
+const MODIFIER_WINDOW = 3;
+
+const HEDGE_PENALTY = 0.15;
+const UNCERTAIN_CONFIDENCE = 0.85;
+const NO_EVIDENCE_CONFIDENCE = 0.2;
+const CONTRAST_PARTIAL_CONFIDENCE = 0.8;
+const MIXED_PARTIAL_CONFIDENCE = 0.4;
+
+/**
+ * Lowercases text and strips Latin accents, so "tomé" and "tome" match alike
+ *
+ * Only combining diacritical marks are removed; vowel signs in scripts
+ * such as Devanagari are kept.
+ *
+ * @param {string} text - Text to normalise
+ * @returns {string} - Normalised text
+ */
+const normalizeText = (text) => {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFC');
+};
+
+/**
+ * Splits a response into lowercase word tokens with clause-break markers
+ *
+ * @param {string} text - Transcribed response
+ * @param {Array} contractions - [pattern, replacement] pairs from the lexicon
+ * @returns {string[]} - Tokens
+ */
+const tokenize = (text, contractions) => {
+  let normalized = normalizeText(text || '').replace(/[‘’]/g, '\'');
+
+  contractions.forEach(([pattern, replacement]) => {
+    normalized = normalized.replace(pattern, replacement);
+  });
+
+  return normalized
+    .replace(/[.,;:!?।]+/g, ` ${CLAUSE_BREAK} `)
+    .replace(/[^\p{L}\p{M}\p{N}'|\s]+/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+};
+
+/**
+ * Builds the phrase table for a lexicon, longest phrases first
+ *
+ * @param {Object} lexicon - Language lexicon
+ * @returns {Array} - Entries of { tokens, phrase, type, weight, verb }
+ */
+const buildPhraseTable = (lexicon) => {
+  const entries = [];
+  const add = (type, items) => {
+    (items || []).forEach(item => {
+      const [phrase, weight = 1, verb = false] = Array.isArray(item) ? item : [item];
+      const normalized = normalizeText(phrase);
+      entries.push({ tokens: normalized.split(' '), phrase: normalized, type, weight, verb });
+    });
+  };
+
+  add('uncertain', lexicon.uncertain);
+  add('neutral', lexicon.neutral);
+  add('hedge', lexicon.hedges);
+  add('partial', lexicon.partial);
+  add('positive', lexicon.positive);
+  add('negative', lexicon.negative);
+  add('negator', lexicon.negators);
+  add('modal', lexicon.modals);
+  add('contrast', lexicon.contrast);
+  add('auxiliary', lexicon.auxiliaries);
+
+  // Stable sort keeps category order as the tie-breaker for equal lengths
+  return entries.sort((a, b) => b.tokens.length - a.tokens.length);
+};
+
+/**
+ * Finds lexicon phrases in the tokens, preferring the longest match at each position
+ *
+ * @param {string[]} tokens - Response tokens
+ * @param {Array} phraseTable - Entries from buildPhraseTable
+ * @returns {Array} - Matches of { start, end, phrase, type, weight, verb }
+ */
+const matchPhrases = (tokens, phraseTable) => {
+  const matches = [];
+  let index = 0;
+
+  while (index < tokens.length) {
+    const entry = phraseTable.find(candidate => (
+      candidate.tokens.every((token, offset) => tokens[index + offset] === token)
+    ));
+
+    if (entry) {
+      matches.push({ ...entry, start: index, end: index + entry.tokens.length });
+      index += entry.tokens.length;
+    } else {
+      index++;
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Checks whether two token positions are in the same clause and close enough
+ *
+ * @param {string[]} tokens - Response tokens
+ * @param {number} from - Index just after the modifier
+ * @param {number} to - Index of the modified cue
+ * @param {number} modifierWindow - Maximum distance in words
+ * @returns {boolean} - Whether the modifier reaches the cue
+ */
+const inReach = (tokens, from, to, modifierWindow) => {
+  return to - from < modifierWindow && !tokens.slice(from, to).includes(CLAUSE_BREAK);
+};
+
+/**
+ * Turns phrase matches into scored polarity evidence
+ *
+ * @param {string[]} tokens - Response tokens
+ * @param {Array} matches - Phrase matches
+ * @param {Object} lexicon - Language lexicon
+ * @returns {Object} - { positive, negative, partial, hedged, uncertain, contrast, evidence }
+ */
+const scoreMatches = (tokens, matches, lexicon) => {
+  const polar = matches.filter(match => match.type === 'positive' || match.type === 'negative');
+  const scores = { positive: 0, negative: 0, partial: 0 };
+  const evidence = [];
+  let hedged = false;
+  let uncertain = false;
+  let contrast = false;
+  const modifierWindow = lexicon.modifierWindow || MODIFIER_WINDOW;
+
+  // Negators flip the next cue; modals turn a following take-verb into "not yet"
+  matches.forEach((match, position) => {
+    if (match.type !== 'negator' && match.type !== 'modal') {
+      return;
+    }
+
+    const target = polar.find(cue => cue.start >= match.end && !cue.modified && inReach(tokens, match.end, cue.start, modifierWindow));
+
+    if (match.type === 'negator' && target) {
+      target.type = target.type === 'positive' ? 'negative' : 'positive';
+      target.weight = Math.max(target.weight, 1);
+      target.modified = `${match.phrase} ${target.phrase}`;
+    } else if (match.type === 'modal' && target && target.type === 'positive' && target.verb) {
+      target.type = 'negative';
+      target.weight = 1;
+      target.modified = `${match.phrase} ${target.phrase}`;
+    } else if (match.type === 'negator') {
+      // A bare negator answers the question itself ("I have not", "never")
+      const previous = matches[position - 1];
+      const followsAuxiliary = previous && previous.type === 'auxiliary' && previous.end === match.start;
+      const endsClause = tokens[match.end] === undefined || tokens[match.end] === CLAUSE_BREAK;
+      scores.negative += followsAuxiliary || endsClause ? 1 : 0.5;
+      evidence.push({ phrase: match.phrase, polarity: 'negative' });
+    }
+  });
+
+  matches.forEach(match => {
+    switch (match.type) {
+      case 'positive':
+      case 'negative':
+        scores[match.type] += match.weight;
+        evidence.push({ phrase: match.modified || match.phrase, polarity: match.type });
+        break;
+      case 'partial':
+        scores.partial += match.weight;
+        evidence.push({ phrase: match.phrase, polarity: 'partial' });
+        break;
+      case 'auxiliary': {
+        // "I did" / "yes I have" - only when the auxiliary ends the answer
+        const next = tokens[match.end];
+        if (next === undefined || next === CLAUSE_BREAK || (lexicon.auxiliaryFollowers || []).includes(next)) {
+          scores.positive += 1;
+          evidence.push({ phrase: match.phrase, polarity: 'positive' });
+        }
+        break;
+      }
+      case 'hedge':
+        hedged = true;
+        break;
+      case 'uncertain':
+        uncertain = true;
+        evidence.push({ phrase: match.phrase, polarity: 'uncertain' });
+        break;
+      case 'contrast':
+        contrast = true;
+        break;
+      default:
+        break;
+    }
+  });
+
+  return { ...scores, hedged, uncertain, contrast, evidence };
+};
+
+/**
+ * Maps a polarity score to a confidence
+ *
+ * @param {number} score - Summed cue weights
+ * @returns {number} - Confidence between 0 and 1
+ */
+const scoreToConfidence = (score) => Math.min(0.97, 0.5 + 0.2 * score);
+
+/**
+ * Creates a rule-based classifier for a language lexicon
+ *
+ * @param {Object} lexicon - Language lexicon (see lexicons/en.js)
+ * @returns {Object} - Classifier implementing classify(text, context)
+ */
+const createRuleBasedClassifier = (lexicon) => {
+  const phraseTable = buildPhraseTable(lexicon);
+
+  return {
+    name: `rules-${lexicon.language}`,
+
+    /**
+     * Classifies a response
+     *
+     * @param {string} text - Transcribed response
+     * @returns {Object} - { label, confidence, evidence }
+     */
+    classify(text) {
+      const tokens = tokenize(text, lexicon.contractions);
+      const matches = matchPhrases(tokens, phraseTable);
+      const { positive, negative, partial, hedged, uncertain, contrast, evidence } = scoreMatches(tokens, matches, lexicon);
+
+      let label;
+      let confidence;
+
+      if (uncertain) {
+        label = 'Unclear';
+        confidence = UNCERTAIN_CONFIDENCE;
+      } else if (partial > 0) {
+        label = 'Partial';
+        confidence = scoreToConfidence(partial + (positive > 0 || negative > 0 ? 1 : 0));
+      } else if (positive > 0 && negative > 0) {
+        // Contradictory cues are only a confident "partial" when explicitly contrasted
+        label = 'Partial';
+        confidence = contrast ? CONTRAST_PARTIAL_CONFIDENCE : MIXED_PARTIAL_CONFIDENCE;
+      } else if (positive > 0) {
+        label = 'Full';
+        confidence = scoreToConfidence(positive);
+      } else if (negative > 0) {
+        label = 'None';
+        confidence = scoreToConfidence(negative);
+      } else {
+        label = 'Unclear';
+        confidence = NO_EVIDENCE_CONFIDENCE;
+      }
+
+      if (hedged && !uncertain) {
+        confidence -= HEDGE_PENALTY;
+      }
+
+      return {
+        label,
+        confidence: Math.round(Math.max(0, confidence) * 100) / 100,
+        evidence
+      };
+    }
+  };
+};
+
+module.exports = {
+  createRuleBasedClassifier,
+  tokenize
+};
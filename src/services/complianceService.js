@@ -0,0 +1,323 @@
+/**
+ * Compliance Service Module
+ *
+ * Decides whether a patient may be called or texted. Each patient has a
+ * consent record per channel (voice, sms, recording), set through the
+ * patients API or by the STOP and START keywords texted to the Twilio
+ * number. Calls and SMS are also blocked during the configured quiet hours
+ * in the patient's timezone. The telephony service runs the check before
+ * every call and SMS, and every blocked attempt is logged with its reason;
+ * the error it fails with can be told apart from delivery failures with
+ * isBlockedError. The quiet hours settings are checked when the module
+ * is loaded.
+ *
+ * @module services/complianceService
+ */
+const mongoose = require('mongoose');
+const config = require('../config');
+const Patient = require('../models/patient');
+const ConsentChannels = require('../config/consentChannels');
+const logger = require('../utils/logger');
+const { isTimeOfDay } = require('../utils/validators');
+const { getZonedParts, parseTimeOfDay } = require('../utils/time');
+
+/**
+ * Reasons an outbound call or SMS is blocked
+ */
+const BlockReasons = {
+  NO_CONSENT: 'no_consent',
+  QUIET_HOURS: 'quiet_hours'
+};
+
+/**
+ * Inbound SMS keywords
+ */
+const SmsKeywords = {
+  STOP: 'stop',
+  START: 'start',
+  HELP: 'help'
+};
+
+// Carrier-standard words for each keyword; only a message of just the word counts
+const KEYWORD_WORDS = {
+  STOP: SmsKeywords.STOP,
+  STOPALL: SmsKeywords.STOP,
+  UNSUBSCRIBE: SmsKeywords.STOP,
+  CANCEL: SmsKeywords.STOP,
+  END: SmsKeywords.STOP,
+  QUIT: SmsKeywords.STOP,
+  START: SmsKeywords.START,
+  UNSTOP: SmsKeywords.START,
+  HELP: SmsKeywords.HELP,
+  INFO: SmsKeywords.HELP
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Consent of channels without a record: enrolled patients get reminders, but are only recorded on request
+const DEFAULT_CONSENT = {
+  [ConsentChannels.VOICE]: true,
+  [ConsentChannels.SMS]: true,
+  [ConsentChannels.RECORDING]: false
+};
+
+/**
+ * Converts an HH:MM setting to minutes after midnight
+ *
+ * @param {string} name - Setting name for the error message
+ * @param {string} time - Time in 24-hour HH:MM format
+ * @returns {number} - Minutes after midnight
+ * @throws {Error} - If the time is not HH:MM
+ */
+const toMinutes = (name, time) => {
+  if (!isTimeOfDay(time)) {
+    throw new Error(`${name} must be an HH:MM time, got ${time}`);
+  }
+  const { hour, minute } = parseTimeOfDay(time);
+  return hour * 60 + minute;
+};
+
+/**
+ * Checks the quiet hours settings, so a mistyped time stops the server
+ * at startup instead of failing every call and SMS
+ *
+ * @param {Object} settings - Compliance settings
+ * @throws {Error} - If a quiet hours setting is not an HH:MM time
+ */
+const validateQuietHours = ({ quietHoursStart, quietHoursEnd }) => {
+  if (quietHoursStart) {
+    toMinutes('QUIET_HOURS_START', quietHoursStart);
+  }
+  if (quietHoursEnd) {
+    toMinutes('QUIET_HOURS_END', quietHoursEnd);
+  }
+};
+
+class ComplianceService {
+  constructor() {
+    validateQuietHours(config.compliance);
+  }
+
+  /**
+   * Checks whether a patient consented to a channel
+   *
+   * @param {Object|null} patient - Patient
+   * @param {string} channel - Consent channel (voice, sms or recording)
+   * @returns {boolean} - Whether the channel may be used
+   */
+  hasConsent(patient, channel) {
+    const record = patient && patient.consent ? patient.consent[channel] : null;
+    return record ? record.granted === true : DEFAULT_CONSENT[channel];
+  }
+
+  /**
+   * Builds a patient's consent with some channels changed
+   *
+   * Channels whose consent does not change keep their record, so updatedAt
+   * tells when the patient last changed their mind.
+   *
+   * @param {Object|null} current - Current consent of the patient
+   * @param {Object} changes - Whether each changed channel is granted (e.g., { sms: false })
+   * @param {string} source - How the consent was changed (api or sms-keyword)
+   * @param {Date} [now=new Date()] - Time of the change
+   * @returns {Object} - Consent with one record or null per channel
+   */
+  buildConsent(current, changes, source, now = new Date()) {
+    const consent = {};
+
+    Object.values(ConsentChannels).forEach(channel => {
+      const record = current ? current[channel] || null : null;
+      const granted = changes[channel];
+
+      if (typeof granted !== 'boolean' || (record && record.granted === granted)) {
+        consent[channel] = record && typeof record.toObject === 'function' ? record.toObject() : record;
+      } else {
+        consent[channel] = { granted, source, updatedAt: now };
+      }
+    });
+
+    return consent;
+  }
+
+  /**
+   * Changes a patient's consent and logs the change
+   *
+   * @param {Object} patient - Patient
+   * @param {Object} changes - Whether each changed channel is granted (e.g., { voice: false, sms: false })
+   * @param {Object} options
+   * @param {string} options.source - How the consent was changed (api or sms-keyword)
+   * @param {string} [options.requestId] - Request ID for log correlation
+   * @returns {Promise<Object>} - Updated patient
+   */
+  async updateConsent(patient, changes, { source, requestId }) {
+    const consent = this.buildConsent(patient.consent, changes, source);
+    const updated = await Patient.findByIdAndUpdate(patient._id, { $set: { consent } }, { new: true });
+
+    logger.info({
+      event: 'consent_updated',
+      patientId: String(patient._id),
+      changes,
+      source,
+      requestId
+    });
+
+    return updated;
+  }
+
+  /**
+   * Checks whether a time falls within the quiet hours of a timezone
+   *
+   * @param {string} timeZone - IANA timezone of the patient
+   * @param {Date} [now=new Date()] - Time to check
+   * @returns {boolean} - Whether calls and SMS are blocked
+   * @throws {Error} - If the configured quiet hours are not HH:MM times
+   */
+  isQuietHours(timeZone, now = new Date()) {
+    const { quietHoursStart, quietHoursEnd } = config.compliance;
+    if (!quietHoursStart || !quietHoursEnd) {
+      return false;
+    }
+
+    const start = toMinutes('QUIET_HOURS_START', quietHoursStart);
+    const end = toMinutes('QUIET_HOURS_END', quietHoursEnd);
+    const { hour, minute } = getZonedParts(now, timeZone || 'UTC');
+    const current = hour * 60 + minute;
+
+    // Quiet hours usually run past midnight (e.g., 21:00 to 08:00)
+    return start <= end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  }
+
+  /**
+   * Gets when quiet hours that are in effect end
+   *
+   * The end is found by adding the minutes left until the end time, so on
+   * the night a DST change falls it can be an hour off; a call still in
+   * quiet hours at that time is simply deferred again.
+   *
+   * @param {string} timeZone - IANA timezone of the patient
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Date} - End of the current quiet hours, or now outside them
+   */
+  getQuietHoursEnd(timeZone, now = new Date()) {
+    if (!this.isQuietHours(timeZone, now)) {
+      return now;
+    }
+
+    const end = toMinutes('QUIET_HOURS_END', config.compliance.quietHoursEnd);
+    const { hour, minute } = getZonedParts(now, timeZone || 'UTC');
+    const wait = (end - (hour * 60 + minute) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    const endsAt = new Date(now.getTime() + wait * 60000);
+
+    endsAt.setUTCSeconds(0, 0);
+    return endsAt;
+  }
+
+  /**
+   * Finds the patient a call or SMS goes to
+   *
+   * @param {Object} options
+   * @param {string} [options.patientId] - Patient ID, when the caller knows it
+   * @param {string} options.phoneNumber - Number being called or texted
+   * @returns {Promise<Object|null>} - Patient, or null if the number is not a patient's
+   */
+  async findPatient({ patientId, phoneNumber }) {
+    if (patientId && mongoose.isValidObjectId(patientId)) {
+      const patient = await Patient.findById(patientId);
+      if (patient) {
+        return patient;
+      }
+    }
+
+    return Patient.findOne({ phoneNumber });
+  }
+
+  /**
+   * Checks whether a call or SMS may go out now
+   *
+   * Numbers that are not a patient's (e.g., providers' SMS contacts) have no
+   * consent record or timezone and are not checked. Blocked attempts are logged.
+   *
+   * @param {Object} options
+   * @param {string} options.channel - voice or sms
+   * @param {string} options.phoneNumber - Number being called or texted
+   * @param {string} [options.patientId] - Patient ID, when the caller knows it
+   * @param {string} [options.requestId] - Request ID for log correlation
+   * @param {Date} [options.now=new Date()] - Time of the attempt
+   * @returns {Promise<Object>} - { allowed, reason } with reason one of BlockReasons when blocked
+   */
+  async checkContact({ channel, phoneNumber, patientId, requestId, now = new Date() }) {
+    const patient = await this.findPatient({ patientId, phoneNumber });
+    if (!patient) {
+      return { allowed: true, reason: null };
+    }
+
+    let reason = null;
+    if (!this.hasConsent(patient, channel)) {
+      reason = BlockReasons.NO_CONSENT;
+    } else if (this.isQuietHours(patient.timezone, now)) {
+      reason = BlockReasons.QUIET_HOURS;
+    }
+
+    if (!reason) {
+      return { allowed: true, reason: null };
+    }
+
+    const record = patient.consent ? patient.consent[channel] : null;
+
+    logger.warn({
+      event: 'contact_blocked',
+      channel,
+      reason,
+      patientId: String(patient._id),
+      consentSource: record ? record.source : undefined,
+      timezone: reason === BlockReasons.QUIET_HOURS ? patient.timezone : undefined,
+      requestId
+    });
+
+    return { allowed: false, reason };
+  }
+
+  /**
+   * Checks a call or SMS like checkContact, failing if it is blocked
+   *
+   * @param {Object} options - As for checkContact
+   * @returns {Promise<void>}
+   * @throws {Error} - If the attempt is blocked; error.reason is one of BlockReasons
+   */
+  async assertContactAllowed(options) {
+    const { allowed, reason } = await this.checkContact(options);
+
+    if (!allowed) {
+      const error = new Error(`${options.channel === ConsentChannels.SMS ? 'SMS' : 'Call'} blocked: ${reason}`);
+      error.reason = reason;
+      throw error;
+    }
+  }
+
+  /**
+   * Checks whether an error is a call or SMS refused by assertContactAllowed
+   *
+   * @param {Error} error - Error to check
+   * @returns {boolean} - Whether the error carries one of BlockReasons
+   */
+  isBlockedError(error) {
+    return Boolean(error) && Object.values(BlockReasons).includes(error.reason);
+  }
+
+  /**
+   * Recognises an opt-out, opt-in or help keyword in an inbound SMS
+   *
+   * @param {string} text - Message text
+   * @returns {string|null} - One of SmsKeywords, or null for other messages
+   */
+  parseKeyword(text) {
+    const word = String(text || '').trim().replace(/[.!]+$/, '').toUpperCase();
+    return KEYWORD_WORDS[word] || null;
+  }
+}
+
+module.exports = new ComplianceService();
+module.exports.BlockReasons = BlockReasons;
+module.exports.SmsKeywords = SmsKeywords;
@@ -0,0 +1,243 @@
+/**
+ * FHIR Service Module
+ *
+ * Converts call logs into FHIR R4 resources for EHR import. Each answered
+ * check-in becomes an Observation of the overall adherence status, each
+ * per-medication answer a MedicationStatement that is part of it, and both
+ * refer to a Patient resource built from the registry.
+ *
+ * Identifier and code systems without a standard equivalent are defined
+ * under config.fhir.baseUrl.
+ *
+ * @module services/fhirService
+ */
+const mongoose = require('mongoose');
+const config = require('../config');
+const CallLog = require('../models/callLog');
+const Patient = require('../models/patient');
+
+/**
+ * Resource types produced by the export, in the order they are listed
+ */
+const RESOURCE_TYPES = ['Patient', 'Observation', 'MedicationStatement'];
+
+// Overall adherence status to local code and display text
+const ADHERENCE_CODES = {
+  Full: { code: 'full', display: 'All medications taken' },
+  Partial: { code: 'partial', display: 'Some medications taken' },
+  None: { code: 'none', display: 'No medications taken' },
+  Unclear: { code: 'unclear', display: 'Answer unclear' }
+};
+
+// Per-medication result to MedicationStatement.status
+const MEDICATION_STATUSES = {
+  Taken: 'active',
+  Missed: 'not-taken',
+  Unclear: 'unknown'
+};
+
+/**
+ * Turns a value into a valid FHIR resource id ([A-Za-z0-9-.]{1,64})
+ *
+ * @param {string} value - Source value
+ * @returns {string} - Resource id
+ */
+const toResourceId = (value) => String(value).replace(/[^A-Za-z0-9\-.]/g, '-').slice(0, 64);
+
+/**
+ * Formats a date as a FHIR dateTime
+ *
+ * @param {Date|string} date - Date to format
+ * @returns {string} - ISO 8601 date-time in UTC
+ */
+const toDateTime = (date) => new Date(date).toISOString();
+
+/**
+ * Drops properties without a value, which FHIR does not allow to be empty
+ *
+ * @param {Object} resource - Resource with possibly undefined properties
+ * @returns {Object} - Resource without them
+ */
+const compact = (resource) => {
+  Object.keys(resource).forEach(key => {
+    if (resource[key] === undefined || resource[key] === null) {
+      delete resource[key];
+    }
+  });
+  return resource;
+};
+
+class FhirService {
+  /**
+   * Builds a URL under the configured FHIR namespace
+   *
+   * @param {string} path - Path below the base URL (e.g., CodeSystem/adherence-status)
+   * @returns {string} - Absolute URL
+   */
+  systemUrl(path) {
+    return `${config.fhir.baseUrl}/${path}`;
+  }
+
+  /**
+   * Converts a registered patient into a Patient resource
+   *
+   * @param {Object} patient - Patient document
+   * @returns {Object} - FHIR Patient
+   */
+  toPatient(patient) {
+    const id = toResourceId(patient._id);
+
+    return compact({
+      resourceType: 'Patient',
+      id,
+      identifier: [{ system: this.systemUrl('sid/patient'), value: String(patient._id) }],
+      name: patient.name ? [{ text: patient.name }] : undefined,
+      telecom: patient.phoneNumber ? [{ system: 'phone', value: patient.phoneNumber, use: 'mobile' }] : undefined,
+      communication: patient.language
+        ? [{ language: { coding: [{ system: 'urn:ietf:bcp:47', code: patient.language }] }, preferred: true }]
+        : undefined
+    });
+  }
+
+  /**
+   * Converts a check-in's overall adherence status into an Observation
+   *
+   * @param {Object} callLog - Call log with an answered check-in
+   * @returns {Object} - FHIR Observation
+   */
+  toAdherenceObservation(callLog) {
+    const value = ADHERENCE_CODES[callLog.adherenceStatus] || ADHERENCE_CODES.Unclear;
+
+    return compact({
+      resourceType: 'Observation',
+      id: toResourceId(`adherence-${callLog.callSid}`),
+      identifier: [{ system: this.systemUrl('sid/check-in'), value: callLog.callSid }],
+      status: 'final',
+      category: [{
+        coding: [{
+          system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+          code: 'survey',
+          display: 'Survey'
+        }]
+      }],
+      code: {
+        coding: [{
+          system: this.systemUrl('CodeSystem/observation'),
+          code: 'medication-adherence',
+          display: 'Medication adherence check-in'
+        }],
+        text: 'Medication adherence check-in'
+      },
+      subject: { reference: `Patient/${toResourceId(callLog.patientId)}` },
+      effectiveDateTime: toDateTime(callLog.timestamp),
+      valueCodeableConcept: {
+        coding: [{ system: this.systemUrl('CodeSystem/adherence-status'), ...value }],
+        text: value.display
+      },
+      method: { text: 'Automated medication reminder check-in' },
+      note: callLog.patientResponse ? [{ text: callLog.patientResponse }] : undefined
+    });
+  }
+
+  /**
+   * Converts a check-in's per-medication answers into MedicationStatements
+   *
+   * @param {Object} callLog - Call log with medicationResults
+   * @returns {Object[]} - FHIR MedicationStatements, part of the check-in's Observation
+   */
+  toMedicationStatements(callLog) {
+    const patientReference = { reference: `Patient/${toResourceId(callLog.patientId)}` };
+    const observationId = toResourceId(`adherence-${callLog.callSid}`);
+
+    return (callLog.medicationResults || []).map((result, index) => {
+      const assertedAt = toDateTime(result.timestamp || callLog.timestamp);
+
+      return compact({
+        resourceType: 'MedicationStatement',
+        id: toResourceId(`${callLog.callSid}-${index + 1}`),
+        identifier: [{ system: this.systemUrl('sid/medication-answer'), value: `${callLog.callSid}/${index + 1}` }],
+        partOf: [{ reference: `Observation/${observationId}` }],
+        status: MEDICATION_STATUSES[result.result] || 'unknown',
+        medicationCodeableConcept: { text: result.name },
+        subject: patientReference,
+        effectiveDateTime: assertedAt,
+        dateAsserted: assertedAt,
+        informationSource: patientReference,
+        note: result.response ? [{ text: result.response }] : undefined,
+        dosage: result.dose ? [{ text: result.dose }] : undefined
+      });
+    });
+  }
+
+  /**
+   * Collects the FHIR resources for the answered check-ins in a date range
+   *
+   * Calls without a registered patient, or whose patient has since been
+   * removed, are left out, as every resource must refer to a Patient.
+   *
+   * @param {Object} options
+   * @param {Date} options.from - Start of the range (inclusive)
+   * @param {Date} options.to - End of the range (exclusive)
+   * @param {string} [options.patientId] - Only export this patient's check-ins
+   * @returns {Promise<Object[]>} - Patients first, then each check-in's Observation and MedicationStatements
+   */
+  async exportResources({ from, to, patientId }) {
+    const logs = await CallLog.find(patientId ? { patientId: String(patientId) } : {});
+    const answered = (logs || [])
+      .filter(log => {
+        const timestamp = new Date(log.timestamp);
+        return log.patientId && timestamp >= from && timestamp < to;
+      })
+      .filter(log => log.adherenceStatus !== 'Unknown' || (log.medicationResults || []).length > 0)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const patients = new Map();
+    for (const log of answered) {
+      const id = String(log.patientId);
+      if (!patients.has(id)) {
+        patients.set(id, mongoose.isValidObjectId(id) ? await Patient.findById(id) : null);
+      }
+    }
+
+    const resources = [...patients.values()].filter(Boolean).map(patient => this.toPatient(patient));
+
+    answered
+      .filter(log => patients.get(String(log.patientId)))
+      .forEach(log => {
+        resources.push(this.toAdherenceObservation(log), ...this.toMedicationStatements(log));
+      });
+
+    return resources;
+  }
+
+  /**
+   * Wraps resources in a collection Bundle
+   *
+   * @param {Object[]} resources - FHIR resources
+   * @returns {Object} - FHIR Bundle
+   */
+  toBundle(resources) {
+    return {
+      resourceType: 'Bundle',
+      type: 'collection',
+      timestamp: toDateTime(new Date()),
+      entry: resources.map(resource => ({
+        fullUrl: this.systemUrl(`${resource.resourceType}/${resource.id}`),
+        resource
+      }))
+    };
+  }
+
+  /**
+   * Serialises resources as NDJSON, one resource per line
+   *
+   * @param {Object[]} resources - FHIR resources
+   * @returns {string} - NDJSON text
+   */
+  toNdjson(resources) {
+    return resources.map(resource => `${JSON.stringify(resource)}\n`).join('');
+  }
+}
+
+module.exports = new FhirService();
+module.exports.RESOURCE_TYPES = RESOURCE_TYPES;
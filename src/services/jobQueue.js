@@ -0,0 +1,435 @@
+/**
+ * Job Queue Module
+ *
+ * Persistent queue for outbound work. Jobs are stored before they run and
+ * claimed by one worker at a time, so pending work survives restarts and
+ * is not run twice by two instances. Failed attempts are retried with a
+ * growing backoff when the error is transient (network errors, rate
+ * limiting, provider outages); other errors, and jobs out of attempts, go
+ * to the dead-letter list, from which they can be requeued. Work a handler
+ * refuses on purpose (e.g., a call to a patient who opted out) ends
+ * Blocked instead, with the reason as its result.
+ *
+ * Handlers are registered per job type. A job interrupted by a crash is
+ * run again after the lock timeout, so handlers should tolerate repeats.
+ *
+ * @module services/jobQueue
+ */
+const config = require('../config');
+const Job = require('../models/job');
+const { JobStatuses } = require('../config/jobStatuses');
+const logger = require('../utils/logger');
+
+// Network error codes worth retrying
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND'];
+
+/**
+ * Checks whether an error is likely to go away on retry
+ *
+ * @param {Error} error - Error thrown by a handler (e.g., a Twilio RestException)
+ * @returns {boolean} - True for network errors, HTTP 429 and HTTP 5xx responses
+ */
+const isTransientError = (error) => {
+  if (!error) {
+    return false;
+  }
+
+  if (TRANSIENT_ERROR_CODES.includes(error.code)) {
+    return true;
+  }
+
+  return error.status === 429 || (typeof error.status === 'number' && error.status >= 500);
+};
+
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.running = new Set();
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Registers the handler of a job type
+   *
+   * @param {string} type - Job type
+   * @param {Object} handler
+   * @param {Function} handler.run - async (payload, job) => result; throws to fail the attempt
+   * @param {Function} [handler.isRetryable=isTransientError] - Whether an error should be retried
+   * @param {Function} [handler.isBlocked] - Whether an error means the job must not run; error.reason is recorded
+   * @param {Function} [handler.onDead] - async (payload, error) => void, called when the job dies
+   * @param {Function} [handler.onBlocked] - async (payload, error) => void, called when the job is blocked
+   */
+  register(type, handler) {
+    this.handlers.set(type, { isRetryable: isTransientError, isBlocked: () => false, ...handler });
+  }
+
+  /**
+   * Computes the wait before retrying after a failed attempt
+   *
+   * @param {number} attempts - Attempts made so far (1 after the first)
+   * @returns {number} - Delay in milliseconds
+   */
+  getBackoffMs(attempts) {
+    const { backoffMs, backoffMultiplier, maxBackoffMs } = config.jobs;
+    return Math.min(maxBackoffMs, Math.round(backoffMs * Math.pow(backoffMultiplier, attempts - 1)));
+  }
+
+  /**
+   * Stores a job to be run by the next poll
+   *
+   * @param {string} type - Job type
+   * @param {Object} payload - Handler input; must be JSON-serialisable
+   * @param {Object} [options]
+   * @param {Date} [options.runAt=new Date()] - When the job is first due
+   * @param {number} [options.maxAttempts] - Attempts allowed (default config.jobs.maxAttempts)
+   * @param {string} [options.requestId] - Request ID for log correlation
+   * @returns {Promise<Object>} - Stored job
+   */
+  async enqueue(type, payload, { runAt = new Date(), maxAttempts = config.jobs.maxAttempts, requestId } = {}) {
+    const job = await Job.create({
+      type,
+      payload,
+      maxAttempts,
+      runAt,
+      requestId: requestId || null
+    });
+
+    logger.info({ event: 'job_queued', jobId: String(job._id), type, runAt: new Date(runAt).toISOString(), requestId });
+
+    return job;
+  }
+
+  /**
+   * Stores a job and makes its first attempt right away
+   *
+   * Callers get the outcome of the first attempt; if it failed with a
+   * transient error, the job stays queued for retries.
+   *
+   * @param {string} type - Job type
+   * @param {Object} payload - Handler input
+   * @param {Object} [options] - See enqueue
+   * @returns {Promise<Object>} - Job after the first attempt
+   */
+  async dispatch(type, payload, options = {}) {
+    const job = await this.enqueue(type, payload, options);
+    return (await this.runJob(job)) || job;
+  }
+
+  /**
+   * Claims and runs one attempt of a job
+   *
+   * @param {Object} job - Pending job
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<Object|null>} - Job after the attempt, or null if another worker claimed it
+   */
+  async runJob(job, now = new Date()) {
+    const claimed = await Job.findOneAndUpdate(
+      { _id: job._id, status: JobStatuses.PENDING },
+      // Counted in the claim itself, as the job passed in may be a stale copy
+      { $set: { status: JobStatuses.RUNNING, lockedAt: now }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return null;
+    }
+
+    const attempt = this.attempt(claimed, now);
+    this.running.add(attempt);
+
+    try {
+      return await attempt;
+    } finally {
+      this.running.delete(attempt);
+    }
+  }
+
+  /**
+   * Runs a claimed job's handler and records the outcome
+   *
+   * @param {Object} job - Running job
+   * @param {Date} now - When the attempt started
+   * @returns {Promise<Object>} - Updated job
+   */
+  async attempt(job, now) {
+    const handler = this.handlers.get(job.type);
+    const jobId = String(job._id);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type: ${job.type}`);
+      }
+
+      const result = await handler.run(job.payload || {}, job);
+
+      logger.info({ event: 'job_succeeded', jobId, type: job.type, attempts: job.attempts, requestId: job.requestId });
+
+      return await Job.findByIdAndUpdate(job._id, {
+        $set: {
+          status: JobStatuses.SUCCEEDED,
+          result: result === undefined ? null : result,
+          lastError: null,
+          lockedAt: null,
+          completedAt: new Date()
+        }
+      }, { new: true });
+    } catch (error) {
+      if (handler && handler.isBlocked(error)) {
+        return this.block(job, error);
+      }
+
+      const retry = handler && handler.isRetryable(error) && job.attempts < job.maxAttempts;
+
+      if (retry) {
+        const runAt = new Date(now.getTime() + this.getBackoffMs(job.attempts));
+
+        logger.warn({
+          event: 'job_retry_scheduled',
+          jobId,
+          type: job.type,
+          attempts: job.attempts,
+          runAt: runAt.toISOString(),
+          error: error.message,
+          requestId: job.requestId
+        });
+
+        return Job.findByIdAndUpdate(job._id, {
+          $set: { status: JobStatuses.PENDING, runAt, lastError: error.message, lockedAt: null }
+        }, { new: true });
+      }
+
+      return this.bury(job, error);
+    }
+  }
+
+  /**
+   * Ends a job its handler refused to run
+   *
+   * Blocked jobs are not retried, do not go to the dead-letter list and
+   * call onBlocked instead of onDead.
+   *
+   * @param {Object} job - Job that was refused
+   * @param {Error} error - Error of the attempt; error.reason says why it was refused
+   * @returns {Promise<Object>} - Blocked job with { reason } as its result
+   */
+  async block(job, error) {
+    const reason = error.reason || error.message;
+
+    logger.warn({
+      event: 'job_blocked',
+      jobId: String(job._id),
+      type: job.type,
+      reason,
+      requestId: job.requestId
+    });
+
+    const blocked = await Job.findByIdAndUpdate(job._id, {
+      $set: { status: JobStatuses.BLOCKED, result: { reason }, lastError: null, lockedAt: null, completedAt: new Date() }
+    }, { new: true });
+
+    const handler = this.handlers.get(job.type);
+    if (handler && handler.onBlocked) {
+      try {
+        await handler.onBlocked(job.payload || {}, error);
+      } catch (hookError) {
+        logger.warn({ event: 'job_blocked_hook_failed', jobId: String(job._id), error: hookError.message });
+      }
+    }
+
+    return blocked;
+  }
+
+  /**
+   * Moves a job to the dead-letter list
+   *
+   * @param {Object} job - Job that failed for good
+   * @param {Error} error - Error of the last attempt
+   * @returns {Promise<Object>} - Dead job
+   */
+  async bury(job, error) {
+    logger.error({
+      event: 'job_dead',
+      jobId: String(job._id),
+      type: job.type,
+      attempts: job.attempts,
+      error: error.message,
+      requestId: job.requestId
+    });
+
+    const dead = await Job.findByIdAndUpdate(job._id, {
+      $set: { status: JobStatuses.DEAD, lastError: error.message, lockedAt: null, completedAt: new Date() }
+    }, { new: true });
+
+    const handler = this.handlers.get(job.type);
+    if (handler && handler.onDead) {
+      try {
+        await handler.onDead(job.payload || {}, error);
+      } catch (hookError) {
+        logger.warn({ event: 'job_dead_hook_failed', jobId: String(job._id), error: hookError.message });
+      }
+    }
+
+    return dead;
+  }
+
+  /**
+   * Runs every due job, after releasing jobs whose worker stopped mid-attempt
+   *
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<number>} - Number of jobs attempted
+   */
+  async tick(now = new Date()) {
+    // Skip if the previous tick is still running jobs
+    if (this.ticking) {
+      return 0;
+    }
+
+    this.ticking = true;
+    let attempted = 0;
+
+    try {
+      await this.releaseStaleJobs(now);
+
+      const due = (await Job.find({ status: JobStatuses.PENDING }))
+        .filter(job => new Date(job.runAt) <= now)
+        .sort((a, b) => new Date(a.runAt) - new Date(b.runAt));
+
+      for (const job of due) {
+        if (await this.runJob(job, now)) {
+          attempted++;
+        }
+      }
+    } finally {
+      this.ticking = false;
+    }
+
+    return attempted;
+  }
+
+  /**
+   * Returns jobs left Running past the lock timeout to the queue
+   *
+   * The interrupted attempt counts; a job out of attempts is buried instead.
+   *
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} - Number of jobs released
+   */
+  async releaseStaleJobs(now) {
+    const cutoff = now.getTime() - config.jobs.lockTimeoutMs;
+    const stale = (await Job.find({ status: JobStatuses.RUNNING }))
+      .filter(job => job.lockedAt && new Date(job.lockedAt).getTime() < cutoff);
+
+    for (const job of stale) {
+      const error = new Error('Attempt interrupted before it finished');
+
+      if (job.attempts >= job.maxAttempts) {
+        const claimed = await Job.findOneAndUpdate(
+          { _id: job._id, status: JobStatuses.RUNNING },
+          { $set: { lockedAt: null } }
+        );
+        if (claimed) {
+          await this.bury(job, error);
+        }
+        continue;
+      }
+
+      await Job.findOneAndUpdate(
+        { _id: job._id, status: JobStatuses.RUNNING },
+        { $set: { status: JobStatuses.PENDING, runAt: now, lastError: error.message, lockedAt: null } }
+      );
+      logger.warn({ event: 'job_released', jobId: String(job._id), type: job.type, attempts: job.attempts });
+    }
+
+    return stale.length;
+  }
+
+  /**
+   * Puts a dead job back in the queue with a fresh set of attempts
+   *
+   * @param {string} jobId - Job ID
+   * @param {string} [requestId] - Request ID for log correlation
+   * @returns {Promise<Object|null>} - Requeued job, or null if the job is not dead
+   */
+  async requeue(jobId, requestId) {
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, status: JobStatuses.DEAD },
+      { $set: { status: JobStatuses.PENDING, attempts: 0, runAt: new Date(), completedAt: null } },
+      { new: true }
+    );
+
+    if (job) {
+      logger.info({ event: 'job_requeued', jobId: String(jobId), type: job.type, requestId });
+    }
+
+    return job;
+  }
+
+  /**
+   * Starts polling for due jobs
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        logger.error({
+          event: 'job_queue_error',
+          message: 'Job queue tick failed',
+          error: error.message,
+          stack: error.stack
+        });
+      });
+    }, config.jobs.pollIntervalMs);
+
+    // Don't keep the process alive just for the queue
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+
+    logger.info({ event: 'job_queue_started', pollIntervalMs: config.jobs.pollIntervalMs });
+  }
+
+  /**
+   * Stops polling; attempts already started keep running
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info({ event: 'job_queue_stopped' });
+    }
+  }
+
+  /**
+   * Waits for running attempts to finish
+   *
+   * @param {number} [timeoutMs=config.jobs.shutdownTimeoutMs] - Longest wait
+   * @returns {Promise<boolean>} - Whether every attempt finished in time
+   */
+  async drain(timeoutMs = config.jobs.shutdownTimeoutMs) {
+    if (this.running.size === 0) {
+      return true;
+    }
+
+    let timeout;
+    const timedOut = new Promise(resolve => {
+      timeout = setTimeout(() => resolve(false), timeoutMs);
+    });
+    const finished = Promise.allSettled([...this.running]).then(() => true);
+
+    const drained = await Promise.race([finished, timedOut]);
+    clearTimeout(timeout);
+
+    if (!drained) {
+      logger.warn({ event: 'job_queue_drain_timeout', running: this.running.size, timeoutMs });
+    }
+
+    return drained;
+  }
+}
+
+module.exports = new JobQueue();
+module.exports.isTransientError = isTransientError;
@@ -0,0 +1,711 @@
+/**
+ * Media Stream Service
+ *
+ * Runs the medication check-in as a live conversation over a Twilio
+ * bidirectional media stream (<Connect><Stream>). Caller audio is piped to
+ * Deepgram live transcription and replies are streamed from ElevenLabs as
+ * 8 kHz mu-law, so the patient can answer, or interrupt a question,
+ * without waiting for <Gather> round-trips. If either provider fails, the
+ * call is handed back to the <Gather> flow at the same point in the dialog.
+ *
+ * @module services/mediaStreamService
+ */
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const mongoose = require('mongoose');
+const config = require('../config');
+const telephonyService = require('./telephonyService');
+const ttsService = require('./ttsService');
+const sttService = require('./sttService');
+const adherenceClassifier = require('./adherenceClassifier');
+const notificationService = require('./notificationService');
+const callLifecycle = require('./callLifecycle');
+const CallStates = require('../config/callStates');
+const CallLog = require('../models/callLog');
+const Patient = require('../models/patient');
+const logger = require('../utils/logger');
+const { translate, getVoiceSettings } = require('../locales');
+const { isValidTwilioSignature } = require('../middleware/twilioSignature');
+const { NotificationOutcomes, getOutcomeForStatus } = notificationService;
+const {
+  MAX_RETRIES,
+  ADHERENCE_MESSAGE_KEYS,
+  MEDICATION_RESULTS,
+  getMedications,
+  getLanguage,
+  getMedicationNames,
+  buildMedicationQuestion,
+  buildGeneralQuestion,
+  deriveAdherenceStatus,
+  buildClosingMessage,
+  getMissedNames
+} = require('./checkInDialog');
+
+const STREAM_PATH = '/api/twilio/media-stream';
+
+// Deepgram connection state for an open socket
+const TRANSCRIBER_OPEN = 1;
+
+/**
+ * One live check-in conversation on a Twilio media stream socket
+ */
+class MediaStreamSession {
+  /**
+   * @param {Object} socket - WebSocket connected to Twilio
+   */
+  constructor(socket) {
+    this.socket = socket;
+    this.streamSid = null;
+    this.callSid = null;
+    // Call log the answers are recorded on; a patient calling back answers today's reminder
+    this.logCallSid = null;
+    this.patientId = null;
+    this.patient = null;
+    this.language = undefined;
+    this.medications = [];
+
+    // Dialog state, mirroring the query parameters of the <Gather> flow
+    this.medicationIndex = 0;
+    this.results = [];
+    this.retryCount = 0;
+    this.clarify = false;
+
+    this.transcriber = null;
+    this.pendingAudio = [];
+    this.utterance = [];
+    this.speech = null;
+    this.markCount = 0;
+    this.silenceTimer = null;
+    this.capture = null;
+    this.closing = false;
+    this.ended = false;
+
+    socket.on('message', data => this.handleMessage(data));
+    socket.on('close', () => this.end('socket_closed'));
+    socket.on('error', error => {
+      logger.warn({ event: 'media_stream_socket_error', callSid: this.callSid, error: error.message });
+    });
+  }
+
+  /**
+   * Handles a message from Twilio
+   *
+   * @param {Buffer|string} data - JSON message
+   */
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      logger.warn({ event: 'media_stream_invalid_message', callSid: this.callSid });
+      return;
+    }
+
+    switch (message.event) {
+      case 'start':
+        this.run(() => this.start(message.start));
+        break;
+      case 'media':
+        this.handleMedia(message.media);
+        break;
+      case 'mark':
+        this.handleMark(message.mark && message.mark.name);
+        break;
+      case 'stop':
+        this.end('stream_stopped');
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Runs a dialog step, handing the call back to <Gather> if it fails
+   *
+   * @param {Function} step - Async dialog step
+   */
+  run(step) {
+    step().catch(error => this.fallbackToGather('session_error', error));
+  }
+
+  /**
+   * Loads the patient, opens live transcription and asks the first question
+   *
+   * @param {Object} start - Twilio start message payload
+   * @returns {Promise<void>}
+   */
+  async start(start) {
+    const parameters = start.customParameters || {};
+    this.streamSid = start.streamSid;
+    this.callSid = start.callSid;
+    this.logCallSid = parameters.checkInCallSid || start.callSid;
+    this.patientId = parameters.patientId;
+
+    this.patient = this.patientId && mongoose.isValidObjectId(this.patientId)
+      ? await Patient.findById(this.patientId)
+      : null;
+    this.medications = getMedications(this.patient);
+    this.language = getLanguage(this.patient);
+
+    if (config.mediaStreams.captureDir) {
+      this.capture = fs.createWriteStream(path.join(config.mediaStreams.captureDir, `${this.callSid}.ulaw`));
+    }
+
+    this.transcriber = sttService.createRealTimeStream({
+      encoding: 'mulaw',
+      sample_rate: 8000,
+      channels: 1,
+      language: getVoiceSettings(this.language).speechLanguage,
+      endpointing: 300
+    });
+    this.transcriber.on('open', () => this.flushAudio());
+    this.transcriber.on('transcriptReceived', message => this.handleTranscript(message));
+    this.transcriber.on('error', error => this.fallbackToGather('stt_error', error));
+
+    logger.info({
+      event: 'media_stream_started',
+      callSid: this.callSid,
+      streamSid: this.streamSid,
+      patientId: this.patientId,
+      language: this.language
+    });
+
+    await this.ask();
+  }
+
+  /**
+   * Forwards caller audio to live transcription
+   *
+   * @param {Object} media - Twilio media payload
+   */
+  handleMedia(media) {
+    if (!media || (media.track && media.track !== 'inbound')) {
+      return;
+    }
+
+    const audio = Buffer.from(media.payload, 'base64');
+
+    if (this.capture) {
+      this.capture.write(audio);
+    }
+
+    this.pendingAudio.push(audio);
+    this.flushAudio();
+  }
+
+  /**
+   * Sends buffered audio once the transcriber connection is open
+   */
+  flushAudio() {
+    if (!this.transcriber || this.transcriber.getReadyState() !== TRANSCRIBER_OPEN) {
+      return;
+    }
+
+    this.pendingAudio.forEach(audio => this.transcriber.send(audio));
+    this.pendingAudio = [];
+  }
+
+  /**
+   * Handles a Deepgram live transcription result
+   *
+   * Any speech interrupts the current question (barge-in); final segments
+   * are collected until Deepgram detects the end of the answer.
+   *
+   * @param {string|Object} message - Deepgram results message
+   */
+  handleTranscript(message) {
+    let data;
+    try {
+      data = typeof message === 'string' ? JSON.parse(message) : message;
+    } catch (error) {
+      return;
+    }
+
+    const alternative = data.channel && data.channel.alternatives && data.channel.alternatives[0];
+    const transcript = alternative && alternative.transcript ? alternative.transcript.trim() : '';
+
+    if (transcript) {
+      this.clearSilenceTimer();
+
+      if (this.speech && this.speech.bargeIn) {
+        this.interrupt();
+      }
+
+      if (data.is_final) {
+        this.utterance.push(transcript);
+      }
+    }
+
+    if (data.speech_final && this.utterance.length > 0) {
+      const answer = this.utterance.join(' ');
+      this.utterance = [];
+      this.run(() => this.handleAnswer(answer));
+    }
+  }
+
+  /**
+   * Streams synthesized speech to the caller
+   *
+   * A mark follows the audio; Twilio echoes it once playback finishes.
+   *
+   * @param {string} text - Text to speak
+   * @param {Object} options
+   * @param {boolean} options.bargeIn - Whether caller speech may interrupt playback
+   * @param {Function} options.onPlayed - Called when playback finishes
+   * @returns {Promise<void>}
+   */
+  async speak(text, { bargeIn, onPlayed }) {
+    const speech = { markName: `prompt-${++this.markCount}`, bargeIn, onPlayed, stream: null };
+    this.speech = speech;
+
+    const stream = await ttsService.createSpeechStream(text);
+
+    // Interrupted or ended while the synthesis request was in flight
+    if (this.speech !== speech || this.ended) {
+      stream.destroy();
+      return;
+    }
+    speech.stream = stream;
+
+    await new Promise((resolve, reject) => {
+      stream.on('data', chunk => this.send({
+        event: 'media',
+        streamSid: this.streamSid,
+        media: { payload: Buffer.from(chunk).toString('base64') }
+      }));
+      stream.on('end', resolve);
+      stream.on('close', resolve);
+      stream.on('error', reject);
+    });
+
+    if (this.speech === speech) {
+      this.send({ event: 'mark', streamSid: this.streamSid, mark: { name: speech.markName } });
+    }
+  }
+
+  /**
+   * Handles a mark echoed by Twilio after audio finished playing
+   *
+   * @param {string} name - Mark name
+   */
+  handleMark(name) {
+    if (!this.speech || this.speech.markName !== name) {
+      return;
+    }
+
+    const { onPlayed } = this.speech;
+    this.speech = null;
+    onPlayed();
+  }
+
+  /**
+   * Stops the current question because the caller started talking
+   */
+  interrupt() {
+    const { stream } = this.speech;
+    this.speech = null;
+
+    if (stream) {
+      stream.destroy();
+    }
+    this.send({ event: 'clear', streamSid: this.streamSid });
+
+    logger.info({ event: 'media_stream_barge_in', callSid: this.callSid });
+  }
+
+  /**
+   * Asks the current question
+   *
+   * @returns {Promise<void>}
+   */
+  async ask() {
+    const message = this.medications[this.medicationIndex]
+      ? buildMedicationQuestion(this.language, this.medications, this.medicationIndex, this.retryCount, this.clarify)
+      : buildGeneralQuestion(this.language, this.retryCount, this.clarify);
+
+    await this.speak(message, { bargeIn: true, onPlayed: () => this.startSilenceTimer() });
+  }
+
+  /**
+   * Re-asks the question if the caller stays silent after it was played
+   */
+  startSilenceTimer() {
+    this.clearSilenceTimer();
+    this.silenceTimer = setTimeout(() => this.run(() => this.handleSilence()), config.mediaStreams.silenceTimeoutMs);
+  }
+
+  /**
+   * Stops waiting for an answer
+   */
+  clearSilenceTimer() {
+    clearTimeout(this.silenceTimer);
+    this.silenceTimer = null;
+  }
+
+  /**
+   * Handles a question going unanswered
+   *
+   * @returns {Promise<void>}
+   */
+  async handleSilence() {
+    this.retryCount++;
+    this.clarify = false;
+
+    logger.info({ event: 'no_speech_detected', callSid: this.callSid, retryCount: this.retryCount });
+
+    if (this.retryCount < MAX_RETRIES) {
+      return this.ask();
+    }
+
+    // Record what was answered before the patient went quiet; the rest is unconfirmed
+    if (this.results.length > 0) {
+      const unanswered = Array(Math.max(this.medications.length - this.results.length, 0)).fill('Unclear');
+      await this.updateCallLog({ adherenceStatus: deriveAdherenceStatus([...this.results, ...unanswered]) });
+    }
+
+    // The closing message tells the patient their provider will be notified
+    this.notifyProviders(NotificationOutcomes.NO_RESPONSE, getMissedNames(this.medications, this.results));
+
+    return this.finish(translate(this.language, 'maxRetries'));
+  }
+
+  /**
+   * Classifies an answer and moves the dialog on
+   *
+   * @param {string} patientResponse - Transcribed answer
+   * @returns {Promise<void>}
+   */
+  async handleAnswer(patientResponse) {
+    if (this.closing || this.ended) {
+      return;
+    }
+
+    const medication = this.medications[this.medicationIndex];
+    let classification = adherenceClassifier.classify(patientResponse, {
+      language: this.language,
+      medications: medication ? [medication.name] : getMedicationNames(this.medications)
+    });
+
+    if (adherenceClassifier.isLowConfidence(classification)) {
+      logger.info({
+        event: 'low_confidence_response',
+        callSid: this.callSid,
+        label: classification.label,
+        confidence: classification.confidence,
+        patientResponse,
+        retryCount: this.retryCount
+      });
+
+      // Ask again rather than guess while attempts remain
+      if (this.retryCount + 1 < MAX_RETRIES) {
+        this.retryCount++;
+        this.clarify = true;
+        return this.ask();
+      }
+
+      classification = { ...classification, label: 'Unclear' };
+    }
+
+    if (!medication) {
+      const adherenceStatus = classification.label;
+
+      logger.info({
+        event: 'adherence_analysis',
+        callSid: this.callSid,
+        adherenceStatus,
+        confidence: classification.confidence,
+        patientResponse
+      });
+
+      await this.markAnswered();
+      await this.updateCallLog({
+        patientResponse,
+        adherenceStatus,
+        adherenceConfidence: classification.confidence
+      });
+      this.notifyProviders(getOutcomeForStatus(adherenceStatus));
+
+      return this.finish(translate(this.language, ADHERENCE_MESSAGE_KEYS[adherenceStatus]));
+    }
+
+    const result = MEDICATION_RESULTS[classification.label];
+    this.results[this.medicationIndex] = result;
+
+    logger.info({
+      event: 'medication_adherence_analysis',
+      callSid: this.callSid,
+      medication: medication.name,
+      result,
+      confidence: classification.confidence,
+      patientResponse
+    });
+
+    await this.markAnswered();
+    await this.updateCallLog({
+      $push: {
+        medicationResults: {
+          name: medication.name,
+          dose: medication.dose || null,
+          response: patientResponse,
+          result,
+          confidence: classification.confidence,
+          timestamp: new Date()
+        }
+      }
+    });
+
+    // Ask about the next medication, starting its retry count afresh
+    if (this.medicationIndex + 1 < this.medications.length) {
+      this.medicationIndex++;
+      this.retryCount = 0;
+      this.clarify = false;
+      return this.ask();
+    }
+
+    const adherenceStatus = deriveAdherenceStatus(this.results);
+
+    logger.info({
+      event: 'adherence_analysis',
+      callSid: this.callSid,
+      adherenceStatus,
+      medicationResults: this.results
+    });
+
+    await this.updateCallLog({ adherenceStatus });
+
+    const missedNames = getMissedNames(this.medications, this.results);
+    this.notifyProviders(getOutcomeForStatus(adherenceStatus), missedNames);
+
+    return this.finish(buildClosingMessage(this.language, adherenceStatus, missedNames));
+  }
+
+  /**
+   * Speaks the closing message, then ends the stream so the call hangs up
+   *
+   * @param {string} message - Closing message
+   * @returns {Promise<void>}
+   */
+  async finish(message) {
+    this.closing = true;
+    this.clearSilenceTimer();
+
+    await this.speak(message, { bargeIn: false, onPlayed: () => this.socket.close() });
+  }
+
+  /**
+   * Hands the call back to the <Gather> flow at the current question
+   *
+   * @param {string} reason - Log event describing the failure
+   * @param {Error|string} error - Failure
+   * @returns {Promise<void>}
+   */
+  async fallbackToGather(reason, error) {
+    if (this.ended) {
+      return;
+    }
+
+    logger.warn({
+      event: 'media_stream_fallback',
+      reason,
+      error: error && error.message ? error.message : String(error),
+      callSid: this.callSid
+    });
+
+    const hasMedication = Boolean(this.medications[this.medicationIndex]);
+    const url = telephonyService.buildWebhookUrl('/api/twilio/voice', {
+      patientId: this.patientId,
+      medicationIndex: hasMedication ? this.medicationIndex : undefined,
+      results: hasMedication && this.results.length > 0 ? this.results.join(',') : undefined,
+      retryCount: this.retryCount,
+      checkInCallSid: this.logCallSid !== this.callSid ? this.logCallSid : undefined,
+      fallback: 1
+    });
+
+    this.end(reason);
+
+    if (this.callSid) {
+      try {
+        await telephonyService.redirectCall(this.callSid, url);
+      } catch (redirectError) {
+        logger.error({
+          event: 'media_stream_fallback_failed',
+          error: redirectError.message,
+          callSid: this.callSid
+        });
+      }
+    }
+
+    this.socket.close();
+  }
+
+  /**
+   * Notifies the patient's providers in the background, if the outcome calls for it
+   *
+   * @param {string|null} outcome - Notification outcome, or null for none
+   * @param {string[]} [missedMedications=[]] - Medications reported as not taken
+   */
+  notifyProviders(outcome, missedMedications = []) {
+    if (!outcome) {
+      return;
+    }
+
+    notificationService.notifyOutcome({
+      callSid: this.logCallSid,
+      patient: this.patient,
+      outcome,
+      missedMedications
+    });
+  }
+
+  /**
+   * Moves the call log to Answered once the patient has given an answer
+   *
+   * @returns {Promise<void>}
+   */
+  async markAnswered() {
+    await callLifecycle.transition(this.logCallSid, CallStates.ANSWERED, { source: 'media-stream' });
+  }
+
+  /**
+   * Applies an update to the call log, logging instead of failing on database errors
+   *
+   * @param {Object} update - Update to apply
+   * @returns {Promise<void>}
+   */
+  async updateCallLog(update) {
+    try {
+      await CallLog.findOneAndUpdate({ callSid: this.logCallSid }, update, { new: true });
+    } catch (dbError) {
+      logger.warn({
+        event: 'database_error',
+        message: 'Failed to update call log in database',
+        error: dbError.message,
+        callSid: this.logCallSid
+      });
+    }
+  }
+
+  /**
+   * Sends a message to Twilio if the socket is still open
+   *
+   * @param {Object} message - Twilio stream message
+   */
+  send(message) {
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Releases the transcriber, timers and capture file
+   *
+   * @param {string} reason - Why the session ended
+   */
+  end(reason) {
+    if (this.ended) {
+      return;
+    }
+    this.ended = true;
+    this.clearSilenceTimer();
+
+    if (this.speech && this.speech.stream) {
+      this.speech.stream.destroy();
+    }
+    this.speech = null;
+
+    if (this.transcriber && this.transcriber.getReadyState() === TRANSCRIBER_OPEN) {
+      this.transcriber.finish();
+    }
+    if (this.capture) {
+      this.capture.end();
+    }
+
+    logger.info({ event: 'media_stream_ended', reason, callSid: this.callSid });
+  }
+}
+
+class MediaStreamService {
+  constructor() {
+    this.server = null;
+    this.sessions = new Set();
+  }
+
+  /**
+   * Checks whether calls should use media streams instead of <Gather>
+   *
+   * @returns {boolean} - Whether media streams are enabled and both providers are configured
+   */
+  isEnabled() {
+    return config.mediaStreams.enabled && ttsService.isEnabled() && Boolean(config.deepgram.apiKey);
+  }
+
+  /**
+   * Accepts media stream WebSocket connections on an HTTP server
+   *
+   * @param {Object} httpServer - Node HTTP server
+   */
+  attach(httpServer) {
+    this.server = new WebSocket.Server({ noServer: true });
+
+    httpServer.on('upgrade', (req, socket, head) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+
+      if (pathname !== STREAM_PATH) {
+        socket.destroy();
+        return;
+      }
+
+      if (!this.isAuthorized(req)) {
+        logger.warn({ event: 'twilio_signature_rejected', path: pathname });
+        socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+
+      this.server.handleUpgrade(req, socket, head, ws => this.handleConnection(ws));
+    });
+  }
+
+  /**
+   * Validates the Twilio signature of a WebSocket upgrade request
+   *
+   * @param {Object} req - HTTP upgrade request
+   * @returns {boolean} - Whether the request was signed by Twilio
+   */
+  isAuthorized(req) {
+    if (!config.twilio.validateSignature) {
+      return true;
+    }
+    return isValidTwilioSignature(req.headers['x-twilio-signature'], telephonyService.buildStreamUrl(req.url));
+  }
+
+  /**
+   * Starts a session for a new stream connection
+   *
+   * @param {Object} socket - WebSocket connected to Twilio
+   */
+  handleConnection(socket) {
+    const session = new MediaStreamSession(socket);
+    this.sessions.add(session);
+    socket.on('close', () => this.sessions.delete(session));
+  }
+
+  /**
+   * Ends all sessions and stops accepting connections
+   */
+  close() {
+    this.sessions.forEach(session => {
+      session.end('server_shutdown');
+      session.socket.close();
+    });
+
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+}
+
+module.exports = new MediaStreamService();
+module.exports.STREAM_PATH = STREAM_PATH;
@@ -0,0 +1,299 @@
+/**
+ * Notification Service
+ *
+ * Notifies a patient's providers when a check-in ends with doses missed,
+ * only some doses confirmed, or no usable answer, as the call tells the
+ * patient it will. Each provider contact is notified on its own channel
+ * (SMS, SMTP email or an HTTP webhook). Every delivery attempt is recorded
+ * on the call log, and notificationSent is set once a provider is reached.
+ *
+ * @module services/notificationService
+ */
+const crypto = require('crypto');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const config = require('../config');
+const telephonyService = require('./telephonyService');
+const CallLog = require('../models/callLog');
+const logger = require('../utils/logger');
+const NotificationChannels = require('../config/notificationChannels');
+
+/**
+ * Check-in outcomes providers are notified about
+ */
+const NotificationOutcomes = {
+  NONE: 'None',
+  PARTIAL: 'Partial',
+  NO_RESPONSE: 'No Response'
+};
+
+/**
+ * @typedef {Object} Notification
+ * @property {string} callSid - Call the outcome came from
+ * @property {string} outcome - One of NotificationOutcomes
+ * @property {Object} patient - { id, name, phoneNumber }
+ * @property {string[]} missedMedications - Medications reported as not taken
+ * @property {string} subject - One-line summary
+ * @property {string} text - Message for the provider
+ * @property {Date} timestamp - When the outcome was recorded
+ */
+
+/**
+ * @typedef {Object} Channel
+ * @property {function(Object, Notification): Promise} send - Delivers a notification to a
+ *   provider contact ({ name, channel, address }); rejects if delivery fails
+ */
+
+/**
+ * Gets the outcome to notify providers about for an adherence status
+ *
+ * @param {string} adherenceStatus - Full, Partial, None or Unclear
+ * @returns {string|null} - Notification outcome, or null if providers need not be told
+ */
+const getOutcomeForStatus = (adherenceStatus) => {
+  if (adherenceStatus === 'None') {
+    return NotificationOutcomes.NONE;
+  }
+  if (adherenceStatus === 'Partial') {
+    return NotificationOutcomes.PARTIAL;
+  }
+  return null;
+};
+
+/**
+ * Builds the message a provider receives
+ *
+ * Provider messages are in English whatever the patient's language.
+ *
+ * @param {string} outcome - Notification outcome
+ * @param {Object} patient - Patient summary ({ name, phoneNumber })
+ * @param {string[]} missedMedications - Medications reported as not taken
+ * @returns {Object} - { subject, text }
+ */
+const buildNotificationText = (outcome, patient, missedMedications) => {
+  const who = `${patient.name} (${patient.phoneNumber})`;
+  const missed = missedMedications.join(', ');
+  let detail;
+
+  if (outcome === NotificationOutcomes.NONE) {
+    detail = missed ? `reported not taking ${missed} today.` : 'reported not taking their medication today.';
+  } else if (outcome === NotificationOutcomes.PARTIAL) {
+    detail = missed ? `reported missing ${missed} today.` : 'reported taking only some of their medication today.';
+  } else {
+    detail = 'could not be reached or did not give a clear answer on today\'s medication check-in call.';
+  }
+
+  return {
+    subject: `Medication check-in: ${patient.name} - ${outcome}`,
+    text: `Medication check-in: ${who} ${detail}`
+  };
+};
+
+class NotificationService {
+  constructor() {
+    this.channels = new Map();
+    this.transporter = null;
+
+    this.register(NotificationChannels.SMS, {
+      send: (contact, notification) => telephonyService.sendSms(contact.address, notification.text)
+    });
+    this.register(NotificationChannels.EMAIL, {
+      send: (contact, notification) => this.sendEmail(contact, notification)
+    });
+    this.register(NotificationChannels.WEBHOOK, {
+      send: (contact, notification) => this.sendWebhook(contact, notification)
+    });
+  }
+
+  /**
+   * Registers a delivery channel
+   *
+   * @param {string} name - Channel name used in provider contacts
+   * @param {Channel} channel - Channel implementation
+   * @throws {Error} - If the channel does not implement send()
+   */
+  register(name, channel) {
+    if (!channel || typeof channel.send !== 'function') {
+      throw new Error(`Notification channel "${name}" must implement send(contact, notification)`);
+    }
+    this.channels.set(name, channel);
+  }
+
+  /**
+   * Gets the SMTP transport, creating it on first use
+   *
+   * @returns {Object} - Nodemailer transport
+   * @throws {Error} - If no SMTP host is configured
+   */
+  getTransporter() {
+    const { smtp } = config.notifications;
+
+    if (!smtp.host) {
+      throw new Error('SMTP is not configured (set SMTP_HOST)');
+    }
+
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: smtp.host,
+        port: smtp.port,
+        secure: smtp.secure,
+        auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+        connectionTimeout: config.notifications.timeoutMs
+      });
+    }
+
+    return this.transporter;
+  }
+
+  /**
+   * Emails a notification to a provider
+   *
+   * @param {Object} contact - Provider contact
+   * @param {Notification} notification - Notification to send
+   * @returns {Promise<Object>} - Nodemailer send info
+   */
+  async sendEmail(contact, notification) {
+    const { smtp } = config.notifications;
+
+    return this.getTransporter().sendMail({
+      from: smtp.from || smtp.user,
+      to: contact.address,
+      subject: notification.subject,
+      text: notification.text
+    });
+  }
+
+  /**
+   * Posts a notification to a provider webhook
+   *
+   * With NOTIFICATION_WEBHOOK_SECRET set, the X-Signature-256 header holds
+   * "sha256=" and the hex HMAC-SHA256 of the raw body, so receivers can
+   * check the request came from this service.
+   *
+   * @param {Object} contact - Provider contact
+   * @param {Notification} notification - Notification to send
+   * @returns {Promise<Object>} - Axios response
+   */
+  async sendWebhook(contact, notification) {
+    const body = JSON.stringify({ event: 'adherence_alert', ...notification });
+    const headers = { 'Content-Type': 'application/json' };
+    const secret = config.notifications.webhookSecret;
+
+    if (secret) {
+      headers['X-Signature-256'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+    }
+
+    return axios.post(contact.address, body, {
+      headers,
+      timeout: config.notifications.timeoutMs
+    });
+  }
+
+  /**
+   * Notifies a patient's providers about a check-in outcome
+   *
+   * Never rejects: delivery failures are logged and recorded on the call
+   * log, so callers can fire and forget.
+   *
+   * @param {Object} options
+   * @param {string} options.callSid - Twilio Call SID
+   * @param {Object|null} options.patient - Patient document with providerContacts
+   * @param {string} options.outcome - One of NotificationOutcomes
+   * @param {string[]} [options.missedMedications=[]] - Medications reported as not taken
+   * @param {string} [options.requestId] - Request ID for log correlation
+   * @returns {Promise<Array>} - Delivery records of { channel, address, status, error, timestamp }
+   */
+  async notifyOutcome({ callSid, patient, outcome, missedMedications = [], requestId }) {
+    const contacts = patient && patient.providerContacts ? patient.providerContacts : [];
+
+    if (contacts.length === 0) {
+      logger.warn({
+        event: 'provider_notification_skipped',
+        message: 'No provider contacts to notify',
+        callSid,
+        patientId: patient ? String(patient._id) : undefined,
+        outcome,
+        requestId
+      });
+      return [];
+    }
+
+    const summary = { id: String(patient._id), name: patient.name, phoneNumber: patient.phoneNumber };
+    const notification = {
+      callSid,
+      outcome,
+      patient: summary,
+      missedMedications,
+      ...buildNotificationText(outcome, summary, missedMedications),
+      timestamp: new Date()
+    };
+
+    const deliveries = await Promise.all(contacts.map(contact => this.deliver(contact, notification, requestId)));
+    const sent = deliveries.some(delivery => delivery.status === 'Sent');
+
+    logger.info({
+      event: 'provider_notification',
+      callSid,
+      outcome,
+      sent: deliveries.filter(delivery => delivery.status === 'Sent').length,
+      failed: deliveries.filter(delivery => delivery.status === 'Failed').length,
+      requestId
+    });
+
+    try {
+      const update = { $push: { notifications: { $each: deliveries } } };
+      if (sent) {
+        update.$set = { notificationSent: true };
+      }
+      await CallLog.findOneAndUpdate({ callSid }, update, { new: true });
+    } catch (dbError) {
+      logger.warn({
+        event: 'database_error',
+        message: 'Failed to record provider notifications',
+        error: dbError.message,
+        callSid,
+        requestId
+      });
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Delivers a notification to one contact
+   *
+   * @param {Object} contact - Provider contact
+   * @param {Notification} notification - Notification to send
+   * @param {string} [requestId] - Request ID for log correlation
+   * @returns {Promise<Object>} - Delivery record
+   */
+  async deliver(contact, notification, requestId) {
+    const delivery = { channel: contact.channel, address: contact.address, status: 'Sent', error: null };
+
+    try {
+      const channel = this.channels.get(contact.channel);
+      if (!channel) {
+        throw new Error(`Unknown notification channel: ${contact.channel}`);
+      }
+      await channel.send(contact, notification);
+    } catch (error) {
+      delivery.status = 'Failed';
+      delivery.error = error.message;
+
+      logger.error({
+        event: 'provider_notification_failed',
+        callSid: notification.callSid,
+        channel: contact.channel,
+        error: error.message,
+        requestId
+      });
+    }
+
+    delivery.timestamp = new Date();
+    return delivery;
+  }
+}
+
+module.exports = new NotificationService();
+module.exports.NotificationOutcomes = NotificationOutcomes;
+module.exports.getOutcomeForStatus = getOutcomeForStatus;
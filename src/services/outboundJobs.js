@@ -0,0 +1,197 @@
+/**
+ * Outbound Jobs Module
+ *
+ * Registers the job queue handlers for reminder calls and SMS, and the
+ * helpers that queue them. Each helper makes the first attempt right away,
+ * so callers still learn whether the call or SMS went out; transient Twilio
+ * errors are then retried by the queue. Calls and SMS the patient may not
+ * receive (no consent, or quiet hours) end Blocked with the reason.
+ *
+ * Redials are queued here too. The redial service, which depends on this
+ * module, registers what happens to a redial whose call is blocked or dies
+ * with setRedialHooks.
+ *
+ * @module services/outboundJobs
+ */
+const mongoose = require('mongoose');
+const jobQueue = require('./jobQueue');
+const callService = require('./callService');
+const telephonyService = require('./telephonyService');
+const callLifecycle = require('./callLifecycle');
+const complianceService = require('./complianceService');
+const Patient = require('../models/patient');
+const Redial = require('../models/redial');
+const Schedule = require('../models/schedule');
+const CallStates = require('../config/callStates');
+const { JobTypes } = require('../config/jobStatuses');
+
+// What happens to a redial whose call job ends without a call; see setRedialHooks
+const redialHooks = {
+  onBlocked: null,
+  onFailed: null
+};
+
+/**
+ * Loads the patient a call job is for
+ *
+ * @param {string|null} patientId - Patient ID from the job payload
+ * @returns {Promise<Object|null>} - Patient document, or null for calls without one
+ * @throws {Error} - If the patient no longer exists
+ */
+const loadPatient = async (patientId) => {
+  if (!patientId) {
+    return null;
+  }
+
+  const patient = mongoose.isValidObjectId(patientId) ? await Patient.findById(patientId) : null;
+  if (!patient) {
+    throw new Error(`Patient not found: ${patientId}`);
+  }
+
+  return patient;
+};
+
+jobQueue.register(JobTypes.CALL, {
+  async run({ phoneNumber, patientId, scheduleId, redialId, attempt, originalCallSid }, job) {
+    const patient = await loadPatient(patientId);
+
+    const call = await callService.placeReminderCall({
+      phoneNumber: patient ? patient.phoneNumber : phoneNumber,
+      patient,
+      scheduleId: scheduleId || undefined,
+      attempt: attempt || undefined,
+      originalCallSid: originalCallSid || undefined,
+      requestId: job.requestId || undefined
+    });
+
+    if (scheduleId) {
+      await Schedule.findByIdAndUpdate(scheduleId, {
+        $set: { lastCallSid: call.sid, lastError: null }
+      });
+    }
+
+    if (redialId) {
+      await Redial.findByIdAndUpdate(redialId, {
+        $set: { status: 'Placed', callSid: call.sid, lastError: null }
+      });
+    }
+
+    return { callSid: call.sid, status: call.status };
+  },
+
+  isBlocked: error => complianceService.isBlockedError(error),
+
+  async onBlocked({ redialId }, error) {
+    if (redialId && redialHooks.onBlocked) {
+      await redialHooks.onBlocked(redialId, error);
+    }
+  },
+
+  async onDead({ scheduleId, redialId }, error) {
+    if (scheduleId) {
+      await Schedule.findByIdAndUpdate(scheduleId, {
+        $set: { lastError: error.message }
+      });
+    }
+
+    if (redialId && redialHooks.onFailed) {
+      await redialHooks.onFailed(redialId, error);
+    }
+  }
+});
+
+jobQueue.register(JobTypes.SMS, {
+  async run({ phoneNumber, body, callSid }, job) {
+    const message = await telephonyService.sendSms(phoneNumber, body, { requestId: job.requestId || undefined });
+
+    if (callSid) {
+      await callLifecycle.transition(callSid, CallStates.SMS_SENT, {
+        source: 'sms-fallback',
+        requestId: job.requestId || undefined
+      });
+    }
+
+    return { messageSid: message && message.sid ? message.sid : null };
+  },
+
+  isBlocked: error => complianceService.isBlockedError(error)
+});
+
+/**
+ * Queues a reminder call and makes its first attempt
+ *
+ * @param {Object} options
+ * @param {string} options.phoneNumber - Number to call when there is no patient
+ * @param {Object|null} [options.patient] - Patient to call at their registry number
+ * @param {string} [options.scheduleId] - Schedule whose lastCallSid/lastError are updated
+ * @param {string} [options.requestId] - Request ID for log correlation
+ * @returns {Promise<Object>} - Job after the first attempt
+ */
+const dispatchCall = ({ phoneNumber, patient = null, scheduleId = null, requestId }) => jobQueue.dispatch(
+  JobTypes.CALL,
+  {
+    phoneNumber,
+    patientId: patient ? String(patient._id) : null,
+    scheduleId: scheduleId ? String(scheduleId) : null
+  },
+  { requestId }
+);
+
+/**
+ * Queues a redial of an unanswered reminder call and makes its first attempt
+ *
+ * The job marks the redial Placed once the call is placed, also when a
+ * retry places it later; a blocked or dead job calls the redial hooks.
+ *
+ * @param {Object} options
+ * @param {Object} options.redial - Redial being placed
+ * @param {Object|null} [options.patient] - Patient to call at their registry number
+ * @param {string} [options.requestId] - Request ID for log correlation
+ * @returns {Promise<Object>} - Job after the first attempt
+ */
+const dispatchRedial = ({ redial, patient = null, requestId }) => jobQueue.dispatch(
+  JobTypes.CALL,
+  {
+    phoneNumber: redial.phoneNumber,
+    patientId: patient ? String(patient._id) : null,
+    scheduleId: null,
+    redialId: String(redial._id),
+    attempt: redial.attempt,
+    originalCallSid: redial.originalCallSid
+  },
+  { requestId }
+);
+
+/**
+ * Sets what happens to a redial whose call job ends without a call
+ *
+ * @param {Object} hooks
+ * @param {Function} hooks.onBlocked - async (redialId, error) => void; error.reason is one of BlockReasons
+ * @param {Function} hooks.onFailed - async (redialId, error) => void, once the job's attempts are used up
+ */
+const setRedialHooks = ({ onBlocked, onFailed }) => {
+  Object.assign(redialHooks, { onBlocked, onFailed });
+};
+
+/**
+ * Queues an SMS and makes its first attempt
+ *
+ * @param {Object} options
+ * @param {string} options.phoneNumber - Number to text
+ * @param {string} options.body - Message text
+ * @param {string|null} [options.callSid] - Call to mark as 'SMS Sent' once the message is sent
+ * @param {string} [options.requestId] - Request ID for log correlation
+ * @returns {Promise<Object>} - Job after the first attempt
+ */
+const dispatchSms = ({ phoneNumber, body, callSid = null, requestId }) => jobQueue.dispatch(
+  JobTypes.SMS,
+  { phoneNumber, body, callSid },
+  { requestId }
+);
+
+module.exports = {
+  dispatchCall,
+  dispatchRedial,
+  dispatchSms,
+  setRedialHooks
+};
@@ -0,0 +1,248 @@
+/**
+ * Recording Service Module
+ *
+ * Records the calls of patients who consented, and processes each
+ * recording once the provider reports it: the audio is downloaded into the
+ * blob store, transcribed with the STT service, and the transcript saved on
+ * the call log. Processing runs as a job on the job queue, so downloads and
+ * transcriptions interrupted by outages or restarts are retried. Stored
+ * recordings are played back through the call log API.
+ *
+ * @module services/recordingService
+ */
+const config = require('../config');
+const jobQueue = require('./jobQueue');
+const blobStore = require('./blobStore');
+const sttService = require('./sttService');
+const telephonyService = require('./telephonyService');
+const complianceService = require('./complianceService');
+const CallLog = require('../models/callLog');
+const RecordingStatuses = require('../config/recordingStatuses');
+const ConsentChannels = require('../config/consentChannels');
+const { JobTypes } = require('../config/jobStatuses');
+const logger = require('../utils/logger');
+
+// File extensions of the audio types providers return
+const AUDIO_EXTENSIONS = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav'
+};
+
+class RecordingService {
+  constructor() {
+    jobQueue.register(JobTypes.RECORDING, {
+      run: (payload, job) => this.processRecording(payload, job.requestId || undefined),
+      onDead: (payload, error) => this.recordFailure(payload.callSid, error)
+    });
+  }
+
+  /**
+   * Checks whether calls to a patient are recorded
+   *
+   * @param {Object|null} patient - Patient the call is for
+   * @returns {boolean} - True when recording is enabled and the patient consented
+   */
+  shouldRecord(patient) {
+    return config.recordings.enabled && Boolean(patient) && complianceService.hasConsent(patient, ConsentChannels.RECORDING);
+  }
+
+  /**
+   * Merges changes into a call's recording
+   *
+   * @param {string} callSid - Call SID
+   * @param {Object} changes - Recording fields to set
+   * @param {Object} [extra={}] - Other call log fields to set
+   * @returns {Promise<Object|null>} - Updated call log, or null if there is none
+   */
+  async updateRecording(callSid, changes, extra = {}) {
+    const log = await CallLog.findOne({ callSid });
+    if (!log) {
+      return null;
+    }
+
+    const current = log.recording && typeof log.recording.toObject === 'function'
+      ? log.recording.toObject()
+      : log.recording;
+
+    return CallLog.findOneAndUpdate(
+      { callSid },
+      { $set: { recording: { ...current, ...changes }, ...extra } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Handles the provider's report that a call's recording is ready or missing
+   *
+   * A ready recording is queued for download and transcription.
+   *
+   * @param {Object} options
+   * @param {string} options.callSid - Call SID
+   * @param {string} options.recordingSid - Provider recording SID
+   * @param {string} options.recordingUrl - Media URL of the recording
+   * @param {string} options.status - Provider recording status (completed, absent or failed)
+   * @param {number|null} [options.durationSeconds] - Length of the recording
+   * @param {string} [options.language] - Language to transcribe in (e.g., es-US)
+   * @param {string} [options.requestId] - Request ID for log correlation
+   * @returns {Promise<Object|null>} - Queued job, or null if the recording is not available
+   */
+  async handleRecordingStatus({ callSid, recordingSid, recordingUrl, status, durationSeconds = null, language, requestId }) {
+    if (status !== 'completed') {
+      logger.warn({ event: 'recording_unavailable', callSid, recordingSid, status, requestId });
+      await this.updateRecording(callSid, {
+        sid: recordingSid,
+        status: RecordingStatuses.FAILED,
+        durationSeconds,
+        error: `Recording ${status}`
+      });
+      return null;
+    }
+
+    await this.updateRecording(callSid, {
+      sid: recordingSid,
+      status: RecordingStatuses.PENDING,
+      durationSeconds,
+      error: null
+    }, { recordingUrl });
+
+    // Queued rather than run here, so the provider gets its answer right away
+    return jobQueue.enqueue(JobTypes.RECORDING, {
+      callSid,
+      recordingSid,
+      recordingUrl,
+      language: language || null
+    }, { requestId });
+  }
+
+  /**
+   * Stores a recording's audio, unless an earlier attempt already did
+   *
+   * @param {Object} log - Call log
+   * @param {Object} payload - Job payload
+   * @returns {Promise<Object>} - { data, contentType, log } with the audio and the updated call log
+   */
+  async storeAudio(log, { callSid, recordingSid, recordingUrl }) {
+    const recording = log.recording || {};
+
+    if (recording.blobKey) {
+      const data = await blobStore.get(recording.blobKey);
+      if (data) {
+        return { data, contentType: recording.contentType, log };
+      }
+    }
+
+    const { data, contentType } = await telephonyService.downloadRecording(recordingUrl);
+    const extension = AUDIO_EXTENSIONS[String(contentType).split(';')[0].trim()] || 'bin';
+    const blobKey = `recordings/${callSid}/${recordingSid}.${extension}`;
+    const { size } = await blobStore.put(blobKey, data);
+
+    logger.info({ event: 'recording_stored', callSid, recordingSid, blobKey, size });
+
+    const updated = await this.updateRecording(callSid, {
+      status: RecordingStatuses.STORED,
+      blobKey,
+      contentType,
+      size,
+      error: null,
+      storedAt: new Date()
+    });
+
+    return { data, contentType, log: updated };
+  }
+
+  /**
+   * Downloads, stores and transcribes a recording
+   *
+   * Safe to repeat: audio already stored is not downloaded again.
+   *
+   * @param {Object} payload - { callSid, recordingSid, recordingUrl, language } from handleRecordingStatus
+   * @param {string} [requestId] - Request ID for log correlation
+   * @returns {Promise<Object>} - { blobKey, transcribed }
+   * @throws {Error} - If the call log is gone, or the download or transcription fails
+   */
+  async processRecording(payload, requestId) {
+    const { callSid, recordingSid, language } = payload;
+
+    const log = await CallLog.findOne({ callSid });
+    if (!log) {
+      throw new Error(`Call log not found: ${callSid}`);
+    }
+
+    const stored = await this.storeAudio(log, payload);
+    const { blobKey } = stored.log.recording;
+
+    if (!config.recordings.transcribe) {
+      return { blobKey, transcribed: false };
+    }
+
+    const transcriptLanguage = language || 'en-US';
+    const { text, utterances } = await sttService.transcribe(stored.data, {
+      mimetype: stored.contentType,
+      language: transcriptLanguage
+    });
+
+    await this.updateRecording(callSid, { status: RecordingStatuses.TRANSCRIBED, error: null }, {
+      transcript: { text, utterances, language: transcriptLanguage, transcribedAt: new Date() }
+    });
+
+    logger.info({
+      event: 'recording_transcribed',
+      callSid,
+      recordingSid,
+      utterances: utterances.length,
+      requestId
+    });
+
+    return { blobKey, transcribed: true };
+  }
+
+  /**
+   * Records why processing a recording gave up
+   *
+   * A recording whose audio was stored stays playable; only its transcript is missing.
+   *
+   * @param {string} callSid - Call SID
+   * @param {Error} error - Error of the last attempt
+   * @returns {Promise<void>}
+   */
+  async recordFailure(callSid, error) {
+    const log = await CallLog.findOne({ callSid });
+    const stored = Boolean(log && log.recording && log.recording.blobKey);
+
+    logger.error({ event: 'recording_processing_failed', callSid, stored, error: error.message });
+
+    await this.updateRecording(callSid, {
+      status: stored ? RecordingStatuses.STORED : RecordingStatuses.FAILED,
+      error: error.message
+    });
+  }
+
+  /**
+   * Opens a call's stored recording for playback
+   *
+   * @param {string} callSid - Call SID
+   * @returns {Promise<Object|null>} - { blobKey, contentType, size }, or null if no audio is stored
+   */
+  async findRecording(callSid) {
+    const log = await CallLog.findOne({ callSid });
+    const recording = log && log.recording;
+    if (!recording || !recording.blobKey) {
+      return null;
+    }
+
+    const blob = await blobStore.stat(recording.blobKey);
+    if (!blob) {
+      return null;
+    }
+
+    return {
+      blobKey: recording.blobKey,
+      contentType: recording.contentType || 'application/octet-stream',
+      size: blob.size
+    };
+  }
+}
+
+module.exports = new RecordingService();
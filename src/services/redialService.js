@@ -0,0 +1,429 @@
+/**
+ * Redial Service Module
+ *
+ * Applies the redial policy to reminder calls that were not answered,
+ * were busy or failed: queues a redial after a growing backoff until the
+ * policy's redials run out, and sends the SMS fallback on the configured
+ * attempt. Once the redials run out, the patient's providers are told,
+ * once per chain, that the patient could not be reached. A redial due in
+ * the patient's quiet hours waits until they end, and one the patient
+ * withdrew consent for is blocked and ends the chain. Each redial's call
+ * log links back to the first call of the chain through originalCallSid.
+ *
+ * @module services/redialService
+ */
+const mongoose = require('mongoose');
+const config = require('../config');
+const complianceService = require('./complianceService');
+const outboundJobs = require('./outboundJobs');
+const notificationService = require('./notificationService');
+const CallLog = require('../models/callLog');
+const Patient = require('../models/patient');
+const Redial = require('../models/redial');
+const { JobStatuses } = require('../config/jobStatuses');
+const logger = require('../utils/logger');
+const { translate } = require('../locales');
+const { getLanguage } = require('./checkInDialog');
+
+const { NotificationOutcomes } = notificationService;
+const { BlockReasons } = complianceService;
+
+/**
+ * Twilio call statuses that are redialled
+ */
+const REDIAL_STATUSES = ['no-answer', 'busy', 'failed'];
+
+class RedialService {
+  /**
+   * Resolves the redial policy for a patient
+   *
+   * @param {Object|null} patient - Patient document, possibly with a redialPolicy
+   * @returns {Object} - { maxRedials, backoffMs, backoffMultiplier, smsFallbackAttempt }
+   */
+  resolvePolicy(patient) {
+    const overrides = (patient && patient.redialPolicy) || {};
+    const policy = { ...config.redial };
+
+    Object.keys(policy).forEach(key => {
+      if (overrides[key] !== undefined && overrides[key] !== null) {
+        policy[key] = overrides[key];
+      }
+    });
+
+    return policy;
+  }
+
+  /**
+   * Gets the attempt whose failure sends the SMS fallback
+   *
+   * @param {Object} policy - Resolved redial policy
+   * @returns {number} - Attempt number, at most the last attempt
+   */
+  getSmsFallbackAttempt(policy) {
+    const lastAttempt = policy.maxRedials + 1;
+    return Math.min(policy.smsFallbackAttempt || lastAttempt, lastAttempt);
+  }
+
+  /**
+   * Computes the wait before redialling after a failed attempt
+   *
+   * @param {Object} policy - Resolved redial policy
+   * @param {number} attempt - Attempt that was not answered (1 for the first call)
+   * @returns {number} - Delay in milliseconds
+   */
+  getBackoffMs(policy, attempt) {
+    return Math.round(policy.backoffMs * Math.pow(policy.backoffMultiplier, attempt - 1));
+  }
+
+  /**
+   * Handles a reminder call that was not answered, was busy or failed
+   *
+   * @param {Object} options
+   * @param {string|null} options.callSid - Call that was not answered; null if it could not be placed
+   * @param {string} options.phoneNumber - Number that was called
+   * @param {Object|null} options.patient - Patient the call was for
+   * @param {number} [options.attempt=1] - Attempt number of the call
+   * @param {string} [options.originalCallSid] - First call of the chain, if this was a redial
+   * @param {string} [options.requestId] - Request ID for log correlation
+   * @returns {Promise<Object>} - { redial, smsSent }
+   */
+  async handleUnansweredCall({ callSid, phoneNumber, patient, attempt = 1, originalCallSid = null, requestId }) {
+    const policy = this.resolvePolicy(patient);
+    const lastAttempt = policy.maxRedials + 1;
+    let smsSent = false;
+    let redial = null;
+
+    if (attempt === this.getSmsFallbackAttempt(policy)) {
+      smsSent = await this.sendSmsFallback({ callSid, phoneNumber, patient, requestId });
+    }
+
+    if (attempt < lastAttempt) {
+      redial = await this.scheduleRedial({
+        patient,
+        phoneNumber,
+        originalCallSid: originalCallSid || callSid,
+        previousCallSid: callSid,
+        attempt: attempt + 1,
+        dueAt: new Date(Date.now() + this.getBackoffMs(policy, attempt)),
+        requestId
+      });
+    } else {
+      logger.info({
+        event: 'redials_exhausted',
+        callSid,
+        originalCallSid: originalCallSid || callSid,
+        attempt,
+        requestId
+      });
+
+      // Delivery runs in the background so the status webhook is not held up;
+      // a call that could not be placed has no log, so it is recorded on the first call's
+      if (await this.claimChainEnd(originalCallSid || callSid, requestId)) {
+        notificationService.notifyOutcome({
+          callSid: callSid || originalCallSid,
+          patient,
+          outcome: NotificationOutcomes.NO_RESPONSE,
+          requestId
+        });
+      }
+    }
+
+    return { redial, smsSent };
+  }
+
+  /**
+   * Marks a redial chain as exhausted on its first call's log
+   *
+   * Twilio may deliver the last call's status callback more than once, so
+   * only the first caller to mark the chain notifies the providers.
+   *
+   * @param {string|null} chainCallSid - First call of the chain
+   * @param {string} [requestId] - Request ID for log correlation
+   * @returns {Promise<boolean>} - Whether the caller should notify
+   */
+  async claimChainEnd(chainCallSid, requestId) {
+    if (!chainCallSid) {
+      return true;
+    }
+
+    try {
+      const claimed = await CallLog.findOneAndUpdate(
+        { callSid: chainCallSid, redialsExhaustedAt: null },
+        { $set: { redialsExhaustedAt: new Date() } },
+        { new: true }
+      );
+      if (claimed) {
+        return true;
+      }
+
+      // Without a call log to mark, the providers are still told
+      return !(await CallLog.findOne({ callSid: chainCallSid }));
+    } catch (dbError) {
+      logger.warn({
+        event: 'database_error',
+        message: 'Failed to mark the redial chain as exhausted',
+        error: dbError.message,
+        callSid: chainCallSid,
+        requestId
+      });
+      return true;
+    }
+  }
+
+  /**
+   * Queues a redial
+   *
+   * Twilio may deliver a status callback more than once, so a call is only
+   * ever followed by one redial.
+   *
+   * @param {Object} options - Redial fields, plus patient and requestId
+   * @returns {Promise<Object|null>} - Queued redial, or null if it could not be stored
+   */
+  async scheduleRedial({ patient, phoneNumber, originalCallSid, previousCallSid, attempt, dueAt, requestId }) {
+    try {
+      if (previousCallSid) {
+        const existing = await Redial.findOne({ previousCallSid });
+        if (existing) {
+          return existing;
+        }
+      }
+
+      const redial = await Redial.create({
+        patientId: patient ? patient._id : null,
+        phoneNumber,
+        originalCallSid,
+        previousCallSid,
+        attempt,
+        dueAt
+      });
+
+      logger.info({
+        event: 'redial_scheduled',
+        redialId: String(redial._id),
+        originalCallSid,
+        previousCallSid,
+        attempt,
+        dueAt: dueAt.toISOString(),
+        requestId
+      });
+
+      return redial;
+    } catch (dbError) {
+      logger.error({
+        event: 'redial_schedule_failed',
+        error: dbError.message,
+        previousCallSid,
+        requestId
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Texts the patient that the reminder call did not reach them
+   *
+   * @param {Object} options
+   * @param {string|null} options.callSid - Call to mark as 'SMS Sent'
+   * @param {string} options.phoneNumber - Number to text
+   * @param {Object|null} options.patient - Patient, for the message language
+   * @param {string} [options.requestId] - Request ID for log correlation
+   * @returns {Promise<boolean>} - Whether the SMS was sent on the first attempt (false if it was blocked)
+   */
+  async sendSmsFallback({ callSid, phoneNumber, patient, requestId }) {
+    let job;
+
+    try {
+      // The SMS job marks the call once the message is sent, also when a retry sends it later
+      job = await outboundJobs.dispatchSms({
+        phoneNumber,
+        body: translate(getLanguage(patient), 'voicemail'),
+        callSid,
+        requestId
+      });
+    } catch (queueError) {
+      job = { lastError: queueError.message };
+    }
+
+    if (job.status === JobStatuses.BLOCKED) {
+      logger.info({ event: 'sms_fallback_blocked', callSid, reason: job.result.reason, requestId });
+      return false;
+    }
+
+    if (job.status !== JobStatuses.SUCCEEDED) {
+      logger.error({
+        event: 'sms_fallback_failed',
+        error: job.lastError,
+        callSid,
+        jobId: job._id ? String(job._id) : undefined,
+        requestId
+      });
+      return false;
+    }
+
+    logger.info({ event: 'sms_fallback_sent', callSid, requestId });
+
+    return true;
+  }
+
+  /**
+   * Places every pending redial that is due
+   *
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<number>} - Number of redials placed
+   */
+  async runDueRedials(now = new Date()) {
+    const pending = await Redial.find({ status: 'Pending' });
+    let placed = 0;
+
+    for (const redial of pending) {
+      if (new Date(redial.dueAt) > now) {
+        continue;
+      }
+
+      if (await this.placeRedial(redial)) {
+        placed++;
+      }
+    }
+
+    return placed;
+  }
+
+  /**
+   * Places a due redial
+   *
+   * The redial is claimed before calling, so a second instance never places
+   * it too. The call goes through the call job, which retries transient
+   * provider errors and marks the redial Placed once the call is placed.
+   * A job that fails for good counts as a failed attempt (see failRedial),
+   * and a call blocked by compliance does not count as one (see holdRedial).
+   *
+   * @param {Object} redial - Pending redial
+   * @returns {Promise<boolean>} - Whether a call was placed on the first attempt
+   */
+  async placeRedial(redial) {
+    const claimed = await Redial.findOneAndUpdate(
+      { _id: redial._id, status: 'Pending' },
+      { $set: { status: 'Placing' } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return false;
+    }
+
+    try {
+      const patient = await this.loadPatient(redial);
+      const job = await outboundJobs.dispatchRedial({ redial: claimed, patient });
+
+      if (job.status === JobStatuses.PENDING) {
+        logger.warn({
+          event: 'redial_retry_scheduled',
+          redialId: String(redial._id),
+          jobId: String(job._id),
+          error: job.lastError
+        });
+      }
+
+      return job.status === JobStatuses.SUCCEEDED;
+    } catch (error) {
+      // The job could not be stored, so nothing will retry it
+      await this.failRedial(redial._id, error);
+      return false;
+    }
+  }
+
+  /**
+   * Loads the patient a redial is for
+   *
+   * @param {Object} redial - Redial
+   * @returns {Promise<Object|null>} - Patient document, or null for redials without one
+   */
+  async loadPatient(redial) {
+    if (!redial.patientId || !mongoose.isValidObjectId(redial.patientId)) {
+      return null;
+    }
+    return Patient.findById(redial.patientId);
+  }
+
+  /**
+   * Records a redial whose call could not be placed as a failed attempt
+   *
+   * The policy then moves on to the next redial or the SMS fallback.
+   *
+   * @param {string} redialId - Redial that failed
+   * @param {Error} error - Error of the last attempt to place the call
+   * @returns {Promise<void>}
+   */
+  async failRedial(redialId, error) {
+    const redial = await Redial.findByIdAndUpdate(redialId, {
+      $set: { status: 'Failed', lastError: error.message }
+    }, { new: true });
+
+    if (!redial) {
+      return;
+    }
+
+    logger.error({
+      event: 'redial_failed',
+      redialId: String(redialId),
+      originalCallSid: redial.originalCallSid,
+      attempt: redial.attempt,
+      error: error.message
+    });
+
+    await this.handleUnansweredCall({
+      callSid: null,
+      phoneNumber: redial.phoneNumber,
+      patient: await this.loadPatient(redial),
+      attempt: redial.attempt,
+      originalCallSid: redial.originalCallSid
+    });
+  }
+
+  /**
+   * Holds back a redial that compliance blocked
+   *
+   * A redial due in quiet hours is put back to wait until they end. One the
+   * patient has not consented to is marked Blocked, which ends the chain
+   * without the SMS fallback or a provider notification.
+   *
+   * @param {string} redialId - Redial that was blocked
+   * @param {Error} error - Blocked error; error.reason is one of BlockReasons
+   * @returns {Promise<void>}
+   */
+  async holdRedial(redialId, error) {
+    const redial = await Redial.findById(redialId);
+
+    if (!redial) {
+      return;
+    }
+
+    if (error.reason === BlockReasons.QUIET_HOURS) {
+      const target = await this.loadPatient(redial) || await complianceService.findPatient({ phoneNumber: redial.phoneNumber });
+      const dueAt = complianceService.getQuietHoursEnd(target ? target.timezone : null);
+
+      logger.info({ event: 'redial_deferred', redialId: String(redialId), originalCallSid: redial.originalCallSid, dueAt: dueAt.toISOString() });
+
+      await Redial.findByIdAndUpdate(redialId, {
+        $set: { status: 'Pending', dueAt, lastError: error.message }
+      });
+      return;
+    }
+
+    logger.info({ event: 'redial_blocked', redialId: String(redialId), originalCallSid: redial.originalCallSid, reason: error.reason });
+
+    await Redial.findByIdAndUpdate(redialId, {
+      $set: { status: 'Blocked', lastError: error.message }
+    });
+  }
+}
+
+const redialService = new RedialService();
+
+outboundJobs.setRedialHooks({
+  onBlocked: (redialId, error) => redialService.holdRedial(redialId, error),
+  onFailed: (redialId, error) => redialService.failRedial(redialId, error)
+});
+
+module.exports = redialService;
+module.exports.REDIAL_STATUSES = REDIAL_STATUSES;
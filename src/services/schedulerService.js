@@ -0,0 +1,228 @@
+/**
+ * Scheduler Service Module
+ *
+ * Polls stored reminder schedules and places calls when they are due.
+ * Each schedule's next run is persisted, so schedules survive restarts.
+ * Queued redials of unanswered calls are placed on the same poll.
+ *
+ * @module services/schedulerService
+ */
+const Schedule = require('../models/schedule');
+const Patient = require('../models/patient');
+const outboundJobs = require('./outboundJobs');
+const redialService = require('./redialService');
+const config = require('../config');
+const { JobStatuses } = require('../config/jobStatuses');
+const logger = require('../utils/logger');
+const { getZonedParts, zonedTimeToUtc, parseTimeOfDay } = require('../utils/time');
+
+class SchedulerService {
+  constructor() {
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Computes the next time a schedule is due after a given instant
+   * 
+   * @param {Object} schedule - Schedule with times, daysOfWeek and timezone
+   * @param {Date} [after=new Date()] - Instant to search from (exclusive)
+   * @returns {Date|null} - Next run time, or null if the schedule can never fire
+   */
+  computeNextRun(schedule, after = new Date()) {
+    const timezone = schedule.timezone || 'UTC';
+    const daysOfWeek = schedule.daysOfWeek && schedule.daysOfWeek.length > 0
+      ? schedule.daysOfWeek
+      : [0, 1, 2, 3, 4, 5, 6];
+    const times = [...(schedule.times || [])].sort();
+    
+    if (times.length === 0) {
+      return null;
+    }
+    
+    const today = getZonedParts(after, timezone);
+    
+    // Look one day past a full week so today's already-passed times roll over
+    for (let offset = 0; offset <= 7; offset++) {
+      const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+      
+      if (!daysOfWeek.includes(day.getUTCDay())) {
+        continue;
+      }
+      
+      for (const time of times) {
+        const candidate = zonedTimeToUtc({
+          year: day.getUTCFullYear(),
+          month: day.getUTCMonth() + 1,
+          day: day.getUTCDate(),
+          ...parseTimeOfDay(time)
+        }, timezone);
+        
+        if (candidate > after) {
+          return candidate;
+        }
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Starts polling for due schedules
+   */
+  start() {
+    if (this.timer || !config.scheduler.enabled) {
+      return;
+    }
+    
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        logger.error({
+          event: 'scheduler_error',
+          message: 'Scheduler tick failed',
+          error: error.message,
+          stack: error.stack
+        });
+      });
+    }, config.scheduler.pollIntervalMs);
+    
+    // Don't keep the process alive just for the scheduler
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+    
+    logger.info({
+      event: 'scheduler_started',
+      pollIntervalMs: config.scheduler.pollIntervalMs
+    });
+  }
+
+  /**
+   * Stops polling for due schedules
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info({ event: 'scheduler_stopped' });
+    }
+  }
+
+  /**
+   * Fires every active schedule that is due, then every due redial
+   * 
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<number>} - Number of calls placed
+   */
+  async tick(now = new Date()) {
+    // Skip if the previous tick is still placing calls
+    if (this.ticking) {
+      return 0;
+    }
+    
+    this.ticking = true;
+    let placed = 0;
+    
+    try {
+      const schedules = await Schedule.find({ active: true });
+      
+      for (const schedule of schedules) {
+        if (!schedule.nextRunAt || new Date(schedule.nextRunAt) > now) {
+          continue;
+        }
+        
+        if (await this.runSchedule(schedule, now)) {
+          placed++;
+        }
+      }
+      
+      placed += await redialService.runDueRedials(now);
+    } finally {
+      this.ticking = false;
+    }
+    
+    return placed;
+  }
+
+  /**
+   * Advances a due schedule and places its call
+   * 
+   * The next run is claimed before calling, so a crash or a second
+   * instance never places the same reminder twice. The call itself goes
+   * through the job queue, which retries it on transient Twilio errors.
+   * 
+   * @param {Object} schedule - Due schedule
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} - Whether the call was placed on the first attempt
+   */
+  async runSchedule(schedule, now) {
+    const dueAt = new Date(schedule.nextRunAt);
+    
+    const claimed = await Schedule.findOneAndUpdate(
+      { _id: schedule._id, nextRunAt: dueAt },
+      { $set: { nextRunAt: this.computeNextRun(schedule, now), lastRunAt: now } },
+      { new: true }
+    );
+    
+    if (!claimed) {
+      return false;
+    }
+    
+    if (now - dueAt > config.scheduler.missedRunGraceMs) {
+      logger.warn({
+        event: 'schedule_run_missed',
+        scheduleId: String(schedule._id),
+        dueAt: dueAt.toISOString(),
+        message: 'Scheduled call missed by more than the grace period, skipping'
+      });
+      return false;
+    }
+    
+    try {
+      const patient = await Patient.findById(schedule.patientId);
+      
+      if (!patient) {
+        throw new Error(`Patient not found: ${schedule.patientId}`);
+      }
+      
+      // The call job records the Call SID on the schedule, also when a retry succeeds later
+      const job = await outboundJobs.dispatchCall({
+        phoneNumber: patient.phoneNumber,
+        patient,
+        scheduleId: schedule._id
+      });
+      
+      // A blocked call is not a failure of the schedule; the block is logged and the job records why
+      if (job.status === JobStatuses.BLOCKED) {
+        logger.info({
+          event: 'scheduled_call_blocked',
+          scheduleId: String(schedule._id),
+          patientId: String(schedule.patientId),
+          reason: job.result.reason
+        });
+        return false;
+      }
+      
+      if (job.status !== JobStatuses.SUCCEEDED) {
+        throw new Error(job.lastError || 'Call could not be placed');
+      }
+      
+      return true;
+    } catch (error) {
+      logger.error({
+        event: 'scheduled_call_failed',
+        scheduleId: String(schedule._id),
+        patientId: String(schedule.patientId),
+        error: error.message
+      });
+      
+      await Schedule.findByIdAndUpdate(schedule._id, {
+        $set: { lastError: error.message }
+      });
+      
+      return false;
+    }
+  }
+}
+
+module.exports = new SchedulerService();
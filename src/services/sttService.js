@@ -4,37 +4,61 @@ const config = require('../config');
 
 class STTService {
   constructor() {
-    this.deepgram = new Deepgram(config.deepgram.apiKey);
+    this.client = null;
   }
 
-  async speechToText(audioBuffer) {
+  // Created on first use, so the app starts without a Deepgram key when transcription is unused
+  get deepgram() {
+    if (!this.client) {
+      this.client = new Deepgram(config.deepgram.apiKey);
+    }
+    return this.client;
+  }
+
+  // Transcribe a whole recording; resolves to { text, utterances } where
+  // text is the full transcript and utterances are its speaker turns
+  async transcribe(audioBuffer, { mimetype = 'audio/mpeg', language = 'en-US' } = {}) {
     try {
       const response = await this.deepgram.transcription.preRecorded(
-        { buffer: audioBuffer, mimetype: 'audio/mpeg' },
-        { punctuate: true, utterances: true }
+        { buffer: audioBuffer, mimetype },
+        { punctuate: true, utterances: true, diarize: true, language }
       );
 
-      // Get the transcript from the first utterance
-      if (response.results && 
-          response.results.utterances && 
-          response.results.utterances.length > 0) {
-        return response.results.utterances[0].transcript;
-      }
-      
-      return '';
+      const results = response.results || {};
+      const utterances = (results.utterances || []).map(utterance => ({
+        speaker: utterance.speaker === undefined ? null : utterance.speaker,
+        start: utterance.start,
+        end: utterance.end,
+        text: utterance.transcript
+      }));
+
+      const [channel] = results.channels || [];
+      const [alternative] = channel && channel.alternatives ? channel.alternatives : [];
+      const text = alternative && alternative.transcript
+        ? alternative.transcript
+        : utterances.map(utterance => utterance.text).join(' ');
+
+      return { text, utterances };
     } catch (error) {
       console.error('Error with STT service:', error);
       throw error;
     }
   }
 
-  // Create a real-time streaming connection
-  createRealTimeStream() {
+  async speechToText(audioBuffer, options) {
+    const { text } = await this.transcribe(audioBuffer, options);
+    return text;
+  }
+
+  // Create a real-time streaming connection; options override the defaults
+  // (e.g. { encoding: 'mulaw', sample_rate: 8000 } for Twilio media streams)
+  createRealTimeStream(options = {}) {
     try {
       const deepgramLive = this.deepgram.transcription.live({
         punctuate: true,
         interim_results: true,
-        language: 'en-US'
+        language: 'en-US',
+        ...options
       });
 
       return deepgramLive;
@@ -0,0 +1,367 @@
+/**
+ * Simulator Telephony Provider
+ *
+ * Stands in for a telephony provider so the app runs end to end without
+ * a Twilio account. Outbound calls and SMS are recorded in memory instead
+ * of being placed, and each simulated call plays out by posting the
+ * webhooks Twilio would: status callbacks, the voice webhook once the call
+ * is answered, and the answering machine detection result.
+ *
+ * How a call ends is set per number with setOutcome, falling back to the
+ * configured default:
+ * - completed: a person answers and hangs up after the first prompt, or
+ *   talks through the call flow as a converse function scripts it
+ * - machine: an answering machine picks up
+ * - no-answer, busy, failed: the call never connects
+ *
+ * Calls placed with a recording callback get a recording of silence once
+ * they complete, announced through the callback and downloadable like a
+ * Twilio recording.
+ *
+ * Call-flow responses are TwiML, so flows can be checked against the same
+ * markup the Twilio provider returns. Webhook requests are signed with
+ * TWILIO_AUTH_TOKEN when it is set, so signature validation can stay on.
+ *
+ * @module services/telephony/simulatorProvider
+ */
+const crypto = require('crypto');
+const axios = require('axios');
+const twilio = require('twilio');
+const logger = require('../../utils/logger');
+
+/**
+ * Call outcomes the simulator can play
+ */
+const SIMULATED_OUTCOMES = ['completed', 'machine', 'no-answer', 'busy', 'failed'];
+
+// Length reported for calls that connected, in seconds
+const CONNECTED_CALL_DURATION = 20;
+
+// Base URL of simulated recordings
+const RECORDING_BASE_URL = 'https://simulator.invalid/Recordings';
+
+/**
+ * Creates a Twilio-style SID
+ *
+ * @param {string} prefix - CA for calls, SM for messages
+ * @returns {string} - Prefix followed by 32 hex digits
+ */
+const createSid = (prefix) => `${prefix}${crypto.randomBytes(16).toString('hex')}`;
+
+/**
+ * Creates a WAV file of silence
+ *
+ * @param {number} seconds - Length of the audio
+ * @returns {Buffer} - 8 kHz 16-bit mono PCM WAV
+ */
+const createSilence = (seconds) => {
+  const sampleRate = 8000;
+  const dataSize = sampleRate * 2 * seconds;
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataSize, 40);
+
+  return Buffer.concat([header, Buffer.alloc(dataSize)]);
+};
+
+/**
+ * Posts form parameters to a webhook the way Twilio does
+ *
+ * @param {string} url - Absolute webhook URL
+ * @param {Object} params - Form parameters
+ * @param {string} [authToken] - Signs the request with X-Twilio-Signature when given
+ * @returns {Promise<string>} - Response body
+ */
+const postWebhook = async (url, params, authToken) => {
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (authToken) {
+    headers['X-Twilio-Signature'] = twilio.getExpectedTwilioSignature(authToken, url, params);
+  }
+
+  const response = await axios.post(url, new URLSearchParams(params).toString(), {
+    headers,
+    responseType: 'text',
+    // The app's answer is recorded whatever its status
+    validateStatus: () => true
+  });
+
+  return response.data;
+};
+
+/**
+ * Creates the simulator provider
+ *
+ * @param {Object} settings
+ * @param {Object} settings.twilio - Twilio settings, for the caller ID and the signing token (config.twilio)
+ * @param {Object} settings.simulator - Default outcome and callback delay (config.telephony.simulator)
+ * @param {Function} [settings.post] - async (url, params) => body; posts webhooks (default: HTTP with axios)
+ * @param {Function} [settings.converse] - async (call, fetch) => void; plays the answered part of a call,
+ *   where fetch(url, params) posts a webhook of the call and resolves with the app's answer
+ *   (default: fetch the voice URL once)
+ * @returns {Object} - Telephony provider with inspection helpers
+ */
+const createSimulatorProvider = ({ twilio: twilioSettings, simulator, post, converse }) => {
+  const calls = new Map();
+  const messages = [];
+  const outcomes = new Map();
+  const recordings = new Map();
+  const running = new Set();
+
+  const send = post || ((url, params) => postWebhook(url, params, twilioSettings.authToken));
+  const talk = converse || ((call, fetch) => fetch(call.url));
+
+  const wait = () => new Promise(resolve => setTimeout(resolve, simulator.callbackDelayMs));
+
+  /**
+   * Posts a webhook of a simulated call, recording the response
+   *
+   * @param {Object} call - Simulated call
+   * @param {string} url - Webhook URL
+   * @param {Object} params - Extra form parameters
+   * @returns {Promise<string|undefined>} - Response body, or undefined if the webhook failed
+   */
+  const notify = async (call, url, params) => {
+    if (!url) {
+      return undefined;
+    }
+
+    const body = {
+      CallSid: call.sid,
+      AccountSid: twilioSettings.accountSid || 'ACsimulator',
+      From: call.from,
+      To: call.to,
+      Direction: 'outbound-api',
+      ApiVersion: '2010-04-01',
+      ...params
+    };
+
+    try {
+      const response = await send(url, body);
+      call.webhooks.push({ url, params: body, response });
+      return response;
+    } catch (error) {
+      call.webhooks.push({ url, params: body, error: error.message });
+      logger.warn({ event: 'simulator_webhook_failed', callSid: call.sid, url, error: error.message });
+      return undefined;
+    }
+  };
+
+  /**
+   * Moves a simulated call to a status and posts the status callback
+   *
+   * @param {Object} call - Simulated call
+   * @param {string} status - Twilio call status
+   * @param {Object} [params={}] - Extra form parameters
+   * @returns {Promise<void>}
+   */
+  const setStatus = async (call, status, params = {}) => {
+    await wait();
+    call.status = status;
+    await notify(call, call.statusCallback, { CallStatus: status, ...params });
+  };
+
+  /**
+   * Plays a simulated call through to its outcome
+   *
+   * @param {Object} call - Simulated call
+   * @returns {Promise<void>}
+   */
+  const play = async (call) => {
+    await setStatus(call, 'initiated');
+
+    if (call.outcome === 'failed') {
+      await setStatus(call, 'failed');
+      return;
+    }
+
+    await setStatus(call, 'ringing');
+
+    if (call.outcome === 'no-answer' || call.outcome === 'busy') {
+      await setStatus(call, call.outcome);
+      return;
+    }
+
+    await setStatus(call, 'in-progress');
+    await talk(call, (url, params = {}) => notify(call, url, { CallStatus: 'in-progress', ...params }));
+
+    if (call.amdCallback) {
+      await wait();
+      await notify(call, call.amdCallback, {
+        CallStatus: 'in-progress',
+        AnsweredBy: call.outcome === 'machine' ? 'machine_end_beep' : 'human'
+      });
+    }
+
+    await setStatus(call, 'completed', { CallDuration: String(CONNECTED_CALL_DURATION) });
+
+    if (call.recordingCallback) {
+      const sid = createSid('RE');
+      const recording = { sid, callSid: call.sid, url: `${RECORDING_BASE_URL}/${sid}`, data: createSilence(1) };
+      recordings.set(recording.url, recording);
+
+      await wait();
+      await notify(call, call.recordingCallback, {
+        RecordingSid: sid,
+        RecordingUrl: recording.url,
+        RecordingStatus: 'completed',
+        RecordingDuration: String(CONNECTED_CALL_DURATION),
+        RecordingChannels: '1',
+        RecordingSource: 'OutboundAPI'
+      });
+    }
+  };
+
+  return {
+    name: 'simulator',
+
+    async placeCall({ to, url, statusCallback, amdCallback, recordingCallback }) {
+      const call = {
+        sid: createSid('CA'),
+        to,
+        from: twilioSettings.phoneNumber || '+15005550006',
+        url,
+        statusCallback,
+        amdCallback: amdCallback || null,
+        recordingCallback: recordingCallback || null,
+        outcome: outcomes.get(to) || simulator.outcome,
+        status: 'queued',
+        webhooks: [],
+        updates: [],
+        createdAt: new Date()
+      };
+      calls.set(call.sid, call);
+
+      logger.info({ event: 'simulator_call_placed', callSid: call.sid, to, outcome: call.outcome });
+
+      const playing = play(call)
+        .catch(error => logger.error({ event: 'simulator_call_failed', callSid: call.sid, error: error.message }))
+        .finally(() => running.delete(playing));
+      running.add(playing);
+
+      return { sid: call.sid, status: call.status, to: call.to, from: call.from };
+    },
+
+    async sendSms({ to, body }) {
+      const message = {
+        sid: createSid('SM'),
+        to,
+        from: twilioSettings.phoneNumber || '+15005550006',
+        body,
+        status: 'sent',
+        createdAt: new Date()
+      };
+      messages.push(message);
+
+      logger.info({ event: 'simulator_sms_sent', messageSid: message.sid, to });
+
+      return { ...message };
+    },
+
+    async updateCall(callSid, { url, twiml }) {
+      const call = calls.get(callSid);
+
+      // Twilio rejects updates of calls it does not know or that have ended
+      if (!call || ['completed', 'failed', 'busy', 'no-answer'].includes(call.status)) {
+        throw Object.assign(new Error(`Call is not in-progress: ${callSid}`), { status: 400 });
+      }
+
+      call.updates.push(url ? { url } : { twiml });
+      if (url) {
+        await notify(call, url, { CallStatus: call.status });
+      }
+
+      return { sid: call.sid, status: call.status };
+    },
+
+    async getRecordingUrl(callSid) {
+      const recording = [...recordings.values()].find(item => item.callSid === callSid);
+      return recording ? recording.url : null;
+    },
+
+    async downloadRecording(url) {
+      const recording = recordings.get(url);
+      if (!recording) {
+        throw Object.assign(new Error(`Recording not found: ${url}`), { status: 404 });
+      }
+      return { data: Buffer.from(recording.data), contentType: 'audio/wav' };
+    },
+
+    createVoiceResponse() {
+      return new twilio.twiml.VoiceResponse();
+    },
+
+    createMessagingResponse() {
+      return new twilio.twiml.MessagingResponse();
+    },
+
+    /**
+     * Sets how calls to a number end
+     *
+     * @param {string} phoneNumber - Number in E.164 format
+     * @param {string} outcome - One of SIMULATED_OUTCOMES
+     * @throws {Error} - If the outcome is unknown
+     */
+    setOutcome(phoneNumber, outcome) {
+      if (!SIMULATED_OUTCOMES.includes(outcome)) {
+        throw new Error(`Unknown simulated outcome: ${outcome}`);
+      }
+      outcomes.set(phoneNumber, outcome);
+    },
+
+    /**
+     * Lists the calls placed so far, oldest first
+     *
+     * @returns {Object[]} - Calls with their status, webhooks posted and live updates
+     */
+    getCalls() {
+      return [...calls.values()];
+    },
+
+    /**
+     * Lists the SMS sent so far, oldest first
+     *
+     * @returns {Object[]} - Messages
+     */
+    getMessages() {
+      return [...messages];
+    },
+
+    /**
+     * Waits until every simulated call has played out
+     *
+     * @returns {Promise<void>}
+     */
+    async settle() {
+      while (running.size > 0) {
+        await Promise.allSettled([...running]);
+      }
+    },
+
+    /**
+     * Forgets recorded calls, messages, outcomes and recordings
+     */
+    reset() {
+      calls.clear();
+      messages.length = 0;
+      outcomes.clear();
+      recordings.clear();
+    }
+  };
+};
+
+module.exports = {
+  SIMULATED_OUTCOMES,
+  createSimulatorProvider
+};
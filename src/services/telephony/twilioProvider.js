@@ -0,0 +1,131 @@
+/**
+ * Twilio Telephony Provider
+ *
+ * Places calls, sends SMS, updates live calls and downloads recordings
+ * through the Twilio REST API, and builds call-flow responses as TwiML. The REST client is created
+ * on first use, so the app starts without Twilio credentials when another
+ * provider is selected.
+ *
+ * @module services/telephony/twilioProvider
+ */
+const axios = require('axios');
+const twilio = require('twilio');
+
+// Host of recording media; account credentials are only ever sent here
+const API_BASE_URL = 'https://api.twilio.com';
+
+/**
+ * Creates the Twilio provider
+ *
+ * @param {Object} settings - Twilio settings, read on every request (config.twilio)
+ * @param {string} settings.accountSid - Account SID
+ * @param {string} settings.authToken - Auth token
+ * @param {string} settings.phoneNumber - Number calls and SMS are sent from
+ * @returns {Object} - Telephony provider
+ */
+const createTwilioProvider = (settings) => {
+  let client = null;
+
+  return {
+    name: 'twilio',
+
+    /**
+     * Twilio REST client
+     */
+    get client() {
+      if (!client) {
+        client = twilio(settings.accountSid, settings.authToken);
+      }
+      return client;
+    },
+
+    async placeCall({ to, url, statusCallback, statusCallbackEvents, amdCallback, recordingCallback }) {
+      const machineDetection = amdCallback
+        ? {
+          // Wait for the greeting to end so the voicemail is left after the beep
+          machineDetection: 'DetectMessageEnd',
+          asyncAmd: 'true',
+          asyncAmdStatusCallback: amdCallback,
+          asyncAmdStatusCallbackMethod: 'POST'
+        }
+        : {};
+
+      const recording = recordingCallback
+        ? {
+          record: true,
+          recordingStatusCallback: recordingCallback,
+          recordingStatusCallbackEvent: ['completed', 'absent'],
+          recordingStatusCallbackMethod: 'POST'
+        }
+        : {};
+
+      return this.client.calls.create({
+        url,
+        to,
+        from: settings.phoneNumber,
+        statusCallback,
+        statusCallbackEvent: statusCallbackEvents,
+        statusCallbackMethod: 'POST',
+        ...machineDetection,
+        ...recording
+      });
+    },
+
+    async sendSms({ to, body }) {
+      return this.client.messages.create({
+        body,
+        to,
+        from: settings.phoneNumber,
+      });
+    },
+
+    async updateCall(callSid, { url, twiml }) {
+      return this.client.calls(callSid).update(url ? { url, method: 'POST' } : { twiml });
+    },
+
+    async getRecordingUrl(callSid) {
+      const [recording] = await this.client.recordings.list({ callSid, limit: 1 });
+      if (!recording) {
+        return null;
+      }
+      // uri is the API resource (.json); the media is at the same path without the extension
+      return recording.mediaUrl || `${API_BASE_URL}${recording.uri.replace(/\.json$/, '')}`;
+    },
+
+    async downloadRecording(url) {
+      if (!url.startsWith(`${API_BASE_URL}/`)) {
+        throw new Error(`Not a Twilio recording URL: ${url}`);
+      }
+
+      // Media URLs without an extension serve WAV; MP3 is a tenth of the size
+      const mediaUrl = /\.(mp3|wav)$/.test(url) ? url : `${url}.mp3`;
+
+      try {
+        const response = await axios.get(mediaUrl, {
+          auth: { username: settings.accountSid, password: settings.authToken },
+          responseType: 'arraybuffer'
+        });
+        return {
+          data: Buffer.from(response.data),
+          contentType: response.headers['content-type'] || 'audio/mpeg'
+        };
+      } catch (error) {
+        // Keep the HTTP status, so the job queue can tell outages from missing recordings
+        throw Object.assign(new Error(`Recording download failed: ${error.message}`), {
+          status: error.response ? error.response.status : undefined,
+          code: error.code
+        });
+      }
+    },
+
+    createVoiceResponse() {
+      return new twilio.twiml.VoiceResponse();
+    },
+
+    createMessagingResponse() {
+      return new twilio.twiml.MessagingResponse();
+    }
+  };
+};
+
+module.exports = { createTwilioProvider };
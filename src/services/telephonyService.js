@@ -0,0 +1,412 @@
+/**
+ * Telephony Service Module
+ * 
+ * Places calls, sends SMS, builds call-flow responses (TwiML) and fetches
+ * recordings through a pluggable telephony provider. Providers implement
+ * the interface below and are selected through TELEPHONY_PROVIDER: twilio
+ * for real calls, or simulator to run the whole flow offline. Every call
+ * and SMS is first checked against the patient's consent and quiet hours.
+ * 
+ * @module services/telephonyService
+ */
+const config = require('../config');
+const { getVoiceSettings } = require('../locales');
+const complianceService = require('./complianceService');
+const ConsentChannels = require('../config/consentChannels');
+const { createTwilioProvider } = require('./telephony/twilioProvider');
+const { createSimulatorProvider } = require('./telephony/simulatorProvider');
+
+/**
+ * @typedef {Object} TelephonyProvider
+ * @property {string} name - Provider name used in logs
+ * @property {function(Object): Promise<Object>} placeCall - Places a call from
+ *   { to, url, statusCallback, statusCallbackEvents, amdCallback, recordingCallback }, with
+ *   amdCallback only set when answering machine detection is wanted and recordingCallback only
+ *   set when the call is to be recorded; resolves to { sid, status }
+ * @property {function(Object): Promise<Object>} sendSms - Sends { to, body }; resolves to { sid, status }
+ * @property {function(string, Object): Promise<Object>} updateCall - Points a live call at { url } or { twiml }
+ * @property {function(string): Promise<string|null>} getRecordingUrl - Media URL of a call's recording, or null
+ * @property {function(string): Promise<Object>} downloadRecording - Fetches a recording's media URL;
+ *   resolves to { data, contentType } and fails with the HTTP status as error.status
+ * @property {function(): Object} createVoiceResponse - TwiML VoiceResponse builder
+ * @property {function(): Object} createMessagingResponse - TwiML MessagingResponse builder
+ */
+
+/**
+ * Methods every provider must implement
+ */
+const PROVIDER_METHODS = [
+  'placeCall',
+  'sendSms',
+  'updateCall',
+  'getRecordingUrl',
+  'downloadRecording',
+  'createVoiceResponse',
+  'createMessagingResponse'
+];
+
+class TelephonyService {
+  constructor() {
+    this.providers = new Map();
+    
+    this.register('twilio', createTwilioProvider(config.twilio));
+    this.register('simulator', createSimulatorProvider({
+      twilio: config.twilio,
+      simulator: config.telephony.simulator
+    }));
+  }
+
+  /**
+   * Registers a telephony provider
+   * 
+   * @param {string} name - Name to select the provider by
+   * @param {TelephonyProvider} provider - Provider implementation
+   * @throws {Error} - If the provider is missing a method of the interface
+   */
+  register(name, provider) {
+    const missing = PROVIDER_METHODS.filter(method => !provider || typeof provider[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Telephony provider "${name}" must implement ${missing.join(', ')}`);
+    }
+    this.providers.set(name, provider);
+  }
+
+  /**
+   * Gets a registered provider
+   * 
+   * @param {string} [name=config.telephony.provider] - Provider name
+   * @returns {TelephonyProvider} - Provider implementation
+   * @throws {Error} - If no provider is registered under the name
+   */
+  getProvider(name = config.telephony.provider) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown telephony provider: ${name}`);
+    }
+    return provider;
+  }
+
+  /**
+   * Creates an empty voice call-flow response
+   * 
+   * @returns {Object} - TwiML VoiceResponse builder of the configured provider
+   */
+  createVoiceResponse() {
+    return this.getProvider().createVoiceResponse();
+  }
+
+  /**
+   * Builds an absolute webhook URL with optional query parameters
+   * 
+   * @param {string} path - Path below the webhook base URL (e.g., /api/twilio/voice)
+   * @param {Object} [params={}] - Query parameters; null or undefined values are skipped
+   * @returns {string} - Absolute webhook URL
+   */
+  buildWebhookUrl(path, params = {}) {
+    const query = Object.keys(params)
+      .filter(key => params[key] !== null && params[key] !== undefined)
+      .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+      .join('&');
+    
+    return `${config.twilio.webhookUrl}${path}${query ? `?${query}` : ''}`;
+  }
+
+  /**
+   * Builds the WebSocket URL of a media stream endpoint
+   * 
+   * @param {string} path - Path below the webhook base URL (e.g., /api/twilio/media-stream)
+   * @returns {string} - ws:// or wss:// URL
+   */
+  buildStreamUrl(path) {
+    return `${config.twilio.webhookUrl.replace(/^http/, 'ws')}${path}`;
+  }
+
+  /**
+   * Gets the <Say> attributes for a patient's language
+   * 
+   * @param {string} [language] - Language code; unsupported codes fall back to English
+   * @returns {Object} - Twilio <Say> voice and language attributes
+   */
+  getSayAttributes(language) {
+    const { voice, sayLanguage } = getVoiceSettings(language);
+    return { voice, language: sayLanguage };
+  }
+
+  /**
+   * Adds speech to a TwiML node: <Play> for synthesized audio, otherwise <Say>
+   * 
+   * @param {Object} node - VoiceResponse or Gather node
+   * @param {string} message - Message to speak
+   * @param {Object} [options={}]
+   * @param {string} [options.language] - Patient language for <Say>
+   * @param {string|null} [options.audioUrl] - URL of the message synthesized by ttsService
+   */
+  addSpeech(node, message, { language, audioUrl } = {}) {
+    if (audioUrl) {
+      node.play(audioUrl);
+    } else {
+      node.say(this.getSayAttributes(language), message);
+    }
+  }
+
+  /**
+   * Initiates an outbound call to a patient
+   * 
+   * @param {string} phoneNumber - Patient's phone number in E.164 format
+   * @param {Object} [options={}] - Call options
+   * @param {string} [options.patientId] - Registered patient ID, passed to the voice webhook
+   * @param {number} [options.attempt] - Attempt number in a redial chain, passed to the status callback
+   * @param {string} [options.originalCallSid] - First call of the redial chain, passed to the status callback
+   * @param {boolean} [options.record=false] - Record the call, reporting the recording to the recording webhook
+   * @param {string} [options.requestId] - Request ID for log correlation
+   * @returns {Promise<Object>} - Provider call object with sid and status
+   * @throws {Error} - If the call cannot be initiated, or is blocked by consent or quiet hours
+   */
+  async makeCall(phoneNumber, options = {}) {
+    try {
+      if (!phoneNumber || !phoneNumber.match(/^\+[1-9]\d{1,14}$/)) {
+        throw new Error('Invalid phone number format. Must be in E.164 format.');
+      }
+
+      await complianceService.assertContactAllowed({
+        channel: ConsentChannels.VOICE,
+        phoneNumber,
+        patientId: options.patientId,
+        requestId: options.requestId
+      });
+
+      const call = await this.getProvider().placeCall({
+        to: phoneNumber,
+        url: this.buildWebhookUrl('/api/twilio/voice', { patientId: options.patientId }),
+        statusCallback: this.buildWebhookUrl('/api/twilio/status', {
+          patientId: options.patientId,
+          attempt: options.attempt > 1 ? options.attempt : undefined,
+          originalCallSid: options.originalCallSid || undefined
+        }),
+        statusCallbackEvents: ['initiated', 'ringing', 'answered', 'completed'],
+        amdCallback: config.twilio.machineDetection
+          ? this.buildWebhookUrl('/api/twilio/amd', { patientId: options.patientId })
+          : null,
+        recordingCallback: options.record
+          ? this.buildWebhookUrl('/api/twilio/recording', { patientId: options.patientId })
+          : null
+      });
+      
+      return call;
+    } catch (error) {
+      console.error('Error making call:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sends an SMS message to a patient
+   * 
+   * @param {string} phoneNumber - Patient's phone number in E.164 format
+   * @param {string} message - SMS message content
+   * @param {Object} [options={}]
+   * @param {string} [options.requestId] - Request ID for log correlation
+   * @returns {Promise<Object>} - Provider message object with sid and status
+   * @throws {Error} - If the SMS cannot be sent, or is blocked by consent or quiet hours
+   */
+  async sendSms(phoneNumber, message, options = {}) {
+    try {
+      if (!phoneNumber || !phoneNumber.match(/^\+[1-9]\d{1,14}$/)) {
+        throw new Error('Invalid phone number format. Must be in E.164 format.');
+      }
+
+      if (!message || message.trim() === '') {
+        throw new Error('Message cannot be empty.');
+      }
+
+      await complianceService.assertContactAllowed({
+        channel: ConsentChannels.SMS,
+        phoneNumber,
+        requestId: options.requestId
+      });
+
+      const sms = await this.getProvider().sendSms({ to: phoneNumber, body: message });
+      
+      return sms;
+    } catch (error) {
+      console.error('Error sending SMS:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generates TwiML for voice calls with speech recognition
+   * 
+   * @param {string} message - Message to be spoken via TTS
+   * @param {number} [nextRetryCount=1] - The retry count to pass to the next request
+   * @param {Object} [params={}] - Extra query parameters carried to the gather and voice webhooks
+   * @param {Object} [options={}]
+   * @param {string} [options.language] - Patient language for speech recognition and TTS
+   * @param {string|null} [options.audioUrl] - Synthesized audio to play instead of <Say>
+   * @returns {string} - TwiML XML response as string
+   */
+  generateTwiml(message, nextRetryCount = 1, params = {}, { language, audioUrl } = {}) {
+    const { speechLanguage } = getVoiceSettings(language);
+    const sayAttributes = this.getSayAttributes(language);
+    const gatherUrl = this.buildWebhookUrl('/api/twilio/gather', params);
+    const redirectUrl = this.buildWebhookUrl('/api/twilio/voice', { ...params, retryCount: nextRetryCount });
+    
+    try {
+      const response = this.createVoiceResponse();
+      
+      // Add a Gather verb to collect patient's spoken response
+      const gather = response.gather({
+        input: 'speech',
+        action: gatherUrl,
+        speechTimeout: 'auto',
+        language: speechLanguage,
+      });
+      
+      this.addSpeech(gather, message, { language, audioUrl });
+      
+      // If the patient doesn't say anything, retry with incremented count
+      response.redirect(redirectUrl);
+      
+      return response.toString();
+    } catch (error) {
+      console.error('Error generating TwiML:', error);
+      // Fallback for tests or if Twilio client fails
+      return `<Response><Gather input="speech" action="${gatherUrl.replace(/&/g, '&amp;')}" speechTimeout="auto" language="${speechLanguage}">${audioUrl ? `<Play>${audioUrl}</Play>` : `<Say voice="${sayAttributes.voice}" language="${sayAttributes.language}">${message}</Say>`}</Gather><Redirect>${redirectUrl.replace(/&/g, '&amp;')}</Redirect></Response>`;
+    }
+  }
+
+  /**
+   * Generates TwiML that connects the call to a bidirectional media stream
+   * 
+   * The call hangs up when the stream is closed by the server.
+   * 
+   * @param {Object} [parameters={}] - Custom parameters passed in the stream's start message
+   * @returns {string} - TwiML XML response as string
+   */
+  generateStreamTwiml(parameters = {}) {
+    const streamUrl = this.buildStreamUrl('/api/twilio/media-stream');
+    const names = Object.keys(parameters).filter(name => parameters[name] !== null && parameters[name] !== undefined);
+    
+    try {
+      const response = this.createVoiceResponse();
+      
+      const stream = response.connect().stream({ url: streamUrl });
+      names.forEach(name => stream.parameter({ name, value: String(parameters[name]) }));
+      response.hangup();
+      
+      return response.toString();
+    } catch (error) {
+      console.error('Error generating stream TwiML:', error);
+      const tags = names.map(name => `<Parameter name="${name}" value="${parameters[name]}"/>`).join('');
+      return `<Response><Connect><Stream url="${streamUrl}">${tags}</Stream></Connect><Hangup/></Response>`;
+    }
+  }
+
+  /**
+   * Points an in-progress call at new TwiML
+   * 
+   * @param {string} callSid - Call SID
+   * @param {string} url - Webhook URL returning the TwiML to continue with
+   * @returns {Promise<Object>} - Updated provider call object
+   * @throws {Error} - If the call cannot be updated
+   */
+  async redirectCall(callSid, url) {
+    try {
+      return await this.getProvider().updateCall(callSid, { url });
+    } catch (error) {
+      console.error('Error redirecting call:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replaces the TwiML of a live call
+   * 
+   * @param {string} callSid - Call SID
+   * @param {string} twiml - TwiML the call should run from now on
+   * @returns {Promise<Object>} - Updated provider call object
+   * @throws {Error} - If the call cannot be updated (e.g., it has ended)
+   */
+  async updateCallTwiml(callSid, twiml) {
+    try {
+      return await this.getProvider().updateCall(callSid, { twiml });
+    } catch (error) {
+      console.error('Error updating call TwiML:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generates TwiML for voicemail messages
+   * 
+   * @param {string} message - Message to be spoken via TTS
+   * @param {Object} [options={}]
+   * @param {string} [options.language] - Patient language for TTS
+   * @param {string|null} [options.audioUrl] - Synthesized audio to play instead of <Say>
+   * @returns {string} - TwiML XML response as string
+   */
+  generateVoicemailTwiml(message, { language, audioUrl } = {}) {
+    const sayAttributes = this.getSayAttributes(language);
+    
+    try {
+      const response = this.createVoiceResponse();
+      
+      this.addSpeech(response, message, { language, audioUrl });
+      
+      return response.toString();
+    } catch (error) {
+      console.error('Error generating voicemail TwiML:', error);
+      return audioUrl
+        ? `<Response><Play>${audioUrl}</Play></Response>`
+        : `<Response><Say voice="${sayAttributes.voice}" language="${sayAttributes.language}">${message}</Say></Response>`;
+    }
+  }
+
+  /**
+   * Generates messaging TwiML replying to an inbound SMS
+   * 
+   * @param {string} message - Reply text
+   * @returns {string} - TwiML XML response as string
+   */
+  generateSmsReplyTwiml(message) {
+    try {
+      const response = this.getProvider().createMessagingResponse();
+      
+      response.message(message);
+      
+      return response.toString();
+    } catch (error) {
+      console.error('Error generating SMS reply TwiML:', error);
+      return `<Response><Message>${message}</Message></Response>`;
+    }
+  }
+
+  /**
+   * Gets the recording URL for a call
+   * 
+   * @param {string} callSid - Call SID
+   * @returns {Promise<string|null>} - Media URL of the recording, or null if not found
+   */
+  async getRecordingUrl(callSid) {
+    try {
+      return await this.getProvider().getRecordingUrl(callSid);
+    } catch (error) {
+      console.error('Error getting recording URL:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Downloads a call recording
+   * 
+   * @param {string} url - Media URL from the recording callback or getRecordingUrl
+   * @returns {Promise<Object>} - { data, contentType } with the audio as a Buffer
+   * @throws {Error} - If the download fails; error.status carries the HTTP status when there is one
+   */
+  async downloadRecording(url) {
+    return this.getProvider().downloadRecording(url);
+  }
+}
+
+module.exports = new TelephonyService();
+module.exports.PROVIDER_METHODS = PROVIDER_METHODS;
@@ -1,12 +1,33 @@
 // ElevenLabs TTS Service
 const axios = require('axios');
+const crypto = require('crypto');
 const config = require('../config');
+const logger = require('../utils/logger');
+const blobStore = require('./blobStore');
+
+// Audio IDs are hex HMACs; anything else in an audio URL is not ours
+const AUDIO_ID_PATTERN = /^[0-9a-f]{64}$/;
 
 class TTSService {
   constructor() {
     this.apiKey = config.elevenLabs.apiKey;
     this.baseUrl = 'https://api.elevenlabs.io/v1';
     this.voiceId = config.elevenLabs.voiceId;
+    this.modelId = config.elevenLabs.modelId;
+    
+    // Synthesized audio by ID, oldest first; pending entries hold the in-flight promise
+    this.cache = new Map();
+    // Audio IDs are served without authentication, so they must not be guessable from the text
+    this.cacheSecret = crypto.randomBytes(32);
+  }
+
+  /**
+   * Checks whether ElevenLabs is configured
+   * 
+   * @returns {boolean} - Whether calls should use synthesized audio
+   */
+  isEnabled() {
+    return Boolean(this.apiKey && this.voiceId);
   }
 
   async textToSpeech(text) {
@@ -21,13 +42,14 @@ class TTSService {
         },
         data: {
           text,
-          model_id: 'eleven_monolingual_v1',
+          model_id: this.modelId,
           voice_settings: {
             stability: 0.5,
             similarity_boost: 0.5
           }
         },
-        responseType: 'arraybuffer'
+        responseType: 'arraybuffer',
+        timeout: config.elevenLabs.timeoutMs
       });
 
       return response.data;
@@ -37,6 +59,172 @@ class TTSService {
     }
   }
 
+  /**
+   * Builds the cache ID for a sentence spoken by the configured voice
+   * 
+   * @param {string} text - Text to synthesize
+   * @returns {string} - Audio ID
+   */
+  getAudioId(text) {
+    return crypto
+      .createHmac('sha256', this.cacheSecret)
+      .update(`${this.voiceId}:${this.modelId}:${text}`)
+      .digest('hex');
+  }
+
+  /**
+   * Gets the blob store key of a synthesized sentence
+   * 
+   * @param {string} audioId - Audio ID
+   * @returns {string} - Blob key
+   */
+  getBlobKey(audioId) {
+    return `tts/${audioId}.mp3`;
+  }
+
+  /**
+   * Keeps synthesized audio in the blob store
+   * 
+   * The in-process cache only serves this process and evicts old sentences,
+   * while Twilio may fetch a <Play> URL from another instance or after a
+   * restart. If the store fails, this process still serves the audio.
+   * 
+   * @param {string} audioId - Audio ID
+   * @param {Buffer} audio - MP3 audio
+   * @returns {Promise<void>}
+   */
+  async storeAudio(audioId, audio) {
+    try {
+      await blobStore.put(this.getBlobKey(audioId), audio);
+    } catch (error) {
+      logger.warn({
+        event: 'tts_store_failed',
+        message: 'Synthesized audio could not be kept in the blob store',
+        audioId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Synthesizes a sentence, reusing cached audio for the same text and voice
+   * 
+   * Concurrent requests for the same sentence share one synthesis.
+   * Failures are not cached, so the next call tries again.
+   * 
+   * @param {string} text - Text to synthesize
+   * @returns {Promise<string>} - Audio ID for getAudio()
+   * @throws {Error} - If synthesis fails or times out
+   */
+  async synthesize(text) {
+    const audioId = this.getAudioId(text);
+    const cached = this.cache.get(audioId);
+    
+    if (cached) {
+      await cached.pending;
+      return audioId;
+    }
+    
+    const entry = {};
+    entry.pending = this.textToSpeech(text).then(async audio => {
+      entry.audio = Buffer.from(audio);
+      await this.storeAudio(audioId, entry.audio);
+      entry.pending = null;
+    });
+    this.cache.set(audioId, entry);
+    
+    try {
+      await entry.pending;
+    } catch (error) {
+      this.cache.delete(audioId);
+      throw error;
+    }
+    
+    // Evict the oldest sentences beyond the cache limit
+    while (this.cache.size > config.elevenLabs.cacheMaxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    
+    return audioId;
+  }
+
+  /**
+   * Gets the public URL of a synthesized sentence for TwiML <Play>
+   * 
+   * @param {string} text - Text to synthesize
+   * @returns {Promise<string|null>} - Audio URL, or null if TTS is not configured or failed
+   */
+  async getAudioUrl(text) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+    
+    try {
+      const audioId = await this.synthesize(text);
+      return `${config.twilio.webhookUrl}/api/twilio/audio/${audioId}`;
+    } catch (error) {
+      logger.warn({
+        event: 'tts_fallback',
+        message: 'Speech synthesis failed, falling back to <Say>',
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Gets synthesized audio by ID, from the cache or else the blob store
+   * 
+   * @param {string} audioId - Audio ID from synthesize()
+   * @returns {Promise<Buffer|null>} - MP3 audio, or null if there is none
+   */
+  async getAudio(audioId) {
+    if (typeof audioId !== 'string' || !AUDIO_ID_PATTERN.test(audioId)) {
+      return null;
+    }
+    
+    const entry = this.cache.get(audioId);
+    if (entry && entry.audio) {
+      return entry.audio;
+    }
+    
+    return blobStore.get(this.getBlobKey(audioId));
+  }
+
+  /**
+   * Opens a synthesis stream in the 8 kHz mu-law format used by Twilio media streams
+   * 
+   * @param {string} text - Text to synthesize
+   * @returns {Promise<Object>} - Readable stream of raw mu-law audio
+   * @throws {Error} - If the stream cannot be opened
+   */
+  async createSpeechStream(text) {
+    const response = await axios({
+      method: 'POST',
+      url: `${this.baseUrl}/text-to-speech/${this.voiceId}/stream`,
+      params: {
+        output_format: 'ulaw_8000',
+        optimize_streaming_latency: 3
+      },
+      headers: {
+        'Content-Type': 'application/json',
+        'xi-api-key': this.apiKey
+      },
+      data: {
+        text,
+        model_id: this.modelId,
+        voice_settings: {
+          stability: 0.5,
+          similarity_boost: 0.5
+        }
+      },
+      responseType: 'stream',
+      timeout: config.elevenLabs.timeoutMs
+    });
+
+    return response.data;
+  }
+
   // Stream TTS for real-time communication
   async streamTextToSpeech(text, res) {
     try {
@@ -50,7 +238,7 @@ class TTSService {
         },
         data: {
           text,
-          model_id: 'eleven_monolingual_v1',
+          model_id: this.modelId,
           voice_settings: {
             stability: 0.5,
             similarity_boost: 0.5
@@ -67,4 +255,4 @@ class TTSService {
   }
 }
 
-module.exports = new TTSService();
\ No newline at end of file
+module.exports = new TTSService();
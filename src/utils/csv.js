@@ -0,0 +1,88 @@
+/**
+ * CSV parsing
+ *
+ * Parses RFC 4180 CSV: quoted fields may contain commas, quotes (doubled)
+ * and line breaks. The first row is the header.
+ *
+ * @module utils/csv
+ */
+
+/**
+ * Splits CSV text into rows of fields
+ *
+ * @param {string} text - CSV text
+ * @returns {string[][]} - Rows, without blank lines
+ * @throws {Error} - If a quoted field is not closed
+ */
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parses CSV text into records keyed by the header row
+ *
+ * @param {string} text - CSV text with a header row
+ * @returns {Object} - { columns, records } with trimmed column names and values
+ * @throws {Error} - If the CSV is malformed
+ */
+const parseCsv = (text) => {
+  // Spreadsheet exports often start with a byte order mark
+  const [header = [], ...rows] = parseRows(String(text).replace(/^\uFEFF/, ''));
+  const columns = header.map(column => column.trim());
+
+  const records = rows.map(fields => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = (fields[index] || '').trim();
+    });
+    return record;
+  });
+
+  return { columns, records };
+};
+
+module.exports = {
+  parseCsv
+};
@@ -0,0 +1,93 @@
+/**
+ * Date range query parsing
+ *
+ * Shared by the read endpoints that take ?from= and ?to=. Plain dates
+ * (YYYY-MM-DD) are UTC days, and a plain `to` covers that whole day.
+ *
+ * @module utils/dateRange
+ */
+const { AppError, ErrorTypes } = require('../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parses a date query parameter
+ *
+ * @param {string} value - ISO 8601 date or date-time
+ * @param {string} name - Parameter name, for the error message
+ * @returns {Date} - Parsed date
+ * @throws {AppError} - If the value is not a valid date
+ */
+const parseDate = (value, name) => {
+  const date = new Date(value);
+
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw new AppError(`${name} must be an ISO 8601 date (e.g., 2025-03-01)`, ErrorTypes.VALIDATION_ERROR);
+  }
+
+  return date;
+};
+
+/**
+ * Parses the to query parameter as an exclusive upper bound
+ *
+ * @param {string} value - ISO 8601 date or date-time
+ * @returns {Date} - End of the range; a plain date includes that whole day
+ * @throws {AppError} - If the value is not a valid date
+ */
+const parseEnd = (value) => {
+  const to = parseDate(value, 'to');
+  return DATE_ONLY_PATTERN.test(value) ? new Date(to.getTime() + DAY_MS) : to;
+};
+
+/**
+ * Parses the from/to query parameters into a date range
+ *
+ * @param {Object} query - Request query string
+ * @param {Object} [options]
+ * @param {number} [options.defaultDays=30] - Range length when from is not given
+ * @param {number} [options.maxDays=366] - Longest range accepted
+ * @returns {Object} - { from, to } with from inclusive and to exclusive; to defaults to now
+ * @throws {AppError} - If a date is invalid or the range is empty or too long
+ */
+const parseDateRange = (query, { defaultDays = 30, maxDays = 366 } = {}) => {
+  const to = query.to !== undefined ? parseEnd(query.to) : new Date();
+  const from = query.from !== undefined
+    ? parseDate(query.from, 'from')
+    : new Date(to.getTime() - defaultDays * DAY_MS);
+
+  if (from >= to) {
+    throw new AppError('from must be before to', ErrorTypes.VALIDATION_ERROR);
+  }
+
+  if (to.getTime() - from.getTime() > maxDays * DAY_MS) {
+    throw new AppError(`Date range cannot exceed ${maxDays} days`, ErrorTypes.VALIDATION_ERROR);
+  }
+
+  return { from, to };
+};
+
+/**
+ * Parses optional from/to query parameters, without defaults or a length limit
+ *
+ * @param {Object} query - Request query string
+ * @returns {Object} - { from, to }, each undefined when not given
+ * @throws {AppError} - If a date is invalid or the range is empty
+ */
+const parseDateBounds = (query) => {
+  const from = query.from !== undefined ? parseDate(query.from, 'from') : undefined;
+  const to = query.to !== undefined ? parseEnd(query.to) : undefined;
+
+  if (from && to && from >= to) {
+    throw new AppError('from must be before to', ErrorTypes.VALIDATION_ERROR);
+  }
+
+  return { from, to };
+};
+
+module.exports = {
+  parseDateRange,
+  parseDateBounds
+};
@@ -0,0 +1,68 @@
+/**
+ * Token bucket rate limiter
+ *
+ * Refills at a steady rate up to a burst size, so work polled on a timer
+ * can catch up within a poll without exceeding the average rate.
+ *
+ * @module utils/rateLimiter
+ */
+
+class TokenBucket {
+  /**
+   * @param {number} ratePerSecond - Tokens added per second
+   * @param {number} [burst=1] - Most tokens held at once
+   */
+  constructor(ratePerSecond, burst = 1) {
+    this.ratePerSecond = ratePerSecond;
+    this.burst = Math.max(1, burst);
+    // The bucket starts with one token when first used
+    this.tokens = 1;
+    this.updatedAt = null;
+  }
+
+  /**
+   * Adds the tokens earned since the last refill
+   *
+   * @param {Date} now - Current time
+   */
+  refill(now) {
+    if (this.updatedAt === null) {
+      this.updatedAt = now.getTime();
+      return;
+    }
+
+    const elapsedMs = Math.max(0, now.getTime() - this.updatedAt);
+    this.tokens = Math.min(this.burst, this.tokens + (elapsedMs * this.ratePerSecond) / 1000);
+    this.updatedAt = Math.max(this.updatedAt, now.getTime());
+  }
+
+  /**
+   * Checks whether a token is available, without taking it
+   *
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {boolean} - Whether take() would succeed
+   */
+  canTake(now = new Date()) {
+    this.refill(now);
+    return this.tokens >= 1;
+  }
+
+  /**
+   * Takes a token if one is available
+   *
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {boolean} - Whether a token was taken
+   */
+  take(now = new Date()) {
+    if (!this.canTake(now)) {
+      return false;
+    }
+
+    this.tokens -= 1;
+    return true;
+  }
+}
+
+module.exports = {
+  TokenBucket
+};
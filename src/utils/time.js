@@ -0,0 +1,107 @@
+/**
+ * Timezone-aware date helpers
+ *
+ * Converts between UTC instants and wall-clock times in IANA timezones
+ * using the built-in Intl API, so no timezone database dependency is needed.
+ *
+ * @module utils/time
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Gets the wall-clock date and time of an instant in a timezone
+ *
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} - { year, month, day, hour, minute, second, weekday } with month 1-12 and weekday 0 (Sunday) to 6
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short'
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach(part => {
+    values[part.type] = part.value;
+  });
+
+  return {
+    year: parseInt(values.year, 10),
+    month: parseInt(values.month, 10),
+    day: parseInt(values.day, 10),
+    hour: parseInt(values.hour, 10),
+    minute: parseInt(values.minute, 10),
+    second: parseInt(values.second, 10),
+    weekday: WEEKDAYS.indexOf(values.weekday)
+  };
+};
+
+/**
+ * Gets a timezone's UTC offset at a given instant
+ *
+ * @param {Date} date - Instant to check
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} - Offset in milliseconds (positive east of UTC)
+ */
+const getTimezoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Converts a wall-clock time in a timezone to a UTC instant
+ *
+ * @param {Object} wallTime - { year, month, day, hour, minute } with month 1-12
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} - Corresponding instant
+ */
+const zonedTimeToUtc = ({ year, month, day, hour, minute }, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getTimezoneOffset(new Date(guess), timeZone);
+  const result = guess - offset;
+
+  // Re-check in case the guess and the result fall on different sides of a DST change
+  const correctedOffset = getTimezoneOffset(new Date(result), timeZone);
+  return new Date(correctedOffset === offset ? result : guess - correctedOffset);
+};
+
+/**
+ * Formats the calendar date of an instant in a timezone
+ *
+ * @param {Date} date - Instant to format
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} - Date as YYYY-MM-DD
+ */
+const formatZonedDate = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Parses an HH:MM string into hours and minutes
+ *
+ * @param {string} time - Time in 24-hour HH:MM format
+ * @returns {Object} - { hour, minute }
+ */
+const parseTimeOfDay = (time) => {
+  const [hour, minute] = time.split(':').map(value => parseInt(value, 10));
+  return { hour, minute };
+};
+
+module.exports = {
+  getZonedParts,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  formatZonedDate,
+  parseTimeOfDay
+};
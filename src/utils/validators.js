@@ -0,0 +1,93 @@
+/**
+ * Shared input validators
+ *
+ * @module utils/validators
+ */
+
+/**
+ * E.164 phone number pattern (e.g., +12345678900)
+ */
+const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+
+/**
+ * 24-hour HH:MM time pattern (e.g., 08:30)
+ */
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Email address pattern; deliberately loose, the mail server has the final say
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Checks whether a phone number is in E.164 format
+ *
+ * @param {string} phoneNumber - Phone number to validate
+ * @returns {boolean} - Whether the number is valid
+ */
+const isE164 = (phoneNumber) => typeof phoneNumber === 'string' && E164_PATTERN.test(phoneNumber);
+
+/**
+ * Checks whether a string is a 24-hour HH:MM time
+ *
+ * @param {string} time - Time to validate
+ * @returns {boolean} - Whether the time is valid
+ */
+const isTimeOfDay = (time) => typeof time === 'string' && TIME_OF_DAY_PATTERN.test(time);
+
+/**
+ * Checks whether a string looks like an email address
+ *
+ * @param {string} email - Address to validate
+ * @returns {boolean} - Whether the address is plausible
+ */
+const isEmail = (email) => typeof email === 'string' && EMAIL_PATTERN.test(email);
+
+/**
+ * Checks whether a string is an absolute http(s) URL
+ *
+ * @param {string} url - URL to validate
+ * @returns {boolean} - Whether the URL is valid
+ */
+const isHttpUrl = (url) => {
+  if (typeof url !== 'string') {
+    return false;
+  }
+
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'https:' || protocol === 'http:';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Checks whether a string is a valid IANA timezone name
+ *
+ * @param {string} timezone - Timezone to validate (e.g., America/New_York)
+ * @returns {boolean} - Whether the timezone is recognised
+ */
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || timezone.trim() === '') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  E164_PATTERN,
+  TIME_OF_DAY_PATTERN,
+  EMAIL_PATTERN,
+  isE164,
+  isTimeOfDay,
+  isEmail,
+  isHttpUrl,
+  isValidTimezone
+};
@@ -0,0 +1,377 @@
+/**
+ * Scripted conversation simulator
+ *
+ * Plays a reminder call end to end against the call-flow webhooks, in
+ * process: the call is queued like POST /api/call does, and the telephony
+ * simulator posts its status callbacks while the script plays the patient.
+ * The TwiML the app answers with is followed as Twilio would: prompts are
+ * recorded, a <Gather> is answered with the script's next caller turn and
+ * posted to its action URL, a <Redirect> is followed and <Hangup> ends the
+ * call.
+ *
+ * A script is a JSON object:
+ * - name: shown in reports
+ * - patient: patient to register and call (or phoneNumber for a call without one)
+ * - outcome: how the call ends, one of the simulator's outcomes (default: completed)
+ * - caller: the patient's turns, one per <Gather>, in order:
+ *   { "say": "..." } (with an optional "confidence"), { "silence": true }
+ *   or { "hangup": true }; once they run out the patient stays silent
+ * - statuses: status callbacks to post after the call ended, such as
+ *   duplicate or late ones
+ * - expect: checks on the outcome
+ *   - callLog: call log fields and their expected values
+ *   - adherenceStatus: shorthand for callLog.adherenceStatus
+ *   - prompts: text each expected somewhere in what the app said
+ *   - sms: text of each SMS expected to the patient; [] for none
+ *
+ * Used by tests/unit/conversationSimulator.test.js and by
+ * scripts/simulate-conversation.js.
+ */
+const fs = require('fs');
+const express = require('express');
+const bodyParser = require('body-parser');
+const request = require('supertest');
+const twilio = require('twilio');
+const config = require('../../src/config');
+const callRoutes = require('../../src/routes/callRoutes');
+const telephonyService = require('../../src/services/telephonyService');
+const outboundJobs = require('../../src/services/outboundJobs');
+const CallLog = require('../../src/models/callLog');
+const Patient = require('../../src/models/patient');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const { createSimulatorProvider } = require('../../src/services/telephony/simulatorProvider');
+
+// Name the simulator's provider is registered under
+const PROVIDER_NAME = 'conversation';
+
+// Webhooks a call may fetch before it counts as stuck in a loop
+const MAX_TURNS = 50;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Decodes the XML entities TwiML text and attributes may contain
+ *
+ * @param {string} text - Escaped text
+ * @returns {string} - Plain text
+ */
+const decodeEntities = (text) => text.replace(/&(amp|lt|gt|quot|apos);/g, (entity, name) => ENTITIES[name]);
+
+/**
+ * Parses TwiML into its verbs
+ *
+ * Only handles what TwiML needs: elements, double-quoted attributes and text.
+ *
+ * @param {string} xml - TwiML document
+ * @returns {Object[]} - Verbs of the <Response> as { name, attributes, text, children }
+ * @throws {Error} - If the document has no <Response>
+ */
+const parseTwiml = (xml) => {
+  const root = { name: null, attributes: {}, text: '', children: [] };
+  const stack = [root];
+  const pattern = /<(\/?)([A-Za-z]+)((?:\s+[\w:-]+="[^"]*")*)\s*(\/?)>|([^<]+)/g;
+  const body = String(xml || '').replace(/<\?[^>]*\?>/g, '');
+  let match;
+
+  while ((match = pattern.exec(body)) !== null) {
+    const [, closing, name, attributeText, selfClosing, text] = match;
+    const parent = stack[stack.length - 1];
+
+    if (text !== undefined) {
+      parent.text += decodeEntities(text);
+    } else if (closing) {
+      stack.pop();
+    } else {
+      const attributes = {};
+      for (const [, key, value] of attributeText.matchAll(/([\w:-]+)="([^"]*)"/g)) {
+        attributes[key] = decodeEntities(value);
+      }
+
+      const node = { name, attributes, text: '', children: [] };
+      parent.children.push(node);
+      if (!selfClosing) {
+        stack.push(node);
+      }
+    }
+  }
+
+  const response = root.children.find(node => node.name === 'Response');
+  if (!response) {
+    throw new Error(`Webhook did not answer with TwiML: ${String(xml).slice(0, 200)}`);
+  }
+
+  return response.children.map(verb => ({ ...verb, text: verb.text.trim() }));
+};
+
+/**
+ * Builds an app serving the call-flow webhooks, as src/app.js mounts them
+ *
+ * @returns {Object} - Express application
+ */
+const createWebhookApp = () => {
+  const app = express();
+
+  app.use((req, res, next) => {
+    req.requestId = req.get('x-request-id') || `sim-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+    next();
+  });
+  app.use(bodyParser.urlencoded({ extended: false }));
+  app.use('/api', callRoutes);
+  app.use(errorHandler);
+
+  return app;
+};
+
+/**
+ * Loads a conversation script
+ *
+ * @param {string} file - Path to a JSON script
+ * @returns {Object} - Script
+ */
+const loadScript = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+/**
+ * Plays scripted reminder calls through the call-flow webhooks
+ */
+class ConversationSimulator {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.callbackDelayMs=0] - Delay before each simulated status callback
+   */
+  constructor({ callbackDelayMs = 0 } = {}) {
+    this.app = createWebhookApp();
+    this.conversations = new Map();
+    this.provider = createSimulatorProvider({
+      twilio: config.twilio,
+      simulator: { outcome: 'completed', callbackDelayMs },
+      post: (url, params) => this.post(url, params),
+      converse: (call, fetch) => this.converse(call, fetch)
+    });
+
+    telephonyService.register(PROVIDER_NAME, this.provider);
+  }
+
+  /**
+   * Posts a webhook to the app, signed like Twilio signs it
+   *
+   * @param {string} url - Absolute webhook URL
+   * @param {Object} params - Form parameters
+   * @returns {Promise<string>} - Response body
+   */
+  async post(url, params) {
+    const { pathname, search } = new URL(url);
+    const pending = request(this.app).post(`${pathname}${search}`).type('form').send(params);
+
+    if (config.twilio.authToken) {
+      pending.set('X-Twilio-Signature', twilio.getExpectedTwilioSignature(config.twilio.authToken, url, params));
+    }
+
+    const response = await pending;
+    return response.text;
+  }
+
+  /**
+   * Plays the patient's side of an answered call
+   *
+   * @param {Object} call - Simulated call
+   * @param {Function} fetch - async (url, params) => TwiML; posts a webhook of the call
+   * @returns {Promise<void>}
+   */
+  async converse(call, fetch) {
+    const conversation = this.conversations.get(call.to) || { turns: [], transcript: [] };
+    const { turns, transcript } = conversation;
+    let next = { url: call.url, params: {} };
+
+    // An answering machine plays its greeting over the first prompt, until detection switches the call to voicemail
+    if (call.outcome === 'machine') {
+      turns.length = 0;
+      turns.push({ hangup: true });
+    }
+
+    const recordPrompt = (verb) => {
+      if (verb.name === 'Say') {
+        transcript.push({ from: 'app', say: verb.text });
+      } else if (verb.name === 'Play') {
+        transcript.push({ from: 'app', play: verb.text });
+      }
+    };
+
+    try {
+      for (let turn = 0; next && turn < MAX_TURNS; turn++) {
+        const current = next;
+        const twiml = await fetch(current.url, current.params);
+        if (twiml === undefined) {
+          throw new Error(`Webhook failed: ${current.url}`);
+        }
+
+        next = null;
+        for (const verb of parseTwiml(twiml)) {
+          if (verb.name === 'Say' || verb.name === 'Play' || verb.name === 'Pause') {
+            recordPrompt(verb);
+          } else if (verb.name === 'Gather') {
+            verb.children.forEach(recordPrompt);
+            const answer = turns.shift() || { silence: true };
+
+            if (answer.hangup) {
+              transcript.push({ from: 'caller', hangup: true });
+              return;
+            }
+            if (answer.say !== undefined) {
+              transcript.push({ from: 'caller', say: answer.say });
+              next = {
+                url: new URL(verb.attributes.action || current.url, current.url).toString(),
+                params: { SpeechResult: answer.say, Confidence: String(answer.confidence !== undefined ? answer.confidence : 0.9) }
+              };
+              break;
+            }
+
+            // Twilio moves on to the next verb when the gather times out
+            transcript.push({ from: 'caller', silence: true });
+          } else if (verb.name === 'Redirect') {
+            next = { url: new URL(verb.text, current.url).toString(), params: {} };
+            break;
+          } else if (verb.name === 'Hangup') {
+            return;
+          } else {
+            throw new Error(`TwiML verb not supported by the simulator: <${verb.name}>`);
+          }
+        }
+      }
+
+      if (next) {
+        throw new Error(`Call flow did not end after ${MAX_TURNS} webhooks`);
+      }
+    } catch (error) {
+      // The call still ends, so its status callbacks play out
+      conversation.error = error.message;
+    }
+  }
+
+  /**
+   * Plays a script and checks its expectations
+   *
+   * @param {Object} script - Conversation script
+   * @returns {Promise<Object>} - { name, callSid, passed, failures, transcript, callLog, messages }
+   */
+  async run(script) {
+    const originalProvider = config.telephony.provider;
+    const patient = script.patient ? await Patient.create(script.patient) : null;
+    const phoneNumber = patient ? patient.phoneNumber : script.phoneNumber;
+    const conversation = { turns: [...(script.caller || [])], transcript: [], error: null };
+    const failures = [];
+    let callSid = null;
+
+    this.conversations.set(phoneNumber, conversation);
+    if (script.outcome) {
+      this.provider.setOutcome(phoneNumber, script.outcome);
+    }
+
+    try {
+      config.telephony.provider = PROVIDER_NAME;
+
+      const job = await outboundJobs.dispatchCall({ phoneNumber, patient });
+      callSid = job.result ? job.result.callSid : null;
+      if (!callSid) {
+        failures.push(`Call was not placed: ${job.lastError}`);
+      }
+
+      await this.provider.settle();
+
+      const call = this.provider.getCalls().find(candidate => candidate.sid === callSid);
+      for (const status of (call && script.statuses) || []) {
+        await this.post(call.statusCallback, {
+          CallSid: call.sid,
+          AccountSid: config.twilio.accountSid || 'ACsimulator',
+          From: call.from,
+          To: call.to,
+          Direction: 'outbound-api',
+          CallStatus: status
+        });
+      }
+    } finally {
+      config.telephony.provider = originalProvider;
+      this.conversations.delete(phoneNumber);
+      if (patient) {
+        await Patient.findByIdAndDelete(patient._id);
+      }
+    }
+
+    if (conversation.error) {
+      failures.push(`Conversation stopped: ${conversation.error}`);
+    }
+
+    const callLog = callSid ? await CallLog.findOne({ callSid }) : null;
+    const messages = this.provider.getMessages().filter(message => message.to === phoneNumber);
+
+    failures.push(...this.check(script.expect || {}, { callLog, messages, transcript: conversation.transcript }));
+
+    return {
+      name: script.name || phoneNumber,
+      callSid,
+      passed: failures.length === 0,
+      failures,
+      transcript: conversation.transcript,
+      callLog,
+      messages
+    };
+  }
+
+  /**
+   * Checks a played call against a script's expectations
+   *
+   * @param {Object} expected - The script's expect section
+   * @param {Object} outcome - { callLog, messages, transcript }
+   * @returns {string[]} - One message per failed check
+   */
+  check(expected, { callLog, messages, transcript }) {
+    const failures = [];
+    const fields = { ...expected.callLog };
+    if (expected.adherenceStatus !== undefined) {
+      fields.adherenceStatus = expected.adherenceStatus;
+    }
+
+    if (Object.keys(fields).length > 0 && !callLog) {
+      failures.push('No call log was stored for the call');
+    } else {
+      Object.entries(fields).forEach(([field, value]) => {
+        const actual = JSON.stringify(callLog[field]);
+        if (actual !== JSON.stringify(value)) {
+          failures.push(`Expected call log ${field} to be ${JSON.stringify(value)}, got ${actual}`);
+        }
+      });
+    }
+
+    const said = transcript.filter(entry => entry.from === 'app' && entry.say).map(entry => entry.say.toLowerCase());
+    (expected.prompts || []).forEach(prompt => {
+      if (!said.some(text => text.includes(prompt.toLowerCase()))) {
+        failures.push(`Expected the app to say "${prompt}"`);
+      }
+    });
+
+    if (expected.sms) {
+      if (messages.length !== expected.sms.length) {
+        failures.push(`Expected ${expected.sms.length} SMS, got ${messages.length}`);
+      }
+      expected.sms.forEach(text => {
+        if (!messages.some(message => message.body.toLowerCase().includes(text.toLowerCase()))) {
+          failures.push(`Expected an SMS containing "${text}"`);
+        }
+      });
+    }
+
+    return failures;
+  }
+
+  /**
+   * Forgets the calls and SMS recorded so far
+   */
+  reset() {
+    this.provider.reset();
+  }
+}
+
+module.exports = {
+  ConversationSimulator,
+  loadScript,
+  parseTwiml
+};
@@ -0,0 +1,264 @@
+/**
+ * Media stream test harness
+ *
+ * Plays Twilio's side of a <Connect><Stream> call against the media stream
+ * WebSocket endpoint, replaying recorded 8 kHz mu-law audio in 20 ms frames,
+ * and provides a stand-in for Deepgram live transcription that detects
+ * speech in the replayed audio and returns scripted transcripts.
+ *
+ * tests/fixtures/media/answer.ulaw is a short synthetic voiced burst between
+ * silences; audio captured from real calls with MEDIA_STREAM_CAPTURE_DIR can
+ * be replayed the same way.
+ */
+const fs = require('fs');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+// 20 ms of 8 kHz mu-law, the frame size Twilio sends
+const FRAME_BYTES = 160;
+const FRAME_MS = 20;
+
+/**
+ * Decodes one mu-law byte to a 16-bit linear sample
+ *
+ * @param {number} byte - mu-law byte
+ * @returns {number} - Linear sample
+ */
+const decodeMuLaw = (byte) => {
+  const value = ~byte & 0xff;
+  const exponent = (value >> 4) & 0x07;
+  const sample = ((((value & 0x0f) << 3) + 0x84) << exponent) - 0x84;
+  return value & 0x80 ? -sample : sample;
+};
+
+/**
+ * Stand-in for a Deepgram LiveTranscription connection
+ *
+ * Emits an interim result when speech starts in the received audio and a
+ * final result (speech_final) after a run of silence, taking transcripts
+ * from the script in order.
+ */
+class FakeTranscriber extends EventEmitter {
+  /**
+   * @param {string[]} transcripts - Transcript for each utterance, in order
+   * @param {Object} [options]
+   * @param {number} [options.threshold=500] - Mean amplitude above which a frame is speech
+   * @param {number} [options.endpointingMs=300] - Silence that ends an utterance
+   */
+  constructor(transcripts, { threshold = 500, endpointingMs = 300 } = {}) {
+    super();
+    this.transcripts = [...transcripts];
+    this.threshold = threshold;
+    this.endpointingMs = endpointingMs;
+    this.readyState = 0;
+    this.buffer = Buffer.alloc(0);
+    this.inSpeech = false;
+    this.silenceMs = 0;
+    this.bytesReceived = 0;
+
+    setImmediate(() => {
+      this.readyState = 1;
+      this.emit('open');
+    });
+  }
+
+  getReadyState() {
+    return this.readyState;
+  }
+
+  send(audio) {
+    this.bytesReceived += audio.length;
+    this.buffer = Buffer.concat([this.buffer, audio]);
+
+    while (this.buffer.length >= FRAME_BYTES) {
+      this.processFrame(this.buffer.subarray(0, FRAME_BYTES));
+      this.buffer = this.buffer.subarray(FRAME_BYTES);
+    }
+  }
+
+  processFrame(frame) {
+    let total = 0;
+    frame.forEach(byte => { total += Math.abs(decodeMuLaw(byte)); });
+    const isSpeech = total / frame.length > this.threshold;
+
+    if (isSpeech && !this.inSpeech) {
+      this.inSpeech = true;
+      this.silenceMs = 0;
+      this.emitResult(this.transcripts[0] || '', { is_final: false, speech_final: false });
+    } else if (isSpeech) {
+      this.silenceMs = 0;
+    } else if (this.inSpeech) {
+      this.silenceMs += FRAME_MS;
+
+      if (this.silenceMs >= this.endpointingMs) {
+        this.inSpeech = false;
+        this.emitResult(this.transcripts.shift() || '', { is_final: true, speech_final: true });
+      }
+    }
+  }
+
+  emitResult(transcript, flags) {
+    this.emit('transcriptReceived', JSON.stringify({
+      type: 'Results',
+      channel: { alternatives: [{ transcript, confidence: 0.99 }] },
+      ...flags
+    }));
+  }
+
+  finish() {
+    this.readyState = 3;
+    this.emit('close');
+  }
+}
+
+/**
+ * Twilio's side of a media stream connection
+ */
+class TwilioStreamClient {
+  /**
+   * Connects to a media stream endpoint
+   *
+   * @param {string} url - ws:// URL of the endpoint
+   * @param {Object} [options]
+   * @param {Object} [options.headers] - Upgrade request headers (e.g., X-Twilio-Signature)
+   * @param {boolean} [options.autoAckMarks=true] - Echo marks as if playback finished immediately
+   * @returns {Promise<TwilioStreamClient>} - Connected client
+   */
+  static connect(url, { headers = {}, autoAckMarks = true } = {}) {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(url, { headers });
+      socket.once('open', () => resolve(new TwilioStreamClient(socket, { autoAckMarks })));
+      socket.once('unexpected-response', (req, res) => reject(new Error(`Unexpected response ${res.statusCode}`)));
+      socket.once('error', reject);
+    });
+  }
+
+  constructor(socket, { autoAckMarks }) {
+    this.socket = socket;
+    this.autoAckMarks = autoAckMarks;
+    this.streamSid = null;
+    this.messages = [];
+    this.events = new EventEmitter();
+    this.chunk = 0;
+    this.closed = new Promise(resolve => socket.once('close', resolve));
+
+    socket.on('message', data => {
+      const message = JSON.parse(data.toString());
+      this.messages.push(message);
+
+      if (message.event === 'mark' && this.autoAckMarks) {
+        this.sendMark(message.mark.name);
+      }
+      this.events.emit('message', message);
+    });
+  }
+
+  send(message) {
+    this.socket.send(JSON.stringify(message));
+  }
+
+  /**
+   * Sends the connected and start messages
+   *
+   * @param {Object} [options]
+   * @param {string} [options.callSid='CA-test'] - Call SID
+   * @param {Object} [options.customParameters={}] - <Parameter> values from the TwiML
+   */
+  start({ callSid = 'CA-test', customParameters = {} } = {}) {
+    this.streamSid = `MZ-${callSid}`;
+    this.send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+    this.send({
+      event: 'start',
+      streamSid: this.streamSid,
+      start: {
+        streamSid: this.streamSid,
+        callSid,
+        tracks: ['inbound'],
+        mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 },
+        customParameters
+      }
+    });
+  }
+
+  /**
+   * Replays recorded mu-law audio as inbound media frames
+   *
+   * @param {Buffer|string} audio - Audio or path to a raw .ulaw file
+   * @returns {Promise<void>}
+   */
+  async replay(audio) {
+    const data = Buffer.isBuffer(audio) ? audio : fs.readFileSync(audio);
+
+    for (let offset = 0; offset < data.length; offset += FRAME_BYTES) {
+      this.chunk++;
+      this.send({
+        event: 'media',
+        streamSid: this.streamSid,
+        media: {
+          track: 'inbound',
+          chunk: String(this.chunk),
+          timestamp: String(this.chunk * FRAME_MS),
+          payload: data.subarray(offset, offset + FRAME_BYTES).toString('base64')
+        }
+      });
+      // Let the server handle frames as they arrive rather than in one burst
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  /**
+   * Reports that the audio before a mark finished playing
+   *
+   * @param {string} name - Mark name
+   */
+  sendMark(name) {
+    this.send({ event: 'mark', streamSid: this.streamSid, mark: { name } });
+  }
+
+  stop() {
+    this.send({ event: 'stop', streamSid: this.streamSid });
+  }
+
+  /**
+   * Waits for the nth message of a type from the server (counting from the start)
+   *
+   * @param {string} event - Message event (media, mark or clear)
+   * @param {number} [count=1] - How many such messages to wait for
+   * @param {number} [timeoutMs=2000] - Time limit
+   * @returns {Promise<Object>} - The nth matching message
+   */
+  waitFor(event, count = 1, timeoutMs = 2000) {
+    const matching = () => this.messages.filter(message => message.event === event);
+
+    if (matching().length >= count) {
+      return Promise.resolve(matching()[count - 1]);
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.events.removeListener('message', listener);
+        reject(new Error(`Timed out waiting for ${event} #${count}`));
+      }, timeoutMs);
+
+      const listener = () => {
+        if (matching().length >= count) {
+          clearTimeout(timer);
+          this.events.removeListener('message', listener);
+          resolve(matching()[count - 1]);
+        }
+      };
+      this.events.on('message', listener);
+    });
+  }
+
+  close() {
+    this.socket.close();
+    return this.closed;
+  }
+}
+
+module.exports = {
+  FRAME_BYTES,
+  FakeTranscriber,
+  TwilioStreamClient
+};
@@ -0,0 +1,257 @@
+/**
+ * Storage adapter contract tests
+ *
+ * The behaviour every storage adapter must share, written against a small
+ * test model so each adapter can be checked the same way. Documents are
+ * compared in their JSON form, which is what the memory and JSON-lines
+ * adapters return and what Mongoose documents serialise to.
+ */
+const mongoose = require('mongoose');
+
+const MODEL_NAME = 'ContractItem';
+
+const STATUSES = ['Open', 'Claimed', 'Done'];
+
+const DEFAULTS = {
+  status: 'Open',
+  priority: 0,
+  tags: [],
+  events: []
+};
+
+const schema = new mongoose.Schema({
+  name: { type: String, required: true },
+  status: { type: String, enum: STATUSES, default: DEFAULTS.status },
+  priority: { type: Number, default: DEFAULTS.priority },
+  tags: { type: [String], default: DEFAULTS.tags },
+  dueAt: { type: Date },
+  owner: { type: mongoose.Schema.Types.ObjectId },
+  note: { type: String },
+  events: [{ type: { type: String }, _id: false }]
+}, { timestamps: true });
+
+const plain = (doc) => (doc ? JSON.parse(JSON.stringify(doc)) : doc);
+
+/**
+ * Defines the contract tests for one adapter
+ *
+ * @param {string} label - Adapter name for the test titles
+ * @param {Function} open - () => adapter for the ContractItem model, built from MODEL_NAME, DEFAULTS and schema
+ */
+const describeRepositoryContract = (label, open) => {
+  describe(`${label} storage adapter contract`, () => {
+    let items;
+
+    const seed = async () => {
+      const owner = new mongoose.Types.ObjectId();
+      const created = [];
+      for (const data of [
+        { name: 'alpha', priority: 3, tags: ['red'], dueAt: new Date('2026-01-01T00:00:00Z'), owner },
+        { name: 'bravo', priority: 1, status: 'Done', dueAt: new Date('2026-02-01T00:00:00Z'), note: 'Call back' },
+        { name: 'charlie', priority: 2, tags: ['red', 'blue'], dueAt: new Date('2026-03-01T00:00:00Z') },
+        { name: 'delta', priority: 5, status: 'Done', note: 'call the pharmacy' }
+      ]) {
+        created.push(plain(await items.create(data)));
+      }
+      return { owner, created };
+    };
+
+    const names = (docs) => docs.map(doc => doc.name);
+
+    beforeAll(() => {
+      items = open();
+    });
+
+    beforeEach(async () => {
+      for (const doc of await items.find()) {
+        await items.findByIdAndDelete(doc._id);
+      }
+    });
+
+    test('create assigns an ID, defaults and timestamps', async () => {
+      const doc = plain(await items.create({ name: 'alpha' }));
+
+      expect(mongoose.isValidObjectId(doc._id)).toBe(true);
+      expect(doc).toMatchObject({ name: 'alpha', status: 'Open', priority: 0, tags: [], events: [] });
+      expect(new Date(doc.createdAt).getTime()).not.toBeNaN();
+      expect(doc.updatedAt).toBe(doc.createdAt);
+    });
+
+    test('create rejects documents the schema does not allow', async () => {
+      await expect(items.create({ priority: 1 })).rejects.toThrow(mongoose.Error.ValidationError);
+      await expect(items.create({ name: 'alpha', status: 'Lost' })).rejects.toThrow(mongoose.Error.ValidationError);
+
+      expect(await items.countDocuments()).toBe(0);
+    });
+
+    test('create keeps a given ID', async () => {
+      const id = new mongoose.Types.ObjectId();
+      const doc = plain(await items.create({ _id: id, name: 'alpha' }));
+
+      expect(doc._id).toBe(id.toString());
+      expect(plain(await items.findById(id))).toMatchObject({ name: 'alpha' });
+      expect(plain(await items.findById(id.toString()))).toMatchObject({ name: 'alpha' });
+    });
+
+    test('find matches equality, array elements and ObjectIds', async () => {
+      const { owner } = await seed();
+
+      expect(names(await items.find({ status: 'Done' }, { sort: { name: 1 } }))).toEqual(['bravo', 'delta']);
+      expect(names(await items.find({ tags: 'red' }, { sort: { name: 1 } }))).toEqual(['alpha', 'charlie']);
+      expect(names(await items.find({ owner }))).toEqual(['alpha']);
+      expect(names(await items.find({ note: null }, { sort: { name: 1 } }))).toEqual(['alpha', 'charlie']);
+      expect(await items.find({ name: 'echo' })).toEqual([]);
+    });
+
+    test('find supports comparison, set and existence operators', async () => {
+      await seed();
+      const find = async (filter) => names(await items.find(filter, { sort: { name: 1 } }));
+
+      expect(await find({ priority: { $gt: 2 } })).toEqual(['alpha', 'delta']);
+      expect(await find({ priority: { $gte: 2, $lt: 5 } })).toEqual(['alpha', 'charlie']);
+      expect(await find({ priority: { $lte: 1 } })).toEqual(['bravo']);
+      expect(await find({ status: { $ne: 'Done' } })).toEqual(['alpha', 'charlie']);
+      expect(await find({ name: { $in: ['alpha', 'delta', 'echo'] } })).toEqual(['alpha', 'delta']);
+      expect(await find({ name: { $nin: ['alpha', 'delta'] } })).toEqual(['bravo', 'charlie']);
+      expect(await find({ note: { $exists: true } })).toEqual(['bravo', 'delta']);
+      expect(await find({ dueAt: { $gte: new Date('2026-02-01T00:00:00Z') } })).toEqual(['bravo', 'charlie']);
+    });
+
+    test('find supports $regex, $or and $and', async () => {
+      await seed();
+      const find = async (filter) => names(await items.find(filter, { sort: { name: 1 } }));
+
+      expect(await find({ note: { $regex: '^call', $options: 'i' } })).toEqual(['bravo', 'delta']);
+      expect(await find({ note: /pharmacy/ })).toEqual(['delta']);
+      expect(await find({ $or: [{ name: 'alpha' }, { priority: { $gt: 4 } }] })).toEqual(['alpha', 'delta']);
+      expect(await find({ $and: [{ status: 'Done' }, { priority: { $lt: 5 } }] })).toEqual(['bravo']);
+    });
+
+    test('find sorts, skips and limits', async () => {
+      await seed();
+
+      expect(names(await items.find({}, { sort: { priority: -1 } }))).toEqual(['delta', 'alpha', 'charlie', 'bravo']);
+      expect(names(await items.find({}, { sort: { status: 1, priority: -1 } }))).toEqual(['delta', 'bravo', 'alpha', 'charlie']);
+      expect(names(await items.find({}, { sort: 'status -priority' }))).toEqual(['delta', 'bravo', 'alpha', 'charlie']);
+      expect(names(await items.find({}, { sort: { priority: 1 }, skip: 1, limit: 2 }))).toEqual(['charlie', 'alpha']);
+      // Missing values sort first
+      expect(names(await items.find({}, { sort: { dueAt: 1 } }))[0]).toBe('delta');
+    });
+
+    test('findOne and findById return null when nothing matches', async () => {
+      await seed();
+
+      expect(await items.findOne({ name: 'echo' })).toBeNull();
+      expect(await items.findById(new mongoose.Types.ObjectId())).toBeNull();
+      expect(plain(await items.findOne({ priority: 2 }))).toMatchObject({ name: 'charlie' });
+    });
+
+    test('findOne returns the first match in sort order', async () => {
+      await seed();
+
+      expect(plain(await items.findOne({}, null, { sort: { priority: -1 } }))).toMatchObject({ name: 'delta' });
+      expect(plain(await items.findOne({ status: 'Done' }, null, { sort: { priority: 1 } }))).toMatchObject({ name: 'bravo' });
+      expect(plain(await items.findOne({ tags: 'red' }, null, { sort: { dueAt: -1 } }))).toMatchObject({ name: 'charlie' });
+    });
+
+    test('countDocuments counts matches', async () => {
+      await seed();
+
+      expect(await items.countDocuments()).toBe(4);
+      expect(await items.countDocuments({ status: 'Done' })).toBe(2);
+      expect(await items.countDocuments({ name: 'echo' })).toBe(0);
+    });
+
+    test('findOneAndUpdate applies $set and $push', async () => {
+      await seed();
+
+      const before = plain(await items.findOneAndUpdate(
+        { name: 'alpha' },
+        { $set: { status: 'Done' }, $push: { events: { type: 'closed' } } }
+      ));
+      expect(before.status).toBe('Open');
+
+      const after = plain(await items.findOneAndUpdate(
+        { name: 'alpha' },
+        { $push: { events: { $each: [{ type: 'reopened' }, { type: 'closed' }] } } },
+        { new: true }
+      ));
+      expect(after.status).toBe('Done');
+      expect(after.events).toEqual([{ type: 'closed' }, { type: 'reopened' }, { type: 'closed' }]);
+      expect(new Date(after.updatedAt).getTime()).toBeGreaterThanOrEqual(new Date(after.createdAt).getTime());
+    });
+
+    test('findOneAndUpdate applies $inc alongside $set', async () => {
+      await seed();
+
+      await items.findOneAndUpdate({ name: 'alpha' }, { $set: { status: 'Claimed' }, $inc: { priority: 1 } });
+      const after = plain(await items.findOneAndUpdate({ name: 'alpha' }, { $inc: { priority: 2 } }, { new: true }));
+
+      expect(after).toMatchObject({ status: 'Claimed', priority: 6 });
+    });
+
+    test('findOneAndUpdate updates the first match in sort order', async () => {
+      await seed();
+
+      const claim = () => items.findOneAndUpdate(
+        { status: 'Open' },
+        { $set: { status: 'Claimed' } },
+        { new: true, sort: { priority: 1 } }
+      );
+
+      expect(plain(await claim()).name).toBe('charlie');
+      expect(plain(await claim()).name).toBe('alpha');
+      expect(await claim()).toBeNull();
+    });
+
+    test('findOneAndUpdate only updates a document that still matches', async () => {
+      await seed();
+
+      // Two workers claiming the same open item: only the first gets it
+      const claim = () => items.findOneAndUpdate(
+        { name: 'alpha', status: 'Open' },
+        { $set: { status: 'Claimed' } },
+        { new: true }
+      );
+      const [first, second] = await Promise.all([claim(), claim()]);
+
+      expect(plain(first).status).toBe('Claimed');
+      expect(second).toBeNull();
+    });
+
+    test('findByIdAndUpdate applies plain field updates', async () => {
+      const { created } = await seed();
+
+      const updated = plain(await items.findByIdAndUpdate(created[1]._id, { priority: 9 }, { new: true }));
+
+      expect(updated).toMatchObject({ name: 'bravo', priority: 9, status: 'Done' });
+      expect(plain(await items.findById(created[1]._id)).priority).toBe(9);
+      expect(await items.findByIdAndUpdate(new mongoose.Types.ObjectId(), { priority: 1 })).toBeNull();
+    });
+
+    test('findByIdAndDelete removes a document', async () => {
+      const { created } = await seed();
+
+      expect(plain(await items.findByIdAndDelete(created[0]._id))).toMatchObject({ name: 'alpha' });
+      expect(await items.findById(created[0]._id)).toBeNull();
+      expect(await items.findByIdAndDelete(created[0]._id)).toBeNull();
+      expect(await items.countDocuments()).toBe(3);
+    });
+
+    test('returned documents are copies', async () => {
+      const { created } = await seed();
+
+      const doc = await items.findById(created[0]._id);
+      doc.tags.push('green');
+
+      expect(plain(await items.findById(created[0]._id)).tags).toEqual(['red']);
+    });
+  });
+};
+
+module.exports = {
+  MODEL_NAME,
+  DEFAULTS,
+  schema,
+  describeRepositoryContract
+};
@@ -0,0 +1,72 @@
+// Unit tests for the adherence classifier
+const adherenceClassifier = require('../../src/services/adherenceClassifier');
+const config = require('../../src/config');
+const { tokenize } = require('../../src/services/classifiers/ruleBasedClassifier');
+const englishLexicon = require('../../src/services/classifiers/lexicons/en');
+const corpus = require('../fixtures/adherence-corpus.json');
+
+describe('AdherenceClassifier', () => {
+  describe('labelled corpus', () => {
+    test.each(corpus.map(entry => [entry.text, entry.label, Boolean(entry.reprompt), entry.language || 'en']))(
+      '"%s" should be %s (re-prompt: %s, language: %s)',
+      (text, label, reprompt, language) => {
+        const result = adherenceClassifier.classify(text, { language });
+        
+        expect(result.label).toBe(label);
+        expect(adherenceClassifier.isLowConfidence(result)).toBe(reprompt);
+      }
+    );
+  });
+
+  test('should match whole words only', () => {
+    // "no" inside "know" and "notebook" must not count as a negative answer
+    expect(adherenceClassifier.classify('I know').evidence).toEqual([]);
+    expect(adherenceClassifier.classify('notebook').evidence).toEqual([]);
+  });
+
+  test('should expand contractions before matching', () => {
+    expect(tokenize("I haven't, I won't", englishLexicon.contractions))
+      .toEqual(['i', 'have', 'not', '|', 'i', 'will', 'not']);
+  });
+
+  test('should strip accents but keep Devanagari vowel signs', () => {
+    expect(tokenize('Sí, ya la tomé', [])).toEqual(['si', '|', 'ya', 'la', 'tome']);
+    expect(tokenize('हाँ, ले ली है।', [])).toEqual(['हाँ', '|', 'ले', 'ली', 'है', '|']);
+  });
+
+  test('should fall back to the English lexicon for unsupported languages', () => {
+    expect(adherenceClassifier.classify('Yes, I took them', { language: 'fr' }).label).toBe('Full');
+    expect(adherenceClassifier.classify('Sí', { language: 'en' }).label).not.toBe('Full');
+  });
+
+  test('should report confidence between 0 and 1 with evidence', () => {
+    const result = adherenceClassifier.classify('Yes, I took them');
+    
+    expect(result.label).toBe('Full');
+    expect(result.confidence).toBeGreaterThan(0.6);
+    expect(result.confidence).toBeLessThanOrEqual(1);
+    expect(result.evidence).toEqual(expect.arrayContaining([
+      expect.objectContaining({ phrase: 'took', polarity: 'positive' })
+    ]));
+  });
+
+  test('should use a registered classifier and sanitise its output', () => {
+    adherenceClassifier.register('test-stub', {
+      classify: () => ({ label: 'Bogus', confidence: 7 })
+    });
+    
+    const result = adherenceClassifier.getClassifier('test-stub').classify('anything');
+    expect(result.label).toBe('Bogus');
+    
+    const original = config.adherence.classifier;
+    config.adherence.classifier = 'test-stub';
+    
+    expect(adherenceClassifier.classify('anything')).toEqual({ label: 'Unclear', confidence: 1 });
+    
+    config.adherence.classifier = original;
+  });
+
+  test('should reject classifiers without a classify function', () => {
+    expect(() => adherenceClassifier.register('broken', {})).toThrow('must implement classify');
+  });
+});
@@ -0,0 +1,203 @@
+// Unit tests for adherence analytics, in process and with aggregation pipelines
+jest.mock('../../src/models/callLog', () => ({ find: jest.fn() }));
+
+const analyticsService = require('../../src/services/analyticsService');
+const analyticsController = require('../../src/controllers/analyticsController');
+const CallLog = require('../../src/models/callLog');
+const Patient = require('../../src/models/patient');
+const { ErrorTypes } = require('../../src/middleware/errorHandler');
+
+describe('AnalyticsService', () => {
+  const from = new Date('2025-03-01T00:00:00Z');
+  const to = new Date('2025-03-11T00:00:00Z');
+  let patient;
+  let otherPatient;
+
+  const log = (callSid, timestamp, adherenceStatus, extra = {}) => ({
+    callSid,
+    patientId: String(patient._id),
+    timestamp: new Date(timestamp),
+    adherenceStatus,
+    ...extra
+  });
+
+  beforeAll(async () => {
+    patient = await Patient.create({ name: 'Trend Patient', phoneNumber: '+15550006001', timezone: 'America/New_York' });
+    otherPatient = await Patient.create({ name: 'Steady Patient', phoneNumber: '+15550006002' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete CallLog.aggregate;
+  });
+
+  describe('without aggregation support', () => {
+    beforeEach(() => {
+      CallLog.find.mockImplementation(async (filter) => [
+        log('CA-1', '2025-03-03T13:00:00Z', 'Full'),
+        // Unanswered call redialled and answered: one check-in
+        log('CA-2', '2025-03-04T13:00:00Z', 'Unknown'),
+        log('CA-2b', '2025-03-04T13:20:00Z', 'Partial', { originalCallSid: 'CA-2' }),
+        log('CA-3', '2025-03-06T13:00:00Z', 'Unknown'),
+        // Evening in New York, the next day in UTC
+        log('CA-4', '2025-03-10T01:00:00Z', 'None'),
+        // Outside the range
+        log('CA-5', '2025-02-20T13:00:00Z', 'None'),
+        { ...log('CA-6', '2025-03-05T13:00:00Z', 'Full'), patientId: String(otherPatient._id) }
+      ].filter(doc => !filter.patientId || doc.patientId === filter.patientId));
+    });
+
+    test('should count each redial chain once with its most definite answer', async () => {
+      const adherence = await analyticsService.getPatientAdherence(patient, { from, to });
+
+      expect(CallLog.find).toHaveBeenCalledWith({ patientId: String(patient._id) });
+      expect(adherence).toEqual({
+        checkIns: 4,
+        statusCounts: { Full: 1, Partial: 1, None: 1, Unclear: 0, Unknown: 1 },
+        adherenceRate: 0.25
+      });
+    });
+
+    test('should fill a daily series in the patient timezone', async () => {
+      const series = await analyticsService.getPatientTrend(patient, { from, to });
+
+      expect(series.map(point => point.period)).toEqual([
+        '2025-02-28', '2025-03-01', '2025-03-02', '2025-03-03', '2025-03-04',
+        '2025-03-05', '2025-03-06', '2025-03-07', '2025-03-08', '2025-03-09', '2025-03-10'
+      ]);
+      expect(series.find(point => point.period === '2025-03-09')).toMatchObject({ checkIns: 1, adherenceRate: 0 });
+      expect(series.find(point => point.period === '2025-03-10')).toMatchObject({ checkIns: 0, adherenceRate: null });
+    });
+
+    test('should group weeks from Monday', async () => {
+      const series = await analyticsService.getPatientTrend(patient, { from, to, interval: 'week', timezone: 'UTC' });
+
+      expect(series.map(point => [point.period, point.checkIns])).toEqual([
+        ['2025-02-24', 0],
+        ['2025-03-03', 3],
+        ['2025-03-10', 1]
+      ]);
+    });
+
+    test('should count the latest run of days with missed doses', async () => {
+      const streak = await analyticsService.getMissedStreak(patient, new Date('2025-03-10T12:00:00Z'));
+
+      expect(streak).toEqual({ days: 3, since: '2025-03-04' });
+    });
+
+    test('should rank the least-adherent patients first', async () => {
+      const cohort = await analyticsService.getLeastAdherent({ from, to });
+
+      expect(CallLog.find).toHaveBeenCalledWith({});
+      expect(cohort).toEqual([
+        expect.objectContaining({ patientId: String(patient._id), name: 'Trend Patient', checkIns: 4, adherenceRate: 0.25 }),
+        expect.objectContaining({ patientId: String(otherPatient._id), name: 'Steady Patient', checkIns: 1, adherenceRate: 1 })
+      ]);
+
+      expect(await analyticsService.getLeastAdherent({ from, to, minCheckIns: 2 })).toHaveLength(1);
+    });
+  });
+
+  describe('with aggregation support', () => {
+    test('should build the pipeline and read its groups', async () => {
+      CallLog.aggregate = jest.fn().mockResolvedValue([
+        { _id: { key: '2025-03-03', status: 'Full' }, count: 2 },
+        { _id: { key: '2025-03-03', status: 'None' }, count: 1 },
+        { _id: { key: '2025-03-05', status: 'Partial' }, count: 1 }
+      ]);
+
+      const series = await analyticsService.getPatientTrend(patient, { from, to, timezone: 'UTC' });
+
+      const [pipeline] = CallLog.aggregate.mock.calls[0];
+      expect(pipeline[0].$match.timestamp).toEqual({ $gte: from, $lt: to });
+      expect(String(pipeline[0].$match.patientId)).toBe(String(patient._id));
+      expect(pipeline[pipeline.length - 1].$group._id.key).toEqual({
+        $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone: 'UTC' }
+      });
+      expect(CallLog.find).not.toHaveBeenCalled();
+
+      expect(series.find(point => point.period === '2025-03-03')).toMatchObject({
+        checkIns: 3,
+        statusCounts: { Full: 2, Partial: 0, None: 1, Unclear: 0, Unknown: 0 },
+        adherenceRate: 0.667
+      });
+      expect(series.find(point => point.period === '2025-03-05')).toMatchObject({ checkIns: 1, adherenceRate: 0 });
+    });
+
+    test('should fold days into weeks without $dateTrunc', async () => {
+      CallLog.aggregate = jest.fn().mockResolvedValue([
+        { _id: { key: '2025-03-03', status: 'Full' }, count: 1 },
+        { _id: { key: '2025-03-09', status: 'Full' }, count: 1 },
+        { _id: { key: '2025-03-09', status: 'None' }, count: 1 },
+        { _id: { key: '2025-03-10', status: 'None' }, count: 1 }
+      ]);
+
+      const series = await analyticsService.getPatientTrend(patient, { from, to, interval: 'week', timezone: 'UTC' });
+
+      const [pipeline] = CallLog.aggregate.mock.calls[0];
+      expect(JSON.stringify(pipeline)).not.toContain('$dateTrunc');
+      expect(series.find(point => point.period === '2025-03-03')).toMatchObject({
+        checkIns: 3,
+        statusCounts: expect.objectContaining({ Full: 2, None: 1 })
+      });
+      expect(series.find(point => point.period === '2025-03-10')).toMatchObject({ checkIns: 1 });
+    });
+
+    test('should leave calls without a patient out of the cohort', async () => {
+      CallLog.aggregate = jest.fn().mockResolvedValue([
+        { _id: { key: null, status: 'None' }, count: 4 },
+        { _id: { key: patient._id, status: 'Full' }, count: 1 }
+      ]);
+
+      const cohort = await analyticsService.getLeastAdherent({ from, to });
+
+      expect(cohort).toEqual([expect.objectContaining({ patientId: String(patient._id), checkIns: 1 })]);
+    });
+  });
+
+  describe('analyticsController', () => {
+    const call = async (handler, req) => {
+      const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+      const next = jest.fn();
+      await handler({ params: {}, query: {}, ...req }, res, next);
+      return { res, next };
+    };
+
+    beforeEach(() => {
+      CallLog.find.mockResolvedValue([]);
+    });
+
+    test('should reject invalid or reversed date ranges', async () => {
+      const invalid = await call(analyticsController.getCohort, { query: { from: 'last tuesday' } });
+      const reversed = await call(analyticsController.getCohort, { query: { from: '2025-03-10', to: '2025-03-01' } });
+
+      expect(invalid.next).toHaveBeenCalledWith(expect.objectContaining({ type: ErrorTypes.VALIDATION_ERROR }));
+      expect(reversed.next).toHaveBeenCalledWith(expect.objectContaining({ type: ErrorTypes.VALIDATION_ERROR }));
+    });
+
+    test('should include the whole day of a date-only end', async () => {
+      const { res } = await call(analyticsController.getPatientAdherence, {
+        params: { id: String(patient._id) },
+        query: { from: '2025-03-01', to: '2025-03-10' }
+      });
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        to: new Date('2025-03-11T00:00:00Z'),
+        checkIns: 0,
+        adherenceRate: null,
+        missedStreak: { days: 0, since: null }
+      }));
+    });
+
+    test('should reject unknown intervals and patients', async () => {
+      const interval = await call(analyticsController.getPatientTrend, {
+        params: { id: String(patient._id) },
+        query: { interval: 'month' }
+      });
+      const missing = await call(analyticsController.getPatientTrend, { params: { id: 'nobody' } });
+
+      expect(interval.next).toHaveBeenCalledWith(expect.objectContaining({ type: ErrorTypes.VALIDATION_ERROR }));
+      expect(missing.next).toHaveBeenCalledWith(expect.objectContaining({ type: ErrorTypes.NOT_FOUND_ERROR }));
+    });
+  });
+});
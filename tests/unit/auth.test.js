@@ -0,0 +1,109 @@
+// Unit tests for API key authentication and role-based authorization
+const apiKeyService = require('../../src/services/apiKeyService');
+const config = require('../../src/config');
+const { requireRole, Roles } = require('../../src/middleware/auth');
+const { ErrorTypes } = require('../../src/middleware/errorHandler');
+
+describe('requireRole', () => {
+  const buildRequest = (headers = {}) => ({
+    method: 'GET',
+    originalUrl: '/api/logs',
+    get: (header) => headers[header]
+  });
+  
+  const run = async (middleware, req) => {
+    const next = jest.fn();
+    await middleware(req, {}, next);
+    return next;
+  };
+  
+  let clinicianKey;
+  let operatorKey;
+
+  beforeAll(async () => {
+    clinicianKey = (await apiKeyService.createKey({ name: 'Clinician', role: Roles.CLINICIAN })).key;
+    operatorKey = (await apiKeyService.createKey({ name: 'Operator', role: Roles.OPERATOR })).key;
+  });
+
+  test('should reject requests without a key', async () => {
+    const next = await run(requireRole(Roles.CLINICIAN), buildRequest());
+    
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({
+      type: ErrorTypes.AUTHENTICATION_ERROR
+    }));
+  });
+
+  test('should reject unknown keys', async () => {
+    const next = await run(requireRole(Roles.CLINICIAN), buildRequest({ 'X-API-Key': 'mr_not-a-real-key' }));
+    
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({
+      type: ErrorTypes.AUTHENTICATION_ERROR
+    }));
+  });
+
+  test('should accept a bearer key with an allowed role', async () => {
+    const req = buildRequest({ Authorization: `Bearer ${clinicianKey}` });
+    const next = await run(requireRole(Roles.CLINICIAN), req);
+    
+    expect(next).toHaveBeenCalledWith();
+    expect(req.auth.role).toBe(Roles.CLINICIAN);
+  });
+
+  test('should forbid a role that is not allowed', async () => {
+    const next = await run(requireRole(Roles.OPERATOR), buildRequest({ 'X-API-Key': clinicianKey }));
+    
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({
+      type: ErrorTypes.AUTHORIZATION_ERROR,
+      statusCode: 403
+    }));
+  });
+
+  test('should keep operators out of admin-only routes', async () => {
+    const operatorNext = await run(requireRole(Roles.OPERATOR), buildRequest({ 'X-API-Key': operatorKey }));
+    expect(operatorNext).toHaveBeenCalledWith();
+    
+    const adminNext = await run(requireRole(), buildRequest({ 'X-API-Key': operatorKey }));
+    expect(adminNext).toHaveBeenCalledWith(expect.objectContaining({
+      type: ErrorTypes.AUTHORIZATION_ERROR
+    }));
+  });
+
+  test('should allow admin-only routes for the bootstrap admin key', async () => {
+    config.auth.adminApiKey = 'bootstrap-admin-key';
+    
+    const next = await run(requireRole(), buildRequest({ 'X-API-Key': 'bootstrap-admin-key' }));
+    expect(next).toHaveBeenCalledWith();
+    
+    config.auth.adminApiKey = undefined;
+  });
+
+  test('should reject keys once they are revoked', async () => {
+    const { key, apiKey } = await apiKeyService.createKey({ name: 'Temporary', role: Roles.OPERATOR });
+    await apiKeyService.revokeKey(apiKey.id);
+    
+    const next = await run(requireRole(Roles.OPERATOR), buildRequest({ 'X-API-Key': key }));
+    
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({
+      type: ErrorTypes.AUTHENTICATION_ERROR
+    }));
+  });
+
+  test('should not expose key hashes when listing keys', async () => {
+    const keys = await apiKeyService.listKeys();
+    
+    expect(keys.length).toBeGreaterThan(0);
+    keys.forEach(key => expect(key).not.toHaveProperty('keyHash'));
+  });
+
+  test('should treat every request as admin when auth is disabled', async () => {
+    config.auth.enabled = false;
+    
+    const req = buildRequest();
+    const next = await run(requireRole(), req);
+    
+    expect(next).toHaveBeenCalledWith();
+    expect(req.auth.role).toBe(Roles.ADMIN);
+    
+    config.auth.enabled = true;
+  });
+});
@@ -0,0 +1,464 @@
+// Unit tests for the per-medication check-in, answering machine handling and call-backs in the call webhooks
+jest.mock('twilio', () => Object.assign(jest.fn(() => ({})), jest.requireActual('twilio')));
+jest.mock('../../src/models/callLog', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn().mockResolvedValue({})
+}));
+
+const callController = require('../../src/controllers/callController');
+const telephonyService = require('../../src/services/telephonyService');
+const redialService = require('../../src/services/redialService');
+const campaignService = require('../../src/services/campaignService');
+const notificationService = require('../../src/services/notificationService');
+const CallLog = require('../../src/models/callLog');
+const Patient = require('../../src/models/patient');
+const { deriveAdherenceStatus, parseMedicationResults } = require('../../src/services/checkInDialog');
+const { matches, applyUpdate } = require('../../src/repositories/query');
+
+describe('callController', () => {
+  const buildResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.send = jest.fn(() => res);
+    res.type = jest.fn(() => res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(telephonyService, 'updateCallTwiml').mockResolvedValue({});
+    jest.spyOn(telephonyService, 'getRecordingUrl').mockResolvedValue(null);
+    jest.spyOn(redialService, 'sendSmsFallback').mockResolvedValue(true);
+    jest.spyOn(notificationService, 'notifyOutcome').mockResolvedValue([]);
+    CallLog.findOne.mockResolvedValue(null);
+    CallLog.findOneAndUpdate.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('per-medication check-in', () => {
+    let patient;
+
+    const gather = async (query, speech) => {
+      const res = buildResponse();
+      await callController.handleGather({
+        query: { patientId: String(patient._id), ...query },
+        body: { CallSid: 'CA-meds', SpeechResult: speech }
+      }, res);
+
+      expect(res.type).toHaveBeenCalledWith('text/xml');
+      return res.send.mock.calls[0][0];
+    };
+
+    const savedStatus = () => {
+      const call = CallLog.findOneAndUpdate.mock.calls.find(([, update]) => update.adherenceStatus);
+      return call ? call[1].adherenceStatus : undefined;
+    };
+
+    const savedResults = () => CallLog.findOneAndUpdate.mock.calls
+      .filter(([, update]) => update.$push && update.$push.medicationResults)
+      .map(([, update]) => update.$push.medicationResults);
+
+    beforeAll(async () => {
+      patient = await Patient.create({
+        name: 'Three Medications',
+        phoneNumber: '+15550004010',
+        medications: [
+          { name: 'Aspirin', dose: '81 mg', times: ['08:00'] },
+          { name: 'Metformin', dose: '500 mg', times: ['08:00'] },
+          { name: 'Lisinopril', dose: '10 mg', times: ['08:00'] }
+        ]
+      });
+    });
+
+    test('should record a taken medication and ask about the next one', async () => {
+      const twiml = await gather({ medicationIndex: '0', retryCount: '0' }, 'Yes, I took it');
+
+      expect(savedResults()).toEqual([expect.objectContaining({ name: 'Aspirin', dose: '81 mg', result: 'Taken' })]);
+      expect(twiml).toContain('Metformin');
+      expect(twiml).toContain('medicationIndex=1');
+      expect(twiml).toContain('results=Taken');
+      expect(savedStatus()).toBeUndefined();
+      expect(notificationService.notifyOutcome).not.toHaveBeenCalled();
+    });
+
+    test('should carry a missed medication to the next question', async () => {
+      const twiml = await gather({ medicationIndex: '1', results: 'Taken', retryCount: '0' }, 'No, I did not take it');
+
+      expect(savedResults()).toEqual([expect.objectContaining({ name: 'Metformin', result: 'Missed' })]);
+      expect(twiml).toContain('Lisinopril');
+      expect(twiml).toContain('results=Taken%2CMissed');
+    });
+
+    test('should close with Full when every medication was taken', async () => {
+      const twiml = await gather({ medicationIndex: '2', results: 'Taken,Taken', retryCount: '0' }, 'Yes, I took it');
+
+      expect(savedStatus()).toBe('Full');
+      expect(twiml).toContain('Thank you for confirming');
+      expect(twiml).toContain('<Hangup/>');
+      expect(notificationService.notifyOutcome).not.toHaveBeenCalled();
+    });
+
+    test('should close with None and notify providers when every medication was missed', async () => {
+      await gather({ medicationIndex: '2', results: 'Missed,Missed', retryCount: '0' }, 'No, I did not take it');
+
+      expect(savedStatus()).toBe('None');
+      expect(notificationService.notifyOutcome).toHaveBeenCalledWith(expect.objectContaining({
+        outcome: 'None',
+        missedMedications: ['Aspirin', 'Metformin', 'Lisinopril']
+      }));
+    });
+
+    test('should close with Partial naming the missed medications', async () => {
+      const twiml = await gather({ medicationIndex: '2', results: 'Taken,Missed', retryCount: '0' }, 'Yes, I took it');
+
+      expect(savedStatus()).toBe('Partial');
+      expect(twiml).toContain('Metformin');
+      expect(notificationService.notifyOutcome).toHaveBeenCalledWith(expect.objectContaining({
+        outcome: 'Partial',
+        missedMedications: ['Metformin']
+      }));
+    });
+
+    test('should record an unsure answer as Unclear', async () => {
+      await gather({ medicationIndex: '2', results: 'Taken,Taken', retryCount: '0' }, 'I am not sure');
+
+      expect(savedResults()).toEqual([expect.objectContaining({ name: 'Lisinopril', result: 'Unclear' })]);
+      expect(savedStatus()).toBe('Unclear');
+    });
+
+    test('should record each medication once when an answer webhook is repeated', async () => {
+      let log = { callSid: 'CA-meds', medicationResults: [] };
+      CallLog.findOneAndUpdate.mockImplementation(async (filter, update) => {
+        if (!matches(log, filter)) {
+          return null;
+        }
+        log = applyUpdate(log, update);
+        return log;
+      });
+
+      await gather({ medicationIndex: '0', retryCount: '0' }, 'Yes, I took it');
+      await gather({ medicationIndex: '0', retryCount: '0' }, 'Yes, I took it');
+      await gather({ medicationIndex: '1', results: 'Taken', retryCount: '0' }, 'No, I did not take it');
+      await gather({ medicationIndex: '1', results: 'Taken', retryCount: '0' }, 'No, I did not take it');
+
+      expect(log.medicationResults.map(answer => [answer.name, answer.result])).toEqual([
+        ['Aspirin', 'Taken'],
+        ['Metformin', 'Missed']
+      ]);
+    });
+
+    test('should ask again about the same medication when the answer is not understood', async () => {
+      const twiml = await gather({ medicationIndex: '1', results: 'Taken', retryCount: '0' }, 'banana');
+
+      expect(savedResults()).toEqual([]);
+      expect(twiml).toContain('<Redirect>');
+      expect(twiml).toContain('medicationIndex=1');
+      expect(twiml).toContain('clarify=1');
+    });
+
+    test('should record a not-understood answer as Unclear on the last attempt and move on', async () => {
+      const twiml = await gather({ medicationIndex: '1', results: 'Taken', retryCount: '1' }, 'banana');
+
+      expect(savedResults()).toEqual([expect.objectContaining({ name: 'Metformin', result: 'Unclear' })]);
+      expect(twiml).toContain('Lisinopril');
+      expect(twiml).toContain('results=Taken%2CUnclear');
+    });
+
+    test('should keep tampered results aligned with the medications', async () => {
+      await gather({ medicationIndex: '2', results: 'Taken,Bogus,Missed,Missed', retryCount: '0' }, 'Yes, I took it');
+
+      // The unrecognised entry stays in Metformin's place; extra entries are ignored
+      expect(savedStatus()).toBe('Unclear');
+    });
+
+    test('should count medications missing from the results as unconfirmed', async () => {
+      await gather({ medicationIndex: '2', results: '', retryCount: '0' }, 'No, I did not take it');
+
+      expect(savedStatus()).toBe('Partial');
+      expect(notificationService.notifyOutcome).toHaveBeenCalledWith(expect.objectContaining({
+        missedMedications: ['Lisinopril']
+      }));
+    });
+
+    test('should save the answers given when retries run out mid-list', async () => {
+      const res = buildResponse();
+
+      await callController.handleVoiceCall({
+        query: { patientId: String(patient._id), medicationIndex: '1', results: 'Missed', retryCount: '2' },
+        body: { CallSid: 'CA-meds' }
+      }, res);
+
+      expect(savedStatus()).toBe('Partial');
+      expect(notificationService.notifyOutcome).toHaveBeenCalledWith(expect.objectContaining({
+        outcome: 'No Response',
+        missedMedications: ['Aspirin']
+      }));
+      expect(res.send.mock.calls[0][0]).toContain('<Hangup/>');
+    });
+
+    test('should ignore extra results when retries run out', async () => {
+      await callController.handleVoiceCall({
+        query: { patientId: String(patient._id), medicationIndex: '2', results: 'Missed,Missed,Missed,Taken', retryCount: '2' },
+        body: { CallSid: 'CA-meds' }
+      }, buildResponse());
+
+      expect(savedStatus()).toBe('None');
+    });
+
+    test('should derive the overall status from per-medication results', () => {
+      expect(deriveAdherenceStatus(['Taken', 'Taken'])).toBe('Full');
+      expect(deriveAdherenceStatus(['Missed', 'Missed'])).toBe('None');
+      expect(deriveAdherenceStatus(['Taken', 'Missed'])).toBe('Partial');
+      expect(deriveAdherenceStatus(['Unclear', 'Missed'])).toBe('Partial');
+      expect(deriveAdherenceStatus(['Taken', 'Unclear'])).toBe('Unclear');
+      expect(deriveAdherenceStatus([])).toBe('Unclear');
+    });
+
+    test('should parse carried results by position', () => {
+      expect(parseMedicationResults('Taken,Missed,Unclear')).toEqual(['Taken', 'Missed', 'Unclear']);
+      expect(parseMedicationResults('Taken,<script>,Missed')).toEqual(['Taken', 'Unclear', 'Missed']);
+      expect(parseMedicationResults('Taken,Missed,Missed', 2)).toEqual(['Taken', 'Missed']);
+      expect(parseMedicationResults(undefined)).toEqual([]);
+      expect(parseMedicationResults('')).toEqual([]);
+    });
+  });
+
+  describe('handleAmdCallback', () => {
+    test('should leave the voicemail in the patient language after the beep', async () => {
+      const patient = await Patient.create({ name: 'Voicemail', phoneNumber: '+15550004001', language: 'es' });
+      CallLog.findOne.mockResolvedValue({ callSid: 'CA-machine', status: 'In-Progress' });
+      const res = buildResponse();
+
+      await callController.handleAmdCallback({
+        query: { patientId: patient._id },
+        body: { CallSid: 'CA-machine', AnsweredBy: 'machine_end_beep' }
+      }, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const [callSid, twiml] = telephonyService.updateCallTwiml.mock.calls[0];
+      expect(callSid).toBe('CA-machine');
+      expect(twiml).toContain('language="es-US"');
+      expect(twiml).toContain('no pudimos comunicarnos');
+
+      expect(CallLog.findOneAndUpdate).toHaveBeenCalledWith(
+        { callSid: 'CA-machine' }, { answeredBy: 'machine_end_beep' }, { new: true }
+      );
+      expect(CallLog.findOneAndUpdate).toHaveBeenCalledWith(
+        { callSid: 'CA-machine', status: 'In-Progress' },
+        {
+          $set: { status: 'Voicemail Left' },
+          $push: { statusHistory: expect.objectContaining({ from: 'In-Progress', to: 'Voicemail Left', source: 'amd' }) }
+        },
+        { new: true }
+      );
+    });
+
+    test('should not switch an answered call to voicemail when detection finishes late', async () => {
+      CallLog.findOne.mockResolvedValue({ callSid: 'CA-late-amd', status: 'Answered' });
+      const res = buildResponse();
+
+      await callController.handleAmdCallback({
+        query: {},
+        body: { CallSid: 'CA-late-amd', AnsweredBy: 'machine_end_beep' }
+      }, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(telephonyService.updateCallTwiml).not.toHaveBeenCalled();
+      expect(CallLog.findOneAndUpdate).not.toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ $set: { status: 'Voicemail Left' } }),
+        expect.anything()
+      );
+    });
+
+    test('should let the check-in continue when a person answers', async () => {
+      const res = buildResponse();
+
+      await callController.handleAmdCallback({ query: {}, body: { CallSid: 'CA-human', AnsweredBy: 'human' } }, res);
+
+      expect(telephonyService.updateCallTwiml).not.toHaveBeenCalled();
+      expect(CallLog.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(CallLog.findOneAndUpdate).toHaveBeenCalledWith(
+        { callSid: 'CA-human' }, { answeredBy: 'human' }, { new: true }
+      );
+    });
+
+    test('should not mark the voicemail as left when the call cannot be updated', async () => {
+      telephonyService.updateCallTwiml.mockRejectedValue(new Error('Call is not in-progress'));
+      CallLog.findOne.mockResolvedValue({ callSid: 'CA-gone', status: 'In-Progress' });
+
+      await callController.handleAmdCallback({
+        query: {},
+        body: { CallSid: 'CA-gone', AnsweredBy: 'machine_end_silence' }
+      }, buildResponse());
+
+      expect(CallLog.findOneAndUpdate).not.toHaveBeenCalledWith(
+        expect.anything(), expect.objectContaining({ $set: { status: 'Voicemail Left' } }), expect.anything()
+      );
+    });
+  });
+
+  describe('inbound calls', () => {
+    let patient;
+
+    const callIn = async (from = patient.phoneNumber) => {
+      const res = buildResponse();
+      await callController.handleVoiceCall({
+        query: {},
+        body: { CallSid: 'CA-inbound', Direction: 'inbound', From: from }
+      }, res);
+
+      expect(res.type).toHaveBeenCalledWith('text/xml');
+      return res.send.mock.calls[0][0];
+    };
+
+    beforeAll(async () => {
+      patient = await Patient.create({
+        name: 'Calling Back',
+        phoneNumber: '+15550004003',
+        language: 'es',
+        timezone: 'America/New_York'
+      });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should resume an open check-in from today', async () => {
+      CallLog.findOne.mockResolvedValue({ callSid: 'CA-reminder', adherenceStatus: 'Unknown', timestamp: new Date() });
+
+      const twiml = await callIn();
+
+      expect(CallLog.findOne).toHaveBeenCalledWith(
+        { patientPhoneNumber: patient.phoneNumber }, null, { sort: { timestamp: -1 } }
+      );
+      expect(twiml).toContain('Gracias por devolvernos la llamada.');
+      expect(twiml).toContain(`/api/twilio/voice?patientId=${patient._id}&amp;checkInCallSid=CA-reminder</Redirect>`);
+    });
+
+    test('should go by the day in the patient timezone', async () => {
+      // 01:00 UTC is still the evening of the reminder in New York
+      jest.useFakeTimers({ now: new Date('2025-03-04T01:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+      CallLog.findOne.mockResolvedValue({
+        callSid: 'CA-evening',
+        adherenceStatus: 'Unclear',
+        timestamp: new Date('2025-03-03T23:00:00Z')
+      });
+
+      expect(await callIn()).toContain('checkInCallSid=CA-evening');
+
+      // Past midnight in New York, the reminder belongs to the previous day
+      jest.setSystemTime(new Date('2025-03-04T05:30:00Z'));
+      CallLog.findOne.mockResolvedValue({
+        callSid: 'CA-yesterday',
+        adherenceStatus: 'Unknown',
+        timestamp: new Date('2025-03-04T02:00:00Z')
+      });
+
+      const twiml = await callIn();
+
+      expect(twiml).toContain('Hoy no tiene ninguna consulta');
+      expect(twiml).toContain('<Hangup/>');
+    });
+
+    test('should not resume a check-in that was already answered', async () => {
+      CallLog.findOne.mockResolvedValue({ callSid: 'CA-done', adherenceStatus: 'Full', timestamp: new Date() });
+
+      const twiml = await callIn();
+
+      expect(twiml).not.toContain('<Redirect');
+      expect(twiml).toContain('<Hangup/>');
+    });
+
+    test('should give unknown callers a polite fallback', async () => {
+      const twiml = await callIn('+15550004999');
+
+      expect(CallLog.findOne).not.toHaveBeenCalled();
+      expect(twiml).toContain("We couldn't match this phone number to a patient.");
+      expect(twiml).toContain('<Hangup/>');
+    });
+
+    test('should record answers on the reminder being completed', async () => {
+      await callController.handleGather({
+        query: { patientId: String(patient._id), checkInCallSid: 'CA-reminder', retryCount: '0' },
+        body: { CallSid: 'CA-inbound', SpeechResult: 'Sí, ya los tomé' }
+      }, buildResponse());
+
+      expect(CallLog.findOneAndUpdate).toHaveBeenCalledWith(
+        { callSid: 'CA-reminder' },
+        expect.objectContaining({ adherenceStatus: 'Full' }),
+        { new: true }
+      );
+    });
+
+    test('should not redial or text callers when their call ends', async () => {
+      await callController.handleStatusCallback({
+        query: {},
+        body: { CallSid: 'CA-inbound', CallStatus: 'completed', Direction: 'inbound', To: '+15550000000', CallDuration: '2' }
+      }, buildResponse());
+
+      expect(redialService.sendSmsFallback).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleStatusCallback', () => {
+    const complete = (callSid, callDuration = '30') => callController.handleStatusCallback({
+      query: {},
+      body: { CallSid: callSid, CallStatus: 'completed', To: '+15550004002', CallDuration: callDuration }
+    }, buildResponse());
+
+    test('should not text after a voicemail was left or keep its status from being overwritten', async () => {
+      CallLog.findOne.mockResolvedValue({ callSid: 'CA-vm', status: 'Voicemail Left', answeredBy: 'machine_end_beep' });
+
+      await complete('CA-vm');
+
+      expect(redialService.sendSmsFallback).not.toHaveBeenCalled();
+      expect(CallLog.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should not text after a check-in conversation', async () => {
+      CallLog.findOne.mockResolvedValue({ callSid: 'CA-talk', status: 'In-Progress', answeredBy: 'human' });
+
+      await complete('CA-talk');
+
+      expect(redialService.sendSmsFallback).not.toHaveBeenCalled();
+    });
+
+    test('should text when neither a conversation nor a voicemail happened', async () => {
+      CallLog.findOne.mockResolvedValue({ callSid: 'CA-missed', status: 'In-Progress', answeredBy: 'unknown' });
+
+      await complete('CA-missed');
+
+      expect(redialService.sendSmsFallback).toHaveBeenCalledWith(expect.objectContaining({
+        callSid: 'CA-missed',
+        phoneNumber: '+15550004002'
+      }));
+    });
+
+    test('should pass the final status and outcome to campaigns', async () => {
+      jest.spyOn(campaignService, 'recordCallResult').mockResolvedValue(null);
+      CallLog.findOne.mockResolvedValue({ callSid: 'CA-vm', status: 'Voicemail Left', answeredBy: 'machine_end_beep' });
+
+      await complete('CA-vm');
+
+      expect(campaignService.recordCallResult).toHaveBeenCalledWith(expect.objectContaining({
+        callSid: 'CA-vm',
+        providerStatus: 'completed',
+        callState: 'Voicemail Left',
+        answeredBy: 'machine_end_beep'
+      }));
+    });
+
+    test('should fall back to the call duration without a call log', async () => {
+      await complete('CA-long', '45');
+      expect(redialService.sendSmsFallback).not.toHaveBeenCalled();
+
+      await complete('CA-short', '2');
+      expect(redialService.sendSmsFallback).toHaveBeenCalledWith(expect.objectContaining({ callSid: 'CA-short' }));
+    });
+  });
+});
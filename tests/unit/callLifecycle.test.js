@@ -0,0 +1,123 @@
+// Unit tests for the call state machine
+jest.mock('../../src/models/callLog', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+
+const callLifecycle = require('../../src/services/callLifecycle');
+const CallLog = require('../../src/models/callLog');
+
+describe('CallLifecycle', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CallLog.findOneAndUpdate.mockImplementation(async (query, update) => ({ ...query, ...update.$set }));
+  });
+
+  describe('normalizeStatus', () => {
+    test('should map provider statuses to call states', () => {
+      expect(callLifecycle.normalizeStatus('queued')).toBe('Initiated');
+      expect(callLifecycle.normalizeStatus('in-progress')).toBe('In-Progress');
+      expect(callLifecycle.normalizeStatus('no-answer')).toBe('No Answer');
+      expect(callLifecycle.normalizeStatus('Completed')).toBe('Completed');
+      expect(callLifecycle.normalizeStatus('canceled')).toBe('Canceled');
+    });
+
+    test('should not map unknown statuses', () => {
+      expect(callLifecycle.normalizeStatus('answered-by-robot')).toBeNull();
+      expect(callLifecycle.normalizeStatus('constructor')).toBeNull();
+      expect(callLifecycle.normalizeStatus(undefined)).toBeNull();
+    });
+  });
+
+  describe('canTransition', () => {
+    test('should allow the call to progress', () => {
+      expect(callLifecycle.canTransition('Initiated', 'Ringing')).toBe(true);
+      expect(callLifecycle.canTransition('Ringing', 'In-Progress')).toBe(true);
+      expect(callLifecycle.canTransition('In-Progress', 'Answered')).toBe(true);
+      expect(callLifecycle.canTransition('No Answer', 'SMS Sent')).toBe(true);
+    });
+
+    test('should reject backwards transitions and keep outcomes', () => {
+      expect(callLifecycle.canTransition('In-Progress', 'Ringing')).toBe(false);
+      expect(callLifecycle.canTransition('Completed', 'In-Progress')).toBe(false);
+      expect(callLifecycle.canTransition('Answered', 'Completed')).toBe(false);
+      expect(callLifecycle.canTransition('SMS Sent', 'No Answer')).toBe(false);
+      expect(callLifecycle.canTransition('Voicemail Left', 'SMS Sent')).toBe(false);
+    });
+
+    test('should not let a late machine detection result replace an answer', () => {
+      expect(callLifecycle.canTransition('Answered', 'Voicemail Left')).toBe(false);
+    });
+
+    test('should let a call-back answer a reminder that was not answered', () => {
+      expect(callLifecycle.canTransition('Voicemail Left', 'Answered')).toBe(true);
+      expect(callLifecycle.canTransition('SMS Sent', 'Answered')).toBe(true);
+    });
+  });
+
+  describe('transition', () => {
+    test('should update the status and record the transition', async () => {
+      CallLog.findOne.mockResolvedValue({ callSid: 'CA1', status: 'Ringing' });
+
+      const callLog = await callLifecycle.applyProviderStatus('CA1', 'in-progress');
+
+      expect(callLog).toMatchObject({ status: 'In-Progress' });
+      expect(CallLog.findOneAndUpdate).toHaveBeenCalledWith(
+        { callSid: 'CA1', status: 'Ringing' },
+        {
+          $set: { status: 'In-Progress' },
+          $push: {
+            statusHistory: {
+              from: 'Ringing',
+              to: 'In-Progress',
+              providerStatus: 'in-progress',
+              source: 'status-callback',
+              timestamp: expect.any(Date)
+            }
+          }
+        },
+        { new: true }
+      );
+    });
+
+    test('should ignore a late callback after an outcome', async () => {
+      CallLog.findOne.mockResolvedValue({ callSid: 'CA2', status: 'Answered' });
+
+      expect(await callLifecycle.applyProviderStatus('CA2', 'completed')).toBeNull();
+      expect(CallLog.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should not record a transition to the current state', async () => {
+      const current = { callSid: 'CA3', status: 'Answered' };
+      CallLog.findOne.mockResolvedValue(current);
+
+      expect(await callLifecycle.transition('CA3', 'Answered')).toBe(current);
+      expect(CallLog.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should re-check the transition when the status changed concurrently', async () => {
+      CallLog.findOne
+        .mockResolvedValueOnce({ callSid: 'CA4', status: 'In-Progress' })
+        .mockResolvedValueOnce({ callSid: 'CA4', status: 'Answered' });
+      CallLog.findOneAndUpdate.mockResolvedValueOnce(null);
+
+      expect(await callLifecycle.applyProviderStatus('CA4', 'completed')).toBeNull();
+      expect(CallLog.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    test('should skip calls without a call log or with an unknown status', async () => {
+      CallLog.findOne.mockResolvedValue(null);
+
+      expect(await callLifecycle.applyProviderStatus('CA5', 'ringing')).toBeNull();
+      expect(await callLifecycle.applyProviderStatus('CA5', 'teleported')).toBeNull();
+      expect(CallLog.findOne).toHaveBeenCalledTimes(1);
+      expect(CallLog.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should not throw on database errors', async () => {
+      CallLog.findOne.mockRejectedValue(new Error('connection lost'));
+
+      await expect(callLifecycle.transition('CA6', 'Completed')).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,185 @@
+// Unit tests for call log search, cursor pagination and call detail
+const callLogService = require('../../src/services/callLogService');
+const callLogController = require('../../src/controllers/callLogController');
+const CallLog = require('../../src/models/callLog');
+const { ErrorTypes } = require('../../src/middleware/errorHandler');
+
+describe('CallLogService', () => {
+  const PATIENT_ID = '665f1c2e8b3a4d0012345678';
+  let logs;
+
+  const makeLog = (n, overrides = {}) => ({
+    callSid: `CA${String(n).padStart(3, '0')}`,
+    status: 'Answered',
+    patientPhoneNumber: '+15550008001',
+    patientId: PATIENT_ID,
+    adherenceStatus: 'Full',
+    patientResponse: null,
+    attempt: 1,
+    timestamp: new Date(Date.UTC(2025, 2, n, 13)),
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    for (const log of await CallLog.find()) {
+      await CallLog.findByIdAndDelete(log._id);
+    }
+
+    logs = [
+      makeLog(1, { patientResponse: 'Yes, I took them all' }),
+      makeLog(2, { adherenceStatus: 'None', patientResponse: 'No, I FORGOT' }),
+      makeLog(3, { adherenceStatus: 'Unclear', patientResponse: 'what? (sorry)' }),
+      makeLog(4, { status: 'No Answer', adherenceStatus: 'Unknown', patientPhoneNumber: '+15550008002', patientId: null }),
+      makeLog(5, { adherenceStatus: 'None', patientResponse: 'forgot again' })
+    ];
+    for (const log of logs) {
+      await CallLog.create(log);
+    }
+  });
+
+  const sids = (page) => page.logs.map(log => log.callSid);
+
+  describe('search', () => {
+    test('should return the newest logs first by default', async () => {
+      const page = await callLogService.search({ limit: 10 });
+
+      expect(sids(page)).toEqual(['CA005', 'CA004', 'CA003', 'CA002', 'CA001']);
+      expect(page.total).toBe(5);
+      expect(page.nextCursor).toBeNull();
+    });
+
+    test('should combine filters', async () => {
+      expect(sids(await callLogService.search({ adherenceStatuses: ['None', 'Unclear'] })))
+        .toEqual(['CA005', 'CA003', 'CA002']);
+      expect(sids(await callLogService.search({ phoneNumber: '+15550008002' }))).toEqual(['CA004']);
+      expect(sids(await callLogService.search({ patientId: PATIENT_ID, statuses: ['No Answer'] }))).toEqual([]);
+      expect(sids(await callLogService.search({
+        from: new Date('2025-03-02T00:00:00Z'),
+        to: new Date('2025-03-04T00:00:00Z')
+      }))).toEqual(['CA003', 'CA002']);
+    });
+
+    test('should search responses as literal text, ignoring case', async () => {
+      expect(sids(await callLogService.search({ search: 'forgot' }))).toEqual(['CA005', 'CA002']);
+      expect(sids(await callLogService.search({ search: '(sorry)' }))).toEqual(['CA003']);
+      expect(sids(await callLogService.search({ search: '.*' }))).toEqual([]);
+    });
+
+    test('should page with a cursor that stays stable while new calls arrive', async () => {
+      const first = await callLogService.search({ limit: 2 });
+      expect(sids(first)).toEqual(['CA005', 'CA004']);
+
+      await CallLog.create(makeLog(6));
+      const second = await callLogService.search({ limit: 2, after: callLogService.decodeCursor(first.nextCursor, '-timestamp') });
+      expect(sids(second)).toEqual(['CA003', 'CA002']);
+
+      const third = await callLogService.search({ limit: 2, after: callLogService.decodeCursor(second.nextCursor, '-timestamp') });
+      expect(sids(third)).toEqual(['CA001']);
+      expect(third.nextCursor).toBeNull();
+    });
+
+    test('should sort by other fields with the Call SID breaking ties', async () => {
+      const first = await callLogService.search({ sort: 'adherenceStatus', limit: 3 });
+      expect(sids(first)).toEqual(['CA001', 'CA002', 'CA005']);
+
+      const second = await callLogService.search({
+        sort: 'adherenceStatus',
+        limit: 3,
+        after: callLogService.decodeCursor(first.nextCursor, 'adherenceStatus')
+      });
+      expect(sids(second)).toEqual(['CA003', 'CA004']);
+    });
+  });
+
+  describe('cursors', () => {
+    test('should only decode cursors made for the same sort', () => {
+      const cursor = callLogService.encodeCursor(logs[0], '-timestamp');
+
+      expect(callLogService.decodeCursor(cursor, '-timestamp')).toEqual({ value: logs[0].timestamp, callSid: 'CA001' });
+      expect(callLogService.decodeCursor(cursor, 'timestamp')).toBeNull();
+      expect(callLogService.decodeCursor('not-a-cursor', '-timestamp')).toBeNull();
+    });
+  });
+
+  describe('toFilter', () => {
+    test('should build a MongoDB filter with an escaped search and cursor position', () => {
+      const after = { value: new Date('2025-03-05T13:00:00Z'), callSid: 'CA005' };
+
+      expect(callLogService.toFilter({
+        adherenceStatuses: ['None'],
+        from: new Date('2025-03-01T00:00:00Z'),
+        search: 'a+b',
+        sort: '-timestamp',
+        after
+      })).toEqual({
+        $and: [
+          { adherenceStatus: { $in: ['None'] } },
+          { timestamp: { $gte: new Date('2025-03-01T00:00:00Z') } },
+          { patientResponse: { $regex: 'a\\+b', $options: 'i' } },
+          { $or: [{ timestamp: { $lt: after.value } }, { timestamp: after.value, callSid: { $lt: 'CA005' } }] }
+        ]
+      });
+      expect(callLogService.toFilter({ sort: '-timestamp' })).toEqual({});
+    });
+  });
+
+  describe('getCallLogs', () => {
+    const call = async (query) => {
+      const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+      const next = jest.fn();
+      await callLogController.getCallLogs({ query }, res, next);
+      return { body: res.json.mock.calls[0] && res.json.mock.calls[0][0], next };
+    };
+
+    test('should return a page with the next cursor', async () => {
+      const { body } = await call({ adherenceStatus: 'None,Unclear', limit: '2' });
+
+      expect(sids(body)).toEqual(['CA005', 'CA003']);
+      expect(body.pagination).toMatchObject({ total: 3, limit: 2, sort: '-timestamp' });
+
+      const { body: next } = await call({ adherenceStatus: 'None,Unclear', limit: '2', cursor: body.pagination.nextCursor });
+      expect(sids(next)).toEqual(['CA002']);
+    });
+
+    test.each([
+      ['a page size of 0', { limit: '0' }],
+      ['a page size over 100', { limit: '500' }],
+      ['an unknown adherence status', { adherenceStatus: 'Maybe' }],
+      ['a Twilio status instead of a call state', { status: 'answered' }],
+      ['an unsupported sort', { sort: 'patientResponse' }],
+      ['a phone number not in E.164', { phoneNumber: '5550008001' }],
+      ['a malformed patient ID', { patientId: 'nobody' }],
+      ['an invalid date', { from: 'yesterday' }],
+      ['a malformed cursor', { cursor: 'garbage' }],
+      ['a cursor made for another sort', { sort: 'timestamp', cursor: callLogService.encodeCursor({ callSid: 'CA001', timestamp: new Date() }, '-timestamp') }]
+    ])('should reject %s', async (label, query) => {
+      const { next } = await call(query);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ type: ErrorTypes.VALIDATION_ERROR }));
+    });
+  });
+
+  describe('getCallLog', () => {
+    const call = async (callSid) => {
+      const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+      const next = jest.fn();
+      await callLogController.getCallLog({ params: { callSid } }, res, next);
+      return { body: res.json.mock.calls[0] && res.json.mock.calls[0][0], next };
+    };
+
+    test('should return the log with its redial chain', async () => {
+      await CallLog.create(makeLog(6, { callSid: 'CA006', attempt: 2, originalCallSid: 'CA004', status: 'Answered' }));
+
+      const { body } = await call('CA006');
+
+      expect(body.log.callSid).toBe('CA006');
+      expect(body.chain.map(entry => [entry.callSid, entry.attempt])).toEqual([['CA004', 1], ['CA006', 2]]);
+    });
+
+    test('should return not found for unknown calls', async () => {
+      const { next } = await call('CA999');
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ type: ErrorTypes.NOT_FOUND_ERROR }));
+    });
+  });
+});
@@ -0,0 +1,263 @@
+// Unit tests for bulk campaigns: limits, progress, pause/cancel and CSV uploads
+jest.mock('../../src/services/callService', () => ({ placeReminderCall: jest.fn() }));
+
+const config = require('../../src/config');
+const campaignService = require('../../src/services/campaignService');
+const campaignController = require('../../src/controllers/campaignController');
+const callService = require('../../src/services/callService');
+const Campaign = require('../../src/models/campaign');
+const CampaignCall = require('../../src/models/campaignCall');
+const Patient = require('../../src/models/patient');
+const { CampaignStatuses, CampaignCallStatuses } = require('../../src/config/campaignStatuses');
+const { ErrorTypes } = require('../../src/middleware/errorHandler');
+const { parseCsv } = require('../../src/utils/csv');
+
+describe('CampaignService', () => {
+  const originalLimits = { ...config.campaigns };
+  const t0 = new Date('2025-03-01T09:00:00Z');
+  const at = (ms) => new Date(t0.getTime() + ms);
+  let sequence = 0;
+
+  const numbers = (count) => Array.from({ length: count }, () => ({
+    patientId: null,
+    phoneNumber: `+1555000${String(++sequence).padStart(4, '0')}`
+  }));
+
+  const createCampaign = (count, overrides = {}) => campaignService.createCampaign({
+    name: 'Clinic roster',
+    recipients: numbers(count),
+    concurrency: 10,
+    callsPerSecond: 1,
+    ...overrides
+  });
+
+  const callsOf = async (campaign) => (await CampaignCall.find({ campaignId: String(campaign._id) }))
+    .sort((a, b) => a.position - b.position);
+
+  const finish = (callSid, providerStatus, extra = {}) =>
+    campaignService.recordCallResult({ callSid, providerStatus, ...extra });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    Object.assign(config.campaigns, originalLimits, { maxCallsPerSecond: 100 });
+    campaignService.limiters.clear();
+    campaignService.accountLimiter = null;
+
+    // Leave earlier tests' campaigns out of the runner
+    for (const campaign of await Campaign.find({ status: CampaignStatuses.RUNNING })) {
+      await Campaign.findByIdAndUpdate(campaign._id, { $set: { status: CampaignStatuses.CANCELED } });
+    }
+
+    callService.placeReminderCall.mockImplementation(async ({ phoneNumber }) => ({
+      sid: `CA${phoneNumber.slice(1)}`,
+      status: 'queued'
+    }));
+  });
+
+  afterAll(() => {
+    Object.assign(config.campaigns, originalLimits);
+  });
+
+  test('should keep at most concurrency calls in progress', async () => {
+    const campaign = await createCampaign(4, { concurrency: 2, callsPerSecond: 10 });
+
+    expect(await campaignService.tick(at(0))).toBe(1);
+    expect(await campaignService.tick(at(1000))).toBe(1);
+    expect(await campaignService.tick(at(2000))).toBe(0);
+
+    const [first] = await callsOf(campaign);
+    await finish(first.callSid, 'completed', { callState: 'Answered' });
+
+    expect(await campaignService.tick(at(3000))).toBe(1);
+    expect(callService.placeReminderCall).toHaveBeenCalledWith(expect.objectContaining({ campaignId: campaign._id }));
+  });
+
+  test('should place calls in order at no more than the calls-per-second limit', async () => {
+    const campaign = await createCampaign(3, { callsPerSecond: 1 });
+    const [first, second] = await callsOf(campaign);
+
+    expect(await campaignService.tick(at(0))).toBe(1);
+    expect(await campaignService.tick(at(500))).toBe(0);
+    expect(await campaignService.tick(at(1000))).toBe(1);
+
+    const placed = callService.placeReminderCall.mock.calls.map(([options]) => options.phoneNumber);
+    expect(placed).toEqual([first.phoneNumber, second.phoneNumber]);
+  });
+
+  test('should share the account limit between campaigns', async () => {
+    config.campaigns.maxCallsPerSecond = 1;
+    await createCampaign(2);
+    await createCampaign(2);
+
+    expect(await campaignService.tick(at(0))).toBe(1);
+    expect(await campaignService.tick(at(1000))).toBe(1);
+  });
+
+  test('should report progress and complete when every call has finished', async () => {
+    const campaign = await createCampaign(4, { callsPerSecond: 10 });
+    callService.placeReminderCall.mockImplementationOnce(async () => {
+      throw new Error('Twilio unavailable');
+    });
+
+    for (let second = 0; second < 4; second++) {
+      await campaignService.tick(at(second * 1000));
+    }
+
+    const [failedToPlace, answered, voicemail, unanswered] = await callsOf(campaign);
+    expect(failedToPlace).toMatchObject({ status: CampaignCallStatuses.FAILED, lastError: 'Twilio unavailable' });
+    expect(await campaignService.getProgress(campaign._id)).toMatchObject({ total: 4, queued: 0, inProgress: 3, failed: 1 });
+
+    await finish(answered.callSid, 'in-progress');
+    await finish(answered.callSid, 'completed', { callState: 'Answered' });
+    await finish(voicemail.callSid, 'completed', { answeredBy: 'machine_end_beep' });
+    expect((await Campaign.findById(campaign._id)).status).toBe(CampaignStatuses.RUNNING);
+
+    await finish(unanswered.callSid, 'no-answer');
+
+    expect(await campaignService.getProgress(campaign._id)).toEqual({
+      total: 4, queued: 0, inProgress: 0, answered: 1, voicemail: 1, failed: 2, canceled: 0
+    });
+    expect(await Campaign.findById(campaign._id)).toMatchObject({ status: CampaignStatuses.COMPLETED });
+  });
+
+  test('should free the slots of calls whose final status never arrives', async () => {
+    config.campaigns.callTimeoutMs = 60000;
+    const campaign = await createCampaign(2, { concurrency: 1 });
+
+    await campaignService.tick(at(0));
+    expect(await campaignService.tick(at(30000))).toBe(0);
+    expect(await campaignService.tick(at(61000))).toBe(1);
+
+    const [timedOut] = await callsOf(campaign);
+    expect(timedOut).toMatchObject({ status: CampaignCallStatuses.FAILED, lastError: 'No final call status received' });
+  });
+
+  test('should not place calls while paused, and cancel the calls not yet placed', async () => {
+    const campaign = await createCampaign(3);
+
+    await campaignService.tick(at(0));
+    expect(await campaignService.applyAction(campaign._id, 'pause')).toMatchObject({ status: CampaignStatuses.PAUSED });
+    expect(await campaignService.tick(at(5000))).toBe(0);
+
+    expect(await campaignService.applyAction(campaign._id, 'resume')).toMatchObject({ status: CampaignStatuses.RUNNING });
+    expect(await campaignService.tick(at(6000))).toBe(1);
+
+    expect(await campaignService.applyAction(campaign._id, 'cancel')).toMatchObject({ status: CampaignStatuses.CANCELED });
+    expect(await campaignService.getProgress(campaign._id)).toMatchObject({ queued: 0, inProgress: 2, canceled: 1 });
+    expect(await campaignService.applyAction(campaign._id, 'resume')).toBeNull();
+    expect(await campaignService.tick(at(7000))).toBe(0);
+  });
+
+  test('should ignore calls that are not part of a campaign', async () => {
+    expect(await finish('CA-not-a-campaign-call', 'completed')).toBeNull();
+  });
+
+  describe('createCampaign', () => {
+    let patient;
+
+    beforeAll(async () => {
+      patient = await Patient.create({ name: 'Roster Patient', phoneNumber: '+15550009001', medications: [] });
+    });
+
+    const call = async ({ body, query = {}, csv = false }) => {
+      const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+      const next = jest.fn();
+      const req = { body, query, is: (type) => csv && type === 'text/csv', auth: { keyId: 'key-1' } };
+      await campaignController.createCampaign(req, res, next);
+      return { res, next, body: res.json.mock.calls[0] && res.json.mock.calls[0][0] };
+    };
+
+    test('should create a campaign from a CSV upload, calling each number once', async () => {
+      const csv = `patientId,phoneNumber,name\r\n${patient._id},,"Patient, Roster"\r\n,+15550009002,\r\n,+15550009001,\r\n`;
+
+      const { res, body } = await call({ body: csv, query: { name: 'March roster', concurrency: '3' }, csv: true });
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(body.duplicatesSkipped).toBe(1);
+      expect(body.campaign).toMatchObject({
+        name: 'March roster',
+        concurrency: 3,
+        callsPerSecond: 1,
+        createdBy: 'key-1',
+        progress: { total: 2, queued: 2 }
+      });
+
+      const calls = await callsOf(body.campaign);
+      expect(calls.map(entry => [entry.patientId, entry.phoneNumber])).toEqual([
+        [String(patient._id), '+15550009001'],
+        [null, '+15550009002']
+      ]);
+    });
+
+    test('should create a campaign from a list of patients', async () => {
+      const { body } = await call({ body: { name: 'Follow-up', patientIds: [String(patient._id)], callsPerSecond: 0.5 } });
+
+      expect(body.campaign).toMatchObject({ callsPerSecond: 0.5, totalCalls: 1 });
+    });
+
+    test.each([
+      ['a missing name', { body: { patientIds: ['x'] } }, 'name'],
+      ['no recipients', { body: { name: 'Empty' } }, 'At least one'],
+      ['a concurrency over the maximum', { body: { name: 'Big', phoneNumbers: ['+15550009003'], concurrency: 500 } }, 'concurrency'],
+      ['a rate over the account limit', { body: { name: 'Fast', phoneNumbers: ['+15550009003'], callsPerSecond: 1000 } }, 'callsPerSecond'],
+      ['unknown patients and invalid numbers', { body: { name: 'Bad', patientIds: ['nobody'], phoneNumbers: ['555'] } },
+        'patientIds[0]: patient not found: nobody; phoneNumbers[0]: phone number must be in E.164 format: 555'],
+      ['a CSV without a recipient column', { body: 'name\nJane\n', query: { name: 'CSV' }, csv: true }, 'patientId or phoneNumber column'],
+      ['a malformed CSV', { body: 'phoneNumber\n"+15550009003\n', query: { name: 'CSV' }, csv: true }, 'Invalid CSV']
+    ])('should reject %s', async (label, request, message) => {
+      const { next } = await call(request);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({
+        type: ErrorTypes.VALIDATION_ERROR,
+        message: expect.stringContaining(message)
+      }));
+    });
+  });
+
+  describe('campaign actions', () => {
+    const act = async (action, id) => {
+      const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+      const next = jest.fn();
+      await campaignController[action]({ params: { id: String(id) } }, res, next);
+      return { next, body: res.json.mock.calls[0] && res.json.mock.calls[0][0] };
+    };
+
+    test('should return the campaign with its progress', async () => {
+      const campaign = await createCampaign(2);
+
+      const { body } = await act('pauseCampaign', campaign._id);
+
+      expect(body.campaign).toMatchObject({ status: CampaignStatuses.PAUSED, progress: { total: 2, queued: 2 } });
+    });
+
+    test('should reject actions the campaign status does not allow', async () => {
+      const campaign = await createCampaign(1);
+      await campaignService.applyAction(campaign._id, 'cancel');
+
+      const { next } = await act('pauseCampaign', campaign._id);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({
+        type: ErrorTypes.VALIDATION_ERROR,
+        message: 'Cannot pause a campaign that is Canceled'
+      }));
+    });
+
+    test('should return not found for unknown campaigns', async () => {
+      const { next } = await act('getCampaign', '665f1c2e8b3a4d0012345678');
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ type: ErrorTypes.NOT_FOUND_ERROR }));
+    });
+  });
+
+  describe('parseCsv', () => {
+    test('should handle quoted fields, blank lines and a byte order mark', () => {
+      expect(parseCsv('\uFEFFphoneNumber, name\n+15550009004,"Doe, ""JD"" Jane"\n\n+15550009005,Sam')).toEqual({
+        columns: ['phoneNumber', 'name'],
+        records: [
+          { phoneNumber: '+15550009004', name: 'Doe, "JD" Jane' },
+          { phoneNumber: '+15550009005', name: 'Sam' }
+        ]
+      });
+    });
+  });
+});
@@ -0,0 +1,328 @@
+// Unit tests for consent and quiet-hours checks on outbound calls, SMS, scheduled calls and redials
+const config = require('../../src/config');
+const complianceService = require('../../src/services/complianceService');
+const telephonyService = require('../../src/services/telephonyService');
+const callController = require('../../src/controllers/callController');
+const outboundJobs = require('../../src/services/outboundJobs');
+const redialService = require('../../src/services/redialService');
+const schedulerService = require('../../src/services/schedulerService');
+const Job = require('../../src/models/job');
+const Patient = require('../../src/models/patient');
+const Redial = require('../../src/models/redial');
+const Schedule = require('../../src/models/schedule');
+const logger = require('../../src/utils/logger');
+const { JobStatuses } = require('../../src/config/jobStatuses');
+
+const { BlockReasons } = complianceService;
+
+describe('complianceService', () => {
+  const originalSettings = { ...config.compliance };
+  // 06:00 in New York (EDT), 10:00 UTC
+  const earlyMorning = new Date('2025-06-02T10:00:00Z');
+  let provider;
+  let number = 0;
+
+  const createPatient = (overrides = {}) => Patient.create({
+    name: 'Compliance Patient',
+    phoneNumber: `+1555000800${++number}`,
+    timezone: 'America/New_York',
+    ...overrides
+  });
+
+  const optedOut = (source = 'sms-keyword') => ({
+    voice: { granted: false, source, updatedAt: new Date() },
+    sms: { granted: false, source, updatedAt: new Date() },
+    recording: null
+  });
+
+  const buildResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  beforeEach(() => {
+    Object.assign(config.compliance, { quietHoursStart: null, quietHoursEnd: null });
+    provider = {
+      placeCall: jest.fn().mockResolvedValue({ sid: 'CA-compliance', status: 'queued' }),
+      sendSms: jest.fn().mockResolvedValue({ sid: 'SM-compliance', status: 'queued' })
+    };
+    jest.spyOn(telephonyService, 'getProvider').mockReturnValue(provider);
+    jest.spyOn(logger, 'warn');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    Object.assign(config.compliance, originalSettings);
+  });
+
+  describe('consent', () => {
+    test('should allow calls and SMS but not recording without a record', () => {
+      expect(complianceService.hasConsent({}, 'voice')).toBe(true);
+      expect(complianceService.hasConsent({ consent: null }, 'sms')).toBe(true);
+      expect(complianceService.hasConsent({}, 'recording')).toBe(false);
+      expect(complianceService.hasConsent({ consent: optedOut() }, 'sms')).toBe(false);
+      expect(complianceService.hasConsent({ consent: { recording: { granted: true } } }, 'recording')).toBe(true);
+    });
+
+    test('should only replace the records of channels whose consent changes', () => {
+      const now = new Date('2025-06-02T12:00:00Z');
+      const current = optedOut('api');
+
+      const consent = complianceService.buildConsent(current, { sms: false, voice: true, recording: true }, 'sms-keyword', now);
+
+      expect(consent).toEqual({
+        voice: { granted: true, source: 'sms-keyword', updatedAt: now },
+        sms: current.sms,
+        recording: { granted: true, source: 'sms-keyword', updatedAt: now }
+      });
+    });
+  });
+
+  describe('quiet hours', () => {
+    test('should not apply unless both ends are set', () => {
+      config.compliance.quietHoursStart = '21:00';
+
+      expect(complianceService.isQuietHours('America/New_York', earlyMorning)).toBe(false);
+    });
+
+    test('should apply in the patient\'s timezone across midnight', () => {
+      Object.assign(config.compliance, { quietHoursStart: '21:00', quietHoursEnd: '08:00' });
+
+      expect(complianceService.isQuietHours('America/New_York', earlyMorning)).toBe(true);
+      expect(complianceService.isQuietHours('UTC', earlyMorning)).toBe(false);
+      expect(complianceService.isQuietHours('America/New_York', new Date('2025-06-02T12:00:00Z'))).toBe(false);
+      expect(complianceService.isQuietHours('America/New_York', new Date('2025-06-03T01:00:00Z'))).toBe(true);
+    });
+
+    test('should end at the end time', () => {
+      Object.assign(config.compliance, { quietHoursStart: '21:00', quietHoursEnd: '06:00' });
+
+      expect(complianceService.isQuietHours('America/New_York', earlyMorning)).toBe(false);
+      expect(complianceService.isQuietHours('America/New_York', new Date('2025-06-02T09:59:00Z'))).toBe(true);
+    });
+
+    test('should support quiet hours within one day', () => {
+      Object.assign(config.compliance, { quietHoursStart: '12:00', quietHoursEnd: '14:00' });
+
+      expect(complianceService.isQuietHours('UTC', new Date('2025-06-02T13:30:00Z'))).toBe(true);
+      expect(complianceService.isQuietHours('UTC', new Date('2025-06-02T14:00:00Z'))).toBe(false);
+    });
+
+    test('should tell when the current quiet hours end', () => {
+      Object.assign(config.compliance, { quietHoursStart: '21:00', quietHoursEnd: '08:00' });
+
+      expect(complianceService.getQuietHoursEnd('America/New_York', new Date('2025-06-02T10:00:30Z')))
+        .toEqual(new Date('2025-06-02T12:00:00Z'));
+      expect(complianceService.getQuietHoursEnd('America/New_York', new Date('2025-06-03T01:00:00Z')))
+        .toEqual(new Date('2025-06-03T12:00:00Z'));
+      expect(complianceService.getQuietHoursEnd('UTC', earlyMorning)).toBe(earlyMorning);
+    });
+
+    test('should reject quiet hours that are not HH:MM times', () => {
+      Object.assign(config.compliance, { quietHoursStart: '9pm', quietHoursEnd: '08:00' });
+
+      expect(() => complianceService.isQuietHours('UTC')).toThrow('QUIET_HOURS_START must be an HH:MM time, got 9pm');
+    });
+  });
+
+  describe('checkContact', () => {
+    test('should block and log contact without consent', async () => {
+      const patient = await createPatient({ consent: optedOut() });
+
+      const result = await complianceService.checkContact({
+        channel: 'voice',
+        phoneNumber: patient.phoneNumber,
+        patientId: String(patient._id),
+        requestId: 'req-stop'
+      });
+
+      expect(result).toEqual({ allowed: false, reason: BlockReasons.NO_CONSENT });
+      expect(logger.warn).toHaveBeenCalledWith(expect.objectContaining({
+        event: 'contact_blocked',
+        channel: 'voice',
+        reason: BlockReasons.NO_CONSENT,
+        patientId: String(patient._id),
+        consentSource: 'sms-keyword',
+        requestId: 'req-stop'
+      }));
+    });
+
+    test('should block and log contact during quiet hours', async () => {
+      Object.assign(config.compliance, { quietHoursStart: '21:00', quietHoursEnd: '08:00' });
+      const patient = await createPatient();
+
+      const result = await complianceService.checkContact({ channel: 'sms', phoneNumber: patient.phoneNumber, now: earlyMorning });
+
+      expect(result).toEqual({ allowed: false, reason: BlockReasons.QUIET_HOURS });
+      expect(logger.warn).toHaveBeenCalledWith(expect.objectContaining({
+        event: 'contact_blocked',
+        channel: 'sms',
+        reason: BlockReasons.QUIET_HOURS,
+        timezone: 'America/New_York'
+      }));
+    });
+
+    test('should not check numbers that are not a patient\'s', async () => {
+      Object.assign(config.compliance, { quietHoursStart: '00:00', quietHoursEnd: '23:59' });
+
+      const result = await complianceService.checkContact({ channel: 'sms', phoneNumber: '+15550008999' });
+
+      expect(result).toEqual({ allowed: true, reason: null });
+      expect(logger.warn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('telephonyService', () => {
+    test('should not place calls or send SMS to a patient who opted out', async () => {
+      const patient = await createPatient({ consent: optedOut() });
+
+      await expect(telephonyService.makeCall(patient.phoneNumber, { patientId: String(patient._id) }))
+        .rejects.toMatchObject({ message: 'Call blocked: no_consent', reason: BlockReasons.NO_CONSENT });
+      await expect(telephonyService.sendSms(patient.phoneNumber, 'Reminder'))
+        .rejects.toMatchObject({ message: 'SMS blocked: no_consent', reason: BlockReasons.NO_CONSENT });
+
+      expect(provider.placeCall).not.toHaveBeenCalled();
+      expect(provider.sendSms).not.toHaveBeenCalled();
+    });
+
+    test('should only block the channel that was withdrawn', async () => {
+      const patient = await createPatient({ consent: { ...optedOut('api'), voice: null } });
+
+      await telephonyService.makeCall(patient.phoneNumber, { patientId: String(patient._id) });
+      await expect(telephonyService.sendSms(patient.phoneNumber, 'Reminder')).rejects.toThrow('SMS blocked');
+
+      expect(provider.placeCall).toHaveBeenCalledTimes(1);
+    });
+
+    test('should end a blocked SMS job as Blocked rather than dead', async () => {
+      const patient = await createPatient({ consent: optedOut() });
+
+      const job = await outboundJobs.dispatchSms({ phoneNumber: patient.phoneNumber, body: 'Reminder' });
+
+      expect(job).toMatchObject({ status: JobStatuses.BLOCKED, result: { reason: BlockReasons.NO_CONSENT }, lastError: null });
+      expect(await Job.find({ status: JobStatuses.DEAD, 'payload.phoneNumber': patient.phoneNumber })).toHaveLength(0);
+    });
+
+    test('should tell blocked errors from delivery failures', () => {
+      expect(complianceService.isBlockedError(Object.assign(new Error('Call blocked'), { reason: BlockReasons.QUIET_HOURS }))).toBe(true);
+      expect(complianceService.isBlockedError(Object.assign(new Error('Invalid To number'), { status: 400 }))).toBe(false);
+      expect(complianceService.isBlockedError(null)).toBe(false);
+    });
+  });
+
+  describe('scheduled calls', () => {
+    test('should skip a blocked call without recording an error on the schedule', async () => {
+      const patient = await createPatient({ consent: optedOut() });
+      const dueAt = new Date(Date.now() - 1000);
+      const schedule = await Schedule.create({ patientId: patient._id, times: ['08:00'], timezone: 'UTC', nextRunAt: dueAt });
+
+      expect(await schedulerService.runSchedule(schedule, new Date())).toBe(false);
+
+      expect(provider.placeCall).not.toHaveBeenCalled();
+      expect((await Schedule.findById(schedule._id)).lastError).toBeNull();
+    });
+  });
+
+  describe('redials', () => {
+    const queueRedial = (patient, originalCallSid) => Redial.create({
+      patientId: patient._id,
+      phoneNumber: patient.phoneNumber,
+      originalCallSid,
+      previousCallSid: originalCallSid,
+      attempt: 2,
+      dueAt: earlyMorning
+    });
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: earlyMorning, doNotFake: ['nextTick', 'setImmediate'] });
+      Object.assign(config.compliance, { quietHoursStart: '21:00', quietHoursEnd: '08:00' });
+    });
+
+    test('should put a redial due in quiet hours back until they end', async () => {
+      const patient = await createPatient();
+      const redial = await queueRedial(patient, 'CA-quiet');
+
+      expect(await redialService.placeRedial(redial)).toBe(false);
+
+      const deferred = await Redial.findById(redial._id);
+      expect(deferred).toMatchObject({ status: 'Pending', attempt: 2, lastError: 'Call blocked: quiet_hours' });
+      expect(new Date(deferred.dueAt).toISOString()).toBe('2025-06-02T12:00:00.000Z');
+      expect(await Redial.findOne({ originalCallSid: 'CA-quiet', attempt: 3 })).toBeNull();
+      expect(provider.placeCall).not.toHaveBeenCalled();
+      expect(provider.sendSms).not.toHaveBeenCalled();
+
+      jest.setSystemTime(new Date('2025-06-02T12:00:00Z'));
+
+      expect(await redialService.placeRedial(deferred)).toBe(true);
+      expect(provider.placeCall).toHaveBeenCalledTimes(1);
+      expect(await Redial.findById(redial._id)).toMatchObject({ status: 'Placed', lastError: null });
+    });
+
+    test('should end the chain when the patient opted out', async () => {
+      const patient = await createPatient({ consent: optedOut() });
+      const redial = await queueRedial(patient, 'CA-opted-out');
+
+      expect(await redialService.placeRedial(redial)).toBe(false);
+
+      expect(await Redial.findById(redial._id)).toMatchObject({ status: 'Blocked', lastError: 'Call blocked: no_consent' });
+      expect(await Redial.findOne({ originalCallSid: 'CA-opted-out', attempt: 3 })).toBeNull();
+      expect(provider.sendSms).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('initiateCall', () => {
+    test('should refuse a call the patient opted out of at the provider boundary', async () => {
+      const patient = await createPatient({ consent: optedOut() });
+      jest.spyOn(outboundJobs, 'dispatchCall');
+      const res = buildResponse();
+
+      await callController.initiateCall({ body: { patientId: String(patient._id) } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ details: 'Call blocked: no_consent' }));
+      expect(outboundJobs.dispatchCall).toHaveBeenCalledTimes(1);
+      expect(provider.placeCall).not.toHaveBeenCalled();
+    });
+
+    test('should respond 409 when the call is refused outside the job', async () => {
+      const error = Object.assign(new Error('Call blocked: quiet_hours'), { reason: BlockReasons.QUIET_HOURS });
+      jest.spyOn(outboundJobs, 'dispatchCall').mockRejectedValue(error);
+      const res = buildResponse();
+
+      await callController.initiateCall({ body: { phoneNumber: '+15550008998' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ details: 'Call blocked: quiet_hours' }));
+    });
+  });
+
+  describe('quiet hours settings', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    test.each([
+      ['QUIET_HOURS_START', '9pm', 'QUIET_HOURS_START must be an HH:MM time, got 9pm'],
+      ['QUIET_HOURS_END', '25:00', 'QUIET_HOURS_END must be an HH:MM time, got 25:00']
+    ])('should refuse to start with an invalid %s', (name, value, message) => {
+      Object.assign(process.env, { QUIET_HOURS_START: '21:00', QUIET_HOURS_END: '08:00', [name]: value });
+
+      jest.isolateModules(() => {
+        expect(() => require('../../src/services/complianceService')).toThrow(message);
+      });
+    });
+
+    test('should start with valid quiet hours', () => {
+      Object.assign(process.env, { QUIET_HOURS_START: '21:00', QUIET_HOURS_END: '08:00' });
+
+      jest.isolateModules(() => {
+        expect(() => require('../../src/services/complianceService')).not.toThrow();
+      });
+    });
+  });
+});
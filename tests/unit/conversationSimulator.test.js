@@ -0,0 +1,109 @@
+// End-to-end call-flow tests played from the scripts in tests/fixtures/conversations
+const fs = require('fs');
+const path = require('path');
+const config = require('../../src/config');
+const { MAX_RETRIES } = require('../../src/services/checkInDialog');
+const { ConversationSimulator, loadScript, parseTwiml } = require('../helpers/conversationSimulator');
+
+const SCRIPTS_DIR = path.join(__dirname, '../fixtures/conversations');
+
+describe('conversation simulator', () => {
+  const originalAuthToken = config.twilio.authToken;
+  let simulator;
+
+  beforeAll(() => {
+    // Webhooks are signed and validated as in production
+    config.twilio.authToken = originalAuthToken || 'test-auth-token';
+    simulator = new ConversationSimulator();
+  });
+
+  afterAll(() => {
+    config.twilio.authToken = originalAuthToken;
+  });
+
+  afterEach(() => {
+    simulator.reset();
+  });
+
+  const scripts = fs.readdirSync(SCRIPTS_DIR).filter(file => file.endsWith('.json')).sort();
+
+  test.each(scripts)('should play %s as scripted', async (file) => {
+    const result = await simulator.run(loadScript(path.join(SCRIPTS_DIR, file)));
+
+    expect(result.failures).toEqual([]);
+  });
+
+  test('should follow gathers and redirects through a per-medication check-in', async () => {
+    const result = await simulator.run(loadScript(path.join(SCRIPTS_DIR, 'all-medications-taken.json')));
+
+    expect(result.transcript.filter(entry => entry.from === 'caller')).toEqual([
+      { from: 'caller', say: 'Yes, I took my lisinopril this morning' },
+      { from: 'caller', silence: true },
+      { from: 'caller', say: 'Yes I did' }
+    ]);
+    expect(result.callLog.medicationResults.map(answer => [answer.name, answer.result])).toEqual([
+      ['Lisinopril', 'Taken'],
+      ['Metformin', 'Taken']
+    ]);
+    // The late in-progress callback does not move the answered call backwards
+    expect(result.callLog.statusHistory.map(transition => transition.to)).toEqual(['Initiated', 'Ringing', 'In-Progress', 'Answered']);
+  });
+
+  test('should re-ask and then give up on a silent patient', async () => {
+    const result = await simulator.run({
+      patient: { name: 'Silent Simulated', phoneNumber: '+15550007101', medications: [{ name: 'Warfarin' }] },
+      expect: { prompts: ['warfarin', "haven't received a clear response"] }
+    });
+
+    expect(result.failures).toEqual([]);
+    expect(result.transcript.filter(entry => entry.silence)).toHaveLength(MAX_RETRIES);
+  });
+
+  test('should text the patient when the call is not answered on the last attempt', async () => {
+    const result = await simulator.run({
+      patient: {
+        name: 'Busy Simulated',
+        phoneNumber: '+15550007102',
+        redialPolicy: { maxRedials: 0 }
+      },
+      outcome: 'busy',
+      expect: {
+        callLog: { status: 'SMS Sent' },
+        sms: ['couldn\'t reach you']
+      }
+    });
+
+    expect(result.failures).toEqual([]);
+  });
+
+  test('should report expectations that are not met', async () => {
+    const result = await simulator.run({
+      patient: { name: 'Wrong Simulated', phoneNumber: '+15550007103', medications: [{ name: 'Aspirin' }] },
+      caller: [{ say: 'No' }],
+      expect: { adherenceStatus: 'Full', prompts: ['goodbye'], sms: ['reminder'] }
+    });
+
+    expect(result.passed).toBe(false);
+    expect(result.failures).toEqual([
+      'Expected call log adherenceStatus to be "Full", got "None"',
+      'Expected the app to say "goodbye"',
+      'Expected 1 SMS, got 0',
+      'Expected an SMS containing "reminder"'
+    ]);
+  });
+
+  describe('parseTwiml', () => {
+    test('should read verbs, nested prompts and escaped URLs', () => {
+      const verbs = parseTwiml('<?xml version="1.0" encoding="UTF-8"?><Response><Gather input="speech" action="https://example.com/gather?a=1&amp;b=2"><Say voice="alice">Hello &amp; welcome</Say></Gather><Redirect>https://example.com/voice?retryCount=1</Redirect><Hangup/></Response>');
+
+      expect(verbs.map(verb => verb.name)).toEqual(['Gather', 'Redirect', 'Hangup']);
+      expect(verbs[0].attributes.action).toBe('https://example.com/gather?a=1&b=2');
+      expect(verbs[0].children[0].text).toBe('Hello & welcome');
+      expect(verbs[1].text).toBe('https://example.com/voice?retryCount=1');
+    });
+
+    test('should reject answers that are not TwiML', () => {
+      expect(() => parseTwiml('Error processing response')).toThrow('Webhook did not answer with TwiML');
+    });
+  });
+});
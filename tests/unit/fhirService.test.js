@@ -0,0 +1,153 @@
+// Unit tests for the FHIR export, validated against the FHIR R4 structure definitions
+jest.mock('../../src/models/callLog', () => ({ find: jest.fn() }));
+
+const { Fhir } = require('fhir');
+const fhirService = require('../../src/services/fhirService');
+const fhirController = require('../../src/controllers/fhirController');
+const CallLog = require('../../src/models/callLog');
+const Patient = require('../../src/models/patient');
+const { ErrorTypes } = require('../../src/middleware/errorHandler');
+
+describe('FhirService', () => {
+  const fhir = new Fhir();
+  const range = { from: new Date('2025-03-01T00:00:00Z'), to: new Date('2025-04-01T00:00:00Z') };
+  let patient;
+  let logs;
+
+  const expectValid = (resource) => {
+    const result = fhir.validate(resource, { errorOnUnexpected: true });
+    expect(result.messages.filter(message => message.severity === 'error')).toEqual([]);
+    expect(result.valid).toBe(true);
+  };
+
+  beforeAll(async () => {
+    patient = await Patient.create({
+      name: 'Export Patient',
+      phoneNumber: '+15550007001',
+      language: 'es',
+      medications: [{ name: 'Aspirin', dose: '81 mg' }, { name: 'Metformin' }]
+    });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    logs = [
+      {
+        callSid: 'CA00000000000000000000000000000001',
+        patientId: String(patient._id),
+        timestamp: new Date('2025-03-03T13:00:00Z'),
+        adherenceStatus: 'Partial',
+        medicationResults: [
+          { name: 'Aspirin', dose: '81 mg', response: 'Sí', result: 'Taken', timestamp: new Date('2025-03-03T13:00:20Z') },
+          { name: 'Metformin', dose: null, response: 'No', result: 'Missed', timestamp: new Date('2025-03-03T13:00:40Z') }
+        ]
+      },
+      {
+        callSid: 'CA00000000000000000000000000000002',
+        patientId: String(patient._id),
+        timestamp: new Date('2025-03-04T13:00:00Z'),
+        adherenceStatus: 'Full',
+        patientResponse: 'Yes, all of them',
+        medicationResults: []
+      },
+      // Not answered, outside the range, or without a registered patient: not exported
+      { callSid: 'CA-unanswered', patientId: String(patient._id), timestamp: new Date('2025-03-05T13:00:00Z'), adherenceStatus: 'Unknown' },
+      { callSid: 'CA-old', patientId: String(patient._id), timestamp: new Date('2025-02-01T13:00:00Z'), adherenceStatus: 'None' },
+      { callSid: 'CA-adhoc', patientId: null, timestamp: new Date('2025-03-06T13:00:00Z'), adherenceStatus: 'None' }
+    ];
+    CallLog.find.mockImplementation(async () => logs);
+  });
+
+  test('should produce valid R4 resources linked to the patient', async () => {
+    const resources = await fhirService.exportResources(range);
+
+    expect(resources.map(resource => resource.resourceType)).toEqual([
+      'Patient', 'Observation', 'MedicationStatement', 'MedicationStatement', 'Observation'
+    ]);
+    resources.forEach(expectValid);
+
+    const [patientResource, observation, aspirin, metformin] = resources;
+    expect(patientResource).toMatchObject({
+      id: String(patient._id),
+      telecom: [{ system: 'phone', value: '+15550007001' }],
+      communication: [{ language: { coding: [{ code: 'es' }] } }]
+    });
+    expect(observation).toMatchObject({
+      id: 'adherence-CA00000000000000000000000000000001',
+      subject: { reference: `Patient/${patient._id}` },
+      effectiveDateTime: '2025-03-03T13:00:00.000Z',
+      valueCodeableConcept: { coding: [{ code: 'partial' }] }
+    });
+    expect(aspirin).toMatchObject({
+      status: 'active',
+      medicationCodeableConcept: { text: 'Aspirin' },
+      partOf: [{ reference: `Observation/${observation.id}` }],
+      dosage: [{ text: '81 mg' }]
+    });
+    expect(metformin).toMatchObject({ status: 'not-taken', note: [{ text: 'No' }] });
+    expect(metformin.dosage).toBeUndefined();
+  });
+
+  test('should produce a valid collection Bundle', async () => {
+    const bundle = fhirService.toBundle(await fhirService.exportResources(range));
+
+    expectValid(bundle);
+    expect(bundle.type).toBe('collection');
+    expect(bundle.entry[0].fullUrl).toBe(`http://localhost:3000/fhir/Patient/${patient._id}`);
+  });
+
+  test('should write one valid resource per NDJSON line', async () => {
+    const ndjson = fhirService.toNdjson(await fhirService.exportResources(range));
+    const lines = ndjson.trim().split('\n');
+
+    expect(ndjson.endsWith('\n')).toBe(true);
+    expect(lines).toHaveLength(5);
+    lines.map(line => JSON.parse(line)).forEach(expectValid);
+  });
+
+  test('should leave out check-ins of patients that were removed', async () => {
+    logs = [{ ...logs[0], patientId: '665f1c2e8b3a4d0012345678' }];
+
+    expect(await fhirService.exportResources(range)).toEqual([]);
+  });
+
+  test('the validator should catch resources that break the R4 structure', () => {
+    const result = fhir.validate(
+      { resourceType: 'MedicationStatement', status: 'taken', subject: { reference: 'Patient/1' } },
+      { errorOnUnexpected: true }
+    );
+
+    expect(result.valid).toBe(false);
+  });
+
+  describe('exportAdherence', () => {
+    const call = async (query) => {
+      const res = { type: jest.fn(), status: jest.fn(() => res), send: jest.fn(() => res) };
+      const next = jest.fn();
+      await fhirController.exportAdherence({ query: { from: '2025-03-01', to: '2025-03-31', ...query } }, res, next);
+      return { res, next };
+    };
+
+    test('should send a Bundle by default', async () => {
+      const { res } = await call({ patientId: String(patient._id) });
+
+      expect(CallLog.find).toHaveBeenCalledWith({ patientId: String(patient._id) });
+      expect(res.type).toHaveBeenCalledWith('application/fhir+json');
+      expect(JSON.parse(res.send.mock.calls[0][0])).toMatchObject({ resourceType: 'Bundle' });
+    });
+
+    test('should send NDJSON of a single resource type', async () => {
+      const { res } = await call({ format: 'ndjson', type: 'MedicationStatement' });
+
+      expect(res.type).toHaveBeenCalledWith('application/fhir+ndjson');
+      const types = res.send.mock.calls[0][0].trim().split('\n').map(line => JSON.parse(line).resourceType);
+      expect(types).toEqual(['MedicationStatement', 'MedicationStatement']);
+    });
+
+    test('should reject unknown formats, types and patients', async () => {
+      expect((await call({ format: 'xml' })).next).toHaveBeenCalledWith(expect.objectContaining({ type: ErrorTypes.VALIDATION_ERROR }));
+      expect((await call({ type: 'Encounter' })).next).toHaveBeenCalledWith(expect.objectContaining({ type: ErrorTypes.VALIDATION_ERROR }));
+      expect((await call({ patientId: 'nobody' })).next).toHaveBeenCalledWith(expect.objectContaining({ type: ErrorTypes.NOT_FOUND_ERROR }));
+    });
+  });
+});
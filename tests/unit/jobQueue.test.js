@@ -0,0 +1,291 @@
+// Unit tests for the outbound job queue: retries, dead letters, blocked jobs, requeueing and shutdown
+jest.mock('../../src/services/callService', () => ({ placeReminderCall: jest.fn() }));
+jest.mock('../../src/services/telephonyService', () => ({ sendSms: jest.fn() }));
+
+const config = require('../../src/config');
+const jobQueue = require('../../src/services/jobQueue');
+const outboundJobs = require('../../src/services/outboundJobs');
+const callController = require('../../src/controllers/callController');
+const jobController = require('../../src/controllers/jobController');
+const callService = require('../../src/services/callService');
+const telephonyService = require('../../src/services/telephonyService');
+const Job = require('../../src/models/job');
+const Patient = require('../../src/models/patient');
+const Schedule = require('../../src/models/schedule');
+const { JobStatuses } = require('../../src/config/jobStatuses');
+const { ErrorTypes } = require('../../src/middleware/errorHandler');
+
+const { isTransientError } = jobQueue;
+
+describe('JobQueue', () => {
+  const originalSettings = { ...config.jobs };
+
+  const twilioError = (status, message = `Twilio error ${status}`) => Object.assign(new Error(message), { status });
+
+  const after = (ms) => new Date(Date.now() + ms);
+
+  const blockedError = (reason) => Object.assign(new Error(`Call blocked: ${reason}`), { reason });
+
+  const buildResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    Object.assign(config.jobs, originalSettings, { maxAttempts: 3, backoffMs: 1000, backoffMultiplier: 2, maxBackoffMs: 3000 });
+    callService.placeReminderCall.mockResolvedValue({ sid: 'CA-job', status: 'queued' });
+    telephonyService.sendSms.mockResolvedValue({ sid: 'SM-job' });
+
+    // Leave earlier tests' jobs out of the poll
+    for (const status of [JobStatuses.PENDING, JobStatuses.RUNNING]) {
+      for (const job of await Job.find({ status })) {
+        await Job.findByIdAndUpdate(job._id, { $set: { status: JobStatuses.SUCCEEDED } });
+      }
+    }
+  });
+
+  afterAll(() => {
+    Object.assign(config.jobs, originalSettings);
+  });
+
+  describe('isTransientError', () => {
+    test('should retry network errors, rate limiting and server errors', () => {
+      expect(isTransientError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(true);
+      expect(isTransientError(twilioError(429))).toBe(true);
+      expect(isTransientError(twilioError(503))).toBe(true);
+    });
+
+    test('should not retry request errors', () => {
+      expect(isTransientError(twilioError(400))).toBe(false);
+      expect(isTransientError(new Error('Patient not found'))).toBe(false);
+    });
+  });
+
+  test('should grow the backoff up to the maximum', () => {
+    expect(jobQueue.getBackoffMs(1)).toBe(1000);
+    expect(jobQueue.getBackoffMs(2)).toBe(2000);
+    expect(jobQueue.getBackoffMs(3)).toBe(3000);
+    expect(jobQueue.getBackoffMs(10)).toBe(3000);
+  });
+
+  test('should store the result of a call placed on the first attempt', async () => {
+    const job = await outboundJobs.dispatchCall({ phoneNumber: '+15550005001', requestId: 'req-1' });
+
+    expect(job.status).toBe(JobStatuses.SUCCEEDED);
+    expect(job.attempts).toBe(1);
+    expect(job.result).toEqual({ callSid: 'CA-job', status: 'queued' });
+    expect(callService.placeReminderCall).toHaveBeenCalledWith(expect.objectContaining({
+      phoneNumber: '+15550005001',
+      requestId: 'req-1'
+    }));
+  });
+
+  test('should retry a transient error after the backoff', async () => {
+    callService.placeReminderCall.mockRejectedValueOnce(twilioError(503));
+
+    const job = await outboundJobs.dispatchCall({ phoneNumber: '+15550005002' });
+    expect(job.status).toBe(JobStatuses.PENDING);
+    expect(job.lastError).toBe('Twilio error 503');
+
+    // Not due before the backoff has passed
+    expect(await jobQueue.tick(after(500))).toBe(0);
+    expect(await jobQueue.tick(after(1500))).toBe(1);
+
+    const retried = await Job.findById(job._id);
+    expect(retried.status).toBe(JobStatuses.SUCCEEDED);
+    expect(retried.attempts).toBe(2);
+    expect(callService.placeReminderCall).toHaveBeenCalledTimes(2);
+  });
+
+  test('should send a job to the dead-letter list on a permanent error', async () => {
+    const patient = await Patient.create({ name: 'Dead letter', phoneNumber: '+15550005003' });
+    const schedule = await Schedule.create({ patientId: patient._id, times: ['08:00'], timezone: 'UTC' });
+    callService.placeReminderCall.mockRejectedValueOnce(twilioError(400, 'Invalid To number'));
+
+    const job = await outboundJobs.dispatchCall({ phoneNumber: patient.phoneNumber, patient, scheduleId: schedule._id });
+
+    expect(job.status).toBe(JobStatuses.DEAD);
+    expect(job.attempts).toBe(1);
+    expect((await Schedule.findById(schedule._id)).lastError).toBe('Invalid To number');
+  });
+
+  test('should end a blocked job without retrying or dead-lettering it', async () => {
+    const patient = await Patient.create({ name: 'Blocked', phoneNumber: '+15550005013' });
+    const schedule = await Schedule.create({ patientId: patient._id, times: ['08:00'], timezone: 'UTC' });
+    callService.placeReminderCall.mockRejectedValueOnce(blockedError('quiet_hours'));
+
+    const job = await outboundJobs.dispatchCall({ phoneNumber: patient.phoneNumber, patient, scheduleId: schedule._id });
+
+    expect(job).toMatchObject({ status: JobStatuses.BLOCKED, attempts: 1, result: { reason: 'quiet_hours' }, lastError: null });
+    expect((await Schedule.findById(schedule._id)).lastError).toBeNull();
+    expect(await jobQueue.tick(after(5000))).toBe(0);
+    expect(callService.placeReminderCall).toHaveBeenCalledTimes(1);
+  });
+
+  test('should give up once the attempts run out', async () => {
+    callService.placeReminderCall.mockRejectedValue(twilioError(500));
+
+    const job = await outboundJobs.dispatchCall({ phoneNumber: '+15550005004' });
+    await jobQueue.tick(after(1500));
+    await jobQueue.tick(after(5000));
+
+    const dead = await Job.findById(job._id);
+    expect(dead.status).toBe(JobStatuses.DEAD);
+    expect(dead.attempts).toBe(3);
+    expect(callService.placeReminderCall).toHaveBeenCalledTimes(3);
+  });
+
+  test('should requeue a dead job with a fresh set of attempts', async () => {
+    telephonyService.sendSms.mockRejectedValueOnce(twilioError(400));
+    const job = await outboundJobs.dispatchSms({ phoneNumber: '+15550005005', body: 'Reminder' });
+    expect(job.status).toBe(JobStatuses.DEAD);
+
+    const requeued = await jobQueue.requeue(job._id);
+    expect(requeued.status).toBe(JobStatuses.PENDING);
+    expect(requeued.attempts).toBe(0);
+
+    expect(await jobQueue.tick(after(10))).toBe(1);
+    expect((await Job.findById(job._id)).status).toBe(JobStatuses.SUCCEEDED);
+    expect(telephonyService.sendSms).toHaveBeenLastCalledWith('+15550005005', 'Reminder', expect.any(Object));
+  });
+
+  test('should only requeue dead jobs', async () => {
+    const job = await outboundJobs.dispatchSms({ phoneNumber: '+15550005006', body: 'Reminder' });
+    expect(await jobQueue.requeue(job._id)).toBeNull();
+  });
+
+  test('should count attempts from the stored job, not the copy it is given', async () => {
+    callService.placeReminderCall.mockRejectedValueOnce(twilioError(503));
+    const stale = await outboundJobs.dispatchCall({ phoneNumber: '+15550005009' });
+    await Job.findByIdAndUpdate(stale._id, { $set: { attempts: 2, runAt: new Date() } });
+
+    const job = await jobQueue.runJob({ ...stale, attempts: 0 });
+
+    expect(job.status).toBe(JobStatuses.SUCCEEDED);
+    expect(job.attempts).toBe(3);
+  });
+
+  test('should run jobs again when their worker stopped mid-attempt', async () => {
+    const job = await Job.create({
+      type: 'sms',
+      payload: { phoneNumber: '+15550005007', body: 'Reminder' },
+      status: JobStatuses.RUNNING,
+      attempts: 1,
+      maxAttempts: 3,
+      lockedAt: new Date(Date.now() - config.jobs.lockTimeoutMs - 1000)
+    });
+
+    expect(await jobQueue.tick(new Date())).toBe(1);
+
+    const recovered = await Job.findById(job._id);
+    expect(recovered.status).toBe(JobStatuses.SUCCEEDED);
+    expect(recovered.attempts).toBe(2);
+  });
+
+  test('should leave jobs that are still within their lock alone', async () => {
+    const job = await Job.create({
+      type: 'sms',
+      payload: { phoneNumber: '+15550005008', body: 'Reminder' },
+      status: JobStatuses.RUNNING,
+      attempts: 1,
+      maxAttempts: 3,
+      lockedAt: new Date()
+    });
+
+    expect(await jobQueue.tick(new Date())).toBe(0);
+    expect((await Job.findById(job._id)).status).toBe(JobStatuses.RUNNING);
+  });
+
+  test('should wait for running attempts when draining', async () => {
+    let finishCall;
+    callService.placeReminderCall.mockImplementationOnce(() => new Promise(resolve => {
+      finishCall = () => resolve({ sid: 'CA-slow', status: 'queued' });
+    }));
+
+    const dispatched = outboundJobs.dispatchCall({ phoneNumber: '+15550005009' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(await jobQueue.drain(10)).toBe(false);
+
+    const drained = jobQueue.drain(1000);
+    finishCall();
+    expect(await drained).toBe(true);
+    expect((await dispatched).status).toBe(JobStatuses.SUCCEEDED);
+  });
+
+  describe('initiateCall', () => {
+    test('should respond with the Call SID when the call is placed', async () => {
+      const res = buildResponse();
+      await callController.initiateCall({ body: { phoneNumber: '+15550005010' }, requestId: 'req-2' }, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ callSid: 'CA-job', jobId: expect.any(String) }));
+    });
+
+    test('should respond 202 when the call is queued for retry', async () => {
+      callService.placeReminderCall.mockRejectedValueOnce(twilioError(429, 'Too many requests'));
+      const res = buildResponse();
+      await callController.initiateCall({ body: { phoneNumber: '+15550005011' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(202);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Call queued for retry',
+        error: 'Too many requests',
+        nextAttemptAt: expect.anything()
+      }));
+    });
+
+    test('should respond 409 when the call is blocked as it is placed', async () => {
+      callService.placeReminderCall.mockRejectedValueOnce(blockedError('no_consent'));
+      const res = buildResponse();
+      await callController.initiateCall({ body: { phoneNumber: '+15550005014' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ details: 'Call blocked: no_consent' }));
+    });
+
+    test('should fail when the call cannot be placed', async () => {
+      callService.placeReminderCall.mockRejectedValueOnce(twilioError(400, 'Invalid To number'));
+      const res = buildResponse();
+      await callController.initiateCall({ body: { phoneNumber: '+15550005012' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(502);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ details: expect.stringContaining('Invalid To number') }));
+    });
+  });
+
+  describe('jobController', () => {
+    test('should list dead jobs of a type', async () => {
+      telephonyService.sendSms.mockRejectedValueOnce(twilioError(400));
+      const dead = await outboundJobs.dispatchSms({ phoneNumber: '+15550005013', body: 'Reminder' });
+      const res = buildResponse();
+      const next = jest.fn();
+
+      await jobController.listJobs({ query: { status: 'Dead', type: 'sms' } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      const { jobs } = res.json.mock.calls[0][0];
+      expect(jobs.length).toBeGreaterThan(0);
+      expect(jobs.every(job => job.status === JobStatuses.DEAD && job.type === 'sms')).toBe(true);
+      expect(jobs.map(job => String(job._id))).toContain(String(dead._id));
+    });
+
+    test('should reject unknown statuses', async () => {
+      const next = jest.fn();
+      await jobController.listJobs({ query: { status: 'Lost' } }, buildResponse(), next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ type: ErrorTypes.VALIDATION_ERROR }));
+    });
+
+    test('should refuse to requeue a job that is not dead', async () => {
+      const job = await outboundJobs.dispatchSms({ phoneNumber: '+15550005014', body: 'Reminder' });
+      const next = jest.fn();
+      await jobController.requeueJob({ params: { id: String(job._id) } }, buildResponse(), next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ type: ErrorTypes.VALIDATION_ERROR }));
+    });
+  });
+});
@@ -0,0 +1,36 @@
+// Unit tests for message catalogs
+const { Languages, translate, formatList, getVoiceSettings } = require('../../src/locales');
+const english = require('../../src/locales/en');
+
+describe('Locales', () => {
+  test.each(Object.keys(Languages))('%s catalog should translate every English message', (language) => {
+    const catalog = require(`../../src/locales/${language}`);
+    
+    expect(Object.keys(catalog).sort()).toEqual(Object.keys(english).sort());
+  });
+
+  test('translate should fill placeholders', () => {
+    expect(translate('es', 'medicationQuestion', { medication: 'metformina' }))
+      .toBe('¿Ya tomó su metformina hoy?');
+  });
+
+  test('translate should fall back to English for unsupported languages', () => {
+    expect(translate('fr', 'fallbackThanks')).toBe(english.fallbackThanks);
+    expect(translate(undefined, 'fallbackThanks')).toBe(english.fallbackThanks);
+  });
+
+  test('translate should throw for unknown keys', () => {
+    expect(() => translate('en', 'noSuchMessage')).toThrow('Missing message: noSuchMessage');
+  });
+
+  test('formatList should join items in the patient language', () => {
+    expect(formatList('en', ['A', 'B', 'C'])).toBe('A, B, and C');
+    expect(formatList('es', ['A', 'B', 'C'])).toBe('A, B y C');
+    expect(formatList('hi', ['A', 'B'])).toBe('A और B');
+  });
+
+  test('getVoiceSettings should fall back to English', () => {
+    expect(getVoiceSettings('hi').speechLanguage).toBe('hi-IN');
+    expect(getVoiceSettings('xx')).toBe(Languages.en);
+  });
+});
@@ -0,0 +1,176 @@
+// Unit tests for the media stream conversation, driven by the replay harness
+const http = require('http');
+const path = require('path');
+const { Readable } = require('stream');
+const twilio = require('twilio');
+
+// Real signature helpers, without a Twilio REST client
+jest.mock('twilio', () => Object.assign(jest.fn(() => ({})), jest.requireActual('twilio')));
+jest.mock('../../src/services/sttService', () => ({ createRealTimeStream: jest.fn() }));
+jest.mock('../../src/models/callLog', () => ({ findOneAndUpdate: jest.fn().mockResolvedValue({}) }));
+
+const config = require('../../src/config');
+const mediaStreamService = require('../../src/services/mediaStreamService');
+const sttService = require('../../src/services/sttService');
+const ttsService = require('../../src/services/ttsService');
+const telephonyService = require('../../src/services/telephonyService');
+const CallLog = require('../../src/models/callLog');
+const Patient = require('../../src/models/patient');
+const { FakeTranscriber, TwilioStreamClient } = require('../helpers/mediaStreamHarness');
+
+const ANSWER_AUDIO = path.join(__dirname, '../fixtures/media/answer.ulaw');
+
+describe('MediaStreamService', () => {
+  const originalTwilioConfig = { ...config.twilio };
+  const originalStreamConfig = { ...config.mediaStreams };
+  let server;
+  let url;
+  let spoken;
+
+  const scriptTranscripts = (transcripts) => {
+    sttService.createRealTimeStream.mockImplementation(() => new FakeTranscriber(transcripts));
+  };
+
+  const connect = (options) => TwilioStreamClient.connect(url, options);
+
+  beforeAll(async () => {
+    server = http.createServer();
+    mediaStreamService.attach(server);
+    await new Promise(resolve => server.listen(0, resolve));
+    url = `ws://127.0.0.1:${server.address().port}/api/twilio/media-stream`;
+  });
+
+  afterAll(async () => {
+    mediaStreamService.close();
+    await new Promise(resolve => server.close(resolve));
+    Object.assign(config.twilio, originalTwilioConfig);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.twilio.validateSignature = false;
+    Object.assign(config.mediaStreams, originalStreamConfig);
+
+    spoken = [];
+    jest.spyOn(ttsService, 'createSpeechStream').mockImplementation(async (text) => {
+      spoken.push(text);
+      return Readable.from([Buffer.alloc(320, 0xff)]);
+    });
+    jest.spyOn(telephonyService, 'redirectCall').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should ask about each medication and record the replayed answers', async () => {
+    const patient = await Patient.create({
+      name: 'Stream Patient',
+      phoneNumber: '+15550009001',
+      medications: [{ name: 'Aspirin' }, { name: 'Metformin' }]
+    });
+    scriptTranscripts(['Yes, I took it.', 'No, I forgot.']);
+
+    const client = await connect();
+    client.start({ callSid: 'CA-stream-1', customParameters: { patientId: patient._id } });
+
+    await client.waitFor('mark', 1);
+    await client.replay(ANSWER_AUDIO);
+    await client.waitFor('mark', 2);
+    await client.replay(ANSWER_AUDIO);
+    await client.closed;
+
+    expect(spoken).toHaveLength(3);
+    expect(spoken[0]).toContain('have you taken your Aspirin today?');
+    expect(spoken[1]).toBe('Thank you. Have you taken your Metformin today?');
+    expect(spoken[2]).toContain("haven't taken your Metformin");
+    expect(client.messages.filter(message => message.event === 'media')).toHaveLength(3);
+
+    const updates = CallLog.findOneAndUpdate.mock.calls.map(([query, update]) => {
+      expect(query).toEqual({ callSid: 'CA-stream-1' });
+      return update;
+    });
+    expect(updates[0].$push.medicationResults).toMatchObject({ name: 'Aspirin', result: 'Taken' });
+    expect(updates[1].$push.medicationResults).toMatchObject({ name: 'Metformin', result: 'Missed' });
+    expect(updates[2]).toEqual({ adherenceStatus: 'Partial' });
+  });
+
+  test('should record a call-back on the reminder it answers', async () => {
+    scriptTranscripts(['Yes, I took them.']);
+
+    const client = await connect();
+    client.start({ callSid: 'CA-inbound', customParameters: { checkInCallSid: 'CA-reminder' } });
+
+    await client.waitFor('mark', 1);
+    await client.replay(ANSWER_AUDIO);
+    await client.closed;
+
+    expect(CallLog.findOneAndUpdate).toHaveBeenCalledWith(
+      { callSid: 'CA-reminder' },
+      expect.objectContaining({ adherenceStatus: 'Full' }),
+      { new: true }
+    );
+    expect(CallLog.findOneAndUpdate).not.toHaveBeenCalledWith({ callSid: 'CA-inbound' }, expect.anything(), expect.anything());
+  });
+
+  test('should stop the question when the caller talks over it', async () => {
+    scriptTranscripts(['Yes']);
+
+    const client = await connect({ autoAckMarks: false });
+    client.start({ callSid: 'CA-stream-2' });
+
+    await client.waitFor('mark', 1);
+    await client.replay(ANSWER_AUDIO);
+
+    const clear = await client.waitFor('clear');
+    expect(clear.streamSid).toBe('MZ-CA-stream-2');
+
+    // The answer is still used after the interruption
+    await client.waitFor('mark', 2);
+    expect(spoken[1]).toContain('Thank you for confirming');
+
+    await client.close();
+  });
+
+  test('should re-ask after silence and close after the last attempt', async () => {
+    config.mediaStreams.silenceTimeoutMs = 20;
+    scriptTranscripts([]);
+
+    const client = await connect();
+    client.start({ callSid: 'CA-stream-3' });
+    await client.closed;
+
+    expect(spoken).toHaveLength(3);
+    expect(spoken[1]).toContain("I didn't catch that");
+    expect(spoken[2]).toContain("haven't received a clear response");
+  });
+
+  test('should hand the call back to <Gather> when speech synthesis fails', async () => {
+    ttsService.createSpeechStream.mockRejectedValue(new Error('timeout of 3000ms exceeded'));
+    scriptTranscripts([]);
+
+    const client = await connect();
+    client.start({ callSid: 'CA-stream-4', customParameters: { patientId: 'patient-1' } });
+    await client.closed;
+
+    expect(telephonyService.redirectCall).toHaveBeenCalledWith(
+      'CA-stream-4',
+      expect.stringMatching(/\/api\/twilio\/voice\?patientId=patient-1&retryCount=0&fallback=1$/)
+    );
+  });
+
+  test('should reject connections without a valid Twilio signature', async () => {
+    config.twilio.validateSignature = true;
+    config.twilio.authToken = 'test-auth-token';
+
+    await expect(connect()).rejects.toThrow('Unexpected response 401');
+
+    const signature = twilio.getExpectedTwilioSignature(
+      config.twilio.authToken,
+      telephonyService.buildStreamUrl('/api/twilio/media-stream'),
+      {}
+    );
+    const client = await connect({ headers: { 'X-Twilio-Signature': signature } });
+    await client.close();
+  });
+});
@@ -0,0 +1,152 @@
+// Unit tests for provider notifications
+const crypto = require('crypto');
+
+jest.mock('axios');
+jest.mock('nodemailer');
+jest.mock('../../src/services/telephonyService', () => ({ sendSms: jest.fn() }));
+jest.mock('../../src/models/callLog', () => ({ findOneAndUpdate: jest.fn().mockResolvedValue({}) }));
+
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const config = require('../../src/config');
+const telephonyService = require('../../src/services/telephonyService');
+const CallLog = require('../../src/models/callLog');
+const notificationService = require('../../src/services/notificationService');
+const { NotificationOutcomes, getOutcomeForStatus } = notificationService;
+
+describe('NotificationService', () => {
+  const originalConfig = JSON.parse(JSON.stringify(config.notifications));
+  const sendMail = jest.fn();
+
+  const patient = {
+    _id: 'patient-1',
+    name: 'Jane Doe',
+    phoneNumber: '+15550001111',
+    providerContacts: [
+      { name: 'Dr. Smith', channel: 'sms', address: '+15550002222' },
+      { name: 'Clinic', channel: 'email', address: 'clinic@example.com' },
+      { name: 'Care team', channel: 'webhook', address: 'https://care.example.com/alerts' }
+    ]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.assign(config.notifications, JSON.parse(JSON.stringify(originalConfig)));
+    config.notifications.smtp.host = 'smtp.example.com';
+    config.notifications.smtp.from = 'reminders@example.com';
+    notificationService.transporter = null;
+
+    nodemailer.createTransport.mockReturnValue({ sendMail });
+    sendMail.mockResolvedValue({ messageId: 'm1' });
+    telephonyService.sendSms.mockResolvedValue({ sid: 'SM1' });
+    axios.post.mockResolvedValue({ status: 200 });
+  });
+
+  afterAll(() => {
+    Object.assign(config.notifications, originalConfig);
+  });
+
+  test('getOutcomeForStatus should only notify about missed doses', () => {
+    expect(getOutcomeForStatus('None')).toBe(NotificationOutcomes.NONE);
+    expect(getOutcomeForStatus('Partial')).toBe(NotificationOutcomes.PARTIAL);
+    expect(getOutcomeForStatus('Full')).toBeNull();
+    expect(getOutcomeForStatus('Unclear')).toBeNull();
+  });
+
+  test('should notify every provider contact and mark the call log', async () => {
+    const deliveries = await notificationService.notifyOutcome({
+      callSid: 'CA1',
+      patient,
+      outcome: NotificationOutcomes.PARTIAL,
+      missedMedications: ['Metformin']
+    });
+
+    expect(deliveries.map(delivery => delivery.status)).toEqual(['Sent', 'Sent', 'Sent']);
+    expect(telephonyService.sendSms).toHaveBeenCalledWith(
+      '+15550002222',
+      'Medication check-in: Jane Doe (+15550001111) reported missing Metformin today.'
+    );
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+      from: 'reminders@example.com',
+      to: 'clinic@example.com',
+      subject: 'Medication check-in: Jane Doe - Partial'
+    }));
+
+    const [url, body] = axios.post.mock.calls[0];
+    expect(url).toBe('https://care.example.com/alerts');
+    expect(JSON.parse(body)).toMatchObject({
+      event: 'adherence_alert',
+      callSid: 'CA1',
+      outcome: 'Partial',
+      patient: { id: 'patient-1', name: 'Jane Doe' },
+      missedMedications: ['Metformin']
+    });
+
+    const [query, update] = CallLog.findOneAndUpdate.mock.calls[0];
+    expect(query).toEqual({ callSid: 'CA1' });
+    expect(update.$set).toEqual({ notificationSent: true });
+    expect(update.$push.notifications.$each).toHaveLength(3);
+  });
+
+  test('should record failed deliveries without rejecting', async () => {
+    telephonyService.sendSms.mockRejectedValue(new Error('Twilio unavailable'));
+    config.notifications.smtp.host = undefined;
+    axios.post.mockRejectedValue(new Error('timeout of 10000ms exceeded'));
+
+    const deliveries = await notificationService.notifyOutcome({
+      callSid: 'CA2',
+      patient,
+      outcome: NotificationOutcomes.NO_RESPONSE
+    });
+
+    expect(deliveries).toEqual([
+      expect.objectContaining({ channel: 'sms', status: 'Failed', error: 'Twilio unavailable' }),
+      expect.objectContaining({ channel: 'email', status: 'Failed', error: 'SMTP is not configured (set SMTP_HOST)' }),
+      expect.objectContaining({ channel: 'webhook', status: 'Failed', error: 'timeout of 10000ms exceeded' })
+    ]);
+
+    const [, update] = CallLog.findOneAndUpdate.mock.calls[0];
+    expect(update.$set).toBeUndefined();
+    expect(update.$push.notifications.$each).toEqual(deliveries);
+  });
+
+  test('should count the call as notified when any provider is reached', async () => {
+    telephonyService.sendSms.mockRejectedValue(new Error('Twilio unavailable'));
+
+    await notificationService.notifyOutcome({ callSid: 'CA3', patient, outcome: NotificationOutcomes.NONE });
+
+    const [, update] = CallLog.findOneAndUpdate.mock.calls[0];
+    expect(update.$set).toEqual({ notificationSent: true });
+  });
+
+  test('should sign webhook bodies when a secret is configured', async () => {
+    config.notifications.webhookSecret = 'shared-secret';
+
+    await notificationService.notifyOutcome({
+      callSid: 'CA4',
+      patient: { ...patient, providerContacts: [patient.providerContacts[2]] },
+      outcome: NotificationOutcomes.NONE
+    });
+
+    const [, body, options] = axios.post.mock.calls[0];
+    const expected = crypto.createHmac('sha256', 'shared-secret').update(body).digest('hex');
+    expect(options.headers['X-Signature-256']).toBe(`sha256=${expected}`);
+  });
+
+  test('should skip patients without provider contacts', async () => {
+    const deliveries = await notificationService.notifyOutcome({
+      callSid: 'CA5',
+      patient: { ...patient, providerContacts: [] },
+      outcome: NotificationOutcomes.NONE
+    });
+
+    expect(deliveries).toEqual([]);
+    expect(CallLog.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('register should reject channels without send()', () => {
+    expect(() => notificationService.register('pager', {})).toThrow(
+      'Notification channel "pager" must implement send(contact, notification)'
+    );
+  });
+});
@@ -0,0 +1,180 @@
+// Unit tests for the patient registry CRUD endpoints
+const express = require('express');
+const request = require('supertest');
+const config = require('../../src/config');
+const apiKeyService = require('../../src/services/apiKeyService');
+const patientRoutes = require('../../src/routes/patientRoutes');
+const Patient = require('../../src/models/patient');
+const { Roles } = require('../../src/middleware/auth');
+const { errorHandler, ErrorTypes } = require('../../src/middleware/errorHandler');
+
+describe('patient routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/patients', patientRoutes);
+  app.use(errorHandler);
+
+  const originalAuth = { ...config.auth };
+  const missingId = '64b000000000000000000000';
+  let operatorKey;
+  let clinicianKey;
+  let phone = 0;
+
+  const nextPhoneNumber = () => `+1555100${String(++phone).padStart(4, '0')}`;
+
+  const asOperator = (req) => req.set('Authorization', `Bearer ${operatorKey}`);
+
+  const createPatient = async (overrides = {}) => {
+    const response = await asOperator(request(app).post('/api/patients')).send({
+      name: 'Ada Lovelace',
+      phoneNumber: nextPhoneNumber(),
+      medications: [{ name: 'Aspirin', dose: '81 mg', times: ['08:00'] }],
+      ...overrides
+    });
+
+    expect(response.status).toBe(201);
+    return response.body.patient;
+  };
+
+  beforeAll(async () => {
+    config.auth.enabled = true;
+    operatorKey = (await apiKeyService.createKey({ name: 'Operator', role: Roles.OPERATOR })).key;
+    clinicianKey = (await apiKeyService.createKey({ name: 'Clinician', role: Roles.CLINICIAN })).key;
+  });
+
+  afterAll(() => {
+    Object.assign(config.auth, originalAuth);
+  });
+
+  describe('POST /api/patients', () => {
+    test('should create a patient with defaults', async () => {
+      const patient = await createPatient({ name: '  Grace Hopper  ' });
+
+      expect(patient._id).toBeDefined();
+      expect(patient.name).toBe('Grace Hopper');
+      expect(patient.timezone).toBe('UTC');
+      expect(patient.language).toBe('en');
+      expect(patient.medications).toEqual([{ name: 'Aspirin', dose: '81 mg', times: ['08:00'] }]);
+      expect(await Patient.findById(patient._id)).not.toBeNull();
+    });
+
+    test.each([
+      [{ name: '' }, 'Patient name is required'],
+      [{ phoneNumber: '555-0100' }, 'Phone number must be in E.164 format (e.g., +12345678900)'],
+      [{ timezone: 'Mars/Olympus' }, 'Unknown timezone: Mars/Olympus'],
+      [{ medications: [{ name: 'Aspirin', times: ['8am'] }] }, 'Medication "Aspirin" times must be HH:MM values (e.g., 08:30)']
+    ])('should reject invalid input %j', async (overrides, message) => {
+      const response = await asOperator(request(app).post('/api/patients')).send({
+        name: 'Ada Lovelace',
+        phoneNumber: nextPhoneNumber(),
+        ...overrides
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatchObject({ type: ErrorTypes.VALIDATION_ERROR, message });
+    });
+
+    test('should reject a phone number that is already registered', async () => {
+      const existing = await createPatient();
+
+      const response = await asOperator(request(app).post('/api/patients')).send({
+        name: 'Someone Else',
+        phoneNumber: existing.phoneNumber
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toBe(`A patient with phone number ${existing.phoneNumber} already exists`);
+    });
+
+    test('should not let clinicians register patients', async () => {
+      const response = await request(app).post('/api/patients')
+        .set('Authorization', `Bearer ${clinicianKey}`)
+        .send({ name: 'Ada Lovelace', phoneNumber: nextPhoneNumber() });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/patients', () => {
+    test('should list and fetch patients', async () => {
+      const patient = await createPatient();
+
+      const list = await asOperator(request(app).get('/api/patients'));
+      expect(list.status).toBe(200);
+      expect(list.body.patients.map(p => p._id)).toContain(patient._id);
+
+      const single = await request(app).get(`/api/patients/${patient._id}`).set('Authorization', `Bearer ${clinicianKey}`);
+      expect(single.status).toBe(200);
+      expect(single.body.patient).toMatchObject({ _id: patient._id, name: patient.name });
+    });
+
+    test.each([missingId, 'not-an-id'])('should return 404 for unknown patient %s', async (id) => {
+      const response = await asOperator(request(app).get(`/api/patients/${id}`));
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toMatchObject({
+        type: ErrorTypes.NOT_FOUND_ERROR,
+        message: `Patient not found: ${id}`
+      });
+    });
+  });
+
+  describe('PUT /api/patients/:id', () => {
+    test('should update only the given fields', async () => {
+      const patient = await createPatient();
+
+      const response = await asOperator(request(app).put(`/api/patients/${patient._id}`)).send({
+        timezone: 'America/New_York',
+        medications: [{ name: 'Metformin', times: ['09:00', '21:00'] }]
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.patient).toMatchObject({
+        name: patient.name,
+        phoneNumber: patient.phoneNumber,
+        timezone: 'America/New_York',
+        medications: [{ name: 'Metformin', dose: null, times: ['09:00', '21:00'] }]
+      });
+    });
+
+    test('should let a patient keep their own phone number', async () => {
+      const patient = await createPatient();
+
+      const response = await asOperator(request(app).put(`/api/patients/${patient._id}`)).send({
+        phoneNumber: patient.phoneNumber
+      });
+
+      expect(response.status).toBe(200);
+    });
+
+    test('should reject invalid updates', async () => {
+      const patient = await createPatient();
+
+      const response = await asOperator(request(app).put(`/api/patients/${patient._id}`)).send({ language: 'xx' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.type).toBe(ErrorTypes.VALIDATION_ERROR);
+      expect((await Patient.findById(patient._id)).language).toBe('en');
+    });
+
+    test('should return 404 for an unknown patient', async () => {
+      const response = await asOperator(request(app).put(`/api/patients/${missingId}`)).send({ name: 'Nobody' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/patients/:id', () => {
+    test('should delete a patient', async () => {
+      const patient = await createPatient();
+
+      const response = await asOperator(request(app).delete(`/api/patients/${patient._id}`));
+
+      expect(response.status).toBe(204);
+      expect(await Patient.findById(patient._id)).toBeNull();
+
+      const again = await asOperator(request(app).delete(`/api/patients/${patient._id}`));
+      expect(again.status).toBe(404);
+    });
+  });
+});
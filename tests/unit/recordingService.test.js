@@ -0,0 +1,317 @@
+// Unit tests for call recording: consent, download into the blob store, transcription and playback
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const config = require('../../src/config');
+const recordingService = require('../../src/services/recordingService');
+const callService = require('../../src/services/callService');
+const jobQueue = require('../../src/services/jobQueue');
+const blobStore = require('../../src/services/blobStore');
+const sttService = require('../../src/services/sttService');
+const telephonyService = require('../../src/services/telephonyService');
+const callRoutes = require('../../src/routes/callRoutes');
+const CallLog = require('../../src/models/callLog');
+const Job = require('../../src/models/job');
+const RecordingStatuses = require('../../src/config/recordingStatuses');
+const { createLocalBlobStore } = require('../../src/services/blobStores/localBlobStore');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const { JobStatuses } = require('../../src/config/jobStatuses');
+const { ConversationSimulator } = require('../helpers/conversationSimulator');
+
+describe('recordingService', () => {
+  const originalSettings = { recordings: { ...config.recordings }, blobStore: { ...config.blobStore } };
+  const originalAuth = { ...config.auth };
+  const audio = Buffer.from('ID3-fake-mp3-audio-0123456789');
+  let directory;
+  let sid = 0;
+
+  const createLog = async (overrides = {}) => CallLog.create({
+    callSid: `CA-rec-${++sid}`,
+    status: 'Completed',
+    patientPhoneNumber: '+15550009001',
+    ...overrides
+  });
+
+  const reportRecording = (callSid, overrides = {}) => recordingService.handleRecordingStatus({
+    callSid,
+    recordingSid: `RE-${callSid}`,
+    recordingUrl: `https://api.twilio.com/2010-04-01/Accounts/AC1/Recordings/RE-${callSid}`,
+    status: 'completed',
+    durationSeconds: 42,
+    language: 'es-US',
+    ...overrides
+  });
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-test-'));
+    blobStore.register('test-local', createLocalBlobStore({ directory }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    Object.assign(config.recordings, { enabled: true, transcribe: true });
+    config.blobStore.provider = 'test-local';
+    jest.spyOn(telephonyService, 'downloadRecording').mockResolvedValue({ data: audio, contentType: 'audio/mpeg' });
+    jest.spyOn(sttService, 'transcribe').mockResolvedValue({
+      text: 'Have you taken your metformin today? Yes, I took it.',
+      utterances: [
+        { speaker: 0, start: 0.5, end: 2.1, text: 'Have you taken your metformin today?' },
+        { speaker: 1, start: 2.8, end: 3.9, text: 'Yes, I took it.' }
+      ]
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    Object.assign(config.recordings, originalSettings.recordings);
+    Object.assign(config.blobStore, originalSettings.blobStore);
+    Object.assign(config.auth, originalAuth);
+  });
+
+  describe('consent', () => {
+    test('should only record patients who consented while recording is enabled', () => {
+      expect(recordingService.shouldRecord({ consent: { recording: { granted: true } } })).toBe(true);
+      expect(recordingService.shouldRecord({ consent: { recording: { granted: false } } })).toBe(false);
+      expect(recordingService.shouldRecord({})).toBe(false);
+      expect(recordingService.shouldRecord(null)).toBe(false);
+
+      config.recordings.enabled = false;
+      expect(recordingService.shouldRecord({ consent: { recording: { granted: true } } })).toBe(false);
+    });
+
+    test('should ask the provider to record calls to consenting patients', async () => {
+      jest.spyOn(telephonyService, 'makeCall').mockResolvedValue({ sid: 'CA-consent', status: 'queued' });
+
+      await callService.placeReminderCall({ phoneNumber: '+15550009002', patient: { _id: 'p1', consent: { recording: { granted: true } } } });
+      await callService.placeReminderCall({ phoneNumber: '+15550009003', patient: { _id: 'p2', consent: { recording: { granted: false } } } });
+
+      expect(telephonyService.makeCall.mock.calls[0][1]).toMatchObject({ record: true });
+      expect(telephonyService.makeCall.mock.calls[1][1]).toMatchObject({ record: false });
+    });
+  });
+
+  describe('processing', () => {
+    test('should store and transcribe a completed recording', async () => {
+      const log = await createLog();
+
+      const job = await reportRecording(log.callSid);
+      expect((await CallLog.findOne({ callSid: log.callSid })).recording).toMatchObject({
+        sid: `RE-${log.callSid}`,
+        status: RecordingStatuses.PENDING,
+        durationSeconds: 42
+      });
+
+      await jobQueue.runJob(job);
+
+      const updated = await CallLog.findOne({ callSid: log.callSid });
+      expect(updated.recordingUrl).toBe(`https://api.twilio.com/2010-04-01/Accounts/AC1/Recordings/RE-${log.callSid}`);
+      expect(updated.recording).toMatchObject({
+        status: RecordingStatuses.TRANSCRIBED,
+        blobKey: `recordings/${log.callSid}/RE-${log.callSid}.mp3`,
+        contentType: 'audio/mpeg',
+        size: audio.length,
+        error: null
+      });
+      expect(updated.transcript).toMatchObject({
+        text: 'Have you taken your metformin today? Yes, I took it.',
+        language: 'es-US'
+      });
+      expect(updated.transcript.utterances).toHaveLength(2);
+      expect(await blobStore.get(updated.recording.blobKey)).toEqual(audio);
+      expect(sttService.transcribe).toHaveBeenCalledWith(audio, { mimetype: 'audio/mpeg', language: 'es-US' });
+      expect((await Job.findById(job._id)).status).toBe(JobStatuses.SUCCEEDED);
+    });
+
+    test('should not download stored audio again when processing is repeated', async () => {
+      const log = await createLog();
+      const job = await reportRecording(log.callSid);
+
+      await recordingService.processRecording(job.payload);
+      await recordingService.processRecording(job.payload);
+
+      expect(telephonyService.downloadRecording).toHaveBeenCalledTimes(1);
+      expect(sttService.transcribe).toHaveBeenCalledTimes(2);
+    });
+
+    test('should retry a download that failed with a provider outage', async () => {
+      telephonyService.downloadRecording.mockRejectedValue(Object.assign(new Error('Service Unavailable'), { status: 503 }));
+      const log = await createLog();
+
+      const job = await jobQueue.runJob(await reportRecording(log.callSid));
+
+      expect(job).toMatchObject({ status: JobStatuses.PENDING, lastError: 'Service Unavailable' });
+      expect((await CallLog.findOne({ callSid: log.callSid })).recording.status).toBe(RecordingStatuses.PENDING);
+    });
+
+    test('should mark the recording failed when the download gives up', async () => {
+      telephonyService.downloadRecording.mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+      const log = await createLog();
+
+      const job = await jobQueue.runJob(await reportRecording(log.callSid));
+
+      expect(job.status).toBe(JobStatuses.DEAD);
+      expect((await CallLog.findOne({ callSid: log.callSid })).recording).toMatchObject({
+        status: RecordingStatuses.FAILED,
+        error: 'Not Found'
+      });
+    });
+
+    test('should keep the stored audio when transcription gives up', async () => {
+      sttService.transcribe.mockRejectedValue(new Error('Unsupported audio'));
+      const log = await createLog();
+
+      const job = await jobQueue.runJob(await reportRecording(log.callSid));
+
+      expect(job.status).toBe(JobStatuses.DEAD);
+      const updated = await CallLog.findOne({ callSid: log.callSid });
+      expect(updated.recording).toMatchObject({ status: RecordingStatuses.STORED, error: 'Unsupported audio' });
+      expect(updated.transcript).toBeNull();
+      expect(await recordingService.findRecording(log.callSid)).toMatchObject({ size: audio.length });
+    });
+
+    test('should only store the audio when transcription is off', async () => {
+      config.recordings.transcribe = false;
+      const log = await createLog();
+
+      await jobQueue.runJob(await reportRecording(log.callSid));
+
+      expect((await CallLog.findOne({ callSid: log.callSid })).recording.status).toBe(RecordingStatuses.STORED);
+      expect(sttService.transcribe).not.toHaveBeenCalled();
+    });
+
+    test('should record a missing recording without queueing a download', async () => {
+      const log = await createLog();
+
+      const job = await reportRecording(log.callSid, { status: 'absent', durationSeconds: 0 });
+
+      expect(job).toBeNull();
+      expect((await CallLog.findOne({ callSid: log.callSid })).recording).toMatchObject({
+        status: RecordingStatuses.FAILED,
+        error: 'Recording absent'
+      });
+    });
+  });
+
+  describe('playback', () => {
+    const app = express();
+    app.use('/api', callRoutes);
+    app.use(errorHandler);
+
+    const storeRecording = async () => {
+      const log = await createLog();
+      await jobQueue.runJob(await reportRecording(log.callSid));
+      return log.callSid;
+    };
+
+    beforeEach(() => {
+      config.auth.enabled = false;
+    });
+
+    test('should stream the whole recording', async () => {
+      const callSid = await storeRecording();
+
+      const response = await request(app).get(`/api/logs/${callSid}/recording`).buffer(true).parse((res, done) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => done(null, Buffer.concat(chunks)));
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('audio/mpeg');
+      expect(response.headers['content-length']).toBe(String(audio.length));
+      expect(response.headers['accept-ranges']).toBe('bytes');
+      expect(response.headers['cache-control']).toBe('private, no-store');
+      expect(response.body).toEqual(audio);
+    });
+
+    test('should stream byte ranges so players can seek', async () => {
+      const callSid = await storeRecording();
+      const get = (range) => request(app).get(`/api/logs/${callSid}/recording`).set('Range', range).buffer(true).parse((res, done) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => done(null, Buffer.concat(chunks)));
+      });
+
+      const first = await get('bytes=0-3');
+      expect(first.status).toBe(206);
+      expect(first.headers['content-range']).toBe(`bytes 0-3/${audio.length}`);
+      expect(first.body).toEqual(audio.subarray(0, 4));
+
+      const last = await get('bytes=-5');
+      expect(last.status).toBe(206);
+      expect(last.body).toEqual(audio.subarray(audio.length - 5));
+
+      // Ranges that cannot be satisfied get the whole recording
+      expect((await get(`bytes=${audio.length}-`)).status).toBe(200);
+    });
+
+    test('should return 404 for calls without a stored recording', async () => {
+      const log = await createLog();
+
+      const response = await request(app).get(`/api/logs/${log.callSid}/recording`);
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should require an API key', async () => {
+      config.auth.enabled = true;
+      const callSid = await storeRecording();
+
+      const response = await request(app).get(`/api/logs/${callSid}/recording`);
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('end to end', () => {
+    const originalAuthToken = config.twilio.authToken;
+    let simulator;
+
+    beforeAll(() => {
+      config.twilio.authToken = originalAuthToken || 'test-auth-token';
+      simulator = new ConversationSimulator();
+    });
+
+    afterAll(() => {
+      config.twilio.authToken = originalAuthToken;
+    });
+
+    afterEach(() => {
+      simulator.reset();
+    });
+
+    test('should record, store and transcribe a consenting patient\'s call', async () => {
+      // The recording job runs after the call, outside the simulator's provider selection
+      telephonyService.downloadRecording.mockImplementation(url => simulator.provider.downloadRecording(url));
+
+      const result = await simulator.run({
+        name: 'Recorded check-in',
+        patient: { name: 'Recorded', phoneNumber: '+15550009101', language: 'es', consent: { recording: { granted: true } } },
+        caller: [{ say: 'Sí, ya los tomé' }]
+      });
+      await jobQueue.tick();
+
+      const log = await CallLog.findOne({ callSid: result.callSid });
+      expect(log.recording).toMatchObject({ status: RecordingStatuses.TRANSCRIBED, contentType: 'audio/wav' });
+      expect(log.transcript.language).toBe('es-US');
+      expect((await blobStore.get(log.recording.blobKey)).toString('ascii', 0, 4)).toBe('RIFF');
+    });
+
+    test('should not record patients who did not consent', async () => {
+      const result = await simulator.run({
+        name: 'Unrecorded check-in',
+        patient: { name: 'Unrecorded', phoneNumber: '+15550009102' },
+        caller: [{ say: 'Yes, I took them' }]
+      });
+
+      const log = await CallLog.findOne({ callSid: result.callSid });
+      expect(log.recording).toBeNull();
+      expect(simulator.provider.getCalls()[0].recordingCallback).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,261 @@
+// Unit tests for the redial policy
+jest.mock('../../src/services/callService', () => ({ placeReminderCall: jest.fn() }));
+jest.mock('../../src/services/telephonyService', () => ({ sendSms: jest.fn() }));
+jest.mock('../../src/models/callLog', () => ({
+  findOne: jest.fn().mockResolvedValue(null),
+  findOneAndUpdate: jest.fn().mockResolvedValue({})
+}));
+
+const config = require('../../src/config');
+const redialService = require('../../src/services/redialService');
+const callService = require('../../src/services/callService');
+const telephonyService = require('../../src/services/telephonyService');
+const notificationService = require('../../src/services/notificationService');
+const CallLog = require('../../src/models/callLog');
+const Patient = require('../../src/models/patient');
+const Redial = require('../../src/models/redial');
+const Job = require('../../src/models/job');
+const jobQueue = require('../../src/services/jobQueue');
+const { JobStatuses } = require('../../src/config/jobStatuses');
+const { matches, applyUpdate } = require('../../src/repositories/query');
+
+describe('RedialService', () => {
+  const originalPolicy = { ...config.redial };
+  const now = new Date('2025-03-03T08:00:00Z');
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    CallLog.findOne.mockResolvedValue(null);
+    CallLog.findOneAndUpdate.mockResolvedValue({});
+
+    // Redials left pending by earlier tests would be placed again
+    const pending = await Redial.find({ status: 'Pending' });
+    await Promise.all(pending.map(redial => Redial.findByIdAndDelete(redial._id)));
+
+    jest.useFakeTimers({ now, doNotFake: ['nextTick', 'setImmediate'] });
+    Object.assign(config.redial, { maxRedials: 2, backoffMs: 600000, backoffMultiplier: 2, smsFallbackAttempt: null });
+    telephonyService.sendSms.mockResolvedValue({ sid: 'SM1' });
+    jest.spyOn(notificationService, 'notifyOutcome').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    Object.assign(config.redial, originalPolicy);
+  });
+
+  describe('resolvePolicy', () => {
+    test('should apply patient overrides over the global policy', () => {
+      const policy = redialService.resolvePolicy({ redialPolicy: { maxRedials: 0, backoffMs: null } });
+
+      expect(policy).toEqual({ maxRedials: 0, backoffMs: 600000, backoffMultiplier: 2, smsFallbackAttempt: null });
+    });
+
+    test('should use the global policy without a patient', () => {
+      expect(redialService.resolvePolicy(null)).toEqual(config.redial);
+    });
+  });
+
+  test('getBackoffMs should grow with each attempt', () => {
+    const policy = redialService.resolvePolicy(null);
+
+    expect(redialService.getBackoffMs(policy, 1)).toBe(600000);
+    expect(redialService.getBackoffMs(policy, 2)).toBe(1200000);
+  });
+
+  describe('handleUnansweredCall', () => {
+    test('should queue a redial after the first unanswered call', async () => {
+      const { redial, smsSent } = await redialService.handleUnansweredCall({
+        callSid: 'CA-first',
+        phoneNumber: '+15550003001'
+      });
+
+      expect(smsSent).toBe(false);
+      expect(telephonyService.sendSms).not.toHaveBeenCalled();
+      expect(redial).toMatchObject({
+        phoneNumber: '+15550003001',
+        originalCallSid: 'CA-first',
+        previousCallSid: 'CA-first',
+        attempt: 2,
+        status: 'Pending'
+      });
+      expect(new Date(redial.dueAt).toISOString()).toBe('2025-03-03T08:10:00.000Z');
+    });
+
+    test('should send the SMS fallback after the last attempt and stop redialling', async () => {
+      CallLog.findOne.mockResolvedValue({ callSid: 'CA-third', status: 'No Answer' });
+
+      const { redial, smsSent } = await redialService.handleUnansweredCall({
+        callSid: 'CA-third',
+        phoneNumber: '+15550003002',
+        attempt: 3,
+        originalCallSid: 'CA-origin'
+      });
+
+      expect(redial).toBeNull();
+      expect(smsSent).toBe(true);
+      expect(notificationService.notifyOutcome).toHaveBeenCalledWith(expect.objectContaining({
+        callSid: 'CA-third',
+        outcome: 'No Response'
+      }));
+      expect(telephonyService.sendSms).toHaveBeenCalledWith('+15550003002', expect.stringContaining("couldn't reach you"), expect.any(Object));
+      expect(CallLog.findOneAndUpdate).toHaveBeenCalledWith(
+        { callSid: 'CA-third', status: 'No Answer' },
+        {
+          $set: { status: 'SMS Sent' },
+          $push: { statusHistory: expect.objectContaining({ from: 'No Answer', to: 'SMS Sent', source: 'sms-fallback' }) }
+        },
+        { new: true }
+      );
+    });
+
+    test('should text on the configured attempt while redials continue', async () => {
+      const patient = await Patient.create({
+        name: 'Redial Patient',
+        phoneNumber: '+15550003003',
+        language: 'es',
+        redialPolicy: { smsFallbackAttempt: 1 }
+      });
+
+      const { redial, smsSent } = await redialService.handleUnansweredCall({
+        callSid: 'CA-sms-first',
+        phoneNumber: patient.phoneNumber,
+        patient
+      });
+
+      expect(smsSent).toBe(true);
+      expect(telephonyService.sendSms).toHaveBeenCalledWith(patient.phoneNumber, expect.stringContaining('no pudimos comunicarnos'), expect.any(Object));
+      expect(redial).toMatchObject({ attempt: 2, patientId: patient._id });
+      expect(notificationService.notifyOutcome).not.toHaveBeenCalled();
+    });
+
+    test('should send the SMS straight away when the patient has no redials', async () => {
+      const { redial, smsSent } = await redialService.handleUnansweredCall({
+        callSid: 'CA-no-redials',
+        phoneNumber: '+15550003004',
+        patient: { _id: 'p1', redialPolicy: { maxRedials: 0 } }
+      });
+
+      expect(redial).toBeNull();
+      expect(smsSent).toBe(true);
+    });
+
+    test('should notify providers once when the last status callback is repeated', async () => {
+      let log = { callSid: 'CA-last', status: 'No Answer', redialsExhaustedAt: null };
+      CallLog.findOne.mockImplementation(async (filter) => (matches(log, filter) ? log : null));
+      CallLog.findOneAndUpdate.mockImplementation(async (filter, update) => {
+        if (!matches(log, filter)) {
+          return null;
+        }
+        log = applyUpdate(log, update);
+        return log;
+      });
+      const patient = { _id: 'p1', redialPolicy: { maxRedials: 0 } };
+
+      await redialService.handleUnansweredCall({ callSid: 'CA-last', phoneNumber: '+15550003009', patient });
+      await redialService.handleUnansweredCall({ callSid: 'CA-last', phoneNumber: '+15550003009', patient });
+
+      expect(notificationService.notifyOutcome).toHaveBeenCalledTimes(1);
+      expect(log.redialsExhaustedAt).toEqual(expect.any(Date));
+    });
+
+    test('should not wait for the provider notification', async () => {
+      notificationService.notifyOutcome.mockReturnValue(new Promise(() => {}));
+
+      const { redial } = await redialService.handleUnansweredCall({
+        callSid: 'CA-slow-notify',
+        phoneNumber: '+15550003010',
+        patient: { _id: 'p1', redialPolicy: { maxRedials: 0 } }
+      });
+
+      expect(redial).toBeNull();
+      expect(notificationService.notifyOutcome).toHaveBeenCalledTimes(1);
+    });
+
+    test('should queue one redial when the status callback is repeated', async () => {
+      const first = await redialService.handleUnansweredCall({ callSid: 'CA-dup', phoneNumber: '+15550003005' });
+      const second = await redialService.handleUnansweredCall({ callSid: 'CA-dup', phoneNumber: '+15550003005' });
+
+      expect(String(second.redial._id)).toBe(String(first.redial._id));
+      expect(await Redial.countDocuments({ previousCallSid: 'CA-dup' })).toBe(1);
+    });
+  });
+
+  describe('runDueRedials', () => {
+    test('should place due redials linked to the original call', async () => {
+      callService.placeReminderCall.mockResolvedValue({ sid: 'CA-redial', status: 'queued' });
+      const { redial } = await redialService.handleUnansweredCall({ callSid: 'CA-run', phoneNumber: '+15550003006' });
+
+      expect(await redialService.runDueRedials(new Date('2025-03-03T08:05:00Z'))).toBe(0);
+      expect(await redialService.runDueRedials(new Date('2025-03-03T08:10:00Z'))).toBe(1);
+
+      expect(callService.placeReminderCall).toHaveBeenCalledWith({
+        phoneNumber: '+15550003006',
+        patient: null,
+        attempt: 2,
+        originalCallSid: 'CA-run'
+      });
+      expect(await Redial.findById(redial._id)).toMatchObject({ status: 'Placed', callSid: 'CA-redial' });
+
+      // Placed redials are not placed again
+      expect(await redialService.runDueRedials(new Date('2025-03-03T09:00:00Z'))).toBe(0);
+    });
+
+    test('should treat a redial that cannot be placed as a failed attempt', async () => {
+      callService.placeReminderCall.mockRejectedValue(new Error('Twilio unavailable'));
+      const { redial } = await redialService.handleUnansweredCall({ callSid: 'CA-fail', phoneNumber: '+15550003007' });
+
+      expect(await redialService.runDueRedials(new Date('2025-03-03T08:10:00Z'))).toBe(0);
+
+      expect(await Redial.findById(redial._id)).toMatchObject({ status: 'Failed', lastError: 'Twilio unavailable' });
+      const next = await Redial.findOne({ originalCallSid: 'CA-fail', attempt: 3 });
+      expect(next).toMatchObject({ status: 'Pending', previousCallSid: null });
+    });
+
+    test('should retry a redial through the call job when the provider is down', async () => {
+      callService.placeReminderCall
+        .mockRejectedValueOnce(Object.assign(new Error('Service Unavailable'), { status: 503 }))
+        .mockResolvedValueOnce({ sid: 'CA-redial-retried', status: 'queued' });
+      const { redial } = await redialService.handleUnansweredCall({ callSid: 'CA-outage', phoneNumber: '+15550003011' });
+
+      expect(await redialService.runDueRedials(new Date('2025-03-03T08:10:00Z'))).toBe(0);
+
+      const job = await Job.findOne({ 'payload.redialId': String(redial._id) });
+      expect(job).toMatchObject({ type: 'call', status: JobStatuses.PENDING, lastError: 'Service Unavailable' });
+      expect(await Redial.findById(redial._id)).toMatchObject({ status: 'Placing' });
+
+      await jobQueue.runJob(job);
+
+      expect(await Redial.findById(redial._id)).toMatchObject({ status: 'Placed', callSid: 'CA-redial-retried' });
+      expect(callService.placeReminderCall).toHaveBeenLastCalledWith(expect.objectContaining({
+        attempt: 2,
+        originalCallSid: 'CA-outage'
+      }));
+      expect(await Redial.findOne({ originalCallSid: 'CA-outage', attempt: 3 })).toBeNull();
+    });
+
+    test('should notify providers when the last redial cannot be placed', async () => {
+      const patient = await Patient.create({
+        name: 'Unreachable Patient',
+        phoneNumber: '+15550003008',
+        redialPolicy: { maxRedials: 1 }
+      });
+      callService.placeReminderCall.mockRejectedValue(new Error('Twilio unavailable'));
+      await redialService.handleUnansweredCall({ callSid: 'CA-unreachable', phoneNumber: patient.phoneNumber, patient });
+
+      expect(notificationService.notifyOutcome).not.toHaveBeenCalled();
+
+      await redialService.runDueRedials(new Date('2025-03-03T08:10:00Z'));
+
+      expect(notificationService.notifyOutcome).toHaveBeenCalledTimes(1);
+      expect(notificationService.notifyOutcome).toHaveBeenCalledWith(expect.objectContaining({
+        callSid: 'CA-unreachable',
+        outcome: 'No Response',
+        patient: expect.objectContaining({ _id: patient._id })
+      }));
+    });
+  });
+});
@@ -0,0 +1,231 @@
+// Unit tests for the storage adapters: the shared contract, JSON-lines persistence and the MongoDB fallback
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const config = require('../../src/config');
+const storage = require('../../src/repositories');
+const { createMemoryAdapter } = require('../../src/repositories/memoryAdapter');
+const { createJsonLinesAdapter } = require('../../src/repositories/jsonLinesAdapter');
+const { createMongoAdapter } = require('../../src/repositories/mongoAdapter');
+const { MODEL_NAME, DEFAULTS, schema, describeRepositoryContract } = require('../helpers/repositoryContract');
+
+const { StorageAdapters } = storage;
+
+const directories = [];
+
+const makeDirectory = () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+  directories.push(directory);
+  return directory;
+};
+
+afterAll(() => {
+  for (const directory of directories) {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+describeRepositoryContract('memory', () => createMemoryAdapter(MODEL_NAME, { schema, defaults: DEFAULTS }));
+
+describeRepositoryContract('jsonl', () => createJsonLinesAdapter(MODEL_NAME, { directory: makeDirectory(), schema, defaults: DEFAULTS }));
+
+// Runs against a real server only when one is given
+if (process.env.MONGODB_TEST_URI) {
+  describe('with MongoDB', () => {
+    beforeAll(() => mongoose.connect(process.env.MONGODB_TEST_URI));
+    afterAll(() => mongoose.disconnect());
+
+    describeRepositoryContract('mongo', () => createMongoAdapter(MODEL_NAME, { schema }));
+  });
+}
+
+describe('JSON-lines adapter', () => {
+  let directory;
+
+  const open = () => createJsonLinesAdapter(MODEL_NAME, { directory, schema, defaults: DEFAULTS });
+  const readLines = (adapter) => fs.readFileSync(adapter.file, 'utf8').split('\n').filter(Boolean);
+
+  beforeEach(() => {
+    directory = makeDirectory();
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('keeps documents across reopening', async () => {
+    const first = open();
+    const alpha = await first.create({ name: 'alpha' });
+    const bravo = await first.create({ name: 'bravo' });
+    await first.findByIdAndUpdate(alpha._id, { $set: { status: 'Done' }, $push: { events: { type: 'closed' } } });
+    await first.findByIdAndDelete(bravo._id);
+
+    const reopened = open();
+
+    expect(await reopened.countDocuments()).toBe(1);
+    expect(await reopened.findById(alpha._id)).toMatchObject({ name: 'alpha', status: 'Done', events: [{ type: 'closed' }] });
+    expect(await reopened.findById(bravo._id)).toBeNull();
+  });
+
+  test('appends one line per change and compacts on reopening', async () => {
+    const first = open();
+    const alpha = await first.create({ name: 'alpha' });
+    await first.findByIdAndUpdate(alpha._id, { priority: 1 });
+    await first.findByIdAndUpdate(alpha._id, { priority: 2 });
+    const bravo = await first.create({ name: 'bravo' });
+    await first.findByIdAndDelete(bravo._id);
+
+    expect(readLines(first)).toHaveLength(5);
+    expect(JSON.parse(readLines(first)[4])).toEqual({ _id: bravo._id, _deleted: true });
+
+    const reopened = open();
+
+    expect(readLines(reopened).map(line => JSON.parse(line))).toEqual([expect.objectContaining({ _id: alpha._id, priority: 2 })]);
+    expect(fs.existsSync(`${reopened.file}.tmp`)).toBe(false);
+  });
+
+  test('skips a line cut short by a crash', async () => {
+    const first = open();
+    const alpha = await first.create({ name: 'alpha' });
+    fs.appendFileSync(first.file, '{"_id":"abc","name":"bra');
+
+    const reopened = open();
+
+    expect(await reopened.find()).toEqual([expect.objectContaining({ _id: alpha._id, name: 'alpha' })]);
+  });
+
+  test('flush waits for pending writes', async () => {
+    const adapter = open();
+    const pending = adapter.create({ name: 'alpha' });
+
+    await adapter.flush();
+
+    expect(readLines(adapter)).toHaveLength(1);
+    await pending;
+  });
+});
+
+describe('Schema validation', () => {
+  const adapter = createMemoryAdapter(MODEL_NAME, { schema });
+
+  test('applies schema defaults and casts values', async () => {
+    const doc = await adapter.create({ name: 'alpha', priority: '2', dueAt: '2026-01-01' });
+
+    expect(doc).toMatchObject({ name: 'alpha', status: 'Open', priority: 2, tags: [], events: [] });
+    expect(doc.dueAt).toBe('2026-01-01T00:00:00.000Z');
+  });
+
+  test('rejects an update that breaks the schema and keeps the stored document', async () => {
+    const doc = await adapter.create({ name: 'alpha' });
+
+    await expect(adapter.findByIdAndUpdate(doc._id, { $set: { status: 'Lost' } }))
+      .rejects.toThrow(mongoose.Error.ValidationError);
+    await expect(adapter.findByIdAndUpdate(doc._id, { $set: { priority: 'high' } }))
+      .rejects.toThrow(mongoose.Error.ValidationError);
+
+    expect(await adapter.findById(doc._id)).toMatchObject({ status: 'Open', priority: 0 });
+  });
+});
+
+describe('Query evaluation', () => {
+  const adapter = createMemoryAdapter('QueryItem');
+
+  test('rejects unsupported operators', async () => {
+    await adapter.create({ name: 'alpha' });
+
+    await expect(adapter.find({ name: { $where: 'true' } })).rejects.toThrow('Unsupported query operator: $where');
+    await expect(adapter.find({ $nor: [] })).rejects.toThrow('Unsupported query operator: $nor');
+    await expect(adapter.findOneAndUpdate({ name: 'alpha' }, { $unset: { name: '' } })).rejects.toThrow('Unsupported update operator: $unset');
+  });
+});
+
+describe('Storage', () => {
+  const originalSettings = { ...config.storage };
+  const originalAdapter = storage.adapter;
+  let directory;
+  let Item;
+  let repositories = 0;
+
+  beforeEach(() => {
+    directory = makeDirectory();
+    Object.assign(config.storage, { directory });
+    storage.connection = null;
+    // A new model each time, so no adapter is left over from an earlier test
+    Item = storage.createRepository(`StorageTestItem${++repositories}`, { schema, defaults: DEFAULTS });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    Object.assign(config.storage, originalSettings);
+    storage.use(originalAdapter);
+    storage.connection = null;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('serves repositories from the selected adapter', async () => {
+    storage.use(StorageAdapters.MEMORY);
+    const item = await Item.create({ name: 'alpha' });
+
+    expect(await Item.findById(item._id)).toMatchObject({ name: 'alpha', status: 'Open' });
+    expect(Item.aggregate).toBeUndefined();
+
+    storage.use(StorageAdapters.JSON_LINES);
+
+    // Documents are not copied between adapters
+    expect(await Item.findById(item._id)).toBeNull();
+    await Item.create({ name: 'bravo' });
+    await storage.close();
+    expect(fs.readFileSync(path.join(directory, `${Item.modelName}.jsonl`), 'utf8')).toContain('"bravo"');
+  });
+
+  test('falls back when MongoDB cannot be reached, before waiting operations run', async () => {
+    Object.assign(config.storage, { fallback: StorageAdapters.JSON_LINES });
+    let refuse;
+    jest.spyOn(mongoose, 'connect').mockReturnValue(new Promise((resolve, reject) => {
+      refuse = reject;
+    }));
+
+    storage.use(StorageAdapters.MONGO);
+    expect(typeof Item.aggregate).toBe('function');
+
+    const created = Item.create({ name: 'alpha' });
+    const counted = Item.countDocuments();
+    refuse(new Error('connect ECONNREFUSED 127.0.0.1:27017'));
+
+    expect(await created).toMatchObject({ name: 'alpha' });
+    expect(await counted).toBe(1);
+    expect(storage.adapter).toBe(StorageAdapters.JSON_LINES);
+    expect(Item.aggregate).toBeUndefined();
+    expect(mongoose.connect).toHaveBeenCalledTimes(1);
+    expect(mongoose.connect).toHaveBeenCalledWith(config.mongodb.uri, { serverSelectionTimeoutMS: config.storage.connectTimeoutMs });
+
+    await Item.create({ name: 'bravo' });
+    expect(mongoose.connect).toHaveBeenCalledTimes(1);
+  });
+
+  test('falls back to memory unless the fallback is jsonl', async () => {
+    Object.assign(config.storage, { fallback: 'mongo' });
+    jest.spyOn(mongoose, 'connect').mockRejectedValue(new Error('bad auth'));
+
+    storage.use(StorageAdapters.MONGO);
+    await storage.connect();
+
+    expect(storage.adapter).toBe(StorageAdapters.MEMORY);
+  });
+
+  test('does not connect to MongoDB for the other adapters', async () => {
+    const connect = jest.spyOn(mongoose, 'connect');
+
+    storage.use(StorageAdapters.MEMORY);
+    await storage.connect();
+    await Item.find();
+
+    expect(connect).not.toHaveBeenCalled();
+  });
+
+  test('rejects unknown adapters', () => {
+    expect(() => storage.use('postgres')).toThrow('Unknown storage adapter: postgres (expected memory, jsonl, mongo)');
+    expect(storage.adapter).toBe(originalAdapter);
+  });
+});
@@ -0,0 +1,140 @@
+// Unit tests for Scheduler Service
+jest.mock('../../src/services/callService', () => ({
+  placeReminderCall: jest.fn().mockResolvedValue({ sid: 'test-call-sid', status: 'queued' })
+}));
+jest.mock('../../src/services/telephonyService', () => ({ sendSms: jest.fn() }));
+jest.mock('../../src/services/redialService', () => ({
+  runDueRedials: jest.fn().mockResolvedValue(0)
+}));
+
+const SchedulerService = require('../../src/services/schedulerService');
+const callService = require('../../src/services/callService');
+const redialService = require('../../src/services/redialService');
+const Schedule = require('../../src/models/schedule');
+const Patient = require('../../src/models/patient');
+
+describe('SchedulerService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('computeNextRun', () => {
+    test('should return the next time later the same day', () => {
+      const next = SchedulerService.computeNextRun(
+        { times: ['08:00', '20:00'], timezone: 'UTC' },
+        new Date('2025-03-03T10:00:00Z')
+      );
+      
+      expect(next.toISOString()).toBe('2025-03-03T20:00:00.000Z');
+    });
+
+    test('should convert times from the schedule timezone', () => {
+      // 08:00 in New York is 13:00 UTC in winter (EST, UTC-5)
+      const next = SchedulerService.computeNextRun(
+        { times: ['08:00'], timezone: 'America/New_York' },
+        new Date('2025-01-15T00:00:00Z')
+      );
+      
+      expect(next.toISOString()).toBe('2025-01-15T13:00:00.000Z');
+    });
+
+    test('should follow daylight saving time changes', () => {
+      // 08:00 in New York is 12:00 UTC in summer (EDT, UTC-4)
+      const next = SchedulerService.computeNextRun(
+        { times: ['08:00'], timezone: 'America/New_York' },
+        new Date('2025-07-15T00:00:00Z')
+      );
+      
+      expect(next.toISOString()).toBe('2025-07-15T12:00:00.000Z');
+    });
+
+    test('should skip days that are not in daysOfWeek', () => {
+      // 2025-03-07 is a Friday; the next Monday is 2025-03-10
+      const next = SchedulerService.computeNextRun(
+        { times: ['09:00'], daysOfWeek: [1], timezone: 'UTC' },
+        new Date('2025-03-07T12:00:00Z')
+      );
+      
+      expect(next.toISOString()).toBe('2025-03-10T09:00:00.000Z');
+    });
+
+    test('should roll over to the same weekday next week once today has passed', () => {
+      // 2025-03-03 is a Monday
+      const next = SchedulerService.computeNextRun(
+        { times: ['09:00'], daysOfWeek: [1], timezone: 'UTC' },
+        new Date('2025-03-03T09:00:00Z')
+      );
+      
+      expect(next.toISOString()).toBe('2025-03-10T09:00:00.000Z');
+    });
+
+    test('should return null when there are no times', () => {
+      expect(SchedulerService.computeNextRun({ times: [] })).toBeNull();
+    });
+  });
+
+  describe('tick', () => {
+    test('should call due schedules once and advance their next run', async () => {
+      const patient = await Patient.create({ name: 'Test', phoneNumber: '+15550000001', medications: [] });
+      const schedule = await Schedule.create({
+        patientId: patient._id,
+        times: ['08:00'],
+        timezone: 'UTC',
+        nextRunAt: new Date('2025-03-03T08:00:00Z')
+      });
+      
+      const now = new Date('2025-03-03T08:00:10Z');
+      
+      expect(await SchedulerService.tick(now)).toBe(1);
+      expect(await SchedulerService.tick(now)).toBe(0);
+      
+      expect(callService.placeReminderCall).toHaveBeenCalledTimes(1);
+      expect(callService.placeReminderCall).toHaveBeenCalledWith(expect.objectContaining({
+        phoneNumber: '+15550000001',
+        scheduleId: schedule._id
+      }));
+      
+      const updated = await Schedule.findById(schedule._id);
+      expect(new Date(updated.nextRunAt).toISOString()).toBe('2025-03-04T08:00:00.000Z');
+      expect(updated.lastCallSid).toBe('test-call-sid');
+    });
+
+    test('should skip runs missed by more than the grace period', async () => {
+      const patient = await Patient.create({ name: 'Test', phoneNumber: '+15550000002', medications: [] });
+      const schedule = await Schedule.create({
+        patientId: patient._id,
+        times: ['08:00'],
+        timezone: 'UTC',
+        nextRunAt: new Date('2025-03-01T08:00:00Z')
+      });
+      
+      expect(await SchedulerService.tick(new Date('2025-03-03T12:00:00Z'))).toBe(0);
+      expect(callService.placeReminderCall).not.toHaveBeenCalled();
+      
+      const updated = await Schedule.findById(schedule._id);
+      expect(new Date(updated.nextRunAt).toISOString()).toBe('2025-03-04T08:00:00.000Z');
+    });
+
+    test('should not call paused schedules', async () => {
+      const patient = await Patient.create({ name: 'Test', phoneNumber: '+15550000003', medications: [] });
+      await Schedule.create({
+        patientId: patient._id,
+        times: ['08:00'],
+        timezone: 'UTC',
+        active: false,
+        nextRunAt: new Date('2025-03-03T08:00:00Z')
+      });
+      
+      await SchedulerService.tick(new Date('2025-03-03T08:00:10Z'));
+      expect(callService.placeReminderCall).not.toHaveBeenCalled();
+    });
+
+    test('should place due redials on the same poll', async () => {
+      redialService.runDueRedials.mockResolvedValueOnce(2);
+      const now = new Date('2030-01-01T00:00:00Z');
+      
+      expect(await SchedulerService.tick(now)).toBe(2);
+      expect(redialService.runDueRedials).toHaveBeenCalledWith(now);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+// Unit tests for the telephony simulator and provider selection
+const config = require('../../src/config');
+const telephonyService = require('../../src/services/telephonyService');
+const { createSimulatorProvider } = require('../../src/services/telephony/simulatorProvider');
+
+describe('simulatorProvider', () => {
+  let post;
+  let simulator;
+
+  const webhooksOf = (call) => call.webhooks.map(({ url, params }) => ({
+    path: url.split('?')[0].replace(config.twilio.webhookUrl, ''),
+    status: params.CallStatus,
+    answeredBy: params.AnsweredBy
+  }));
+
+  const placeCall = async (to, options = {}) => {
+    const { sid } = await simulator.placeCall({
+      to,
+      url: `${config.twilio.webhookUrl}/api/twilio/voice?patientId=p1`,
+      statusCallback: `${config.twilio.webhookUrl}/api/twilio/status?patientId=p1`,
+      amdCallback: `${config.twilio.webhookUrl}/api/twilio/amd?patientId=p1`,
+      ...options
+    });
+    await simulator.settle();
+    return simulator.getCalls().find(call => call.sid === sid);
+  };
+
+  beforeEach(() => {
+    post = jest.fn().mockResolvedValue('<Response/>');
+    simulator = createSimulatorProvider({
+      twilio: { phoneNumber: '+15005550006', accountSid: 'ACtest' },
+      simulator: { outcome: 'completed', callbackDelayMs: 0 },
+      post
+    });
+  });
+
+  test('should play an answered call through the status, voice and detection webhooks', async () => {
+    const call = await placeCall('+15550006001');
+
+    expect(call.sid).toMatch(/^CA[0-9a-f]{32}$/);
+    expect(call.status).toBe('completed');
+    expect(webhooksOf(call)).toEqual([
+      { path: '/api/twilio/status', status: 'initiated', answeredBy: undefined },
+      { path: '/api/twilio/status', status: 'ringing', answeredBy: undefined },
+      { path: '/api/twilio/status', status: 'in-progress', answeredBy: undefined },
+      { path: '/api/twilio/voice', status: 'in-progress', answeredBy: undefined },
+      { path: '/api/twilio/amd', status: 'in-progress', answeredBy: 'human' },
+      { path: '/api/twilio/status', status: 'completed', answeredBy: undefined }
+    ]);
+    expect(post).toHaveBeenLastCalledWith(expect.stringContaining('/api/twilio/status?patientId=p1'), expect.objectContaining({
+      CallSid: call.sid,
+      To: '+15550006001',
+      From: '+15005550006',
+      Direction: 'outbound-api',
+      CallDuration: '20'
+    }));
+    expect(call.webhooks[3].response).toBe('<Response/>');
+  });
+
+  test('should end unanswered calls without fetching the call flow', async () => {
+    simulator.setOutcome('+15550006002', 'no-answer');
+    const call = await placeCall('+15550006002');
+
+    expect(call.status).toBe('no-answer');
+    expect(webhooksOf(call).map(webhook => webhook.status)).toEqual(['initiated', 'ringing', 'no-answer']);
+  });
+
+  test('should fail calls before they ring', async () => {
+    simulator.setOutcome('+15550006003', 'failed');
+    const call = await placeCall('+15550006003');
+
+    expect(webhooksOf(call).map(webhook => webhook.status)).toEqual(['initiated', 'failed']);
+  });
+
+  test('should report an answering machine to the detection webhook', async () => {
+    simulator.setOutcome('+15550006004', 'machine');
+    const call = await placeCall('+15550006004');
+
+    expect(webhooksOf(call).find(webhook => webhook.path === '/api/twilio/amd').answeredBy).toBe('machine_end_beep');
+  });
+
+  test('should skip detection when it was not requested', async () => {
+    const call = await placeCall('+15550006005', { amdCallback: null });
+
+    expect(webhooksOf(call).some(webhook => webhook.path === '/api/twilio/amd')).toBe(false);
+  });
+
+  test('should keep playing a call when a webhook fails', async () => {
+    post.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+    const call = await placeCall('+15550006006');
+
+    expect(call.webhooks[0].error).toBe('connect ECONNREFUSED');
+    expect(call.status).toBe('completed');
+  });
+
+  test('should reject unknown outcomes', () => {
+    expect(() => simulator.setOutcome('+15550006007', 'dropped')).toThrow('Unknown simulated outcome');
+  });
+
+  test('should record SMS instead of sending them', async () => {
+    const message = await simulator.sendSms({ to: '+15550006008', body: 'Time for your medication' });
+
+    expect(message.sid).toMatch(/^SM[0-9a-f]{32}$/);
+    expect(simulator.getMessages()).toEqual([expect.objectContaining({
+      to: '+15550006008',
+      from: '+15005550006',
+      body: 'Time for your medication'
+    })]);
+  });
+
+  test('should refuse to update calls that have ended, like Twilio', async () => {
+    const call = await placeCall('+15550006009');
+
+    await expect(simulator.updateCall(call.sid, { twiml: '<Response/>' })).rejects.toMatchObject({ status: 400 });
+    await expect(simulator.updateCall('CA-unknown', { twiml: '<Response/>' })).rejects.toThrow('not in-progress');
+  });
+
+  test('should build TwiML call-flow responses', () => {
+    const response = simulator.createVoiceResponse();
+    response.hangup();
+
+    expect(response.toString()).toContain('<Hangup/>');
+  });
+
+  test('should forget everything on reset', async () => {
+    await placeCall('+15550006010');
+    await simulator.sendSms({ to: '+15550006010', body: 'Hi' });
+    simulator.reset();
+
+    expect(simulator.getCalls()).toEqual([]);
+    expect(simulator.getMessages()).toEqual([]);
+  });
+
+  test('should report a downloadable recording for calls placed with a recording callback', async () => {
+    const recordingCallback = `${config.twilio.webhookUrl}/api/twilio/recording?patientId=p1`;
+    const call = await placeCall('+15550006021', { recordingCallback });
+
+    const { url, params } = call.webhooks[call.webhooks.length - 1];
+    expect(url).toBe(recordingCallback);
+    expect(params).toMatchObject({ CallSid: call.sid, RecordingStatus: 'completed', RecordingDuration: '20' });
+    expect(params.RecordingSid).toMatch(/^RE[0-9a-f]{32}$/);
+    expect(await simulator.getRecordingUrl(call.sid)).toBe(params.RecordingUrl);
+
+    const { data, contentType } = await simulator.downloadRecording(params.RecordingUrl);
+    expect(contentType).toBe('audio/wav');
+    expect(data.toString('ascii', 0, 4)).toBe('RIFF');
+    await expect(simulator.downloadRecording('https://simulator.invalid/Recordings/RE0')).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('should not record calls that never connect or have no recording callback', async () => {
+    simulator.setOutcome('+15550006022', 'no-answer');
+    const unanswered = await placeCall('+15550006022', { recordingCallback: `${config.twilio.webhookUrl}/api/twilio/recording` });
+    const unrecorded = await placeCall('+15550006023');
+
+    expect(unanswered.webhooks.some(({ url }) => url.includes('/recording'))).toBe(false);
+    expect(await simulator.getRecordingUrl(unrecorded.sid)).toBeNull();
+  });
+
+  describe('telephonyService', () => {
+    const originalProvider = config.telephony.provider;
+
+    afterEach(() => {
+      config.telephony.provider = originalProvider;
+    });
+
+    test('should place calls and send SMS through the configured provider', async () => {
+      telephonyService.register('test-simulator', simulator);
+      config.telephony.provider = 'test-simulator';
+
+      const call = await telephonyService.makeCall('+15550006011', { patientId: 'p1', attempt: 2, originalCallSid: 'CA-first' });
+      await telephonyService.sendSms('+15550006011', 'Reminder');
+      await simulator.settle();
+
+      const [placed] = simulator.getCalls();
+      expect(placed.sid).toBe(call.sid);
+      expect(placed.url).toMatch(/\/api\/twilio\/voice\?patientId=p1$/);
+      expect(placed.statusCallback).toMatch(/\/api\/twilio\/status\?patientId=p1&attempt=2&originalCallSid=CA-first$/);
+      expect(placed.amdCallback).toMatch(/\/api\/twilio\/amd\?patientId=p1$/);
+      expect(simulator.getMessages()).toHaveLength(1);
+    });
+
+    test('should reject providers missing part of the interface', () => {
+      expect(() => telephonyService.register('partial', { placeCall: jest.fn() }))
+        .toThrow('must implement sendSms, updateCall, getRecordingUrl, downloadRecording, createVoiceResponse, createMessagingResponse');
+    });
+
+    test('should reject unknown providers', () => {
+      config.telephony.provider = 'carrier-pigeon';
+      expect(() => telephonyService.getProvider()).toThrow('Unknown telephony provider: carrier-pigeon');
+    });
+  });
+});
@@ -0,0 +1,198 @@
+// Unit tests for inbound SMS replies
+jest.mock('twilio', () => Object.assign(jest.fn(() => ({})), jest.requireActual('twilio')));
+jest.mock('../../src/models/callLog', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn().mockResolvedValue({})
+}));
+
+const smsController = require('../../src/controllers/smsController');
+const notificationService = require('../../src/services/notificationService');
+const CallLog = require('../../src/models/callLog');
+const Patient = require('../../src/models/patient');
+const telephonyService = require('../../src/services/telephonyService');
+
+describe('smsController', () => {
+  let patient;
+
+  const reply = async (body, from = patient.phoneNumber) => {
+    const res = { type: jest.fn(), send: jest.fn() };
+    await smsController.handleInboundSms({ body: { From: from, Body: body, MessageSid: 'SM1' } }, res);
+
+    expect(res.type).toHaveBeenCalledWith('text/xml');
+    return res.send.mock.calls[0][0];
+  };
+
+  beforeAll(async () => {
+    patient = await Patient.create({
+      name: 'Texting Patient',
+      phoneNumber: '+15550005001',
+      language: 'es',
+      providerContacts: [{ channel: 'sms', address: '+15550005999' }]
+    });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(notificationService, 'notifyOutcome').mockResolvedValue([]);
+    CallLog.findOneAndUpdate.mockResolvedValue({});
+    CallLog.findOne.mockResolvedValue({
+      callSid: 'CA-reminder',
+      patientPhoneNumber: patient.phoneNumber,
+      adherenceStatus: 'Unknown',
+      timestamp: new Date()
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should record a positive reply on the latest reminder and confirm it', async () => {
+    const twiml = await reply('Sí, ya los tomé');
+
+    expect(CallLog.findOne).toHaveBeenCalledWith(
+      { patientPhoneNumber: patient.phoneNumber }, null, { sort: { timestamp: -1 } }
+    );
+    expect(CallLog.findOneAndUpdate).toHaveBeenCalledWith(
+      { callSid: 'CA-reminder', adherenceStatus: { $in: ['Unknown', 'Unclear', null] } },
+      expect.objectContaining({ patientResponse: 'Sí, ya los tomé', adherenceStatus: 'Full' }),
+      { new: true }
+    );
+    expect(twiml).toContain('<Message>Gracias por confirmar');
+    expect(notificationService.notifyOutcome).not.toHaveBeenCalled();
+  });
+
+  test('should notify providers about a negative reply', async () => {
+    const twiml = await reply('No, no los he tomado');
+
+    expect(CallLog.findOneAndUpdate).toHaveBeenCalledWith(
+      { callSid: 'CA-reminder', adherenceStatus: { $in: ['Unknown', 'Unclear', null] } },
+      expect.objectContaining({ adherenceStatus: 'None' }),
+      { new: true }
+    );
+    expect(notificationService.notifyOutcome).toHaveBeenCalledWith(expect.objectContaining({
+      callSid: 'CA-reminder',
+      outcome: 'None'
+    }));
+    expect(twiml).toContain('<Message>');
+  });
+
+  test('should ask for yes or no when the reply is unclear', async () => {
+    const twiml = await reply('¿Quién es?');
+
+    expect(CallLog.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(twiml).toContain('Responda SÍ');
+  });
+
+  test('should keep the answer the patient gave on the call', async () => {
+    CallLog.findOne.mockResolvedValue({
+      callSid: 'CA-reminder',
+      patientPhoneNumber: patient.phoneNumber,
+      adherenceStatus: 'Full',
+      timestamp: new Date()
+    });
+
+    const twiml = await reply('No, no los he tomado');
+
+    expect(CallLog.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(notificationService.notifyOutcome).not.toHaveBeenCalled();
+    expect(twiml).toContain('Gracias por su respuesta. Que tenga un buen día.');
+  });
+
+  test('should let a reply clear up an unclear call', async () => {
+    CallLog.findOne.mockResolvedValue({
+      callSid: 'CA-reminder',
+      patientPhoneNumber: patient.phoneNumber,
+      adherenceStatus: 'Unclear',
+      timestamp: new Date()
+    });
+
+    await reply('Sí, ya los tomé');
+
+    expect(CallLog.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ callSid: 'CA-reminder' }),
+      expect.objectContaining({ adherenceStatus: 'Full' }),
+      { new: true }
+    );
+  });
+
+  test('should not overwrite an answer given on the call while the reply was read', async () => {
+    CallLog.findOneAndUpdate.mockResolvedValue(null);
+
+    const twiml = await reply('No, no los he tomado');
+
+    expect(notificationService.notifyOutcome).not.toHaveBeenCalled();
+    expect(twiml).toContain('Gracias por su respuesta. Que tenga un buen día.');
+  });
+
+  test('should not link replies without a recent reminder', async () => {
+    CallLog.findOne.mockResolvedValue({
+      callSid: 'CA-old',
+      patientPhoneNumber: patient.phoneNumber,
+      timestamp: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000)
+    });
+
+    const twiml = await reply('sí');
+
+    expect(CallLog.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(twiml).toContain('Gracias por su respuesta. Que tenga un buen día.');
+  });
+
+  test('should thank unknown numbers in English without recording anything', async () => {
+    CallLog.findOne.mockResolvedValue(null);
+
+    const twiml = await reply('yes', '+15550005002');
+
+    expect(CallLog.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(twiml).toContain('Thank you for your response. Have a nice day.');
+  });
+
+  describe('keywords', () => {
+    afterEach(async () => {
+      await Patient.findByIdAndUpdate(patient._id, { $set: { consent: null } });
+    });
+
+    test('should stop reminder calls and texts on STOP', async () => {
+      const twiml = await reply('Stop');
+
+      const updated = await Patient.findById(patient._id);
+      expect(updated.consent).toMatchObject({
+        voice: { granted: false, source: 'sms-keyword' },
+        sms: { granted: false, source: 'sms-keyword' },
+        recording: null
+      });
+      expect(CallLog.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(twiml).toContain('Ya no recibirá llamadas ni mensajes');
+      await expect(telephonyService.sendSms(patient.phoneNumber, 'Recordatorio')).rejects.toThrow('SMS blocked: no_consent');
+    });
+
+    test('should turn reminders back on with START', async () => {
+      await reply('STOP');
+
+      const twiml = await reply('start.');
+
+      const updated = await Patient.findById(patient._id);
+      expect(updated.consent).toMatchObject({ voice: { granted: true }, sms: { granted: true } });
+      expect(twiml).toContain('Se reactivaron las llamadas');
+    });
+
+    test('should explain the keywords on HELP without changing consent', async () => {
+      const twiml = await reply('help');
+
+      expect((await Patient.findById(patient._id)).consent).toBeNull();
+      expect(twiml).toContain('Responda STOP');
+    });
+
+    test('should only treat a message of just the keyword as one', async () => {
+      await reply('Stop asking, I took them');
+
+      expect((await Patient.findById(patient._id)).consent).toBeNull();
+    });
+
+    test('should confirm STOP from unknown numbers', async () => {
+      const twiml = await reply('STOP', '+15550005003');
+
+      expect(twiml).toContain('You will no longer receive medication reminder calls or texts.');
+    });
+  });
+});
@@ -0,0 +1,218 @@
+// Unit tests for the Telephony Service with the Twilio provider
+const axios = require('axios');
+const telephonyService = require('../../src/services/telephonyService');
+const config = require('../../src/config');
+
+// Mock Twilio client
+jest.mock('twilio', () => {
+  return jest.fn().mockImplementation(() => {
+    return {
+      calls: {
+        create: jest.fn().mockResolvedValue({
+          sid: 'test-call-sid',
+          status: 'queued'
+        })
+      },
+      messages: {
+        create: jest.fn().mockResolvedValue({
+          sid: 'test-message-sid',
+          status: 'sent'
+        })
+      },
+      recordings: {
+        list: jest.fn().mockResolvedValue([
+          { sid: 'RE123', uri: '/2010-04-01/Accounts/AC123/Recordings/RE123.json' }
+        ])
+      }
+    };
+  });
+});
+
+describe('telephonyService', () => {
+  const twilioClient = () => telephonyService.getProvider('twilio').client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('makeCall should create a call and return the call object', async () => {
+    const phoneNumber = '+1234567890';
+    const result = await telephonyService.makeCall(phoneNumber);
+    
+    expect(result).toEqual({
+      sid: 'test-call-sid',
+      status: 'queued'
+    });
+    
+    expect(twilioClient().calls.create).toHaveBeenCalledWith({
+      url: expect.stringContaining('/api/twilio/voice'),
+      to: phoneNumber,
+      from: config.twilio.phoneNumber,
+      statusCallback: expect.stringContaining('/api/twilio/status'),
+      statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+      statusCallbackMethod: 'POST',
+      machineDetection: 'DetectMessageEnd',
+      asyncAmd: 'true',
+      asyncAmdStatusCallback: expect.stringContaining('/api/twilio/amd'),
+      asyncAmdStatusCallbackMethod: 'POST'
+    });
+  });
+
+  test('sendSms should send a message and return the message object', async () => {
+    const phoneNumber = '+1234567890';
+    const message = 'Test message';
+    const result = await telephonyService.sendSms(phoneNumber, message);
+    
+    expect(result).toEqual({
+      sid: 'test-message-sid',
+      status: 'sent'
+    });
+    
+    expect(twilioClient().messages.create).toHaveBeenCalledWith({
+      body: message,
+      to: phoneNumber,
+      from: config.twilio.phoneNumber
+    });
+  });
+
+  test('generateTwiml should return valid TwiML for voice calls', () => {
+    const message = 'Test message';
+    const twiml = telephonyService.generateTwiml(message);
+    
+    expect(twiml).toContain('<Gather');
+    expect(twiml).toContain('input="speech"');
+    expect(twiml).toContain(message);
+  });
+  
+  test('generateTwiml should carry extra params to the gather and redirect URLs', () => {
+    const twiml = telephonyService.generateTwiml('Test message', 2, { patientId: 'patient-1' });
+    
+    expect(twiml).toContain('/api/twilio/gather?patientId=patient-1');
+    expect(twiml).toContain('/api/twilio/voice?patientId=patient-1&amp;retryCount=2');
+  });
+
+  test('generateTwiml should use the speech language and voice for the patient language', () => {
+    const twiml = telephonyService.generateTwiml('¿Ya tomó sus medicamentos?', 1, {}, { language: 'es' });
+    
+    expect(twiml).toContain('language="es-US"');
+    expect(twiml).toContain('voice="Polly.Lupe"');
+  });
+
+  test('generateTwiml should fall back to English for unsupported languages', () => {
+    const twiml = telephonyService.generateTwiml('Test message', 1, {}, { language: 'xx' });
+    
+    expect(twiml).toContain('language="en-US"');
+  });
+
+  test('generateTwiml should play synthesized audio instead of <Say> when given', () => {
+    const audioUrl = 'https://example.com/api/twilio/audio/abc';
+    const twiml = telephonyService.generateTwiml('Test message', 1, {}, { audioUrl });
+    
+    expect(twiml).toContain(`<Play>${audioUrl}</Play>`);
+    expect(twiml).not.toContain('<Say');
+  });
+
+  test('generateStreamTwiml should connect a media stream with custom parameters', () => {
+    const twiml = telephonyService.generateStreamTwiml({ patientId: 'patient-1', unused: undefined });
+    
+    expect(twiml).toContain(`<Stream url="${config.twilio.webhookUrl.replace(/^http/, 'ws')}/api/twilio/media-stream">`);
+    expect(twiml).toContain('<Parameter name="patientId" value="patient-1"/>');
+    expect(twiml).not.toContain('unused');
+    expect(twiml).toContain('<Hangup/>');
+  });
+
+  test('makeCall should pass the patient ID to the voice webhook', async () => {
+    await telephonyService.makeCall('+1234567890', { patientId: 'patient-1' });
+    
+    expect(twilioClient().calls.create).toHaveBeenCalledWith(expect.objectContaining({
+      url: expect.stringMatching(/\/api\/twilio\/voice\?patientId=patient-1$/)
+    }));
+  });
+  
+  test('makeCall should request asynchronous answering machine detection', async () => {
+    await telephonyService.makeCall('+1234567890', { patientId: 'patient-1' });
+    
+    expect(twilioClient().calls.create).toHaveBeenCalledWith(expect.objectContaining({
+      machineDetection: 'DetectMessageEnd',
+      asyncAmd: 'true',
+      asyncAmdStatusCallback: expect.stringMatching(/\/api\/twilio\/amd\?patientId=patient-1$/),
+      asyncAmdStatusCallbackMethod: 'POST'
+    }));
+  });
+  
+  test('makeCall should not request detection when it is disabled', async () => {
+    config.twilio.machineDetection = false;
+    
+    try {
+      await telephonyService.makeCall('+1234567890');
+    } finally {
+      config.twilio.machineDetection = true;
+    }
+    
+    expect(twilioClient().calls.create.mock.calls[0][0]).not.toHaveProperty('machineDetection');
+  });
+  
+  test('makeCall should pass the redial chain to the status callback', async () => {
+    await telephonyService.makeCall('+1234567890', { patientId: 'patient-1', attempt: 2, originalCallSid: 'CA-first' });
+    
+    expect(twilioClient().calls.create).toHaveBeenCalledWith(expect.objectContaining({
+      statusCallback: expect.stringMatching(/\/api\/twilio\/status\?patientId=patient-1&attempt=2&originalCallSid=CA-first$/)
+    }));
+  });
+  
+  test('makeCall should record the call when asked, reporting to the recording webhook', async () => {
+    await telephonyService.makeCall('+1234567890', { patientId: 'patient-1', record: true });
+    
+    expect(twilioClient().calls.create).toHaveBeenCalledWith(expect.objectContaining({
+      record: true,
+      recordingStatusCallback: expect.stringMatching(/\/api\/twilio\/recording\?patientId=patient-1$/),
+      recordingStatusCallbackEvent: ['completed', 'absent'],
+      recordingStatusCallbackMethod: 'POST'
+    }));
+  });
+  
+  test('makeCall should not record calls by default', async () => {
+    await telephonyService.makeCall('+1234567890', { patientId: 'patient-1' });
+    
+    expect(twilioClient().calls.create.mock.calls[0][0]).not.toHaveProperty('record');
+  });
+  
+  test('getRecordingUrl should return the media URL of the first recording', async () => {
+    const callSid = 'test-call-sid';
+    const result = await telephonyService.getRecordingUrl(callSid);
+    
+    expect(result).toBe('https://api.twilio.com/2010-04-01/Accounts/AC123/Recordings/RE123');
+    expect(twilioClient().recordings.list).toHaveBeenCalledWith({ callSid, limit: 1 });
+  });
+  
+  test('downloadRecording should fetch the MP3 with the account credentials', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: Uint8Array.from([1, 2, 3]), headers: { 'content-type': 'audio/mpeg' } });
+    
+    const result = await telephonyService.downloadRecording('https://api.twilio.com/2010-04-01/Accounts/AC123/Recordings/RE123');
+    
+    expect(result).toEqual({ data: Buffer.from([1, 2, 3]), contentType: 'audio/mpeg' });
+    expect(axios.get).toHaveBeenCalledWith('https://api.twilio.com/2010-04-01/Accounts/AC123/Recordings/RE123.mp3', {
+      auth: { username: config.twilio.accountSid, password: config.twilio.authToken },
+      responseType: 'arraybuffer'
+    });
+  });
+  
+  test('downloadRecording should keep the HTTP status of a failed download', async () => {
+    jest.spyOn(axios, 'get').mockRejectedValue(Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } }));
+    
+    await expect(telephonyService.downloadRecording('https://api.twilio.com/2010-04-01/Accounts/AC123/Recordings/RE123'))
+      .rejects.toMatchObject({ status: 503 });
+  });
+  
+  test('downloadRecording should not send credentials to other hosts', async () => {
+    jest.spyOn(axios, 'get');
+    
+    await expect(telephonyService.downloadRecording('https://example.com/Recordings/RE123'))
+      .rejects.toThrow('Not a Twilio recording URL');
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,128 @@
+// Unit tests for TTS Service
+jest.mock('axios');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const ttsService = require('../../src/services/ttsService');
+const blobStore = require('../../src/services/blobStore');
+const config = require('../../src/config');
+const { createLocalBlobStore } = require('../../src/services/blobStores/localBlobStore');
+
+describe('TTSService', () => {
+  const originalProvider = config.blobStore.provider;
+  let directory;
+
+  const audioIdOf = (url) => url.split('/').pop();
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-test-'));
+    blobStore.register('test-tts', createLocalBlobStore({ directory }));
+    config.blobStore.provider = 'test-tts';
+  });
+
+  afterAll(() => {
+    config.blobStore.provider = originalProvider;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    ttsService.cache.clear();
+    ttsService.apiKey = 'test-key';
+    ttsService.voiceId = 'voice-1';
+    axios.mockResolvedValue({ data: Buffer.from('mp3-bytes') });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('getAudioUrl should synthesize once per sentence and serve the cached audio', async () => {
+    const first = await ttsService.getAudioUrl('Hello');
+    const second = await ttsService.getAudioUrl('Hello');
+    
+    expect(first).toMatch(new RegExp(`^${config.twilio.webhookUrl}/api/twilio/audio/[0-9a-f]{64}$`));
+    expect(second).toBe(first);
+    expect(axios).toHaveBeenCalledTimes(1);
+    expect((await ttsService.getAudio(audioIdOf(first))).toString()).toBe('mp3-bytes');
+  });
+
+  test('getAudioUrl should share one synthesis between concurrent requests', async () => {
+    const urls = await Promise.all([ttsService.getAudioUrl('Hello'), ttsService.getAudioUrl('Hello')]);
+    
+    expect(urls[0]).toBe(urls[1]);
+    expect(axios).toHaveBeenCalledTimes(1);
+  });
+
+  test('audio should be cached per voice', async () => {
+    const first = await ttsService.getAudioUrl('Hello');
+    ttsService.voiceId = 'voice-2';
+    const second = await ttsService.getAudioUrl('Hello');
+    
+    expect(second).not.toBe(first);
+    expect(axios).toHaveBeenCalledTimes(2);
+  });
+
+  test('getAudioUrl should return null and not cache failures', async () => {
+    axios.mockRejectedValueOnce(new Error('timeout of 3000ms exceeded'));
+    
+    expect(await ttsService.getAudioUrl('Hello')).toBeNull();
+    expect(ttsService.cache.size).toBe(0);
+    
+    expect(await ttsService.getAudioUrl('Hello')).not.toBeNull();
+  });
+
+  test('getAudioUrl should return null without calling ElevenLabs when not configured', async () => {
+    ttsService.apiKey = undefined;
+    
+    expect(await ttsService.getAudioUrl('Hello')).toBeNull();
+    expect(axios).not.toHaveBeenCalled();
+  });
+
+  test('the cache should evict the oldest sentences beyond its limit', async () => {
+    const original = config.elevenLabs.cacheMaxEntries;
+    config.elevenLabs.cacheMaxEntries = 2;
+    
+    const first = await ttsService.getAudioUrl('One');
+    await ttsService.getAudioUrl('Two');
+    await ttsService.getAudioUrl('Three');
+    
+    expect(ttsService.cache.size).toBe(2);
+    expect(ttsService.cache.has(audioIdOf(first))).toBe(false);
+    // Twilio may still fetch an evicted sentence, so it is served from the blob store
+    expect((await ttsService.getAudio(audioIdOf(first))).toString()).toBe('mp3-bytes');
+    
+    config.elevenLabs.cacheMaxEntries = original;
+  });
+
+  test('audio should be served from the blob store after a restart', async () => {
+    const url = await ttsService.getAudioUrl('Hello');
+    ttsService.cache.clear();
+    
+    expect((await ttsService.getAudio(audioIdOf(url))).toString()).toBe('mp3-bytes');
+    expect(await ttsService.getAudio('0'.repeat(64))).toBeNull();
+  });
+
+  test('getAudio should only look up audio IDs', async () => {
+    jest.spyOn(blobStore, 'get');
+    
+    expect(await ttsService.getAudio('../recordings/CA1/RE1')).toBeNull();
+    expect(blobStore.get).not.toHaveBeenCalled();
+    
+    blobStore.get.mockRestore();
+  });
+
+  test('synthesized audio should still be served by this process if the blob store fails', async () => {
+    jest.spyOn(blobStore, 'put').mockRejectedValueOnce(new Error('disk full'));
+    
+    const url = await ttsService.getAudioUrl('Hello');
+    
+    expect(url).not.toBeNull();
+    expect((await ttsService.getAudio(audioIdOf(url))).toString()).toBe('mp3-bytes');
+    
+    blobStore.put.mockRestore();
+  });
+});
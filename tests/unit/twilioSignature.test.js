@@ -0,0 +1,80 @@
+// Unit tests for Twilio signature validation middleware
+const twilio = require('twilio');
+const config = require('../../src/config');
+const { validateTwilioSignature } = require('../../src/middleware/twilioSignature');
+const { ErrorTypes } = require('../../src/middleware/errorHandler');
+
+describe('validateTwilioSignature', () => {
+  const params = { CallSid: 'CA123', CallStatus: 'completed' };
+  const originalTwilioConfig = { ...config.twilio };
+  
+  const buildRequest = (signature, body = params) => ({
+    originalUrl: '/api/twilio/status?patientId=abc',
+    path: '/api/twilio/status',
+    body,
+    get: (header) => (header === 'X-Twilio-Signature' ? signature : undefined)
+  });
+  
+  const sign = (body = params) => twilio.getExpectedTwilioSignature(
+    config.twilio.authToken,
+    `${config.twilio.webhookUrl}/api/twilio/status?patientId=abc`,
+    body
+  );
+
+  beforeEach(() => {
+    config.twilio.authToken = 'test-auth-token';
+    config.twilio.webhookUrl = 'https://example.ngrok.io';
+    config.twilio.validateSignature = true;
+  });
+
+  afterAll(() => {
+    Object.assign(config.twilio, originalTwilioConfig);
+  });
+
+  test('should accept a request with a valid signature', () => {
+    const next = jest.fn();
+    validateTwilioSignature(buildRequest(sign()), {}, next);
+    
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test('should reject a request with a forged body', () => {
+    const next = jest.fn();
+    validateTwilioSignature(buildRequest(sign(), { ...params, CallStatus: 'no-answer' }), {}, next);
+    
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({
+      type: ErrorTypes.AUTHENTICATION_ERROR,
+      statusCode: 401
+    }));
+  });
+
+  test('should reject a request without a signature', () => {
+    const next = jest.fn();
+    validateTwilioSignature(buildRequest(undefined), {}, next);
+    
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({
+      type: ErrorTypes.AUTHENTICATION_ERROR
+    }));
+  });
+
+  test('should reject all requests when no auth token is configured', () => {
+    const signature = sign();
+    config.twilio.authToken = undefined;
+    
+    const next = jest.fn();
+    validateTwilioSignature(buildRequest(signature), {}, next);
+    
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({
+      type: ErrorTypes.AUTHENTICATION_ERROR
+    }));
+  });
+
+  test('should skip validation when explicitly disabled', () => {
+    config.twilio.validateSignature = false;
+    
+    const next = jest.fn();
+    validateTwilioSignature(buildRequest(undefined), {}, next);
+    
+    expect(next).toHaveBeenCalledWith();
+  });
+});